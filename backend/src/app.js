@@ -5,13 +5,20 @@ const log = require("./utils/log");
 
 dotenv.config();
 
-const { handle404Error, handleGlobalError, } = require("./middlewares");
+const { handle404Error, handleGlobalError, assignRequestId } = require("./middlewares");
 const { v1Routes } = require("./routes/v1");
-const { cors } = require("./config");
+const { cors, env } = require("./config");
 const path = require("path");
 const app = express();
 
+// Behind nginx or the Docker network req.ip would be the proxy's address, which would put
+// every client in the same per-IP login bucket. A number is a hop count, anything else a list
+// of trusted addresses or subnets.
+const trustProxy = /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY;
+app.set("trust proxy", trustProxy === "false" ? false : trustProxy);
+
 // Middleware stack in order
+app.use(assignRequestId);
 app.use(cors);
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '..', 'public')));
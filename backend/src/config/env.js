@@ -18,6 +18,44 @@ const env = {
   API_URL: process.env.API_URL,
   COOKIE_DOMAIN: process.env.COOKIE_DOMAIN,
   RESEND_API_KEY: process.env.RESEND_API_KEY,
+  TWO_FACTOR_CHALLENGE_TOKEN_SECRET: process.env.TWO_FACTOR_CHALLENGE_TOKEN_SECRET,
+  TWO_FACTOR_CHALLENGE_TOKEN_TIME_IN_MS:
+    process.env.TWO_FACTOR_CHALLENGE_TOKEN_TIME_IN_MS,
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || "School Admin",
+  REFRESH_TOKEN_PRUNE_INTERVAL_IN_MS:
+    process.env.REFRESH_TOKEN_PRUNE_INTERVAL_IN_MS || 3600000,
+  TRUST_PROXY: process.env.TRUST_PROXY || "loopback, linklocal, uniquelocal",
+  LOGIN_ATTEMPT_STORE: process.env.LOGIN_ATTEMPT_STORE || "postgres",
+  LOGIN_MAX_FAILED_ATTEMPTS: process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5,
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_IP:
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP || 50,
+  LOGIN_LOCKOUT_TIME_IN_MS: process.env.LOGIN_LOCKOUT_TIME_IN_MS || 900000,
+  LOGIN_BACKOFF_BASE_IN_MS: process.env.LOGIN_BACKOFF_BASE_IN_MS || 1000,
+  FORGOT_PASSWORD_MAX_REQUESTS: process.env.FORGOT_PASSWORD_MAX_REQUESTS || 3,
+  FORGOT_PASSWORD_MAX_REQUESTS_PER_IP:
+    process.env.FORGOT_PASSWORD_MAX_REQUESTS_PER_IP || 20,
+  FORGOT_PASSWORD_WINDOW_IN_MS:
+    process.env.FORGOT_PASSWORD_WINDOW_IN_MS || 3600000,
+  OIDC_ISSUER_URL: process.env.OIDC_ISSUER_URL,
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI:
+    process.env.OIDC_REDIRECT_URI ||
+    `${process.env.UI_URL}/auth/oidc/callback`,
+  OIDC_SCOPES: process.env.OIDC_SCOPES || "openid email profile",
+  OIDC_PROVIDER_NAME: process.env.OIDC_PROVIDER_NAME || "Single Sign-On",
+  OIDC_STATE_TOKEN_SECRET: process.env.OIDC_STATE_TOKEN_SECRET,
+  OIDC_JIT_PROVISIONING: process.env.OIDC_JIT_PROVISIONING || "false",
+  OIDC_DEFAULT_ROLE_ID: process.env.OIDC_DEFAULT_ROLE_ID || 2,
+  IMPERSONATION_TIME_IN_MS: process.env.IMPERSONATION_TIME_IN_MS || 1800000,
+  TOKEN_REVOCATION_CACHE_SIZE: process.env.TOKEN_REVOCATION_CACHE_SIZE || 10000,
+  TOKEN_REVOCATION_CACHE_TTL_IN_MS:
+    process.env.TOKEN_REVOCATION_CACHE_TTL_IN_MS || 30000,
+  PERMISSION_CACHE_SIZE: process.env.PERMISSION_CACHE_SIZE || 1000,
+  PERMISSION_CACHE_TTL_IN_MS: process.env.PERMISSION_CACHE_TTL_IN_MS || 300000,
+  PERMISSION_CACHE_NOTIFY: process.env.PERMISSION_CACHE_NOTIFY || "false",
+  ACCESS_CONTROL_SYNC: process.env.ACCESS_CONTROL_SYNC || "report",
+  ATTENDANCE_EDIT_WINDOW_DAYS: process.env.ATTENDANCE_EDIT_WINDOW_DAYS || 3,
 };
 
 module.exports = { env };
@@ -6,10 +6,10 @@ const cookieOptions = {
   domain: env.COOKIE_DOMAIN,
 };
 
-const setAccessTokenCookie = (res, accessToken) => {
+const setAccessTokenCookie = (res, accessToken, maxAge = env.JWT_ACCESS_TOKEN_TIME_IN_MS) => {
   res.cookie("accessToken", accessToken, {
     httpOnly: true,
-    maxAge: env.JWT_ACCESS_TOKEN_TIME_IN_MS,
+    maxAge,
     ...cookieOptions,
   });
 };
@@ -20,10 +20,10 @@ const setRefreshTokenCookie = (res, refreshToken) => {
     ...cookieOptions,
   });
 };
-const setCsrfTokenCookie = (res, csrfToken) => {
+const setCsrfTokenCookie = (res, csrfToken, maxAge = env.CSRF_TOKEN_TIME_IN_MS) => {
   res.cookie("csrfToken", csrfToken, {
     httpOnly: false,
-    maxAge: env.CSRF_TOKEN_TIME_IN_MS,
+    maxAge,
     ...cookieOptions,
   });
 };
@@ -33,6 +33,21 @@ const setAllCookies = (res, accessToken, refreshToken, csrfToken) => {
   setCsrfTokenCookie(res, csrfToken);
 };
 
+// Holds the OIDC state, nonce and PKCE verifier between the redirect to the IdP and the callback
+const OIDC_STATE_COOKIE_TIME_IN_MS = 10 * 60 * 1000;
+
+const setOidcStateCookie = (res, oidcStateToken) => {
+  res.cookie("oidcState", oidcStateToken, {
+    httpOnly: true,
+    maxAge: OIDC_STATE_COOKIE_TIME_IN_MS,
+    ...cookieOptions,
+  });
+};
+
+const clearOidcStateCookie = (res) => {
+  res.clearCookie("oidcState", cookieOptions);
+};
+
 const clearAllCookies = (res) => {
   res.clearCookie("accessToken", cookieOptions);
   res.clearCookie("refreshToken", cookieOptions);
@@ -45,4 +60,6 @@ module.exports = {
   setCsrfTokenCookie,
   setAllCookies,
   clearAllCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
 };
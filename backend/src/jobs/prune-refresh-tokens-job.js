@@ -0,0 +1,39 @@
+const { env } = require("../config");
+const {
+  pruneExpiredRefreshTokens,
+  pruneExpiredRevokedAccessTokens,
+  pruneExpiredLoginAttempts,
+} = require("../modules/auth/auth-service");
+const log = require("../utils/log");
+
+const runPrune = async () => {
+  try {
+    const prunedCount = await pruneExpiredRefreshTokens();
+    if (prunedCount > 0) {
+      log.info("Expired refresh tokens pruned", { prunedCount });
+    }
+
+    const prunedRevocationCount = await pruneExpiredRevokedAccessTokens();
+    if (prunedRevocationCount > 0) {
+      log.info("Expired access token revocations pruned", { prunedCount: prunedRevocationCount });
+    }
+
+    const prunedAttemptCount = await pruneExpiredLoginAttempts();
+    if (prunedAttemptCount > 0) {
+      log.info("Expired login attempts pruned", { prunedCount: prunedAttemptCount });
+    }
+  } catch (error) {
+    log.error("Failed to prune expired refresh tokens", { errorMessage: error.message });
+  }
+};
+
+const startRefreshTokenPruneJob = () => {
+  const intervalInMs = parseInt(env.REFRESH_TOKEN_PRUNE_INTERVAL_IN_MS);
+  const timer = setInterval(runPrune, intervalInMs);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  runPrune();
+  return timer;
+};
+
+module.exports = { startRefreshTokenPruneJob };
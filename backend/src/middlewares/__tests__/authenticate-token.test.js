@@ -0,0 +1,51 @@
+const jwt = require("jsonwebtoken");
+const { authenticateToken } = require("../authenticate-token");
+const { tokenRevocation } = require("../../modules/auth/token-revocation");
+
+jest.mock("../../config", () => ({
+  env: { JWT_ACCESS_TOKEN_SECRET: "access-secret", JWT_REFRESH_TOKEN_SECRET: "refresh-secret" },
+}));
+jest.mock("../../utils", () => ({
+  ApiError: jest.requireActual("../../utils/api-error").ApiError,
+}));
+jest.mock("../../modules/auth/token-revocation", () => ({
+  tokenRevocation: { isRevoked: jest.fn() },
+}));
+jest.mock("../authenticate-api-key", () => ({ authenticateApiKeyRequest: jest.fn() }));
+
+const buildRequest = (accessPayload) => ({
+  get: () => undefined,
+  cookies: {
+    accessToken: jwt.sign(accessPayload, "access-secret", { expiresIn: "1h" }),
+    refreshToken: jwt.sign({ id: 1 }, "refresh-secret", { expiresIn: "8h" }),
+  },
+});
+
+describe("authenticateToken", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokenRevocation.isRevoked.mockResolvedValue(false);
+  });
+
+  it("should accept an impersonation token until its expiresAt", async () => {
+    const expiresAt = new Date(Date.now() + 60000).toISOString();
+    const req = buildRequest({ id: 5, roleId: 2, impersonator: { id: 1, name: "Admin", expiresAt } });
+    const next = jest.fn();
+
+    await authenticateToken(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user.impersonator.id).toBe(1);
+  });
+
+  it("should reject an impersonation token once its expiresAt has passed", async () => {
+    const expiresAt = new Date(Date.now() - 1000).toISOString();
+    const req = buildRequest({ id: 5, roleId: 2, impersonator: { id: 1, name: "Admin", expiresAt } });
+    const next = jest.fn();
+
+    await authenticateToken(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    expect(req.user).toBeUndefined();
+  });
+});
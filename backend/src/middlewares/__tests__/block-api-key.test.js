@@ -0,0 +1,22 @@
+const { blockApiKey } = require("../block-api-key");
+
+jest.mock("../../utils", () => ({
+  ApiError: jest.requireActual("../../utils/api-error").ApiError,
+}));
+
+describe("blockApiKey", () => {
+  it("should let a signed in user through", () => {
+    const next = jest.fn();
+    blockApiKey({ user: { id: 5, roleId: 2 } }, {}, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should reject an API key", () => {
+    const req = { user: { id: null, roleId: 2, apiKeyId: 9 } };
+    const next = jest.fn();
+
+    expect(() => blockApiKey(req, {}, next)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(next).not.toHaveBeenCalled();
+  });
+});
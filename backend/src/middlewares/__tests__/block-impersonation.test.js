@@ -0,0 +1,24 @@
+const { blockImpersonation } = require("../block-impersonation");
+
+jest.mock("../../utils", () => ({
+  ApiError: jest.requireActual("../../utils/api-error").ApiError,
+}));
+
+describe("blockImpersonation", () => {
+  it("should let the real user through", () => {
+    const next = jest.fn();
+    blockImpersonation({ user: { id: 5, roleId: 2 } }, {}, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should reject an admin acting as another user", () => {
+    const req = { user: { id: 5, roleId: 2, impersonator: { id: 1, name: "Admin" } } };
+    const next = jest.fn();
+
+    expect(() => blockImpersonation(req, {}, next)).toThrow(
+      expect.objectContaining({ statusCode: 403 })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+});
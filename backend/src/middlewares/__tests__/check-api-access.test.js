@@ -0,0 +1,57 @@
+const { checkApiAccess } = require("../check-api-access");
+const { getApiKeyPermissionScopes } = require("../../modules/api-keys/api-key-repository");
+
+jest.mock("../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../utils", () => ({
+  ApiError: jest.requireActual("../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../../modules/api-keys/api-key-repository");
+jest.mock("../../modules/roles-and-permissions/permission-cache", () => ({
+  permissionCache: { getPermissionScopes: jest.fn(), getGrantScopes: jest.fn() },
+}));
+
+const buildRequest = () => ({
+  baseUrl: "/api/v1/students",
+  route: { path: "" },
+  method: "GET",
+  user: { id: null, roleId: 2, apiKeyId: 9 },
+});
+
+describe("checkApiAccess", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should reject an API key whose role only has scoped access to the route", async () => {
+    getApiKeyPermissionScopes.mockResolvedValue(["own_sections"]);
+    const req = buildRequest();
+    const next = jest.fn();
+
+    await checkApiAccess(req, {}, next);
+
+    expect(getApiKeyPermissionScopes).toHaveBeenCalledWith(9, "/api/v1/students", "GET");
+    expect(req.dataScope).toBeUndefined();
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it("should leave an API key unscoped when the route is listed on the key", async () => {
+    getApiKeyPermissionScopes.mockResolvedValue(["all", "own_sections"]);
+    const req = buildRequest();
+    const next = jest.fn();
+
+    await checkApiAccess(req, {}, next);
+
+    expect(req.dataScope).toBeNull();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should reject an API key without access to the route", async () => {
+    getApiKeyPermissionScopes.mockResolvedValue([]);
+    const next = jest.fn();
+
+    await checkApiAccess(buildRequest(), {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+});
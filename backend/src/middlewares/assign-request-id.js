@@ -0,0 +1,14 @@
+const { v4: uuidV4 } = require("uuid");
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+// Reuses the id set by a proxy in front of the API when it looks sane, so one id follows the
+// request across logs and audit entries
+const assignRequestId = (req, res, next) => {
+    const incomingId = req.get("x-request-id");
+    req.requestId = incomingId && REQUEST_ID.test(incomingId) ? incomingId : uuidV4();
+    res.setHeader("X-Request-Id", req.requestId);
+    next();
+}
+
+module.exports = { assignRequestId };
@@ -0,0 +1,84 @@
+const { computeChanges, redactSensitiveFields } = require("../modules/audit/audit-changes");
+const { getEntitySnapshot, getRequestAuditContext, recordAuditEvent } = require("../modules/audit/audit-service");
+
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+const VERB_BY_METHOD = { POST: "create", PUT: "update", PATCH: "update", DELETE: "delete" };
+const ENTITY_ID = /^\d+$/;
+
+// Works out the audited entity from the path below the router mount point:
+//   /12/status -> { entity, entityId: "12", action: "update:status" }
+//   /policies/3/users (subEntities.policies = "leave_policy") -> leave_policy 3
+const resolveAuditTarget = ({ entity, subEntities = {}, entityId: fixedEntityId }, method, path) => {
+    let segments = path.split("/").filter(Boolean);
+    let entityName = entity;
+    if (segments.length > 0 && subEntities[segments[0]]) {
+        entityName = subEntities[segments[0]];
+        segments = segments.slice(1);
+    }
+
+    const idIndex = segments.findIndex((segment) => ENTITY_ID.test(segment));
+    const entityId = idIndex === -1 ? (fixedEntityId ?? null) : segments[idIndex];
+    const subAction = segments.filter((_, index) => index !== idIndex).join("/");
+    const verb = method === "POST" && idIndex !== -1 ? "update" : VERB_BY_METHOD[method];
+
+    return {
+        entity: entityName,
+        entityId: entityId === null ? null : String(entityId),
+        action: subAction ? `${verb}:${subAction}` : verb,
+    };
+}
+
+const describeRequestBody = (body) => {
+    if (!body || typeof body !== "object" || Buffer.isBuffer(body) || Array.isArray(body)) {
+        return null;
+    }
+    return redactSensitiveFields(body);
+}
+
+// Records every successful POST/PUT/PATCH/DELETE under a router in audit_events.
+// Mount after authenticateToken so the actor is known.
+const auditTrail = (entity, options = {}) => async (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method)) {
+        return next();
+    }
+
+    const target = resolveAuditTarget({ entity, ...options }, req.method, req.path);
+    const auditContext = getRequestAuditContext(req);
+    const before = target.entityId ? await getEntitySnapshot(target.entity, target.entityId) : null;
+
+    res.on("finish", async () => {
+        if (res.statusCode >= 400) {
+            return;
+        }
+
+        let after = null;
+        if (req.method !== "DELETE") {
+            // New records have no id in the path, so the submitted values are the best description.
+            // Handlers with a raw body (file uploads) describe the result in res.locals.auditSummary instead
+            after = target.entityId
+                ? await getEntitySnapshot(target.entity, target.entityId)
+                : res.locals.auditSummary || describeRequestBody(req.body);
+        }
+
+        // While impersonating, the admin is the actor and the impersonated user is kept alongside
+        const impersonator = req.user?.impersonator;
+        await recordAuditEvent({
+            ...auditContext,
+            actorId: impersonator ? impersonator.id : (req.user?.id || null),
+            impersonatedUserId: impersonator ? req.user.id : null,
+            apiKeyId: req.user?.apiKeyId || null,
+            action: target.action,
+            entity: target.entity,
+            entityId: target.entityId,
+            statusCode: res.statusCode,
+            changes: computeChanges(before, after),
+        });
+    });
+
+    next();
+}
+
+module.exports = {
+    auditTrail,
+    resolveAuditTarget,
+};
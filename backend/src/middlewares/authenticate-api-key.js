@@ -0,0 +1,16 @@
+const asyncHandler = require("express-async-handler");
+const { getSessionMeta } = require("../utils");
+const { authenticateApiKey } = require("../modules/api-keys/api-key-service");
+
+const authenticateApiKeyRequest = (apiKey) => asyncHandler(async (req, res, next) => {
+    const { ipAddress } = getSessionMeta(req);
+    req.user = await authenticateApiKey({
+        apiKey,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        ipAddress,
+    });
+    next();
+});
+
+module.exports = { authenticateApiKeyRequest };
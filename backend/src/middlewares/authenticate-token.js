@@ -1,8 +1,26 @@
 const jwt = require("jsonwebtoken");
+const asyncHandler = require("express-async-handler");
 const { ApiError } = require("../utils");
 const { env } = require("../config");
+const { getBearerApiKey } = require("../modules/api-keys/api-key-utils");
+const { tokenRevocation } = require("../modules/auth/token-revocation");
+const { authenticateApiKeyRequest } = require("./authenticate-api-key");
+
+const verifyJwt = (token, secret) => {
+  try {
+    return jwt.verify(token, secret);
+  } catch (error) {
+    return null;
+  }
+};
+
+const authenticateToken = asyncHandler(async (req, res, next) => {
+  // Service integrations send an API key instead of the session cookies
+  const apiKey = getBearerApiKey(req);
+  if (apiKey) {
+    return authenticateApiKeyRequest(apiKey)(req, res, next);
+  }
 
-const authenticateToken = (req, res, next) => {
   const accessToken = req.cookies.accessToken;
   const refreshToken = req.cookies.refreshToken;
 
@@ -10,31 +28,34 @@ const authenticateToken = (req, res, next) => {
     throw new ApiError(401, "Unauthorized. Please provide valid tokens.");
   }
 
-  jwt.verify(accessToken, env.JWT_ACCESS_TOKEN_SECRET, (err, user) => {
-    if (err) {
-      throw new ApiError(
-        401,
-        "Unauthorized. Please provide valid access token."
-      );
-    }
-
-    jwt.verify(
-      refreshToken,
-      env.JWT_REFRESH_TOKEN_SECRET,
-      (err, refreshToken) => {
-        if (err) {
-          throw new ApiError(
-            401,
-            "Unauthorized. Please provide valid refresh token."
-          );
-        }
-
-        req.user = user;
-        req.refreshToken = refreshToken;
-        next();
-      }
+  const user = verifyJwt(accessToken, env.JWT_ACCESS_TOKEN_SECRET);
+  if (!user) {
+    throw new ApiError(
+      401,
+      "Unauthorized. Please provide valid access token."
     );
-  });
-};
+  }
+
+  const decodedRefreshToken = verifyJwt(refreshToken, env.JWT_REFRESH_TOKEN_SECRET);
+  if (!decodedRefreshToken) {
+    throw new ApiError(
+      401,
+      "Unauthorized. Please provide valid refresh token."
+    );
+  }
+
+  // Logout, role switch and account or role disable revoke tokens before they expire
+  if (await tokenRevocation.isRevoked(user)) {
+    throw new ApiError(401, "Unauthorized. Access token has been revoked.");
+  }
+
+  if (user.impersonator && Date.parse(user.impersonator.expiresAt) <= Date.now()) {
+    throw new ApiError(401, "Unauthorized. Impersonation has expired.");
+  }
+
+  req.user = user;
+  req.refreshToken = decodedRefreshToken;
+  next();
+});
 
 module.exports = { authenticateToken };
@@ -0,0 +1,12 @@
+const { ApiError } = require("../utils");
+
+// An API key is not a person, so it cannot act where the signed-in user is the subject
+// (their own requests, their class, what they author or review)
+const blockApiKey = (req, res, next) => {
+    if (req.user?.apiKeyId) {
+        throw new ApiError(403, "This action needs a signed in user and is not available to API keys");
+    }
+    next();
+}
+
+module.exports = { blockApiKey };
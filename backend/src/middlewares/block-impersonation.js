@@ -0,0 +1,11 @@
+const { ApiError } = require("../utils");
+
+// Credentials belong to the real user, so an admin acting as them must not change them
+const blockImpersonation = (req, res, next) => {
+    if (req.user?.impersonator) {
+        throw new ApiError(403, "This action is not available while impersonating a user");
+    }
+    next();
+}
+
+module.exports = { blockImpersonation };
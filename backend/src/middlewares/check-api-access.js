@@ -1,19 +1,40 @@
 const axios = require('axios');
 const asyncHandler = require("express-async-handler");
 const asyncErrorHandler = require("../utils/asyncErrorHandler");
-const { checkPermission } = require("../modules/roles-and-permissions/rp-repository");
+const { permissionCache } = require("../modules/roles-and-permissions/permission-cache");
+const { getApiKeyPermissionScopes } = require("../modules/api-keys/api-key-repository");
 const { ApiError } = require("../utils");
+const { resolveDataScope } = require("../utils/data-scope");
 
 const checkApiAccess = asyncHandler(async (req, res, next) => {
     const { baseUrl, route: { path }, method } = req;
-    const { roleId } = req.user;
+    const { id, roleId, roleIds = [roleId], apiKeyId } = req.user;
     const originalUrl = `${baseUrl}${path}`
+    // Services acting for a delegator only accept delegations granted for this access control
+    req.accessControl = { path: originalUrl, method };
 
-    if (roleId !== 1) {
-        const affectedRow = await checkPermission(roleId, originalUrl, method);
-        if (affectedRow <= 0) {
-            throw new ApiError(403, `You do not have permission to access to this resource - ${originalUrl}`);
+    if (apiKeyId) {
+        const scopes = await getApiKeyPermissionScopes(apiKeyId, originalUrl, method);
+        if (scopes.length <= 0) {
+            throw new ApiError(403, `This API key does not have access to this resource - ${method} ${originalUrl}`);
         }
+        // Own sections, reportees and self are measured from a user, which a key does not have
+        if (!scopes.includes("all")) {
+            throw new ApiError(403, `This API key's role only has scoped access to this resource - ${method} ${originalUrl}`);
+        }
+        req.dataScope = null;
+    } else if (roleId !== 1) {
+        const scopes = await permissionCache.getPermissionScopes(roleIds, originalUrl, method);
+        const grants = await permissionCache.getGrantScopes(id, originalUrl, method);
+        if (scopes.length <= 0 && grants.length <= 0) {
+            throw new ApiError(403, `You do not have permission to access to this resource - ${method} ${originalUrl}`);
+        }
+        // Read by the scoped repositories to limit which rows the user can see and act on
+        req.dataScope = resolveDataScope(
+            [...scopes, ...grants.map(({ dataScope }) => dataScope)],
+            id,
+            grants.map(({ delegatorId }) => delegatorId).filter(Boolean)
+        );
     }
     next();
 });
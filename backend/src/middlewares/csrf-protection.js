@@ -2,6 +2,11 @@ const { env } = require("../config");
 const { ApiError, verifyToken, generateCsrfHmacHash } = require("../utils");
 
 const csrfProtection = (req, res, next) => {
+  // Bearer API keys are never sent automatically by a browser, so there is no CSRF to guard against
+  if (req.user?.apiKeyId) {
+    return next();
+  }
+
   const csrfToken = req.headers["x-csrf-token"];
   const accessToken = req.cookies.accessToken;
 
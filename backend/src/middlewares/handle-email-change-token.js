@@ -0,0 +1,21 @@
+const { env } = require("../config");
+const { ApiError, verifyToken, EMAIL_CHANGE_PURPOSE } = require("../utils");
+
+const handleEmailChangeToken = (req, res, next) => {
+  const { token } = req.params;
+  if (!token) {
+    throw new ApiError(404, "Invalid token");
+  }
+
+  const decodeToken = verifyToken(token, env.EMAIL_VERIFICATION_TOKEN_SECRET);
+  if (!decodeToken || !decodeToken.id || !decodeToken.email || decodeToken.purpose !== EMAIL_CHANGE_PURPOSE) {
+    throw new ApiError(400, "Invalid token");
+  }
+
+  req.user = decodeToken;
+  next();
+};
+
+module.exports = {
+  handleEmailChangeToken,
+};
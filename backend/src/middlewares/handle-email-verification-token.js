@@ -8,7 +8,8 @@ const handleEmailVerificationToken = (req, res, next) => {
   }
 
   const decodeToken = verifyToken(token, env.EMAIL_VERIFICATION_TOKEN_SECRET);
-  if (!decodeToken || !decodeToken.id) {
+  // Email change links are signed with the same secret but must not verify an account
+  if (!decodeToken || !decodeToken.id || decodeToken.purpose) {
     throw new ApiError(400, "Invalid token");
   }
 
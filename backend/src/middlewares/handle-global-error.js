@@ -17,6 +17,7 @@ const handleGlobalError = (err, req, res, next) => {
     if (err instanceof ApiError) {
         return res.status(err.statusCode).json({
             error: err.message,
+            ...(err.detail && { detail: err.detail }),
         });
     }
 
@@ -0,0 +1,19 @@
+const { env } = require("../config");
+const { verifyToken, ApiError } = require("../utils");
+
+const handleTwoFactorChallengeToken = (req, res, next) => {
+  const { challengeToken } = req.body;
+  if (!challengeToken) {
+    throw new ApiError(400, "Invalid challenge token");
+  }
+
+  const decodeToken = verifyToken(challengeToken, env.TWO_FACTOR_CHALLENGE_TOKEN_SECRET);
+  if (!decodeToken || !decodeToken.id) {
+    throw new ApiError(400, "Invalid challenge token");
+  }
+
+  req.user = decodeToken;
+  next();
+};
+
+module.exports = { handleTwoFactorChallengeToken };
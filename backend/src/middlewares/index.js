@@ -3,9 +3,15 @@ const { authenticateToken } = require("./authenticate-token");
 const { csrfProtection } = require("./csrf-protection");
 const { handleGlobalError } = require("./handle-global-error");
 const { handleEmailVerificationToken } = require("./handle-email-verification-token");
+const { handleEmailChangeToken } = require("./handle-email-change-token");
 const { handlePasswordSetupToken } = require("./handle-password-setup-token");
+const { handleTwoFactorChallengeToken } = require("./handle-two-factor-challenge-token");
 const { checkApiAccess } = require("./check-api-access");
 const { isUserAdmin } = require("./is-user-admin");
+const { assignRequestId } = require("./assign-request-id");
+const { auditTrail } = require("./audit-trail");
+const { blockImpersonation } = require("./block-impersonation");
+const { blockApiKey } = require("./block-api-key");
 
 module.exports = {
     authenticateToken,
@@ -13,7 +19,13 @@ module.exports = {
     handleGlobalError,
     handle404Error,
     handleEmailVerificationToken,
+    handleEmailChangeToken,
     handlePasswordSetupToken,
+    handleTwoFactorChallengeToken,
     checkApiAccess,
-    isUserAdmin
+    isUserAdmin,
+    assignRequestId,
+    auditTrail,
+    blockImpersonation,
+    blockApiKey
 };
@@ -0,0 +1,164 @@
+const { promoteStudents } = require("../student-promotion");
+const {
+  findAcademicYearsByIds,
+  findPendingEnrollments,
+  findClassAndSectionNames,
+  updateEnrollmentStatuses,
+  insertEnrollments,
+} = require("../academic-year-repository");
+const { applyEnrollmentsToProfiles, revokeStudentSessions } = require("../academic-year-service");
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.mock("../../../config", () => ({
+  db: { connect: jest.fn(async () => mockClient) },
+  env: {},
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../academic-year-repository");
+jest.mock("../academic-year-service", () => ({
+  applyEnrollmentsToProfiles: jest.fn(),
+  revokeStudentSessions: jest.fn(),
+}));
+
+const grade9A = { className: "Grade 9", sectionName: "A", toClassName: "Grade 10" };
+
+describe("Student Promotion", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findAcademicYearsByIds.mockResolvedValue([
+      { id: 1, name: "2025", startDate: "2025-01-01", endDate: "2025-12-31", isCurrent: false },
+      { id: 2, name: "2026", startDate: "2026-01-01", endDate: "2026-12-31", isCurrent: true },
+    ]);
+    findClassAndSectionNames.mockResolvedValue({
+      classNames: ["Grade 9", "Grade 10"],
+      sectionNames: ["A", "B"],
+    });
+    findPendingEnrollments.mockResolvedValue([
+      { studentId: 11, name: "Asha", className: "Grade 9", sectionName: "A", roll: 1 },
+      { studentId: 12, name: "Bilal", className: "Grade 9", sectionName: "A", roll: 2 },
+      { studentId: 13, name: "Chen", className: "Grade 9", sectionName: "A", roll: 3 },
+      { studentId: 21, name: "Dana", className: "Grade 10", sectionName: "B", roll: 1 },
+    ]);
+    applyEnrollmentsToProfiles.mockResolvedValue({ updatedProfiles: 3, deactivatedIds: [13, 21] });
+  });
+
+  it("should plan promotions with overrides and graduate sections without a next class, writing nothing", async () => {
+    const result = await promoteStudents(
+      {
+        fromAcademicYearId: 1,
+        toAcademicYearId: 2,
+        sections: [
+          {
+            ...grade9A,
+            toSectionName: "B",
+            overrides: [
+              { studentId: 12, action: "detained" },
+              { studentId: 13, action: "transferred_out" },
+            ],
+          },
+          { className: "Grade 10", sectionName: "B", toClassName: null },
+        ],
+      },
+      true
+    );
+
+    expect(result.dryRun).toBe(true);
+    expect(result.summary).toEqual({ promoted: 1, detained: 1, transferredOut: 1, graduated: 1 });
+    expect(result.students).toEqual([
+      expect.objectContaining({ studentId: 11, action: "promoted", toClassName: "Grade 10", toSectionName: "B", toRoll: 1 }),
+      expect.objectContaining({ studentId: 12, action: "detained", toClassName: "Grade 9", toSectionName: "A", toRoll: 2 }),
+      expect.objectContaining({ studentId: 13, action: "transferred_out", toClassName: null, toSectionName: null }),
+      expect.objectContaining({ studentId: 21, action: "graduated", toClassName: null, toSectionName: null }),
+    ]);
+    expect(findPendingEnrollments).toHaveBeenCalledWith(expect.objectContaining({ isLocked: false }), mockClient);
+    expect(mockClient.query).not.toHaveBeenCalled();
+    expect(updateEnrollmentStatuses).not.toHaveBeenCalled();
+    expect(insertEnrollments).not.toHaveBeenCalled();
+  });
+
+  it("should report every problem in the request at once", async () => {
+    const promotion = promoteStudents(
+      {
+        fromAcademicYearId: 1,
+        toAcademicYearId: 2,
+        sections: [
+          { ...grade9A, toClassName: "Grade 11", overrides: [{ studentId: 21, action: "detained" }] },
+          grade9A,
+          { className: "Grade 10", sectionName: "B", toClassName: null, overrides: [{ studentId: 21, action: "promoted" }] },
+        ],
+      },
+      true
+    );
+
+    await expect(promotion).rejects.toMatchObject({
+      statusCode: 400,
+      detail: [
+        { path: "sections.0.toClassName", message: "Class Grade 11 does not exist" },
+        { path: "sections.0.overrides.0", message: "Student 21 is not waiting for promotion in Grade 9 A" },
+        { path: "sections.1", message: "Grade 9 A is listed more than once" },
+        { path: "sections.2.overrides.0", message: "Grade 10 has no next class to promote into" },
+      ],
+    });
+  });
+
+  it("should only promote into a later academic year", async () => {
+    const promotion = promoteStudents({ fromAcademicYearId: 2, toAcademicYearId: 1, sections: [grade9A] }, true);
+
+    await expect(promotion).rejects.toMatchObject({ statusCode: 400 });
+    expect(findPendingEnrollments).not.toHaveBeenCalled();
+  });
+
+  it("should record the outcomes, enroll the staying students and update the profiles of the current year", async () => {
+    const result = await promoteStudents(
+      {
+        fromAcademicYearId: 1,
+        toAcademicYearId: 2,
+        sections: [
+          { ...grade9A, overrides: [{ studentId: 12, action: "detained", toSectionName: "B", roll: 7 }] },
+          { className: "Grade 10", sectionName: "B", toClassName: null },
+        ],
+      },
+      false
+    );
+
+    expect(mockClient.query.mock.calls.map(([query]) => query)).toEqual(["BEGIN", "COMMIT"]);
+    expect(findPendingEnrollments).toHaveBeenCalledWith(expect.objectContaining({ isLocked: true }), mockClient);
+    expect(updateEnrollmentStatuses).toHaveBeenCalledWith(
+      { academicYearId: 1, outcomes: expect.arrayContaining([expect.objectContaining({ studentId: 21, action: "graduated" })]) },
+      mockClient
+    );
+    const { enrollments } = insertEnrollments.mock.calls[0][0];
+    expect(enrollments.map(({ studentId, toClassName, toSectionName, toRoll }) => [studentId, toClassName, toSectionName, toRoll])).toEqual([
+      [11, "Grade 10", "A", 1],
+      [12, "Grade 9", "B", 7],
+      [13, "Grade 10", "A", 3],
+    ]);
+    expect(applyEnrollmentsToProfiles).toHaveBeenCalledWith({ academicYearId: 2, studentIds: [11, 12, 13, 21] }, mockClient);
+    expect(revokeStudentSessions).toHaveBeenCalledWith([13, 21]);
+    expect(result).toMatchObject({ dryRun: false, deactivatedStudents: 2 });
+  });
+
+  it("should roll back when applying the promotion fails", async () => {
+    insertEnrollments.mockRejectedValue(new Error("connection lost"));
+
+    await expect(promoteStudents({ fromAcademicYearId: 1, toAcademicYearId: 2, sections: [grade9A] }, false)).rejects.toThrow(
+      "connection lost"
+    );
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(revokeStudentSessions).not.toHaveBeenCalled();
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should refuse scoped promotions", async () => {
+    const promotion = promoteStudents(
+      { fromAcademicYearId: 1, toAcademicYearId: 2, sections: [grade9A], dataScope: { userId: 5, scopes: ["own_sections"] } },
+      true
+    );
+
+    await expect(promotion).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,61 @@
+const asyncHandler = require("express-async-handler");
+const {
+    getAcademicYears,
+    addAcademicYear,
+    updateAcademicYear,
+    setCurrentAcademicYear,
+    getEnrollments
+} = require("./academic-year-service");
+const { promoteStudents } = require("./student-promotion");
+
+const handleGetAcademicYears = asyncHandler(async (req, res) => {
+    const academicYears = await getAcademicYears();
+    res.json(academicYears);
+});
+
+const handleAddAcademicYear = asyncHandler(async (req, res) => {
+    const { name, startDate, endDate } = req.body;
+    const message = await addAcademicYear({ name, startDate, endDate });
+    res.status(201).json(message);
+});
+
+const handleUpdateAcademicYear = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, startDate, endDate } = req.body;
+    const message = await updateAcademicYear({ id: Number(id), name, startDate, endDate });
+    res.json(message);
+});
+
+const handleSetCurrentAcademicYear = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const message = await setCurrentAcademicYear(Number(id));
+    res.json(message);
+});
+
+const handleGetEnrollments = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { className, sectionName, status } = req.query;
+    const { dataScope } = req;
+    const enrollments = await getEnrollments({ academicYearId: Number(id), className, sectionName, status, dataScope });
+    res.json(enrollments);
+});
+
+const handlePromoteStudents = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { toAcademicYearId, sections } = req.body;
+    const { dataScope } = req;
+    const result = await promoteStudents(
+        { fromAcademicYearId: Number(id), toAcademicYearId, sections, dataScope },
+        req.query.dryRun === "true"
+    );
+    res.json(result);
+});
+
+module.exports = {
+    handleGetAcademicYears,
+    handleAddAcademicYear,
+    handleUpdateAcademicYear,
+    handleSetCurrentAcademicYear,
+    handleGetEnrollments,
+    handlePromoteStudents
+};
@@ -0,0 +1,258 @@
+const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
+
+const ACADEMIC_YEAR_COLUMNS = `
+    y.id,
+    y.name,
+    to_char(y.start_date, 'YYYY-MM-DD') AS "startDate",
+    to_char(y.end_date, 'YYYY-MM-DD') AS "endDate",
+    y.is_current AS "isCurrent"
+`;
+
+const findAcademicYears = async () => {
+    const query = `
+        SELECT
+            ${ACADEMIC_YEAR_COLUMNS},
+            COUNT(e.id)::INTEGER AS "enrollmentCount",
+            COUNT(e.id) FILTER (WHERE e.status = 'enrolled')::INTEGER AS "pendingCount"
+        FROM academic_years y
+        LEFT JOIN student_enrollments e ON e.academic_year_id = y.id
+        GROUP BY y.id
+        ORDER BY y.start_date DESC
+    `;
+    const { rows } = await processDBRequest({ query });
+    return rows;
+}
+
+const findAcademicYearsByIds = async (ids, client) => {
+    const query = `SELECT ${ACADEMIC_YEAR_COLUMNS} FROM academic_years y WHERE y.id = ANY($1::int[])`;
+    const { rows } = client
+        ? await client.query(query, [ids])
+        : await processDBRequest({ query, queryParams: [ids] });
+    return rows;
+}
+
+// Another year with the same name or sharing at least one day with the given dates
+const findConflictingAcademicYear = async ({ id = null, name, startDate, endDate }) => {
+    const query = `
+        SELECT name, lower(name) = lower($4) AS "isSameName"
+        FROM academic_years
+        WHERE (lower(name) = lower($4) OR daterange(start_date, end_date, '[]') && daterange($1::DATE, $2::DATE, '[]'))
+            AND id <> COALESCE($3, 0)
+        ORDER BY lower(name) = lower($4) DESC
+        LIMIT 1
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [startDate, endDate, id, name] });
+    return rows[0];
+}
+
+const insertAcademicYear = async ({ name, startDate, endDate }) => {
+    const query = `
+        INSERT INTO academic_years (name, start_date, end_date)
+        VALUES ($1, $2, $3)
+        RETURNING id
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [name, startDate, endDate] });
+    return rows[0]?.id;
+}
+
+const updateAcademicYearById = async ({ id, name, startDate, endDate }) => {
+    const query = `
+        UPDATE academic_years
+        SET name = $1, start_date = $2, end_date = $3, updated_dt = now()
+        WHERE id = $4
+    `;
+    const { rowCount } = await processDBRequest({ query, queryParams: [name, startDate, endDate, id] });
+    return rowCount;
+}
+
+// The partial unique index allows one current year, so the old one is cleared first
+const setCurrentAcademicYearById = async (id, client) => {
+    await client.query("UPDATE academic_years SET is_current = false, updated_dt = now() WHERE is_current AND id <> $1", [id]);
+    const { rowCount } = await client.query(
+        "UPDATE academic_years SET is_current = true, updated_dt = now() WHERE id = $1",
+        [id]
+    );
+    return rowCount;
+}
+
+const findEnrollments = async ({ academicYearId, className, sectionName, status, dataScope }) => {
+    let query = `
+        SELECT
+            e.student_id AS "studentId",
+            u.name,
+            e.class_name AS "className",
+            e.section_name AS "sectionName",
+            e.roll,
+            e.status
+        FROM student_enrollments e
+        JOIN users u ON u.id = e.student_id
+        WHERE e.academic_year_id = $1`;
+    const queryParams = [academicYearId];
+    if (className) {
+        queryParams.push(className);
+        query += ` AND e.class_name = $${queryParams.length}`;
+    }
+    if (sectionName) {
+        queryParams.push(sectionName);
+        query += ` AND e.section_name = $${queryParams.length}`;
+    }
+    if (status) {
+        queryParams.push(status);
+        query += ` AND e.status = $${queryParams.length}`;
+    }
+    query += buildDataScopeCondition(dataScope, "e.student_id", queryParams);
+    query += " ORDER BY e.class_name, e.section_name, e.roll NULLS LAST, u.name";
+
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+// Students of the sections still waiting for the outcome of the year. While promoting, the rows
+// are locked so a second promotion of the same sections waits and then finds nothing left.
+const findPendingEnrollments = async ({ academicYearId, sections, isLocked }, client) => {
+    const query = `
+        SELECT
+            e.student_id AS "studentId",
+            u.name,
+            e.class_name AS "className",
+            e.section_name AS "sectionName",
+            e.roll
+        FROM student_enrollments e
+        JOIN users u ON u.id = e.student_id
+        JOIN unnest($2::text[], $3::text[]) AS s(class_name, section_name)
+            ON s.class_name = e.class_name AND s.section_name = e.section_name
+        WHERE e.academic_year_id = $1 AND e.status = 'enrolled'
+        ORDER BY e.class_name, e.section_name, e.roll NULLS LAST, u.name
+        ${isLocked ? "FOR UPDATE OF e" : ""}
+    `;
+    const queryParams = [
+        academicYearId,
+        sections.map(({ className }) => className),
+        sections.map(({ sectionName }) => sectionName)
+    ];
+    const { rows } = await client.query(query, queryParams);
+    return rows;
+}
+
+const findClassAndSectionNames = async (client) => {
+    const { rows } = await client.query(`
+        SELECT 'class' AS type, name FROM classes WHERE name IS NOT NULL
+        UNION ALL
+        SELECT 'section' AS type, name FROM sections
+    `);
+    return {
+        classNames: rows.filter(({ type }) => type === "class").map(({ name }) => name),
+        sectionNames: rows.filter(({ type }) => type === "section").map(({ name }) => name)
+    };
+}
+
+const updateEnrollmentStatuses = async ({ academicYearId, outcomes }, client) => {
+    const query = `
+        UPDATE student_enrollments e
+        SET status = o.status, updated_dt = now()
+        FROM unnest($2::int[], $3::text[]) AS o(student_id, status)
+        WHERE e.academic_year_id = $1 AND e.student_id = o.student_id
+    `;
+    const queryParams = [
+        academicYearId,
+        outcomes.map(({ studentId }) => studentId),
+        outcomes.map(({ action }) => action)
+    ];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+// A student added to the next year before the promotion ends up where the promotion puts them
+const insertEnrollments = async ({ academicYearId, enrollments }, client) => {
+    const query = `
+        INSERT INTO student_enrollments (student_id, academic_year_id, class_name, section_name, roll)
+        SELECT student_id, $1, class_name, section_name, roll
+        FROM unnest($2::int[], $3::text[], $4::text[], $5::int[]) AS n(student_id, class_name, section_name, roll)
+        ON CONFLICT (student_id, academic_year_id) DO UPDATE
+        SET
+            class_name = EXCLUDED.class_name,
+            section_name = EXCLUDED.section_name,
+            roll = EXCLUDED.roll,
+            status = 'enrolled',
+            updated_dt = now()
+    `;
+    const queryParams = [
+        academicYearId,
+        enrollments.map(({ studentId }) => studentId),
+        enrollments.map(({ toClassName }) => toClassName),
+        enrollments.map(({ toSectionName }) => toSectionName),
+        enrollments.map(({ toRoll }) => toRoll ?? null)
+    ];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+// Copies class, section and roll of the year into the profiles, and makes the class teacher of
+// the new section the reporter. studentIds null means every student enrolled in the year.
+const updateProfilesFromEnrollments = async ({ academicYearId, studentIds }, client) => {
+    const queryParams = [academicYearId, studentIds];
+    const { rowCount } = await client.query(`
+        UPDATE user_profiles p
+        SET class_name = e.class_name, section_name = e.section_name, roll = e.roll
+        FROM student_enrollments e
+        WHERE e.student_id = p.user_id
+            AND e.academic_year_id = $1
+            AND ($2::int[] IS NULL OR e.student_id = ANY($2))
+    `, queryParams);
+    await client.query(`
+        UPDATE users u
+        SET reporter_id = ct.teacher_id, updated_dt = now()
+        FROM student_enrollments e
+        JOIN class_teachers ct ON ct.class_name = e.class_name AND ct.section_name = e.section_name
+        WHERE e.student_id = u.id
+            AND e.academic_year_id = $1
+            AND ($2::int[] IS NULL OR e.student_id = ANY($2))
+            AND u.reporter_id IS DISTINCT FROM ct.teacher_id
+    `, queryParams);
+    return rowCount;
+}
+
+// Turns off system access of students whose last year before the given one ended with them
+// graduating or transferring out, unless they are enrolled in the given year again
+const deactivateLeftStudents = async ({ academicYearId, studentIds }, client) => {
+    const query = `
+        UPDATE users u
+        SET is_active = false, updated_dt = now()
+        FROM (
+            SELECT DISTINCT ON (e.student_id) e.student_id, e.status
+            FROM student_enrollments e
+            JOIN academic_years y ON y.id = e.academic_year_id
+            WHERE y.start_date < (SELECT start_date FROM academic_years WHERE id = $1)
+            ORDER BY e.student_id, y.start_date DESC
+        ) AS last_enrollment
+        WHERE last_enrollment.student_id = u.id
+            AND last_enrollment.status IN ('graduated', 'transferred_out')
+            AND u.role_id = 3
+            AND u.is_active = true
+            AND ($2::int[] IS NULL OR u.id = ANY($2))
+            AND NOT EXISTS (
+                SELECT 1 FROM student_enrollments e
+                WHERE e.student_id = u.id AND e.academic_year_id = $1
+            )
+        RETURNING u.id
+    `;
+    const { rows } = await client.query(query, [academicYearId, studentIds]);
+    return rows.map(({ id }) => id);
+}
+
+module.exports = {
+    findAcademicYears,
+    findAcademicYearsByIds,
+    findConflictingAcademicYear,
+    insertAcademicYear,
+    updateAcademicYearById,
+    setCurrentAcademicYearById,
+    findEnrollments,
+    findPendingEnrollments,
+    findClassAndSectionNames,
+    updateEnrollmentStatuses,
+    insertEnrollments,
+    updateProfilesFromEnrollments,
+    deactivateLeftStudents
+};
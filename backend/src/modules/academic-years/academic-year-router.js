@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const academicYearController = require("./academic-year-controller");
+const { checkApiAccess } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const {
+    AddAcademicYearSchema,
+    UpdateAcademicYearSchema,
+    AcademicYearIdSchema,
+    EnrollmentListSchema,
+    PromotionSchema
+} = require("./academic-year-schema");
+
+router.get("", checkApiAccess, academicYearController.handleGetAcademicYears);
+router.post("", checkApiAccess, validateRequest(AddAcademicYearSchema), academicYearController.handleAddAcademicYear);
+router.put("/:id", checkApiAccess, validateRequest(UpdateAcademicYearSchema), academicYearController.handleUpdateAcademicYear);
+router.post("/:id/current", checkApiAccess, validateRequest(AcademicYearIdSchema), academicYearController.handleSetCurrentAcademicYear);
+router.get("/:id/enrollments", checkApiAccess, validateRequest(EnrollmentListSchema), academicYearController.handleGetEnrollments);
+router.post("/:id/promotions", checkApiAccess, validateRequest(PromotionSchema), academicYearController.handlePromoteStudents);
+
+module.exports = { academicYearRoutes: router };
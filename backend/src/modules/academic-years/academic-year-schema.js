@@ -0,0 +1,75 @@
+const { z } = require("zod");
+
+const ENROLLMENT_STATUSES = ["enrolled", "promoted", "detained", "transferred_out", "graduated"];
+const PROMOTION_ACTIONS = ["promoted", "detained", "transferred_out", "graduated"];
+
+const date = (label) => z.string().date(`${label} must be a date in YYYY-MM-DD format`);
+const name = (label) => z.string().trim().min(1, `${label} is required`).max(50);
+
+const AcademicYearIdParams = z.object({
+    id: z.coerce.number().int().positive("Valid academic year id is required")
+});
+
+const AcademicYearBody = z.object({
+    name: z.string().trim().min(1, "Name is required").max(20, "Name must be at most 20 characters"),
+    startDate: date("Start date"),
+    endDate: date("End date")
+}).refine((body) => body.endDate > body.startDate, {
+    message: "End date must be after the start date",
+    path: ["endDate"]
+});
+
+const AddAcademicYearSchema = z.object({
+    body: AcademicYearBody
+});
+
+const UpdateAcademicYearSchema = z.object({
+    params: AcademicYearIdParams,
+    body: AcademicYearBody
+});
+
+const AcademicYearIdSchema = z.object({
+    params: AcademicYearIdParams
+});
+
+const EnrollmentListSchema = z.object({
+    params: AcademicYearIdParams,
+    query: z.object({
+        className: z.string().max(50).optional(),
+        sectionName: z.string().max(50).optional(),
+        status: z.enum(ENROLLMENT_STATUSES).optional()
+    })
+});
+
+// toClassName null graduates the section. Overrides change the outcome of single students.
+const PromotionSchema = z.object({
+    params: AcademicYearIdParams,
+    query: z.object({
+        dryRun: z.enum(["true", "false"]).optional()
+    }),
+    body: z.object({
+        toAcademicYearId: z.number().int().positive("Valid academic year id is required"),
+        sections: z.array(z.object({
+            className: name("Class"),
+            sectionName: name("Section"),
+            toClassName: name("Next class").nullable(),
+            toSectionName: name("Next section").optional(),
+            overrides: z.array(z.object({
+                studentId: z.number().int().positive("Valid student id is required"),
+                action: z.enum(PROMOTION_ACTIONS),
+                toSectionName: name("Next section").optional(),
+                roll: z.number().int().nonnegative().optional()
+            })).optional()
+        })).min(1, "At least one section is required").max(100)
+    })
+});
+
+module.exports = {
+    ENROLLMENT_STATUSES,
+    PROMOTION_ACTIONS,
+    AddAcademicYearSchema,
+    UpdateAcademicYearSchema,
+    AcademicYearIdSchema,
+    EnrollmentListSchema,
+    PromotionSchema
+};
@@ -0,0 +1,109 @@
+const { ApiError } = require("../../utils");
+const { db } = require("../../config");
+const { revokeUserSessions } = require("../../shared/repository");
+const { tokenRevocation } = require("../auth/token-revocation");
+const {
+    findAcademicYears,
+    findAcademicYearsByIds,
+    findConflictingAcademicYear,
+    insertAcademicYear,
+    updateAcademicYearById,
+    setCurrentAcademicYearById,
+    findEnrollments,
+    updateProfilesFromEnrollments,
+    deactivateLeftStudents
+} = require("./academic-year-repository");
+
+const checkAcademicYearConflicts = async (payload) => {
+    const conflicting = await findConflictingAcademicYear(payload);
+    if (conflicting?.isSameName) {
+        throw new ApiError(409, "Academic year name already exists");
+    }
+    if (conflicting) {
+        throw new ApiError(409, `Dates overlap with academic year ${conflicting.name}`);
+    }
+}
+
+// Profiles follow the enrollments of the year, and students who left before it lose system
+// access. Returns the ids of those students so their sessions can be revoked after the commit.
+const applyEnrollmentsToProfiles = async ({ academicYearId, studentIds = null }, client) => {
+    const updatedProfiles = await updateProfilesFromEnrollments({ academicYearId, studentIds }, client);
+    const deactivatedIds = await deactivateLeftStudents({ academicYearId, studentIds }, client);
+    return { updatedProfiles, deactivatedIds };
+}
+
+const revokeStudentSessions = async (studentIds) => {
+    for (const studentId of studentIds) {
+        await revokeUserSessions(studentId);
+        await tokenRevocation.revokeUserTokens(studentId);
+    }
+}
+
+const getAcademicYears = async () => {
+    const academicYears = await findAcademicYears();
+    return { academicYears };
+}
+
+const addAcademicYear = async (payload) => {
+    await checkAcademicYearConflicts(payload);
+    const id = await insertAcademicYear(payload);
+    if (!id) {
+        throw new ApiError(500, "Unable to add academic year");
+    }
+    return { id, message: "Academic year added successfully" };
+}
+
+const updateAcademicYear = async (payload) => {
+    await checkAcademicYearConflicts(payload);
+    const affectedRow = await updateAcademicYearById(payload);
+    if (affectedRow <= 0) {
+        throw new ApiError(404, "Academic year not found");
+    }
+    return { message: "Academic year updated successfully" };
+}
+
+// Students keep the profile of the previous year until they have an enrollment in this one
+const setCurrentAcademicYear = async (id) => {
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+        const affectedRow = await setCurrentAcademicYearById(id, client);
+        if (affectedRow <= 0) {
+            throw new ApiError(404, "Academic year not found");
+        }
+        const { updatedProfiles, deactivatedIds } = await applyEnrollmentsToProfiles({ academicYearId: id }, client);
+        await client.query("COMMIT");
+
+        await revokeStudentSessions(deactivatedIds);
+        return {
+            message: "Current academic year changed successfully",
+            updatedProfiles,
+            deactivatedStudents: deactivatedIds.length
+        };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const getEnrollments = async (payload) => {
+    const [academicYear] = await findAcademicYearsByIds([payload.academicYearId]);
+    if (!academicYear) {
+        throw new ApiError(404, "Academic year not found");
+    }
+
+    const enrollments = await findEnrollments(payload);
+    return { academicYear, enrollments };
+}
+
+module.exports = {
+    applyEnrollmentsToProfiles,
+    revokeStudentSessions,
+    getAcademicYears,
+    addAcademicYear,
+    updateAcademicYear,
+    setCurrentAcademicYear,
+    getEnrollments
+};
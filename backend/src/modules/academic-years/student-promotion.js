@@ -0,0 +1,188 @@
+const { ApiError } = require("../../utils");
+const { db } = require("../../config");
+const {
+    findAcademicYearsByIds,
+    findPendingEnrollments,
+    findClassAndSectionNames,
+    updateEnrollmentStatuses,
+    insertEnrollments
+} = require("./academic-year-repository");
+const { applyEnrollmentsToProfiles, revokeStudentSessions } = require("./academic-year-service");
+
+// Outcomes that enroll the student in the next year, the others end their time at the school
+const STAYING_ACTIONS = ["promoted", "detained"];
+
+const sectionKey = (className, sectionName) => `${className}\u0000${sectionName}`;
+
+const findAcademicYears = async ({ fromAcademicYearId, toAcademicYearId }, client) => {
+    const years = await findAcademicYearsByIds([fromAcademicYearId, toAcademicYearId], client);
+    const fromYear = years.find(({ id }) => id === fromAcademicYearId);
+    const toYear = years.find(({ id }) => id === toAcademicYearId);
+    if (!fromYear || !toYear) {
+        throw new ApiError(404, "Academic year not found");
+    }
+    if (toYear.startDate <= fromYear.startDate) {
+        throw new ApiError(400, "Students can only be promoted into a later academic year", [{
+            path: "toAcademicYearId",
+            message: `${toYear.name} does not start after ${fromYear.name}`
+        }]);
+    }
+    return { fromYear, toYear };
+}
+
+// Where each pending student of the sections ends up. Every problem in the request is collected,
+// so they can all be fixed at once.
+const planPromotion = async ({ fromAcademicYearId, toAcademicYearId, sections, isLocked }, client) => {
+    const { fromYear, toYear } = await findAcademicYears({ fromAcademicYearId, toAcademicYearId }, client);
+    const { classNames, sectionNames } = await findClassAndSectionNames(client);
+    const pendingEnrollments = await findPendingEnrollments(
+        { academicYearId: fromAcademicYearId, sections, isLocked },
+        client
+    );
+
+    const errors = [];
+    const checkName = (names, value, path, label) => {
+        if (value && !names.includes(value)) {
+            errors.push({ path, message: `${label} ${value} does not exist` });
+        }
+    };
+    const seenSections = new Set();
+    const overriddenStudents = new Set();
+
+    const students = sections.flatMap((section, index) => {
+        const { className, sectionName, toClassName, toSectionName = sectionName, overrides = [] } = section;
+        const path = `sections.${index}`;
+        const key = sectionKey(className, sectionName);
+        if (seenSections.has(key)) {
+            errors.push({ path, message: `${className} ${sectionName} is listed more than once` });
+            return [];
+        }
+        seenSections.add(key);
+
+        checkName(classNames, toClassName, `${path}.toClassName`, "Class");
+        checkName(sectionNames, toSectionName, `${path}.toSectionName`, "Section");
+
+        const enrollments = pendingEnrollments.filter(
+            (enrollment) => enrollment.className === className && enrollment.sectionName === sectionName
+        );
+        if (enrollments.length === 0) {
+            errors.push({ path, message: `${className} ${sectionName} has no students waiting for promotion in ${fromYear.name}` });
+            return [];
+        }
+
+        const overridesById = new Map();
+        overrides.forEach((override, overrideIndex) => {
+            const overridePath = `${path}.overrides.${overrideIndex}`;
+            if (!enrollments.some(({ studentId }) => studentId === override.studentId)) {
+                errors.push({ path: overridePath, message: `Student ${override.studentId} is not waiting for promotion in ${className} ${sectionName}` });
+            } else if (overriddenStudents.has(override.studentId)) {
+                errors.push({ path: overridePath, message: `Student ${override.studentId} is overridden more than once` });
+            } else {
+                overriddenStudents.add(override.studentId);
+                overridesById.set(override.studentId, override);
+            }
+            if (override.action === "promoted" && !toClassName) {
+                errors.push({ path: overridePath, message: `${className} has no next class to promote into` });
+            }
+            checkName(sectionNames, override.toSectionName, `${overridePath}.toSectionName`, "Section");
+        });
+
+        return enrollments.map(({ studentId, name, roll }) => {
+            const override = overridesById.get(studentId);
+            const action = override?.action ?? (toClassName ? "promoted" : "graduated");
+            const isStaying = STAYING_ACTIONS.includes(action);
+            return {
+                studentId,
+                name,
+                className,
+                sectionName,
+                roll,
+                action,
+                toClassName: isStaying ? (action === "detained" ? className : toClassName) : null,
+                toSectionName: isStaying
+                    ? override?.toSectionName ?? (action === "detained" ? sectionName : toSectionName)
+                    : null,
+                toRoll: isStaying ? override?.roll ?? roll : null
+            };
+        });
+    });
+
+    if (errors.length > 0) {
+        throw new ApiError(400, "Unable to promote the students", errors);
+    }
+
+    const countOf = (action) => students.filter((student) => student.action === action).length;
+    return {
+        fromAcademicYear: { id: fromYear.id, name: fromYear.name },
+        toAcademicYear: { id: toYear.id, name: toYear.name, isCurrent: toYear.isCurrent },
+        summary: {
+            promoted: countOf("promoted"),
+            detained: countOf("detained"),
+            transferredOut: countOf("transferred_out"),
+            graduated: countOf("graduated")
+        },
+        students
+    };
+}
+
+// The enrollments of the year being closed keep their class, section and roll, only their
+// status records the outcome
+const applyPromotion = async (plan, client) => {
+    const { fromAcademicYear, toAcademicYear, students } = plan;
+    await updateEnrollmentStatuses({ academicYearId: fromAcademicYear.id, outcomes: students }, client);
+
+    const enrollments = students.filter(({ action }) => STAYING_ACTIONS.includes(action));
+    if (enrollments.length > 0) {
+        await insertEnrollments({ academicYearId: toAcademicYear.id, enrollments }, client);
+    }
+
+    if (!toAcademicYear.isCurrent) {
+        return [];
+    }
+    const { deactivatedIds } = await applyEnrollmentsToProfiles(
+        { academicYearId: toAcademicYear.id, studentIds: students.map(({ studentId }) => studentId) },
+        client
+    );
+    return deactivatedIds;
+}
+
+// Moves whole sections of one academic year into the next. The profiles follow right away when
+// the next year is already current, otherwise once it is made current.
+const promoteStudents = async (payload, isDryRun) => {
+    const { dataScope, ...promotion } = payload;
+    if (dataScope) {
+        throw new ApiError(403, "Promoting students needs access to every student");
+    }
+
+    const client = await db.connect();
+    try {
+        if (isDryRun) {
+            const plan = await planPromotion({ ...promotion, isLocked: false }, client);
+            return { dryRun: true, ...plan };
+        }
+
+        await client.query("BEGIN");
+        const plan = await planPromotion({ ...promotion, isLocked: true }, client);
+        const deactivatedIds = await applyPromotion(plan, client);
+        await client.query("COMMIT");
+
+        await revokeStudentSessions(deactivatedIds);
+        return {
+            message: "Students promoted successfully",
+            dryRun: false,
+            ...plan,
+            deactivatedStudents: deactivatedIds.length
+        };
+    } catch (error) {
+        if (!isDryRun) {
+            await client.query("ROLLBACK");
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    promoteStudents
+};
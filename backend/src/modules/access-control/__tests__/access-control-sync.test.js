@@ -0,0 +1,94 @@
+const express = require("express");
+const { listRoutes } = require("../route-table");
+const { diffAccessControls, syncAccessControls } = require("../access-control-sync");
+const { getApiAccessControls, insertApiAccessControls } = require("../access-control-repository");
+const { checkApiAccess } = require("../../../middlewares/check-api-access");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../access-control-repository");
+jest.mock("../../../utils/log", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const noop = (req, res) => res.end();
+
+const buildRouter = () => {
+  const studentsRoutes = express.Router();
+  studentsRoutes.get("", checkApiAccess, noop);
+  studentsRoutes.get("/:id", checkApiAccess, noop);
+  studentsRoutes.post("/:id/status", checkApiAccess, noop);
+  studentsRoutes.get("/me", noop);
+
+  const sectionRoutes = express.Router({ mergeParams: true });
+  sectionRoutes.delete("/:sectionId", checkApiAccess, noop);
+
+  const router = express.Router();
+  router.get("/health", noop);
+  router.use("/students", studentsRoutes);
+  router.use("/classes/:classId/sections", sectionRoutes);
+  router.use(noop);
+  return router;
+};
+
+describe("Access Control Sync", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should list mounted routes with their full path and whether access is checked", () => {
+    expect(listRoutes(buildRouter(), "/api/v1")).toEqual([
+      { path: "/api/v1/health", method: "GET", isAccessChecked: false },
+      { path: "/api/v1/students", method: "GET", isAccessChecked: true },
+      { path: "/api/v1/students/:id", method: "GET", isAccessChecked: true },
+      { path: "/api/v1/students/:id/status", method: "POST", isAccessChecked: true },
+      { path: "/api/v1/students/me", method: "GET", isAccessChecked: false },
+      { path: "/api/v1/classes/:classId/sections/:sectionId", method: "DELETE", isAccessChecked: true },
+    ]);
+  });
+
+  it("should report checked routes without a row and rows without a route", () => {
+    const routes = listRoutes(buildRouter(), "/api/v1");
+    const rows = [
+      { id: 1, path: "/api/v1/students", method: "GET", parent_path: "students_parent" },
+      { id: 2, path: "/api/v1/students/:id", method: "GET", parent_path: "students_parent" },
+      { id: 3, path: "/api/v1/students/:id", method: "PUT", parent_path: "students_parent" },
+      { id: 4, path: "/api/v1/students/me", method: "GET", parent_path: "students_parent" },
+    ];
+
+    const { missing, stale } = diffAccessControls(routes, rows);
+
+    expect(missing).toEqual([
+      {
+        name: "POST /students/:id/status",
+        path: "/api/v1/students/:id/status",
+        method: "POST",
+        parentPath: "students_parent",
+      },
+      {
+        name: "DELETE /classes/:classId/sections/:sectionId",
+        path: "/api/v1/classes/:classId/sections/:sectionId",
+        method: "DELETE",
+        parentPath: null,
+      },
+    ]);
+    expect(stale.map(({ id }) => id)).toEqual([3]);
+  });
+
+  it("should insert missing rows only in insert mode", async () => {
+    getApiAccessControls.mockResolvedValue([]);
+    insertApiAccessControls.mockResolvedValue(4);
+
+    const report = await syncAccessControls(buildRouter(), { mode: "report" });
+    expect(report.missing).toHaveLength(4);
+    expect(insertApiAccessControls).not.toHaveBeenCalled();
+
+    const result = await syncAccessControls(buildRouter(), { mode: "insert" });
+    expect(insertApiAccessControls).toHaveBeenCalledWith(result.missing);
+    expect(result.insertedCount).toBe(4);
+
+    await expect(syncAccessControls(buildRouter(), { mode: "off" })).resolves.toBeNull();
+    await expect(syncAccessControls(buildRouter(), { mode: "delete" })).rejects.toThrow();
+  });
+});
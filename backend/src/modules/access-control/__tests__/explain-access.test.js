@@ -0,0 +1,98 @@
+const { processExplainAccess } = require("../access-control-service");
+const {
+  getApiAccessControlsByMethod,
+  getUserRolesForExplain,
+  getPermissionSource,
+  getActiveGrantsForExplain,
+} = require("../access-control-repository");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../access-control-repository");
+jest.mock("../../roles-and-permissions/permission-cache", () => ({ permissionCache: {} }));
+
+const teacher = { id: 2, name: "Teacher", isActive: true, isPrimary: true, userName: "Jane" };
+const librarian = { id: 5, name: "Librarian", isActive: true, isPrimary: false, userName: "Jane" };
+
+describe("Explain Access", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getApiAccessControlsByMethod.mockResolvedValue([
+      { id: 36, name: "Get my leave policies", path: "/api/v1/leave/policies/me", method: "GET" },
+      { id: 37, name: "Get leave policy", path: "/api/v1/leave/policies/:id", method: "GET" },
+    ]);
+    getUserRolesForExplain.mockResolvedValue([teacher, librarian]);
+    getActiveGrantsForExplain.mockResolvedValue([]);
+  });
+
+  it("should match a concrete path and prefer literal segments over parameters", async () => {
+    getPermissionSource.mockResolvedValue(undefined);
+
+    const { accessControl: meAccessControl } = await processExplainAccess({
+      userId: 4,
+      path: "/api/v1/leave/policies/me",
+      method: "get",
+    });
+    const { accessControl } = await processExplainAccess({
+      userId: 4,
+      path: "/api/v1/leave/policies/12/",
+      method: "GET",
+    });
+
+    expect(meAccessControl.id).toBe(36);
+    expect(accessControl.id).toBe(37);
+  });
+
+  it("should explain a grant through any of the user's roles", async () => {
+    getPermissionSource
+      .mockResolvedValueOnce({ sourceRoleId: 2, sourceRoleName: "Teacher", isDenied: true, dataScope: "all" })
+      .mockResolvedValueOnce({ sourceRoleId: 3, sourceRoleName: "Staff", isDenied: false, dataScope: "self" });
+
+    const explanation = await processExplainAccess({ userId: 4, path: "/api/v1/leave/policies/12", method: "GET" });
+
+    expect(explanation.isAllowed).toBe(true);
+    expect(explanation.reason).toBe("Allowed through Librarian");
+    expect(explanation.user).toEqual({ id: 4, name: "Jane" });
+    expect(explanation.roles.map(({ reason }) => reason)).toEqual([
+      "Denied on Teacher",
+      "Inherited from Staff with the self data scope",
+    ]);
+  });
+
+  it("should point at the missing access control row", async () => {
+    const explanation = await processExplainAccess({ userId: 4, path: "/api/v1/fees", method: "GET" });
+
+    expect(explanation.isAllowed).toBe(false);
+    expect(explanation.accessControl).toBeNull();
+    expect(explanation.reason).toMatch(/^No access control is defined for GET \/api\/v1\/fees/);
+    expect(getPermissionSource).not.toHaveBeenCalled();
+  });
+
+  it("should leave disabled extra roles out", async () => {
+    getUserRolesForExplain.mockResolvedValue([teacher, { ...librarian, isActive: false }]);
+    getPermissionSource.mockResolvedValue(undefined);
+
+    const explanation = await processExplainAccess({ userId: 4, path: "/api/v1/leave/policies/me", method: "GET" });
+
+    expect(explanation.isAllowed).toBe(false);
+    expect(explanation.reason).toBe("Get my leave policies is not granted to any of the user's roles");
+    expect(explanation.roles[1]).toMatchObject({ isConsidered: false, reason: "Librarian is disabled, so it does not count" });
+    expect(getPermissionSource).toHaveBeenCalledTimes(1);
+  });
+
+  it("should allow through an active permission grant when no role grants the route", async () => {
+    getPermissionSource.mockResolvedValue(undefined);
+    getActiveGrantsForExplain.mockResolvedValue([
+      { id: 3, endsAt: "2026-11-01T00:00:00.000Z", dataScope: "reportees", delegatorName: "Principal" },
+    ]);
+
+    const explanation = await processExplainAccess({ userId: 4, path: "/api/v1/leave/policies/me", method: "GET" });
+
+    expect(explanation.isAllowed).toBe(true);
+    expect(explanation.reason).toBe("Allowed through permission grant 3 until 2026-11-01T00:00:00.000Z");
+    expect(getActiveGrantsForExplain).toHaveBeenCalledWith(4, 36);
+  });
+});
@@ -1,5 +1,15 @@
 const asyncHandler = require("express-async-handler");
-const { processAddAccessControl, processUpdateAccessContorl, processDeleteAccessControl, processGetAllAccessControls, processGetMyAccessControl } = require("./access-control-service");
+const {
+    processAddAccessControl,
+    processUpdateAccessContorl,
+    processDeleteAccessControl,
+    processGetAllAccessControls,
+    processGetMyAccessControl,
+    processExplainAccess,
+    processRequestAccess,
+    processGetAccessRequests,
+    processResolveAccessRequest
+} = require("./access-control-service");
 
 const handleAddAccessControl = asyncHandler(async (req, res) => {
     const payload = req.body;
@@ -26,15 +36,44 @@ const handleGetAllAccessControls = asyncHandler(async (req, res) => {
 });
 
 const handleGetMyAccessControl = asyncHandler(async (req, res) => {
-    const { roleId } = req.user;
-    const permissions = await processGetMyAccessControl(roleId);
+    const { id, roleId, roleIds = [roleId] } = req.user;
+    const permissions = await processGetMyAccessControl(roleIds, id);
     res.json({ permissions });
 });
 
+const handleExplainAccess = asyncHandler(async (req, res) => {
+    const { userId, roleId, path, method } = req.query;
+    const explanation = await processExplainAccess({ userId, roleId, path, method });
+    res.json(explanation);
+});
+
+const handleRequestAccess = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { path, method, message, note } = req.body;
+    const result = await processRequestAccess({ userId, path, method, message, note });
+    res.json(result);
+});
+
+const handleGetAccessRequests = asyncHandler(async (req, res) => {
+    const accessRequests = await processGetAccessRequests();
+    res.json({ accessRequests });
+});
+
+const handleResolveAccessRequest = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { id: resolvedBy } = req.user;
+    const message = await processResolveAccessRequest(id, resolvedBy);
+    res.json(message);
+});
+
 module.exports = {
     handleAddAccessControl,
     handleUpdateAccessControl,
     handleDeleteAccessControl,
     handleGetAllAccessControls,
-    handleGetMyAccessControl
+    handleGetMyAccessControl,
+    handleExplainAccess,
+    handleRequestAccess,
+    handleGetAccessRequests,
+    handleResolveAccessRequest
 };
\ No newline at end of file
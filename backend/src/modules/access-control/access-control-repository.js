@@ -44,26 +44,200 @@ const getAllAccessControls = async () => {
   return rows;
 };
 
-const getMyAccessControl = async (roleId) => {
-  const isUserAdmin = Number(roleId) === 1 ? true : false;
+// Menus and APIs of the user's roles plus the permission grants active right now
+const getMyAccessControl = async (roleIds, userId) => {
+  const isUserAdmin = roleIds.some((roleId) => Number(roleId) === 1);
   const query = isUserAdmin
     ? `SELECT * FROM access_controls`
     : `
-            SELECT
+            SELECT DISTINCT
                 ac.*
-            FROM permissions p
-            JOIN access_controls ac ON p.access_control_id = ac.id
-            WHERE p.role_id = $1    
+            FROM unnest($1::int[]) AS ur(role_id)
+            CROSS JOIN LATERAL role_permission_sources(ur.role_id) rps
+            JOIN access_controls ac ON rps.access_control_id = ac.id
+            WHERE NOT rps.is_denied
+            UNION
+            SELECT ac.*
+            FROM permission_grants g
+            JOIN permission_grant_access_controls gac ON gac.permission_grant_id = g.id
+            JOIN access_controls ac ON ac.id = gac.access_control_id
+            LEFT JOIN users d ON d.id = g.delegator_id
+            WHERE g.user_id = $2
+                AND g.revoked_at IS NULL
+                AND g.starts_at <= now()
+                AND g.ends_at > now()
+                AND (g.delegator_id IS NULL OR d.is_active = true)
         `;
-  const queryParams = isUserAdmin ? [] : [roleId];
+  const queryParams = isUserAdmin ? [] : [roleIds, userId];
   const { rows } = await processDBRequest({ query, queryParams });
   return rows;
 };
 
+const getApiAccessControls = async () => {
+  const query = `
+        SELECT id, name, path, method, parent_path
+        FROM access_controls
+        WHERE type = 'api'
+        ORDER BY id
+    `;
+  const { rows } = await processDBRequest({ query });
+  return rows;
+};
+
+// Rows already present for the same path and method are left untouched
+const insertApiAccessControls = async (accessControls) => {
+  const query = `
+        INSERT INTO access_controls (name, path, parent_path, hierarchy_id, type, method)
+        SELECT name, path, parent_path, NULL, 'api', method
+        FROM unnest($1::text[], $2::text[], $3::text[], $4::text[]) AS t(name, path, parent_path, method)
+        ON CONFLICT (path, method) DO NOTHING
+    `;
+  const queryParams = [
+    accessControls.map(({ name }) => name),
+    accessControls.map(({ path }) => path),
+    accessControls.map(({ parentPath }) => parentPath),
+    accessControls.map(({ method }) => method),
+  ];
+  const { rowCount } = await processDBRequest({ query, queryParams });
+  return rowCount;
+};
+
+const getApiAccessControlsByMethod = async (method) => {
+  const query = `
+        SELECT id, name, path, method
+        FROM access_controls
+        WHERE type = 'api' AND method = $1
+    `;
+  const queryParams = [method];
+  const { rows } = await processDBRequest({ query, queryParams });
+  return rows;
+};
+
+// The primary role comes first; extra roles count only while active, as in the access token
+const getUserRolesForExplain = async (userId) => {
+  const query = `
+        SELECT
+            r.id,
+            r.name,
+            r.is_active AS "isActive",
+            r.id = u.role_id AS "isPrimary",
+            u.name AS "userName"
+        FROM users u
+        JOIN roles r ON r.id = u.role_id
+            OR r.id IN (SELECT role_id FROM user_roles WHERE user_id = u.id)
+        WHERE u.id = $1
+        ORDER BY r.id = u.role_id DESC, r.id
+    `;
+  const queryParams = [userId];
+  const { rows } = await processDBRequest({ query, queryParams });
+  return rows;
+};
+
+const getRoleForExplain = async (roleId) => {
+  const query = `SELECT id, name, is_active AS "isActive", true AS "isPrimary" FROM roles WHERE id = $1`;
+  const queryParams = [roleId];
+  const { rows } = await processDBRequest({ query, queryParams });
+  return rows;
+};
+
+// Which role in the parent chain decides the access control for roleId, if any
+const getPermissionSource = async (roleId, accessControlId) => {
+  const query = `
+        SELECT
+            rps.source_role_id AS "sourceRoleId",
+            r.name AS "sourceRoleName",
+            rps.is_denied AS "isDenied",
+            rps.data_scope AS "dataScope"
+        FROM role_permission_sources($1) rps
+        JOIN roles r ON r.id = rps.source_role_id
+        WHERE rps.access_control_id = $2
+    `;
+  const queryParams = [roleId, accessControlId];
+  const { rows } = await processDBRequest({ query, queryParams });
+  return rows[0];
+};
+
+// Permission grants that give the user the access control right now
+const getActiveGrantsForExplain = async (userId, accessControlId) => {
+  const query = `
+        SELECT
+            g.id,
+            g.ends_at AS "endsAt",
+            gac.data_scope AS "dataScope",
+            d.name AS "delegatorName"
+        FROM permission_grants g
+        JOIN permission_grant_access_controls gac ON gac.permission_grant_id = g.id
+        LEFT JOIN users d ON d.id = g.delegator_id
+        WHERE g.user_id = $1
+            AND gac.access_control_id = $2
+            AND g.revoked_at IS NULL
+            AND g.starts_at <= now()
+            AND g.ends_at > now()
+            AND (g.delegator_id IS NULL OR d.is_active = true)
+        ORDER BY g.ends_at DESC
+    `;
+  const queryParams = [userId, accessControlId];
+  const { rows } = await processDBRequest({ query, queryParams });
+  return rows;
+};
+
+// Returns 0 when the user already has a pending request for the same path and method
+const insertAccessRequest = async ({ userId, path, method, message, note }) => {
+  const query = `
+        INSERT INTO access_requests (user_id, path, method, message, note)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+    `;
+  const queryParams = [userId, path, method, message, note];
+  const { rowCount } = await processDBRequest({ query, queryParams });
+  return rowCount;
+};
+
+const getPendingAccessRequests = async () => {
+  const query = `
+        SELECT
+            t1.id,
+            t1.user_id AS "userId",
+            t2.name AS "userName",
+            t1.path,
+            t1.method,
+            t1.message,
+            t1.note,
+            t1.created_dt AS "createdDt"
+        FROM access_requests t1
+        JOIN users t2 ON t1.user_id = t2.id
+        WHERE t1.status = 'pending'
+        ORDER BY t1.created_dt
+    `;
+  const { rows } = await processDBRequest({ query });
+  return rows;
+};
+
+const resolveAccessRequest = async (id, resolvedBy) => {
+  const query = `
+        UPDATE access_requests
+        SET status = 'resolved', resolved_by = $2, resolved_dt = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+    `;
+  const queryParams = [id, resolvedBy];
+  const { rowCount } = await processDBRequest({ query, queryParams });
+  return rowCount;
+};
+
 module.exports = {
   addAccessControl,
   updateAccessControl,
   deleteAccessControl,
   getAllAccessControls,
   getMyAccessControl,
+  getApiAccessControls,
+  insertApiAccessControls,
+  getApiAccessControlsByMethod,
+  getUserRolesForExplain,
+  getRoleForExplain,
+  getPermissionSource,
+  getActiveGrantsForExplain,
+  insertAccessRequest,
+  getPendingAccessRequests,
+  resolveAccessRequest,
 };
@@ -2,11 +2,17 @@ const express = require("express");
 const router = express.Router();
 const accessControlController = require("./access-control-controller");
 const { isUserAdmin } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { ExplainAccessSchema, AccessRequestSchema } = require("./access-control-schema");
 
 router.get("", isUserAdmin, accessControlController.handleGetAllAccessControls);
 router.post("", isUserAdmin, accessControlController.handleAddAccessControl);
 router.put("/:id", isUserAdmin, accessControlController.handleUpdateAccessControl);
 router.delete("/:id", isUserAdmin, accessControlController.handleDeleteAccessControl);
 router.get("/me", accessControlController.handleGetMyAccessControl);
+router.get("/explain", isUserAdmin, validateRequest(ExplainAccessSchema), accessControlController.handleExplainAccess);
+router.get("/requests", isUserAdmin, accessControlController.handleGetAccessRequests);
+router.post("/requests", validateRequest(AccessRequestSchema), accessControlController.handleRequestAccess);
+router.post("/requests/:id/resolve", isUserAdmin, accessControlController.handleResolveAccessRequest);
 
 module.exports = { accessControlRoutes: router };
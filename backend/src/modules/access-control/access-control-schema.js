@@ -0,0 +1,28 @@
+const { z } = require("zod");
+
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const ExplainAccessSchema = z.object({
+    query: z.object({
+        userId: z.coerce.number().int().positive().optional(),
+        roleId: z.coerce.number().int().positive().optional(),
+        path: z.string().min(1, "Path is required").max(255),
+        method: z.string().transform((method) => method.toUpperCase()).pipe(z.enum(HTTP_METHODS))
+    }).refine(({ userId, roleId }) => Boolean(userId) !== Boolean(roleId), {
+        message: "Either a user or a role is required"
+    })
+});
+
+const AccessRequestSchema = z.object({
+    body: z.object({
+        path: z.string().min(1, "Path is required").max(255),
+        method: z.enum(HTTP_METHODS).nullable().optional(),
+        message: z.string().max(500).nullable().optional(),
+        note: z.string().max(1000).nullable().optional()
+    })
+});
+
+module.exports = {
+    ExplainAccessSchema,
+    AccessRequestSchema
+};
@@ -1,11 +1,28 @@
 const { ApiError, getAccessItemHierarchy, formatMyPermission } = require("../../utils");
-const { addAccessControl, updateAccessControl, deleteAccessControl, getAllAccessControls, getMyAccessControl } = require("./access-control-repository")
+const {
+    addAccessControl,
+    updateAccessControl,
+    deleteAccessControl,
+    getAllAccessControls,
+    getMyAccessControl,
+    getApiAccessControlsByMethod,
+    getUserRolesForExplain,
+    getRoleForExplain,
+    getPermissionSource,
+    getActiveGrantsForExplain,
+    insertAccessRequest,
+    getPendingAccessRequests,
+    resolveAccessRequest,
+} = require("./access-control-repository")
+const { permissionCache } = require("../roles-and-permissions/permission-cache");
+const { matchesAccessControlPath } = require("../api-keys/api-key-utils");
 
 const processAddAccessControl = async (payload) => {
     const affectedRow = await addAccessControl(payload);
     if (affectedRow <= 0) {
         throw new ApiError(500, "Unable to add access control");
     }
+    await permissionCache.invalidate();
 
     return { message: "New access control added successfully" };
 }
@@ -15,6 +32,7 @@ const processUpdateAccessContorl = async (payload) => {
     if (affectedRow <= 0) {
         throw new ApiError(500, "Unable to update access control");
     }
+    await permissionCache.invalidate();
 
     return { message: "Access control updated successfully" };
 }
@@ -24,6 +42,7 @@ const processDeleteAccessControl = async (id) => {
     if (affectedRow <= 0) {
         throw new ApiError(500, "Unabe to delete access control");
     }
+    await permissionCache.invalidate();
 
     return { message: "Access control deleted successfully" };
 }
@@ -38,8 +57,8 @@ const processGetAllAccessControls = async () => {
     return hierarchialAccessControls;
 }
 
-const processGetMyAccessControl = async (roleId) => {
-    const permissions = await getMyAccessControl(roleId);
+const processGetMyAccessControl = async (roleIds, userId) => {
+    const permissions = await getMyAccessControl(roleIds, userId);
     if (permissions.length <= 0) {
         throw new ApiError(404, "You do not have permission to the system.");
     }
@@ -51,10 +70,131 @@ const processGetMyAccessControl = async (roleId) => {
     };
 }
 
+const ADMIN_ROLE_ID = 1;
+
+const countPathParams = (path) => path.split("/").filter((segment) => segment.startsWith(":")).length;
+
+// Like Express, a literal segment wins over a parameter: /leave/policies/me before /leave/policies/:id
+const findAccessControl = async (path, method) => {
+    const accessControls = await getApiAccessControlsByMethod(method);
+    const exactMatch = accessControls.find((accessControl) => accessControl.path === path);
+    if (exactMatch) {
+        return exactMatch;
+    }
+
+    const [bestMatch = null] = accessControls
+        .filter((accessControl) => matchesAccessControlPath(accessControl.path, path))
+        .sort((a, b) => countPathParams(a.path) - countPathParams(b.path));
+    return bestMatch;
+}
+
+const explainRole = async (role, accessControl) => {
+    const { id, name, isActive, isPrimary } = role;
+    const explanation = { id, name, isActive, isPrimary, isConsidered: isPrimary || isActive, hasPermission: false };
+
+    if (!explanation.isConsidered) {
+        return { ...explanation, reason: `${name} is disabled, so it does not count` };
+    }
+    if (id === ADMIN_ROLE_ID) {
+        return { ...explanation, hasPermission: true, reason: "The admin role can access everything" };
+    }
+    if (!accessControl) {
+        return { ...explanation, reason: "There is no access control to grant" };
+    }
+
+    const source = await getPermissionSource(id, accessControl.id);
+    if (!source) {
+        return { ...explanation, reason: `Neither ${name} nor a role it inherits from grants it` };
+    }
+
+    const isOwn = source.sourceRoleId === id;
+    let reason;
+    if (source.isDenied) {
+        reason = isOwn ? `Denied on ${name}` : `Denied on ${source.sourceRoleName}, which ${name} inherits from`;
+    } else {
+        reason = isOwn
+            ? `Granted on ${name} with the ${source.dataScope} data scope`
+            : `Inherited from ${source.sourceRoleName} with the ${source.dataScope} data scope`;
+    }
+    return { ...explanation, ...source, hasPermission: !source.isDenied, reason };
+}
+
+// Replays the checkApiAccess decision for a user (all of their roles) or a single role
+const processExplainAccess = async ({ userId, roleId, path, method }) => {
+    if (Boolean(userId) === Boolean(roleId)) {
+        throw new ApiError(400, "Either a user or a role is required");
+    }
+
+    const apiPath = path.split("?")[0].replace(/(.)\/+$/, "$1");
+    const apiMethod = method.toUpperCase();
+    const roles = userId ? await getUserRolesForExplain(userId) : await getRoleForExplain(roleId);
+    if (roles.length <= 0) {
+        throw new ApiError(404, userId ? "User not found" : "Role not found");
+    }
+
+    const accessControl = await findAccessControl(apiPath, apiMethod);
+    const explainedRoles = [];
+    for (const role of roles) {
+        explainedRoles.push(await explainRole(role, accessControl));
+    }
+
+    const grants = userId && accessControl ? await getActiveGrantsForExplain(userId, accessControl.id) : [];
+
+    const isAdmin = explainedRoles.some(({ id, isConsidered }) => id === ADMIN_ROLE_ID && isConsidered);
+    const grantingRole = explainedRoles.find(({ isConsidered, hasPermission }) => isConsidered && hasPermission);
+    let reason;
+    if (isAdmin) {
+        reason = "Admins can access every route";
+    } else if (!accessControl) {
+        reason = `No access control is defined for ${apiMethod} ${apiPath}, so only admins can call it. Add one and grant it to a role.`;
+    } else if (grantingRole) {
+        reason = `Allowed through ${grantingRole.name}`;
+    } else if (grants.length > 0) {
+        reason = `Allowed through permission grant ${grants[0].id} until ${new Date(grants[0].endsAt).toISOString()}`;
+    } else {
+        reason = `${accessControl.name} is not granted to ${userId ? "any of the user's roles" : "the role"}`;
+    }
+
+    return {
+        isAllowed: isAdmin || Boolean(accessControl && (grantingRole || grants.length > 0)),
+        reason,
+        user: userId ? { id: Number(userId), name: roles[0].userName } : null,
+        accessControl,
+        roles: explainedRoles.map(({ userName, ...role }) => role),
+        grants,
+    };
+}
+
+const processRequestAccess = async ({ userId, path, method = null, message = null, note = null }) => {
+    const affectedRow = await insertAccessRequest({ userId, path, method, message, note });
+    if (affectedRow <= 0) {
+        throw new ApiError(409, "You have already requested access to this resource");
+    }
+
+    return { message: "Your request has been sent to the administrator" };
+}
+
+const processGetAccessRequests = async () => {
+    return getPendingAccessRequests();
+}
+
+const processResolveAccessRequest = async (id, resolvedBy) => {
+    const affectedRow = await resolveAccessRequest(id, resolvedBy);
+    if (affectedRow <= 0) {
+        throw new ApiError(404, "Pending access request not found");
+    }
+
+    return { message: "Access request resolved" };
+}
+
 module.exports = {
     processAddAccessControl,
     processUpdateAccessContorl,
     processDeleteAccessControl,
     processGetAllAccessControls,
-    processGetMyAccessControl
+    processGetMyAccessControl,
+    processExplainAccess,
+    processRequestAccess,
+    processGetAccessRequests,
+    processResolveAccessRequest
 };
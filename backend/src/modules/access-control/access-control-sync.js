@@ -0,0 +1,99 @@
+const { listRoutes } = require("./route-table");
+const { getApiAccessControls, insertApiAccessControls } = require("./access-control-repository");
+const log = require("../../utils/log");
+
+const SYNC_MODES = ["off", "report", "insert"];
+
+const toKey = ({ path, method }) => `${method} ${path}`;
+
+// /api/v1/leave/policies/:id -> leave
+const getRouteGroup = (path, basePath) => (path || "").slice(basePath.length).split("/")[1] || "";
+
+// New rows go under the menu group most of the existing rows of the same router use
+const guessParentPath = (path, rows, basePath) => {
+    const group = getRouteGroup(path, basePath);
+    const counts = new Map();
+    for (const row of rows) {
+        if (row.parent_path && getRouteGroup(row.path, basePath) === group) {
+            counts.set(row.parent_path, (counts.get(row.parent_path) || 0) + 1);
+        }
+    }
+
+    let parentPath = null;
+    let maxCount = 0;
+    for (const [candidate, count] of counts) {
+        if (count > maxCount) {
+            parentPath = candidate;
+            maxCount = count;
+        }
+    }
+    return parentPath;
+}
+
+// missing: routes guarded by checkApiAccess that have no row, so every non-admin gets a 403
+// stale: api rows that no longer match any route, guarded or not
+const diffAccessControls = (routes, rows, basePath = "/api/v1") => {
+    const routeKeys = new Set(routes.map(toKey));
+    const rowKeys = new Set(rows.map(toKey));
+
+    const missing = new Map();
+    for (const route of routes) {
+        const key = toKey(route);
+        if (route.isAccessChecked && !rowKeys.has(key) && !missing.has(key)) {
+            missing.set(key, {
+                name: `${route.method} ${route.path.slice(basePath.length) || "/"}`,
+                path: route.path,
+                method: route.method,
+                parentPath: guessParentPath(route.path, rows, basePath),
+            });
+        }
+    }
+
+    return {
+        missing: [...missing.values()],
+        stale: rows.filter((row) => !routeKeys.has(toKey(row))),
+    };
+}
+
+// Compares the routes mounted on router with the api rows of access_controls. In "insert"
+// mode the missing rows are added, stale rows are only ever reported since permissions
+// and API keys may still point at them.
+const syncAccessControls = async (router, { mode = "report", basePath = "/api/v1" } = {}) => {
+    if (!SYNC_MODES.includes(mode)) {
+        throw new Error(`Access control sync mode must be one of ${SYNC_MODES.join(", ")}`);
+    }
+    if (mode === "off") {
+        return null;
+    }
+
+    const routes = listRoutes(router, basePath);
+    const rows = await getApiAccessControls();
+    const { missing, stale } = diffAccessControls(routes, rows, basePath);
+
+    let insertedCount = 0;
+    if (mode === "insert" && missing.length > 0) {
+        insertedCount = await insertApiAccessControls(missing);
+        log.info("Missing access controls added", {
+            insertedCount,
+            accessControls: missing.map(toKey),
+        });
+    } else if (missing.length > 0) {
+        log.warn("Routes without an access control row, non-admin users get a 403 on them", {
+            accessControls: missing.map(toKey),
+        });
+    }
+
+    if (stale.length > 0) {
+        log.warn("Access controls that match no route", {
+            accessControls: stale.map((row) => `${row.id}: ${toKey(row)}`),
+        });
+    }
+
+    return { missing, stale, insertedCount };
+}
+
+module.exports = {
+    SYNC_MODES,
+    diffAccessControls,
+    syncAccessControls,
+};
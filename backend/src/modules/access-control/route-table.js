@@ -0,0 +1,50 @@
+const { checkApiAccess } = require("../../middlewares/check-api-access");
+
+// Express 4 keeps only the compiled regexp of a router.use() mount point, e.g.
+//   ^\/students\/?(?=\/|$)  ->  /students
+//   ^\/classes(?:\/([^/]+?))\/?(?=\/|$)  ->  /classes/:id
+const getMountPath = (layer) => {
+    if (layer.regexp.fast_slash) {
+        return "";
+    }
+
+    let keyIndex = 0;
+    return layer.regexp.source
+        .replace(/^\^/, "")
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+        .replace(/\(\?:(\\\/)?\(\[\^\\?\/\]\+\?\)\)/g, (match, slash) => `${slash ? "/" : ""}:${layer.keys[keyIndex++].name}`)
+        .replace(/\\\//g, "/");
+}
+
+const joinPath = (...parts) => {
+    const path = parts.join("").replace(/\/+/g, "/");
+    return path.length > 1 ? path.replace(/\/$/, "") : path;
+}
+
+// Every route below router as { path, method, isAccessChecked }, where isAccessChecked
+// says whether checkApiAccess guards it and so needs an access_controls row
+const listRoutes = (router, basePath = "") => {
+    const routes = [];
+
+    for (const layer of router.stack) {
+        if (layer.route) {
+            const { route } = layer;
+            const paths = Array.isArray(route.path) ? route.path : [route.path];
+            const isAccessChecked = route.stack.some(({ handle }) => handle === checkApiAccess);
+            for (const path of paths.filter((path) => typeof path === "string")) {
+                for (const method of Object.keys(route.methods).filter((method) => method !== "_all")) {
+                    routes.push({ path: joinPath(basePath, path), method: method.toUpperCase(), isAccessChecked });
+                }
+            }
+        } else if (layer.name === "router" && layer.handle.stack) {
+            routes.push(...listRoutes(layer.handle, joinPath(basePath, getMountPath(layer))));
+        }
+    }
+
+    return routes;
+}
+
+module.exports = {
+    getMountPath,
+    listRoutes,
+};
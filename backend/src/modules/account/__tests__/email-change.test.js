@@ -0,0 +1,59 @@
+const { requestEmailChange } = require("../account-service");
+const { isEmailTakenByOtherUser, setPendingEmail } = require("../account-repository");
+const { findUserById, insertSecurityEvent } = require("../../../shared/repository");
+const { sendEmailChangeConfirmation, sendEmailChangeNotice } = require("../../../utils");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  sendEmailChangeConfirmation: jest.fn(),
+  sendEmailChangeNotice: jest.fn(),
+}));
+jest.mock("../account-repository");
+jest.mock("../../../shared/repository");
+
+describe("Email Change", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findUserById.mockResolvedValue({ id: 7, email: "old@school.com" });
+    isEmailTakenByOtherUser.mockResolvedValue(false);
+  });
+
+  it("should keep the current email until the new one is confirmed", async () => {
+    const result = await requestEmailChange({ userId: 7, newEmail: "new@school.com" });
+
+    expect(result).toEqual({ pendingEmail: "new@school.com" });
+    expect(setPendingEmail).toHaveBeenCalledWith(7, "new@school.com");
+    expect(sendEmailChangeConfirmation).toHaveBeenCalledWith({ userId: 7, newEmail: "new@school.com" });
+    expect(sendEmailChangeNotice).toHaveBeenCalledWith({ currentEmail: "old@school.com", newEmail: "new@school.com" });
+    expect(insertSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: "EMAIL_CHANGE_REQUESTED" }));
+  });
+
+  it("should do nothing when the email is unchanged", async () => {
+    const result = await requestEmailChange({ userId: 7, newEmail: "Old@School.com" });
+
+    expect(result).toBeNull();
+    expect(setPendingEmail).not.toHaveBeenCalled();
+    expect(sendEmailChangeConfirmation).not.toHaveBeenCalled();
+  });
+
+  it("should reject an email used by another account", async () => {
+    isEmailTakenByOtherUser.mockResolvedValue(true);
+
+    await expect(requestEmailChange({ userId: 7, newEmail: "taken@school.com" })).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(setPendingEmail).not.toHaveBeenCalled();
+  });
+
+  it("should not save the new email when the confirmation could not be sent", async () => {
+    sendEmailChangeConfirmation.mockRejectedValueOnce(new Error("SMTP down"));
+
+    await expect(requestEmailChange({ userId: 7, newEmail: "new@school.com" })).rejects.toMatchObject({
+      statusCode: 500,
+    });
+    expect(setPendingEmail).not.toHaveBeenCalled();
+    expect(insertSecurityEvent).not.toHaveBeenCalled();
+    expect(sendEmailChangeNotice).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+const { db } = require("../../../config");
+const { processPasswordChange } = require("../account-service");
+const { changePassword } = require("../account-repository");
+const { findUserById, revokeUserSessions } = require("../../../shared/repository");
+const { tokenRevocation } = require("../../auth/token-revocation");
+const { issueSessionTokens } = require("../../auth/auth-service");
+
+jest.mock("../../../config", () => ({ db: { connect: jest.fn() }, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  generateHashedPassword: jest.fn().mockResolvedValue("new-hash"),
+  verifyPassword: jest.fn(),
+}));
+jest.mock("../account-repository");
+jest.mock("../../../shared/repository");
+jest.mock("../../password-policy/password-policy-service");
+jest.mock("../../auth/token-revocation", () => ({
+  tokenRevocation: { revokeUserTokens: jest.fn() },
+}));
+jest.mock("../../auth/auth-service", () => ({
+  issueSessionTokens: jest.fn(),
+}));
+
+describe("Password Change", () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  const user = { id: 7, role_id: 4, password: "old-hash" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.connect.mockResolvedValue(client);
+    findUserById.mockResolvedValue(user);
+    issueSessionTokens.mockResolvedValue({
+      accessToken: "access",
+      refreshToken: "refresh",
+      csrfToken: "csrf",
+    });
+  });
+
+  it("should log out every other session and start a new one like a login", async () => {
+    const sessionMeta = { ipAddress: "10.0.0.1" };
+
+    await expect(
+      processPasswordChange({ userId: 7, oldPassword: "old", newPassword: "new" }, sessionMeta)
+    ).resolves.toEqual({
+      accessToken: "access",
+      refreshToken: "refresh",
+      csrfToken: "csrf",
+      message: "Password changed successfully",
+    });
+
+    expect(changePassword).toHaveBeenCalledWith({ userId: 7, hashedPassword: "new-hash" }, client);
+    expect(revokeUserSessions).toHaveBeenCalledWith(7, client);
+    expect(tokenRevocation.revokeUserTokens).toHaveBeenCalledWith(7);
+    expect(issueSessionTokens).toHaveBeenCalledWith(user, sessionMeta, client);
+    expect(tokenRevocation.revokeUserTokens.mock.invocationCallOrder[0]).toBeLessThan(
+      issueSessionTokens.mock.invocationCallOrder[0]
+    );
+    expect(client.query).toHaveBeenLastCalledWith("COMMIT");
+  });
+});
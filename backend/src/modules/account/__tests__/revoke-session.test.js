@@ -0,0 +1,53 @@
+const { processRevokeSession } = require("../account-service");
+const { deleteSessionById, getSessionIdByRefreshToken } = require("../account-repository");
+const { tokenRevocation } = require("../../auth/token-revocation");
+
+jest.mock("../../../config", () => ({ db: { connect: jest.fn() }, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../account-repository");
+jest.mock("../../../shared/repository");
+jest.mock("../../password-policy/password-policy-service");
+jest.mock("../../auth/token-revocation", () => ({
+  tokenRevocation: { revokeToken: jest.fn() },
+}));
+jest.mock("../../auth/auth-service", () => ({}));
+
+describe("Revoke Session", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getSessionIdByRefreshToken.mockResolvedValue("current-family");
+  });
+
+  it("should denylist the access tokens the session was issued that are still live", async () => {
+    const expiresAt = new Date(Date.now() + 60000);
+    deleteSessionById.mockResolvedValue([
+      { jti: "live-jti", expiresAt },
+      { jti: "expired-jti", expiresAt: new Date(Date.now() - 60000) },
+      { jti: null, expiresAt: null },
+    ]);
+
+    await expect(
+      processRevokeSession({ userId: 7, sessionId: "other-family", refreshToken: "refresh" })
+    ).resolves.toEqual({ message: "Session revoked successfully", isCurrentSession: false });
+
+    expect(deleteSessionById).toHaveBeenCalledWith(7, "other-family");
+    expect(tokenRevocation.revokeToken).toHaveBeenCalledTimes(1);
+    expect(tokenRevocation.revokeToken).toHaveBeenCalledWith({
+      jti: "live-jti",
+      id: 7,
+      exp: Math.floor(expiresAt.getTime() / 1000),
+    });
+  });
+
+  it("should answer 404 for a session that does not exist", async () => {
+    deleteSessionById.mockResolvedValue([]);
+
+    await expect(
+      processRevokeSession({ userId: 7, sessionId: "missing", refreshToken: "refresh" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(tokenRevocation.revokeToken).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,7 @@
 const asyncHandler = require("express-async-handler");
-const { processPasswordChange, processGetAccountDetail } = require("./account-service");
+const { processPasswordChange, processGetAccountDetail, processGetSessions, processRevokeSession, processRevokeAllSessions, processEmailChange } = require("./account-service");
 const { setAllCookies, clearAllCookies } = require("../../cookie");
+const { getSessionMeta } = require("../../utils");
 
 const handlePasswordChange = asyncHandler(async (req, res) => {
     const { newPassword, oldPassword } = req.body;
@@ -10,7 +11,7 @@ const handlePasswordChange = asyncHandler(async (req, res) => {
         refreshToken,
         csrfToken,
         message
-    } = await processPasswordChange({ userId, oldPassword, newPassword });
+    } = await processPasswordChange({ userId, oldPassword, newPassword }, getSessionMeta(req));
 
     clearAllCookies(res);
     setAllCookies(res, accessToken, refreshToken, csrfToken)
@@ -24,7 +25,46 @@ const handleGetAccountDetail = asyncHandler(async (req, res) => {
     res.json(accountDetail);
 });
 
+const handleGetSessions = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { refreshToken } = req.cookies;
+    const sessions = await processGetSessions(userId, refreshToken);
+    res.json({ sessions });
+});
+
+const handleRevokeSession = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { id: sessionId } = req.params;
+    const { refreshToken } = req.cookies;
+    const { message, isCurrentSession } = await processRevokeSession({ userId, sessionId, refreshToken });
+
+    if (isCurrentSession) {
+        clearAllCookies(res);
+    }
+
+    res.json({ message, isCurrentSession });
+});
+
+const handleRevokeAllSessions = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const message = await processRevokeAllSessions(userId);
+    clearAllCookies(res);
+    res.json(message);
+});
+
+const handleEmailChange = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { newEmail, password } = req.body;
+    const { ipAddress } = getSessionMeta(req);
+    const result = await processEmailChange({ userId, newEmail, password, ipAddress });
+    res.json(result);
+});
+
 module.exports = {
     handlePasswordChange,
     handleGetAccountDetail,
+    handleGetSessions,
+    handleRevokeSession,
+    handleRevokeAllSessions,
+    handleEmailChange,
 };
\ No newline at end of file
@@ -4,25 +4,13 @@ const changePassword = async (payload, client) => {
     const { userId, hashedPassword } = payload;
     const query = `
         UPDATE users
-        SET password = $1
+        SET password = $1, password_version = password_version + 1
         WHERE id = $2
     `;
     const queryParams = [hashedPassword, userId];
     await client.query(query, queryParams);
 }
 
-const getUserRoleNameByUserId = async (id, client) => {
-    const query = `
-        SELECT lower(t1.name) AS name
-        FROM roles t1
-        JOIN users t2 ON t1.id = t2.role_id
-        WHERE t2.id = $1
-    `;
-    const queryParams = [id];
-    const { rows } = await client.query(query, queryParams);
-    return rows[0].name;
-}
-
 const getStudentAccountDetail = async (userId) => {
     const studentRoleId = 3;
     const query = `
@@ -90,9 +78,66 @@ const getStaffAccountDetail = async (userId, userRoleId) => {
     return rows[0];
 }
 
+const getActiveSessionsByUserId = async (userId) => {
+    const query = `
+        SELECT
+            family_id AS id,
+            user_agent AS "userAgent",
+            ip_address AS "ipAddress",
+            session_started_at AS "startedDate",
+            issued_at AS "lastActiveDate"
+        FROM user_refresh_tokens
+        WHERE user_id = $1
+            AND used_at IS NULL
+            AND revoked_at IS NULL
+            AND expires_at > now()
+        ORDER BY issued_at DESC
+    `;
+    const queryParams = [userId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+const getSessionIdByRefreshToken = async (refreshToken) => {
+    const query = "SELECT family_id FROM user_refresh_tokens WHERE token = $1";
+    const queryParams = [refreshToken];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0]?.family_id;
+}
+
+// Returns the access tokens issued to the session that have not expired yet
+const deleteSessionById = async (userId, sessionId) => {
+    const query = `
+        DELETE FROM user_refresh_tokens
+        WHERE user_id = $1 AND family_id = $2
+        RETURNING access_token_jti AS jti, access_token_expires_at AS "expiresAt"
+    `;
+    const queryParams = [userId, sessionId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+const isEmailTakenByOtherUser = async (userId, email) => {
+    const query = "SELECT 1 FROM users WHERE lower(email) = lower($1) AND id <> $2";
+    const queryParams = [email, userId];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount > 0;
+}
+
+const setPendingEmail = async (userId, pendingEmail) => {
+    const query = "UPDATE users SET pending_email = $1, updated_dt = now() WHERE id = $2";
+    const queryParams = [pendingEmail, userId];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
 module.exports = {
     changePassword,
-    getUserRoleNameByUserId,
     getStudentAccountDetail,
-    getStaffAccountDetail
+    getStaffAccountDetail,
+    getActiveSessionsByUserId,
+    getSessionIdByRefreshToken,
+    deleteSessionById,
+    isEmailTakenByOtherUser,
+    setPendingEmail,
 };
\ No newline at end of file
@@ -1,8 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const accountController = require("./account-controller");
+const { validateRequest } = require("../../utils");
+const { blockImpersonation } = require("../../middlewares");
+const { SessionIdSchema, EmailChangeSchema } = require("./account-schema");
 
-router.post("/change-password", accountController.handlePasswordChange);
+router.post("/change-password", blockImpersonation, accountController.handlePasswordChange);
+router.post("/change-email", blockImpersonation, validateRequest(EmailChangeSchema), accountController.handleEmailChange);
 router.get("/me", accountController.handleGetAccountDetail);
+router.get("/sessions", accountController.handleGetSessions);
+router.delete("/sessions", blockImpersonation, accountController.handleRevokeAllSessions);
+router.delete("/sessions/:id", blockImpersonation, validateRequest(SessionIdSchema), accountController.handleRevokeSession);
 
 module.exports = { accountRoutes: router };
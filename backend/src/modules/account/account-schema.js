@@ -0,0 +1,19 @@
+const { z } = require("zod");
+
+const SessionIdSchema = z.object({
+    params: z.object({
+        id: z.string().uuid("Invalid session id")
+    })
+});
+
+const EmailChangeSchema = z.object({
+    body: z.object({
+        newEmail: z.string().email("Valid email is required").max(100, "Email must be at most 100 characters"),
+        password: z.string().min(1, "Password is required")
+    })
+});
+
+module.exports = {
+    SessionIdSchema,
+    EmailChangeSchema
+};
@@ -1,22 +1,66 @@
-const { v4: uuidV4 } = require("uuid");
-const { env, db } = require("../../config");
+const { db } = require("../../config");
 
 const {
   ApiError,
   generateHashedPassword,
-  generateToken,
-  generateCsrfHmacHash,
   verifyPassword,
+  isPasswordMatch,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
 } = require("../../utils");
+const log = require("../../utils/log");
+const { tokenRevocation } = require("../auth/token-revocation");
+const { issueSessionTokens } = require("../auth/auth-service");
 const {
   changePassword,
-  getUserRoleNameByUserId,
   getStudentAccountDetail,
   getStaffAccountDetail,
+  getActiveSessionsByUserId,
+  getSessionIdByRefreshToken,
+  deleteSessionById,
+  isEmailTakenByOtherUser,
+  setPendingEmail,
 } = require("./account-repository");
-const { insertRefreshToken, findUserById } = require("../../shared/repository");
+const {
+  findUserById,
+  revokeUserSessions,
+  insertSecurityEvent,
+} = require("../../shared/repository");
+const {
+  assertPasswordMeetsPolicy,
+  recordPasswordHistory,
+} = require("../password-policy/password-policy-service");
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+const OPERATING_SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !os) {
+    return "Unknown device";
+  }
 
-const processPasswordChange = async (payload) => {
+  return [browser?.[0] ?? "Unknown browser", os?.[0]].filter(Boolean).join(" on ");
+};
+
+const processPasswordChange = async (payload, sessionMeta) => {
   const client = await db.connect();
   try {
     const { userId, oldPassword, newPassword } = payload;
@@ -29,29 +73,22 @@ const processPasswordChange = async (payload) => {
 
     const { password: passwordFromDB } = user;
     await verifyPassword(passwordFromDB, oldPassword);
-
-    const roleName = await getUserRoleNameByUserId(userId, client);
-    if (!roleName) {
-      throw new ApiError(404, "Role does not exist for user");
-    }
+    await assertPasswordMeetsPolicy({
+      userId,
+      password: newPassword,
+      currentPasswordHash: passwordFromDB,
+      path: "newPassword",
+    });
 
     const hashedPassword = await generateHashedPassword(newPassword);
     await changePassword({ userId, hashedPassword }, client);
+    await recordPasswordHistory({ userId, previousPasswordHash: passwordFromDB }, client);
 
-    const csrfToken = uuidV4();
-    const csrfHmacHash = generateCsrfHmacHash(csrfToken);
-    const accessToken = generateToken(
-      { id: userId, role: roleName, csrf_hmac: csrfHmacHash },
-      env.JWT_ACCESS_TOKEN_SECRET,
-      env.JWT_ACCESS_TOKEN_TIME_IN_MS
-    );
-    const refreshToken = generateToken(
-      { id: userId },
-      env.JWT_REFRESH_TOKEN_SECRET,
-      env.JWT_REFRESH_TOKEN_TIME_IN_MS
-    );
-
-    await insertRefreshToken({ userId, refreshToken }, client);
+    // Every other device has to sign in again with the new password. The cut-off is set
+    // before the new tokens are issued, so they are not caught by it.
+    await revokeUserSessions(userId, client);
+    await tokenRevocation.revokeUserTokens(userId);
+    const { accessToken, refreshToken, csrfToken } = await issueSessionTokens(user, sessionMeta, client);
 
     await client.query("COMMIT");
 
@@ -92,7 +129,113 @@ const processGetAccountDetail = async (userId) => {
   return staffAccountDetail;
 };
 
+const processGetSessions = async (userId, refreshToken) => {
+  const sessions = await getActiveSessionsByUserId(userId);
+  const currentSessionId = refreshToken ? await getSessionIdByRefreshToken(refreshToken) : null;
+
+  return sessions.map((session) => ({
+    ...session,
+    device: describeUserAgent(session.userAgent),
+    isCurrent: session.id === currentSessionId,
+  }));
+};
+
+const processRevokeSession = async ({ userId, sessionId, refreshToken }) => {
+  const currentSessionId = refreshToken ? await getSessionIdByRefreshToken(refreshToken) : null;
+
+  const deletedTokens = await deleteSessionById(userId, sessionId);
+  if (deletedTokens.length <= 0) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  // Deleting the refresh tokens only stops the next refresh, the device's access token is denylisted too
+  for (const { jti, expiresAt } of deletedTokens) {
+    if (jti && new Date(expiresAt) > new Date()) {
+      await tokenRevocation.revokeToken({ jti, id: userId, exp: Math.floor(new Date(expiresAt) / 1000) });
+    }
+  }
+
+  return {
+    message: "Session revoked successfully",
+    isCurrentSession: sessionId === currentSessionId,
+  };
+};
+
+const processRevokeAllSessions = async (userId) => {
+  await revokeUserSessions(userId);
+  await tokenRevocation.revokeUserTokens(userId);
+  return { message: "Logged out from all devices" };
+};
+
+// The address on the account only changes once the link sent to the new one is confirmed
+const requestEmailChange = async ({ userId, newEmail, actorId = null, ipAddress = null }) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, "User does not exist");
+  }
+
+  const currentEmail = user.email;
+  if (currentEmail.toLowerCase() === newEmail.toLowerCase()) {
+    return null;
+  }
+
+  if (await isEmailTakenByOtherUser(userId, newEmail)) {
+    throw new ApiError(409, "Email already exists");
+  }
+
+  // The link only works once pending_email is saved, so nothing is saved unless it was sent
+  try {
+    await sendEmailChangeConfirmation({ userId, newEmail });
+  } catch (error) {
+    throw new ApiError(500, "Unable to send email change confirmation");
+  }
+
+  await setPendingEmail(userId, newEmail);
+  await insertSecurityEvent({
+    eventType: "EMAIL_CHANGE_REQUESTED",
+    userId,
+    username: currentEmail,
+    ipAddress,
+    actorId,
+    detail: { newEmail },
+  });
+
+  try {
+    await sendEmailChangeNotice({ currentEmail, newEmail });
+  } catch (error) {
+    log.error("Unable to send email change notice", { userId, errorMessage: error.message });
+  }
+
+  return { pendingEmail: newEmail };
+};
+
+const processEmailChange = async ({ userId, newEmail, password, ipAddress }) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, "User does not exist");
+  }
+
+  if (!(await isPasswordMatch(user.password, password))) {
+    throw new ApiError(400, "Invalid credential");
+  }
+
+  const result = await requestEmailChange({ userId, newEmail, actorId: userId, ipAddress });
+  if (!result) {
+    throw new ApiError(400, "New email must be different from the current email");
+  }
+
+  return {
+    ...result,
+    message: "Confirmation link sent to the new email address. Your email will change once it is confirmed.",
+  };
+};
+
 module.exports = {
   processPasswordChange,
   processGetAccountDetail,
+  processGetSessions,
+  processRevokeSession,
+  processRevokeAllSessions,
+  requestEmailChange,
+  processEmailChange,
 };
@@ -0,0 +1,38 @@
+const {
+  API_KEY_PREFIX,
+  hashApiKey,
+  generateApiKey,
+  getBearerApiKey,
+  matchesAccessControlPath,
+} = require("../api-key-utils");
+
+const requestWithAuthorization = (value) => ({
+  get: (header) => (header.toLowerCase() === "authorization" ? value : undefined),
+});
+
+describe("API Key Utils", () => {
+  it("should generate prefixed keys and only keep their hash", () => {
+    const { apiKey, keyPrefix, keyHash } = generateApiKey();
+
+    expect(apiKey.startsWith(API_KEY_PREFIX)).toBe(true);
+    expect(apiKey.startsWith(keyPrefix)).toBe(true);
+    expect(keyHash).toBe(hashApiKey(apiKey));
+    expect(keyHash).toHaveLength(64);
+    expect(generateApiKey().apiKey).not.toBe(apiKey);
+  });
+
+  it("should read API keys from the bearer authorization header only", () => {
+    expect(getBearerApiKey(requestWithAuthorization("Bearer sma_abc"))).toBe("sma_abc");
+    expect(getBearerApiKey(requestWithAuthorization("bearer sma_abc"))).toBe("sma_abc");
+    expect(getBearerApiKey(requestWithAuthorization("Bearer eyJhbGciOi"))).toBeNull();
+    expect(getBearerApiKey(requestWithAuthorization("Basic sma_abc"))).toBeNull();
+    expect(getBearerApiKey(requestWithAuthorization(undefined))).toBeNull();
+  });
+
+  it("should match request paths against access control patterns", () => {
+    expect(matchesAccessControlPath("/api/v1/students/:id", "/api/v1/students/12")).toBe(true);
+    expect(matchesAccessControlPath("/api/v1/students", "/api/v1/students/")).toBe(true);
+    expect(matchesAccessControlPath("/api/v1/students/:id", "/api/v1/students/12/status")).toBe(false);
+    expect(matchesAccessControlPath("/api/v1/students", "/api/v1/staffs")).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+const asyncHandler = require("express-async-handler");
+const { processGetApiKeys, processCreateApiKey, processRevokeApiKey } = require("./api-key-service");
+
+const handleGetApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await processGetApiKeys();
+    res.json(apiKeys);
+});
+
+const handleCreateApiKey = asyncHandler(async (req, res) => {
+    const { id: createdBy } = req.user;
+    const apiKey = await processCreateApiKey({ ...req.body, createdBy });
+    res.status(201).json(apiKey);
+});
+
+const handleRevokeApiKey = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const message = await processRevokeApiKey(id);
+    res.json(message);
+});
+
+module.exports = {
+    handleGetApiKeys,
+    handleCreateApiKey,
+    handleRevokeApiKey
+};
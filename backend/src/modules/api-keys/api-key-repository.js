@@ -0,0 +1,140 @@
+const { processDBRequest } = require("../../utils");
+
+const findApiKeys = async () => {
+    const query = `
+        SELECT
+            k.id,
+            k.name,
+            k.key_prefix AS "keyPrefix",
+            k.role_id AS "roleId",
+            r.name AS "roleName",
+            COALESCE(
+                (SELECT array_agg(kac.access_control_id ORDER BY kac.access_control_id)
+                FROM api_key_access_controls kac WHERE kac.api_key_id = k.id),
+                '{}'
+            ) AS "accessControlIds",
+            k.created_by AS "createdBy",
+            u.name AS "createdByName",
+            k.created_dt AS "createdDate",
+            k.expires_at AS "expiresAt",
+            k.last_used_at AS "lastUsedAt",
+            k.last_used_ip AS "lastUsedIp",
+            k.revoked_at AS "revokedAt"
+        FROM api_keys k
+        LEFT JOIN roles r ON r.id = k.role_id
+        LEFT JOIN users u ON u.id = k.created_by
+        ORDER BY k.id DESC
+    `;
+    const { rows } = await processDBRequest({ query });
+    return rows;
+}
+
+const findUsableApiKeyByHash = async (keyHash) => {
+    const query = `
+        SELECT k.id, k.name, k.role_id, k.created_by, lower(r.name) AS role_name
+        FROM api_keys k
+        JOIN users u ON u.id = k.created_by
+        LEFT JOIN roles r ON r.id = k.role_id
+        WHERE k.key_hash = $1
+            AND k.revoked_at IS NULL
+            AND k.expires_at > now()
+            AND u.is_active = true
+            AND (k.role_id IS NULL OR r.is_active = true)
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [keyHash] });
+    return rows[0];
+}
+
+// Everything a key may call: its role's permissions or its explicit access_controls subset
+const findApiKeyAccessControls = async (apiKeyId) => {
+    const query = `
+        SELECT ac.path, ac.method
+        FROM access_controls ac
+        WHERE ac.type = 'api'
+            AND (
+                ac.id IN (SELECT access_control_id FROM api_key_access_controls WHERE api_key_id = $1)
+                OR ac.id IN (
+                    SELECT rps.access_control_id
+                    FROM api_keys k
+                    CROSS JOIN LATERAL role_permission_sources(k.role_id) rps
+                    WHERE k.id = $1 AND NOT rps.is_denied
+                )
+            )
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [apiKeyId] });
+    return rows;
+}
+
+// Data scope of each way the key reaches the route, empty when it does not. Access controls
+// listed on the key itself are unscoped.
+const getApiKeyPermissionScopes = async (apiKeyId, apiPath, apiMethod) => {
+    const query = `
+        SELECT 'all' AS "dataScope"
+        FROM api_key_access_controls kac
+        JOIN access_controls ac ON ac.id = kac.access_control_id
+        WHERE kac.api_key_id = $1 AND ac.path = $2 AND ac.method = $3
+        UNION
+        SELECT rps.data_scope AS "dataScope"
+        FROM api_keys k
+        CROSS JOIN LATERAL role_permission_sources(k.role_id) rps
+        JOIN access_controls ac ON ac.id = rps.access_control_id
+        WHERE k.id = $1 AND NOT rps.is_denied AND ac.path = $2 AND ac.method = $3
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [apiKeyId, apiPath, apiMethod] });
+    return rows.map(({ dataScope }) => dataScope);
+}
+
+// Written at most once a minute per key so busy integrations do not turn every call into a write
+const saveApiKeyLastUsed = async (apiKeyId, ipAddress) => {
+    const query = `
+        UPDATE api_keys
+        SET last_used_at = now(), last_used_ip = $2
+        WHERE id = $1
+            AND (last_used_at IS NULL OR last_used_at < now() - INTERVAL '1 minute')
+    `;
+    await processDBRequest({ query, queryParams: [apiKeyId, ipAddress] });
+}
+
+const countApiAccessControls = async (accessControlIds) => {
+    const query = "SELECT COUNT(*)::int AS total FROM access_controls WHERE id = ANY($1::int[]) AND type = 'api'";
+    const { rows } = await processDBRequest({ query, queryParams: [accessControlIds] });
+    return rows[0].total;
+}
+
+const insertApiKey = async (payload, client) => {
+    const { name, keyPrefix, keyHash, roleId, createdBy, expiresAt } = payload;
+    const query = `
+        INSERT INTO api_keys (name, key_prefix, key_hash, role_id, created_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `;
+    const queryParams = [name, keyPrefix, keyHash, roleId, createdBy, expiresAt];
+    const { rows } = await client.query(query, queryParams);
+    return rows[0].id;
+}
+
+const insertApiKeyAccessControls = async (apiKeyId, accessControlIds, client) => {
+    const query = `
+        INSERT INTO api_key_access_controls (api_key_id, access_control_id)
+        SELECT $1, UNNEST($2::int[])
+    `;
+    await client.query(query, [apiKeyId, accessControlIds]);
+}
+
+const revokeApiKeyById = async (id) => {
+    const query = "UPDATE api_keys SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL";
+    const { rowCount } = await processDBRequest({ query, queryParams: [id] });
+    return rowCount;
+}
+
+module.exports = {
+    findApiKeys,
+    findUsableApiKeyByHash,
+    findApiKeyAccessControls,
+    getApiKeyPermissionScopes,
+    saveApiKeyLastUsed,
+    countApiAccessControls,
+    insertApiKey,
+    insertApiKeyAccessControls,
+    revokeApiKeyById,
+};
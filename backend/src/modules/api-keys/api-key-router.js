@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("./api-key-controller");
+const { isUserAdmin } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { CreateApiKeySchema, ApiKeyIdSchema } = require("./api-key-schema");
+
+router.get("", isUserAdmin, apiKeyController.handleGetApiKeys);
+router.post("", isUserAdmin, validateRequest(CreateApiKeySchema), apiKeyController.handleCreateApiKey);
+router.delete("/:id", isUserAdmin, validateRequest(ApiKeyIdSchema), apiKeyController.handleRevokeApiKey);
+
+module.exports = { apiKeyRoutes: router };
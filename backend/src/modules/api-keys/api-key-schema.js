@@ -0,0 +1,25 @@
+const { z } = require("zod");
+
+const CreateApiKeySchema = z.object({
+    body: z.object({
+        name: z.string().trim().min(1, "Name is required").max(100, "Name must be at most 100 characters"),
+        roleId: z.number().int().positive().optional(),
+        accessControlIds: z.array(z.number().int().positive()).min(1).optional(),
+        expiresAt: z.string().datetime({ offset: true, message: "Expiry must be an ISO date-time" })
+            .refine((value) => new Date(value) > new Date(), "Expiry must be in the future")
+    }).refine((body) => Boolean(body.roleId) !== Boolean(body.accessControlIds), {
+        message: "Provide either roleId or accessControlIds",
+        path: ["roleId"]
+    })
+});
+
+const ApiKeyIdSchema = z.object({
+    params: z.object({
+        id: z.coerce.number().int().positive("Valid API key id is required")
+    })
+});
+
+module.exports = {
+    CreateApiKeySchema,
+    ApiKeyIdSchema
+};
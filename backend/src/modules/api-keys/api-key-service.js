@@ -0,0 +1,110 @@
+const { ApiError } = require("../../utils");
+const { db } = require("../../config");
+const { doesRoleIdExist } = require("../roles-and-permissions/rp-repository");
+const { generateApiKey, hashApiKey, matchesAccessControlPath } = require("./api-key-utils");
+const {
+    findApiKeys,
+    findUsableApiKeyByHash,
+    findApiKeyAccessControls,
+    saveApiKeyLastUsed,
+    countApiAccessControls,
+    insertApiKey,
+    insertApiKeyAccessControls,
+    revokeApiKeyById,
+} = require("./api-key-repository");
+
+const INVALID_API_KEY = "Invalid or expired API key";
+
+const processGetApiKeys = async () => {
+    const apiKeys = await findApiKeys();
+    return { apiKeys };
+}
+
+const processCreateApiKey = async ({ name, roleId, accessControlIds, expiresAt, createdBy }) => {
+    if (roleId) {
+        // Admin skips every permission check, which would make the key unscoped
+        if (Number(roleId) === 1) {
+            throw new ApiError(400, "API keys cannot be bound to the admin role");
+        }
+        if (!(await doesRoleIdExist(roleId))) {
+            throw new ApiError(404, "Role does not exist");
+        }
+    } else {
+        const uniqueIds = [...new Set(accessControlIds)];
+        if ((await countApiAccessControls(uniqueIds)) !== uniqueIds.length) {
+            throw new ApiError(400, "Access controls must be existing API entries");
+        }
+        accessControlIds = uniqueIds;
+    }
+
+    const { apiKey, keyPrefix, keyHash } = generateApiKey();
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+
+        const id = await insertApiKey(
+            { name, keyPrefix, keyHash, roleId: roleId || null, createdBy, expiresAt },
+            client
+        );
+        if (!roleId) {
+            await insertApiKeyAccessControls(id, accessControlIds, client);
+        }
+
+        await client.query("COMMIT");
+
+        return {
+            id,
+            apiKey,
+            keyPrefix,
+            message: "API key created. Copy it now, it will not be shown again.",
+        };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const processRevokeApiKey = async (id) => {
+    const affectedRow = await revokeApiKeyById(id);
+    if (affectedRow <= 0) {
+        throw new ApiError(404, "API key does not exist or is already revoked");
+    }
+    return { message: "API key revoked successfully" };
+}
+
+// Routes without checkApiAccess must not become reachable with a key, so the request path is
+// matched against the key's access controls up front as well
+const authenticateApiKey = async ({ apiKey, method, path, ipAddress }) => {
+    const storedKey = await findUsableApiKeyByHash(hashApiKey(apiKey));
+    if (!storedKey) {
+        throw new ApiError(401, INVALID_API_KEY);
+    }
+
+    const accessControls = await findApiKeyAccessControls(storedKey.id);
+    const isAllowed = accessControls.some(
+        (accessControl) => accessControl.method === method && matchesAccessControlPath(accessControl.path, path)
+    );
+    if (!isAllowed) {
+        throw new ApiError(403, `This API key does not have access to this resource - ${path}`);
+    }
+
+    await saveApiKeyLastUsed(storedKey.id, ipAddress);
+
+    // The key is its own principal: no user id, only its role or access controls
+    return {
+        id: null,
+        role: storedKey.role_name,
+        roleId: storedKey.role_id,
+        apiKeyId: storedKey.id,
+        apiKeyName: storedKey.name,
+    };
+}
+
+module.exports = {
+    processGetApiKeys,
+    processCreateApiKey,
+    processRevokeApiKey,
+    authenticateApiKey,
+};
@@ -0,0 +1,43 @@
+const { createHash, randomBytes } = require("crypto");
+
+const API_KEY_PREFIX = "sma_";
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Keys carry 256 bits of randomness, so a plain SHA-256 is enough to store them
+const hashApiKey = (apiKey) => createHash("sha256").update(apiKey).digest("hex");
+
+const generateApiKey = () => {
+    const apiKey = `${API_KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+    return {
+        apiKey,
+        keyPrefix: apiKey.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashApiKey(apiKey),
+    };
+}
+
+const getBearerApiKey = (req) => {
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    if (!scheme || scheme.toLowerCase() !== "bearer" || !token || !token.startsWith(API_KEY_PREFIX)) {
+        return null;
+    }
+    return token;
+}
+
+const trimTrailingSlash = (path) => (path.length > 1 ? path.replace(/\/+$/, "") : path);
+
+// access_controls paths use express patterns such as /api/v1/students/:id
+const matchesAccessControlPath = (pattern, path) => {
+    const source = trimTrailingSlash(pattern)
+        .split("/")
+        .map((segment) => (segment.startsWith(":") ? "[^/]+" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+        .join("/");
+    return new RegExp(`^${source}$`).test(trimTrailingSlash(path));
+}
+
+module.exports = {
+    API_KEY_PREFIX,
+    hashApiKey,
+    generateApiKey,
+    getBearerApiKey,
+    matchesAccessControlPath,
+};
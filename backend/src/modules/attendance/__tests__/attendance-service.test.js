@@ -0,0 +1,162 @@
+const { getSectionAttendance, takeAttendance, markAllPresent, getSectionRegister } = require("../attendance-service");
+const {
+  findAcademicYearForDate,
+  findClassTeacherId,
+  findSectionRoster,
+  upsertAttendance,
+  insertPresentForUnmarked,
+  findSectionAttendance,
+} = require("../attendance-repository");
+const { findActiveDelegations } = require("../../permission-grants/permission-grant-repository");
+
+jest.mock("../../../config", () => ({
+  db: {},
+  env: { ATTENDANCE_EDIT_WINDOW_DAYS: 3 },
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../attendance-repository");
+jest.mock("../../permission-grants/permission-grant-repository");
+
+const admin = { id: 1, roleId: 1 };
+const classTeacher = { id: 7, roleId: 2 };
+const otherTeacher = { id: 8, roleId: 2 };
+const grade9A = { className: "Grade 9", sectionName: "A" };
+
+describe("Attendance Service", () => {
+  beforeAll(() => {
+    jest.useFakeTimers().setSystemTime(new Date(2026, 9, 19, 10, 30));
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findAcademicYearForDate.mockResolvedValue({ id: 3, name: "2026" });
+    findClassTeacherId.mockResolvedValue(classTeacher.id);
+    findActiveDelegations.mockResolvedValue([]);
+    findSectionRoster.mockResolvedValue([
+      { studentId: 11, name: "Asha", roll: 1, status: "present" },
+      { studentId: 12, name: "Bilal", roll: 2, status: "absent" },
+      { studentId: 13, name: "Chen", roll: 3, status: null },
+    ]);
+    upsertAttendance.mockResolvedValue(2);
+    insertPresentForUnmarked.mockResolvedValue(1);
+  });
+
+  it("should let the class teacher take attendance of their section's students only", async () => {
+    const result = await takeAttendance({
+      user: classTeacher,
+      ...grade9A,
+      date: "2026-10-19",
+      records: [
+        { studentId: 11, status: "late" },
+        { studentId: 13, status: "excused", note: "Sick" },
+      ],
+    });
+
+    expect(result).toEqual({ message: "Attendance saved successfully", savedStudents: 2 });
+    expect(upsertAttendance).toHaveBeenCalledWith(expect.objectContaining({ date: "2026-10-19", markedBy: 7 }));
+
+    await expect(
+      takeAttendance({ user: classTeacher, ...grade9A, date: "2026-10-19", records: [{ studentId: 99, status: "present" }] })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      detail: [{ path: "records.0.studentId", message: "Student 99 is not enrolled in Grade 9 A in 2026" }],
+    });
+  });
+
+  it("should refuse other teachers unless they cover for the class teacher", async () => {
+    const accessControl = { path: "/api/v1/attendance/mark-all-present", method: "POST" };
+    const payload = { user: otherTeacher, ...grade9A, date: "2026-10-19", accessControl };
+    await expect(markAllPresent(payload)).rejects.toMatchObject({
+      statusCode: 403,
+      message: "Only the class teacher of Grade 9 A can take its attendance",
+    });
+    expect(insertPresentForUnmarked).not.toHaveBeenCalled();
+
+    findActiveDelegations.mockResolvedValue([{ delegatorId: 7, delegatorName: "Meera" }]);
+    const result = await markAllPresent(payload);
+
+    expect(findActiveDelegations).toHaveBeenCalledWith(8, accessControl);
+    expect(result).toEqual({
+      message: "1 students marked present",
+      markedStudents: 1,
+      onBehalfOf: { id: 7, name: "Meera" },
+    });
+    expect(insertPresentForUnmarked).toHaveBeenCalledWith(expect.objectContaining({ academicYearId: 3, markedBy: 8 }));
+  });
+
+  it("should close the edit window for class teachers but not for admins, and refuse future dates", async () => {
+    const payload = { ...grade9A, records: [{ studentId: 11, status: "present" }] };
+
+    await expect(takeAttendance({ ...payload, user: classTeacher, date: "2026-10-16" })).resolves.toBeDefined();
+    await expect(takeAttendance({ ...payload, user: classTeacher, date: "2026-10-15" })).rejects.toMatchObject({
+      statusCode: 403,
+      message: "Attendance older than 3 days can only be changed by an admin",
+    });
+    await expect(takeAttendance({ ...payload, user: admin, date: "2026-09-01" })).resolves.toBeDefined();
+    await expect(takeAttendance({ ...payload, user: admin, date: "2026-10-20" })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("should show the day of a section with its summary and whether it can still be changed", async () => {
+    const attendance = await getSectionAttendance({ user: otherTeacher, ...grade9A, date: "2026-10-19" });
+
+    expect(attendance.isEditable).toBe(false);
+    expect(attendance.summary).toEqual({ present: 1, absent: 1, late: 0, excused: 0, percentage: 50, unmarked: 1 });
+    expect(attendance.students).toHaveLength(3);
+  });
+
+  it("should refuse days outside every academic year", async () => {
+    findAcademicYearForDate.mockResolvedValue(undefined);
+
+    await expect(getSectionAttendance({ user: admin, ...grade9A, date: "2020-01-06" })).rejects.toMatchObject({
+      statusCode: 400,
+      message: "No academic year covers 2020-01-06",
+    });
+  });
+
+  it("should build the monthly register per student, leaving excused days out of the percentage", async () => {
+    findSectionAttendance.mockResolvedValue([
+      { studentId: 11, name: "Asha", roll: 1, date: "2026-10-01", status: "present" },
+      { studentId: 11, name: "Asha", roll: 1, date: "2026-10-02", status: "late" },
+      { studentId: 11, name: "Asha", roll: 1, date: "2026-10-05", status: "absent" },
+      { studentId: 12, name: "Bilal", roll: 2, date: "2026-10-01", status: "excused" },
+      { studentId: 12, name: "Bilal", roll: 2, date: "2026-10-05", status: "present" },
+    ]);
+
+    const register = await getSectionRegister({ ...grade9A, month: "2026-10" });
+
+    expect(findSectionAttendance).toHaveBeenCalledWith(expect.objectContaining({ from: "2026-10-01", to: "2026-10-31" }));
+    expect(register.days).toEqual(["2026-10-01", "2026-10-02", "2026-10-05"]);
+    expect(register.summary).toEqual({ present: 2, absent: 1, late: 1, excused: 1, percentage: 75 });
+    expect(register.students).toEqual([
+      {
+        studentId: 11,
+        name: "Asha",
+        roll: 1,
+        days: { "2026-10-01": "present", "2026-10-02": "late", "2026-10-05": "absent" },
+        present: 1,
+        absent: 1,
+        late: 1,
+        excused: 0,
+        percentage: 66.7,
+      },
+      {
+        studentId: 12,
+        name: "Bilal",
+        roll: 2,
+        days: { "2026-10-01": "excused", "2026-10-05": "present" },
+        present: 1,
+        absent: 0,
+        late: 0,
+        excused: 1,
+        percentage: 100,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+const asyncHandler = require("express-async-handler");
+const {
+    getSectionAttendance,
+    takeAttendance,
+    markAllPresent,
+    getSectionRegister,
+    getStudentRegister
+} = require("./attendance-service");
+
+const handleGetSectionAttendance = asyncHandler(async (req, res) => {
+    const { className, sectionName, date } = req.query;
+    const { user, dataScope } = req;
+    // Editable means a delegation would let the user take the attendance, which is a PUT here
+    const accessControl = { ...req.accessControl, method: "PUT" };
+    const attendance = await getSectionAttendance({ user, className, sectionName, date, dataScope, accessControl });
+    res.json(attendance);
+});
+
+const handleTakeAttendance = asyncHandler(async (req, res) => {
+    const { className, sectionName, date, records } = req.body;
+    const { user, accessControl } = req;
+    const message = await takeAttendance({ user, className, sectionName, date, records, accessControl });
+    res.json(message);
+});
+
+const handleMarkAllPresent = asyncHandler(async (req, res) => {
+    const { className, sectionName, date } = req.body;
+    const { user, accessControl } = req;
+    const message = await markAllPresent({ user, className, sectionName, date, accessControl });
+    res.json(message);
+});
+
+const handleGetSectionRegister = asyncHandler(async (req, res) => {
+    const { className, sectionName, month } = req.query;
+    const { dataScope } = req;
+    const register = await getSectionRegister({ className, sectionName, month, dataScope });
+    res.json(register);
+});
+
+const handleGetStudentRegister = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { month } = req.query;
+    const { dataScope } = req;
+    const register = await getStudentRegister({ studentId: Number(id), month, dataScope });
+    res.json(register);
+});
+
+module.exports = {
+    handleGetSectionAttendance,
+    handleTakeAttendance,
+    handleMarkAllPresent,
+    handleGetSectionRegister,
+    handleGetStudentRegister
+};
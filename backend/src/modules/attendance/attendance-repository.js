@@ -0,0 +1,145 @@
+const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
+
+const findAcademicYearForDate = async (date) => {
+    const query = `
+        SELECT id, name
+        FROM academic_years
+        WHERE $1::DATE BETWEEN start_date AND end_date
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [date] });
+    return rows[0];
+}
+
+const findClassTeacherId = async ({ className, sectionName }) => {
+    const query = "SELECT teacher_id FROM class_teachers WHERE class_name = $1 AND section_name = $2";
+    const { rows } = await processDBRequest({ query, queryParams: [className, sectionName] });
+    return rows[0]?.teacher_id ?? null;
+}
+
+// Students enrolled in the section for the year, with what was marked for them on the date
+const findSectionRoster = async ({ academicYearId, className, sectionName, date, dataScope }) => {
+    let query = `
+        SELECT
+            e.student_id AS "studentId",
+            u.name,
+            e.roll,
+            a.status,
+            a.note,
+            m.name AS "markedBy"
+        FROM student_enrollments e
+        JOIN users u ON u.id = e.student_id AND u.role_id = 3
+        LEFT JOIN student_attendance a ON a.student_id = e.student_id AND a.attendance_dt = $4
+        LEFT JOIN users m ON m.id = a.marked_by
+        WHERE e.academic_year_id = $1 AND e.class_name = $2 AND e.section_name = $3`;
+    const queryParams = [academicYearId, className, sectionName, date];
+    query += buildDataScopeCondition(dataScope, "e.student_id", queryParams);
+    query += " ORDER BY e.roll NULLS LAST, u.name";
+
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+const upsertAttendance = async ({ className, sectionName, date, records, markedBy }) => {
+    const query = `
+        INSERT INTO student_attendance (student_id, attendance_dt, class_name, section_name, status, note, marked_by)
+        SELECT student_id, $1, $2, $3, status, note, $4
+        FROM unnest($5::int[], $6::text[], $7::text[]) AS r(student_id, status, note)
+        ON CONFLICT (student_id, attendance_dt) DO UPDATE
+        SET
+            class_name = EXCLUDED.class_name,
+            section_name = EXCLUDED.section_name,
+            status = EXCLUDED.status,
+            note = EXCLUDED.note,
+            marked_by = EXCLUDED.marked_by,
+            updated_dt = now()
+    `;
+    const queryParams = [
+        date,
+        className,
+        sectionName,
+        markedBy,
+        records.map(({ studentId }) => studentId),
+        records.map(({ status }) => status),
+        records.map(({ note }) => note ?? null)
+    ];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+// Students already marked on the date keep their status
+const insertPresentForUnmarked = async ({ academicYearId, className, sectionName, date, markedBy }) => {
+    const query = `
+        INSERT INTO student_attendance (student_id, attendance_dt, class_name, section_name, status, marked_by)
+        SELECT e.student_id, $4, e.class_name, e.section_name, 'present', $5
+        FROM student_enrollments e
+        JOIN users u ON u.id = e.student_id AND u.role_id = 3
+        WHERE e.academic_year_id = $1 AND e.class_name = $2 AND e.section_name = $3
+        ON CONFLICT (student_id, attendance_dt) DO NOTHING
+    `;
+    const queryParams = [academicYearId, className, sectionName, date, markedBy];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+// Roll is the one of the academic year the day belongs to
+const ATTENDANCE_ROW_COLUMNS = `
+    a.student_id AS "studentId",
+    u.name,
+    e.roll,
+    to_char(a.attendance_dt, 'YYYY-MM-DD') AS date,
+    a.class_name AS "className",
+    a.section_name AS "sectionName",
+    a.status,
+    a.note
+`;
+const ATTENDANCE_ROW_JOINS = `
+    JOIN users u ON u.id = a.student_id
+    LEFT JOIN academic_years y ON a.attendance_dt BETWEEN y.start_date AND y.end_date
+    LEFT JOIN student_enrollments e ON e.student_id = a.student_id AND e.academic_year_id = y.id
+`;
+
+const findSectionAttendance = async ({ className, sectionName, from, to, dataScope }) => {
+    let query = `
+        SELECT ${ATTENDANCE_ROW_COLUMNS}
+        FROM student_attendance a
+        ${ATTENDANCE_ROW_JOINS}
+        WHERE a.class_name = $1 AND a.section_name = $2 AND a.attendance_dt BETWEEN $3 AND $4`;
+    const queryParams = [className, sectionName, from, to];
+    query += buildDataScopeCondition(dataScope, "a.student_id", queryParams);
+    query += " ORDER BY e.roll NULLS LAST, u.name, a.attendance_dt";
+
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+const findStudentAttendance = async ({ studentId, from, to }) => {
+    const query = `
+        SELECT ${ATTENDANCE_ROW_COLUMNS}
+        FROM student_attendance a
+        ${ATTENDANCE_ROW_JOINS}
+        WHERE a.student_id = $1 AND a.attendance_dt BETWEEN $2 AND $3
+        ORDER BY a.attendance_dt
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [studentId, from, to] });
+    return rows;
+}
+
+const findStudent = async (id, dataScope) => {
+    let query = "SELECT id, name FROM users WHERE id = $1 AND role_id = 3";
+    const queryParams = [id];
+    query += buildDataScopeCondition(dataScope, "id", queryParams);
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0];
+}
+
+module.exports = {
+    findAcademicYearForDate,
+    findClassTeacherId,
+    findSectionRoster,
+    upsertAttendance,
+    insertPresentForUnmarked,
+    findSectionAttendance,
+    findStudentAttendance,
+    findStudent
+};
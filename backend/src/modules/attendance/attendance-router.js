@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const attendanceController = require("./attendance-controller");
+const { checkApiAccess, blockApiKey } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const {
+    SectionAttendanceSchema,
+    TakeAttendanceSchema,
+    MarkAllPresentSchema,
+    SectionRegisterSchema,
+    StudentRegisterSchema
+} = require("./attendance-schema");
+
+router.get("", blockApiKey, checkApiAccess, validateRequest(SectionAttendanceSchema), attendanceController.handleGetSectionAttendance);
+router.put("", blockApiKey, checkApiAccess, validateRequest(TakeAttendanceSchema), attendanceController.handleTakeAttendance);
+router.post("/mark-all-present", blockApiKey, checkApiAccess, validateRequest(MarkAllPresentSchema), attendanceController.handleMarkAllPresent);
+router.get("/register", checkApiAccess, validateRequest(SectionRegisterSchema), attendanceController.handleGetSectionRegister);
+router.get("/students/:id/register", checkApiAccess, validateRequest(StudentRegisterSchema), attendanceController.handleGetStudentRegister);
+
+module.exports = { attendanceRoutes: router };
@@ -0,0 +1,61 @@
+const { z } = require("zod");
+
+const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused"];
+
+const date = z.string().date("Date must be in YYYY-MM-DD format");
+const month = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, "Month must be in YYYY-MM format");
+const name = (label) => z.string().trim().min(1, `${label} is required`).max(50);
+
+const SectionDay = {
+    className: name("Class"),
+    sectionName: name("Section"),
+    date
+};
+
+const SectionAttendanceSchema = z.object({
+    query: z.object(SectionDay)
+});
+
+const TakeAttendanceSchema = z.object({
+    body: z.object({
+        ...SectionDay,
+        records: z.array(z.object({
+            studentId: z.number().int().positive("Valid student id is required"),
+            status: z.enum(ATTENDANCE_STATUSES),
+            note: z.string().trim().max(255, "Note must be at most 255 characters").optional()
+        })).min(1, "At least one student is required")
+    }).refine((body) => new Set(body.records.map(({ studentId }) => studentId)).size === body.records.length, {
+        message: "Each student can be marked once",
+        path: ["records"]
+    })
+});
+
+const MarkAllPresentSchema = z.object({
+    body: z.object(SectionDay)
+});
+
+const SectionRegisterSchema = z.object({
+    query: z.object({
+        className: name("Class"),
+        sectionName: name("Section"),
+        month
+    })
+});
+
+const StudentRegisterSchema = z.object({
+    params: z.object({
+        id: z.coerce.number().int().positive("Valid student id is required")
+    }),
+    query: z.object({
+        month
+    })
+});
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    SectionAttendanceSchema,
+    TakeAttendanceSchema,
+    MarkAllPresentSchema,
+    SectionRegisterSchema,
+    StudentRegisterSchema
+};
@@ -0,0 +1,198 @@
+const { ApiError } = require("../../utils");
+const { env } = require("../../config");
+const { findActiveDelegations } = require("../permission-grants/permission-grant-repository");
+const {
+    findAcademicYearForDate,
+    findClassTeacherId,
+    findSectionRoster,
+    upsertAttendance,
+    insertPresentForUnmarked,
+    findSectionAttendance,
+    findStudentAttendance,
+    findStudent
+} = require("./attendance-repository");
+
+const ADMIN_ROLE_ID = 1;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Dates are compared as YYYY-MM-DD strings in the server's time zone
+const toLocalDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0")
+].join("-");
+
+const getMonthRange = (month) => {
+    const [year, monthNumber] = month.split("-").map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    return { from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, "0")}` };
+}
+
+// Present and late count as attended, excused days are left out of the percentage
+const summarizeAttendance = (rows) => {
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    const summary = { present: count("present"), absent: count("absent"), late: count("late"), excused: count("excused") };
+    const countedDays = summary.present + summary.late + summary.absent;
+    return {
+        ...summary,
+        percentage: countedDays > 0
+            ? Math.round(((summary.present + summary.late) / countedDays) * 1000) / 10
+            : null
+    };
+}
+
+// The class teacher of the section takes its attendance, or whoever covers for them through a
+// delegation, from the day itself until the edit window closes. Admins can change any past day.
+const getAttendanceAccess = async ({ user, className, sectionName, date, accessControl }) => {
+    const today = toLocalDate(new Date());
+    if (date > today) {
+        return { error: { status: 400, message: "Attendance cannot be taken for a future date" } };
+    }
+    if (user.roleId === ADMIN_ROLE_ID) {
+        return { error: null, delegation: null };
+    }
+
+    const teacherId = await findClassTeacherId({ className, sectionName });
+    let delegation = null;
+    if (teacherId !== user.id) {
+        delegation = teacherId
+            ? (await findActiveDelegations(user.id, accessControl)).find(({ delegatorId }) => delegatorId === teacherId)
+            : null;
+        if (!delegation) {
+            return { error: { status: 403, message: `Only the class teacher of ${className} ${sectionName} can take its attendance` } };
+        }
+    }
+
+    const editWindowDays = parseInt(env.ATTENDANCE_EDIT_WINDOW_DAYS);
+    if ((Date.parse(today) - Date.parse(date)) / DAY_IN_MS > editWindowDays) {
+        return { error: { status: 403, message: `Attendance older than ${editWindowDays} days can only be changed by an admin` } };
+    }
+    return { error: null, delegation };
+}
+
+const checkAttendanceAccess = async (payload) => {
+    const { error, delegation } = await getAttendanceAccess(payload);
+    if (error) {
+        throw new ApiError(error.status, error.message);
+    }
+    return delegation;
+}
+
+const getAcademicYearForDate = async (date) => {
+    const academicYear = await findAcademicYearForDate(date);
+    if (!academicYear) {
+        throw new ApiError(400, `No academic year covers ${date}`);
+    }
+    return academicYear;
+}
+
+const withOnBehalfOf = (result, delegation) => delegation
+    ? { ...result, onBehalfOf: { id: delegation.delegatorId, name: delegation.delegatorName } }
+    : result;
+
+const getSectionAttendance = async ({ user, className, sectionName, date, dataScope, accessControl }) => {
+    const academicYear = await getAcademicYearForDate(date);
+    const students = await findSectionRoster({ academicYearId: academicYear.id, className, sectionName, date, dataScope });
+    const { error } = await getAttendanceAccess({ user, className, sectionName, date, accessControl });
+
+    return {
+        date,
+        className,
+        sectionName,
+        academicYear,
+        isEditable: !error,
+        summary: {
+            ...summarizeAttendance(students),
+            unmarked: students.filter(({ status }) => !status).length
+        },
+        students
+    };
+}
+
+const takeAttendance = async ({ user, className, sectionName, date, records, accessControl }) => {
+    const delegation = await checkAttendanceAccess({ user, className, sectionName, date, accessControl });
+    const academicYear = await getAcademicYearForDate(date);
+
+    const roster = await findSectionRoster({ academicYearId: academicYear.id, className, sectionName, date });
+    const enrolledIds = new Set(roster.map(({ studentId }) => studentId));
+    const errors = records
+        .map(({ studentId }, index) => ({ studentId, index }))
+        .filter(({ studentId }) => !enrolledIds.has(studentId))
+        .map(({ studentId, index }) => ({
+            path: `records.${index}.studentId`,
+            message: `Student ${studentId} is not enrolled in ${className} ${sectionName} in ${academicYear.name}`
+        }));
+    if (errors.length > 0) {
+        throw new ApiError(400, "Attendance can only be taken for students of the section", errors);
+    }
+
+    const affectedRow = await upsertAttendance({ className, sectionName, date, records, markedBy: user.id });
+    if (affectedRow <= 0) {
+        throw new ApiError(500, "Unable to save attendance");
+    }
+    return withOnBehalfOf({ message: "Attendance saved successfully", savedStudents: affectedRow }, delegation);
+}
+
+const markAllPresent = async ({ user, className, sectionName, date, accessControl }) => {
+    const delegation = await checkAttendanceAccess({ user, className, sectionName, date, accessControl });
+    const academicYear = await getAcademicYearForDate(date);
+
+    const markedStudents = await insertPresentForUnmarked({
+        academicYearId: academicYear.id,
+        className,
+        sectionName,
+        date,
+        markedBy: user.id
+    });
+    return withOnBehalfOf({ message: `${markedStudents} students marked present`, markedStudents }, delegation);
+}
+
+// Days are the school days, the ones on which attendance was taken in the section
+const getSectionRegister = async ({ className, sectionName, month, dataScope }) => {
+    const rows = await findSectionAttendance({ className, sectionName, ...getMonthRange(month), dataScope });
+
+    const studentsById = new Map();
+    for (const { studentId, name, roll, date, status } of rows) {
+        if (!studentsById.has(studentId)) {
+            studentsById.set(studentId, { studentId, name, roll, days: {}, rows: [] });
+        }
+        const student = studentsById.get(studentId);
+        student.days[date] = status;
+        student.rows.push({ status });
+    }
+
+    return {
+        month,
+        className,
+        sectionName,
+        days: [...new Set(rows.map(({ date }) => date))].sort(),
+        summary: summarizeAttendance(rows),
+        students: [...studentsById.values()].map(({ rows: studentRows, ...student }) => ({
+            ...student,
+            ...summarizeAttendance(studentRows)
+        }))
+    };
+}
+
+const getStudentRegister = async ({ studentId, month, dataScope }) => {
+    const student = await findStudent(studentId, dataScope);
+    if (!student) {
+        throw new ApiError(404, "Student not found");
+    }
+
+    const rows = await findStudentAttendance({ studentId, ...getMonthRange(month) });
+    return {
+        month,
+        student,
+        summary: summarizeAttendance(rows),
+        days: rows.map(({ date, status, note, className, sectionName }) => ({ date, status, note, className, sectionName }))
+    };
+}
+
+module.exports = {
+    getSectionAttendance,
+    takeAttendance,
+    markAllPresent,
+    getSectionRegister,
+    getStudentRegister
+};
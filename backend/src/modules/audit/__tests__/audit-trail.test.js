@@ -0,0 +1,114 @@
+const { computeChanges, REDACTED } = require("../audit-changes");
+const { EventEmitter } = require("events");
+const { auditTrail, resolveAuditTarget } = require("../../../middlewares/audit-trail");
+const { toCsvValue, recordAuditEvent } = require("../audit-service");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  getSessionMeta: jest.fn(),
+}));
+jest.mock("../audit-service", () => ({
+  ...jest.requireActual("../audit-service"),
+  getEntitySnapshot: jest.fn(),
+  getRequestAuditContext: jest.fn().mockReturnValue({}),
+  recordAuditEvent: jest.fn(),
+}));
+
+describe("Audit Trail", () => {
+  describe("computeChanges", () => {
+    it("should list only the fields that changed", () => {
+      const before = { name: "John", phone: "111", class_name: "Grade 1" };
+      const after = { name: "John", phone: "222", class_name: "Grade 1" };
+
+      expect(computeChanges(before, after)).toEqual({ phone: { from: "111", to: "222" } });
+    });
+
+    it("should describe creates and deletes against an empty snapshot", () => {
+      expect(computeChanges(null, { name: "Maths" })).toEqual({ name: { from: null, to: "Maths" } });
+      expect(computeChanges({ name: "Maths" }, null)).toEqual({ name: { from: "Maths", to: null } });
+      expect(computeChanges({ name: "Maths" }, { name: "Maths" })).toBeNull();
+    });
+
+    it("should never store sensitive values", () => {
+      const changes = computeChanges(null, { email: "a@b.com", password: "Secret-123" });
+
+      expect(changes.password).toEqual({ from: null, to: REDACTED });
+      expect(changes.email.to).toBe("a@b.com");
+    });
+  });
+
+  describe("resolveAuditTarget", () => {
+    it("should take the entity id and sub action from the path", () => {
+      expect(resolveAuditTarget({ entity: "student" }, "POST", "/12/status")).toEqual({
+        entity: "student",
+        entityId: "12",
+        action: "update:status",
+      });
+      expect(resolveAuditTarget({ entity: "student" }, "POST", "/")).toEqual({
+        entity: "student",
+        entityId: null,
+        action: "create",
+      });
+    });
+
+    it("should map path prefixes to sub entities", () => {
+      const options = { entity: "leave", subEntities: { policies: "leave_policy" } };
+
+      expect(resolveAuditTarget(options, "DELETE", "/policies/3/users")).toEqual({
+        entity: "leave_policy",
+        entityId: "3",
+        action: "delete:users",
+      });
+    });
+
+    it("should use the fixed id for singleton entities", () => {
+      expect(resolveAuditTarget({ entity: "password_policy", entityId: 1 }, "PUT", "/")).toEqual({
+        entity: "password_policy",
+        entityId: "1",
+        action: "update",
+      });
+    });
+  });
+
+  describe("auditTrail", () => {
+    const runAuditTrail = async (req, locals = {}) => {
+      const res = Object.assign(new EventEmitter(), { statusCode: 200, locals });
+      await auditTrail("student")({ method: "POST", path: "/import", user: { id: 1 }, ...req }, res, jest.fn());
+      res.emit("finish");
+      await new Promise(setImmediate);
+      return recordAuditEvent.mock.calls[0][0];
+    };
+
+    beforeEach(() => {
+      recordAuditEvent.mockClear();
+    });
+
+    it("should not record a raw upload byte by byte", async () => {
+      const event = await runAuditTrail({ body: Buffer.from("name,email\nJane,jane@school.com") });
+
+      expect(event.action).toBe("create:import");
+      expect(event.changes).toBeNull();
+    });
+
+    it("should record the summary a handler leaves instead of the body", async () => {
+      const event = await runAuditTrail(
+        { body: Buffer.from("name,email") },
+        { auditSummary: { isDryRun: false, totalRows: 2, importedIds: [11, 12] } }
+      );
+
+      expect(event.changes).toEqual({
+        isDryRun: { from: null, to: false },
+        totalRows: { from: null, to: 2 },
+        importedIds: { from: null, to: [11, 12] },
+      });
+    });
+  });
+
+  it("should escape CSV values and neutralise formulas", () => {
+    expect(toCsvValue('He said "hi", then left')).toBe('"He said ""hi"", then left"');
+    expect(toCsvValue("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+    expect(toCsvValue({ name: { from: null, to: "A" } })).toBe('"{""name"":{""from"":null,""to"":""A""}}"');
+    expect(toCsvValue(null)).toBe("");
+  });
+});
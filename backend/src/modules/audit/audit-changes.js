@@ -0,0 +1,37 @@
+const REDACTED = "[REDACTED]";
+const SENSITIVE_FIELD = /password|secret|token|otp|recovery|code_hash/i;
+
+const redactSensitiveFields = (values) => {
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+        return values ?? null;
+    }
+
+    return Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, SENSITIVE_FIELD.test(key) ? REDACTED : value])
+    );
+}
+
+// Field level diff between two snapshots: { field: { from, to } } for every field that changed.
+// Returns null when nothing changed so no-op writes do not produce empty audit entries.
+const computeChanges = (before, after) => {
+    const from = redactSensitiveFields(before) || {};
+    const to = redactSensitiveFields(after) || {};
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    const changes = {};
+    for (const field of fields) {
+        const previousValue = from[field] ?? null;
+        const nextValue = to[field] ?? null;
+        if (JSON.stringify(previousValue) !== JSON.stringify(nextValue)) {
+            changes[field] = { from: previousValue, to: nextValue };
+        }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+module.exports = {
+    REDACTED,
+    redactSensitiveFields,
+    computeChanges,
+};
@@ -0,0 +1,21 @@
+const asyncHandler = require("express-async-handler");
+const { processGetAuditEvents, processExportAuditEvents } = require("./audit-service");
+
+const handleGetAuditEvents = asyncHandler(async (req, res) => {
+    const auditEvents = await processGetAuditEvents(req.query);
+    res.json(auditEvents);
+});
+
+const handleExportAuditEvents = asyncHandler(async (req, res) => {
+    const csv = await processExportAuditEvents(req.query);
+    const fileName = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(csv);
+});
+
+module.exports = {
+    handleGetAuditEvents,
+    handleExportAuditEvents
+};
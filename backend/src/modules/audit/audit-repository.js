@@ -0,0 +1,185 @@
+const { processDBRequest } = require("../../utils");
+
+const USER_SNAPSHOT_QUERY = `
+    SELECT
+        jsonb_build_object(
+            'name', u.name,
+            'email', u.email,
+            'pending_email', u.pending_email,
+            'role_id', u.role_id,
+            'is_active', u.is_active,
+            'reporter_id', u.reporter_id
+        ) || COALESCE(to_jsonb(p) - 'user_id' - 'created_dt' - 'updated_dt', '{}'::jsonb) AS snapshot
+    FROM users u
+    LEFT JOIN user_profiles p ON p.user_id = u.id
+    WHERE u.id = $1
+`;
+
+// Current state of each audited entity, used for the before/after diff
+const SNAPSHOT_QUERIES = {
+    student: USER_SNAPSHOT_QUERY,
+    staff: USER_SNAPSHOT_QUERY,
+    role: `
+        SELECT
+            to_jsonb(r) || jsonb_build_object(
+                'permissions',
+                (SELECT COALESCE(jsonb_agg(p.access_control_id ORDER BY p.access_control_id), '[]'::jsonb)
+                FROM permissions p WHERE p.role_id = r.id AND NOT p.is_denied),
+                'denied_permissions',
+                (SELECT COALESCE(jsonb_agg(p.access_control_id ORDER BY p.access_control_id), '[]'::jsonb)
+                FROM permissions p WHERE p.role_id = r.id AND p.is_denied)
+            ) AS snapshot
+        FROM roles r
+        WHERE r.id = $1
+    `,
+    notice: "SELECT to_jsonb(n) - 'updated_dt' AS snapshot FROM notices n WHERE n.id = $1",
+    notice_recipient: "SELECT to_jsonb(t) AS snapshot FROM notice_recipient_types t WHERE t.id = $1",
+    leave_policy: `
+        SELECT
+            to_jsonb(lp) || jsonb_build_object(
+                'users',
+                (SELECT COALESCE(jsonb_agg(ulp.user_id ORDER BY ulp.user_id), '[]'::jsonb)
+                FROM user_leave_policy ulp WHERE ulp.leave_policy_id = lp.id)
+            ) AS snapshot
+        FROM leave_policies lp
+        WHERE lp.id = $1
+    `,
+    leave_request: "SELECT to_jsonb(ul) - 'updated_dt' AS snapshot FROM user_leaves ul WHERE ul.id = $1",
+    class: "SELECT to_jsonb(c) AS snapshot FROM classes c WHERE c.id = $1",
+    class_teacher: "SELECT to_jsonb(ct) AS snapshot FROM class_teachers ct WHERE ct.id = $1",
+    section: "SELECT to_jsonb(s) AS snapshot FROM sections s WHERE s.id = $1",
+    academic_year: "SELECT to_jsonb(y) - 'updated_dt' AS snapshot FROM academic_years y WHERE y.id = $1",
+    department: "SELECT to_jsonb(d) AS snapshot FROM departments d WHERE d.id = $1",
+    access_control: "SELECT to_jsonb(ac) AS snapshot FROM access_controls ac WHERE ac.id = $1",
+    api_key: "SELECT to_jsonb(k) - 'key_hash' - 'last_used_at' - 'last_used_ip' AS snapshot FROM api_keys k WHERE k.id = $1",
+    permission_grant: `
+        SELECT
+            to_jsonb(g) || jsonb_build_object(
+                'accessControls',
+                (SELECT COALESCE(jsonb_agg(jsonb_build_object('id', gac.access_control_id, 'dataScope', gac.data_scope)
+                    ORDER BY gac.access_control_id), '[]'::jsonb)
+                FROM permission_grant_access_controls gac WHERE gac.permission_grant_id = g.id)
+            ) AS snapshot
+        FROM permission_grants g
+        WHERE g.id = $1
+    `,
+    password_policy: "SELECT to_jsonb(pp) - 'updated_dt' - 'updated_by' AS snapshot FROM password_policy pp WHERE pp.id = $1",
+};
+
+const findEntitySnapshot = async (entity, entityId) => {
+    const query = SNAPSHOT_QUERIES[entity];
+    if (!query || !/^\d+$/.test(String(entityId))) {
+        return null;
+    }
+
+    const { rows } = await processDBRequest({ query, queryParams: [entityId] });
+    return rows[0]?.snapshot ?? null;
+}
+
+const insertAuditEvent = async (payload) => {
+    const {
+        requestId,
+        actorId,
+        impersonatedUserId = null,
+        apiKeyId = null,
+        action,
+        entity,
+        entityId,
+        method,
+        path,
+        statusCode,
+        changes,
+        ipAddress,
+        userAgent,
+    } = payload;
+    const query = `
+        INSERT INTO audit_events (
+            request_id, actor_id, impersonated_user_id, api_key_id, action, entity,
+            entity_id, method, path, status_code, changes, ip_address, user_agent
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `;
+    const queryParams = [
+        requestId,
+        actorId,
+        impersonatedUserId,
+        apiKeyId,
+        action,
+        entity,
+        entityId,
+        method,
+        path,
+        statusCode,
+        changes,
+        ipAddress,
+        userAgent,
+    ];
+    await processDBRequest({ query, queryParams });
+}
+
+const buildAuditFilter = (filters) => {
+    const { actorId, entity, entityId, action, requestId, fromDate, toDate } = filters;
+    const conditions = [];
+    const queryParams = [];
+    const addCondition = (condition, value) => {
+        queryParams.push(value);
+        conditions.push(condition.replace("?", `$${queryParams.length}`));
+    };
+
+    if (actorId) addCondition("ae.actor_id = ?", actorId);
+    if (entity) addCondition("ae.entity = ?", entity);
+    if (entityId) addCondition("ae.entity_id = ?", entityId);
+    if (action) addCondition("ae.action = ?", action);
+    if (requestId) addCondition("ae.request_id = ?", requestId);
+    if (fromDate) addCondition("ae.created_dt >= ?", fromDate);
+    if (toDate) addCondition("ae.created_dt < ?::date + 1", toDate);
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+        queryParams,
+    };
+}
+
+const findAuditEvents = async ({ filters, limit, offset }) => {
+    const { where, queryParams } = buildAuditFilter(filters);
+    const query = `
+        SELECT
+            ae.id,
+            ae.request_id AS "requestId",
+            ae.actor_id AS "actorId",
+            u.name AS "actorName",
+            ae.impersonated_user_id AS "impersonatedUserId",
+            ae.api_key_id AS "apiKeyId",
+            ae.action,
+            ae.entity,
+            ae.entity_id AS "entityId",
+            ae.method,
+            ae.path,
+            ae.status_code AS "statusCode",
+            ae.changes,
+            ae.ip_address AS "ipAddress",
+            ae.user_agent AS "userAgent",
+            ae.created_dt AS "createdDate"
+        FROM audit_events ae
+        LEFT JOIN users u ON u.id = ae.actor_id
+        ${where}
+        ORDER BY ae.id DESC
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [...queryParams, limit, offset] });
+    return rows;
+}
+
+const countAuditEvents = async (filters) => {
+    const { where, queryParams } = buildAuditFilter(filters);
+    const query = `SELECT COUNT(*)::int AS total FROM audit_events ae ${where}`;
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0].total;
+}
+
+module.exports = {
+    findEntitySnapshot,
+    insertAuditEvent,
+    findAuditEvents,
+    countAuditEvents,
+};
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const auditController = require("./audit-controller");
+const { isUserAdmin } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { AuditQuerySchema } = require("./audit-schema");
+
+router.get("", isUserAdmin, validateRequest(AuditQuerySchema), auditController.handleGetAuditEvents);
+router.get("/export", isUserAdmin, validateRequest(AuditQuerySchema), auditController.handleExportAuditEvents);
+
+module.exports = { auditRoutes: router };
@@ -0,0 +1,21 @@
+const { z } = require("zod");
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format");
+
+const AuditQuerySchema = z.object({
+    query: z.object({
+        actorId: z.coerce.number().int().positive().optional(),
+        entity: z.string().max(50).optional(),
+        entityId: z.string().max(64).optional(),
+        action: z.string().max(50).optional(),
+        requestId: z.string().max(64).optional(),
+        fromDate: isoDate.optional(),
+        toDate: isoDate.optional(),
+        page: z.coerce.number().int().positive().optional(),
+        limit: z.coerce.number().int().positive().max(100, "Limit must be at most 100").optional()
+    })
+});
+
+module.exports = {
+    AuditQuerySchema
+};
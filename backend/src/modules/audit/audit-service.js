@@ -0,0 +1,104 @@
+const log = require("../../utils/log");
+const { getSessionMeta } = require("../../utils");
+const { toCsvValue } = require("../../utils/table-writers");
+const {
+    findEntitySnapshot,
+    insertAuditEvent,
+    findAuditEvents,
+    countAuditEvents,
+} = require("./audit-repository");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+    { header: "id", key: "id" },
+    { header: "created_at", key: "createdDate" },
+    { header: "request_id", key: "requestId" },
+    { header: "actor_id", key: "actorId" },
+    { header: "actor_name", key: "actorName" },
+    { header: "impersonated_user_id", key: "impersonatedUserId" },
+    { header: "api_key_id", key: "apiKeyId" },
+    { header: "action", key: "action" },
+    { header: "entity", key: "entity" },
+    { header: "entity_id", key: "entityId" },
+    { header: "method", key: "method" },
+    { header: "path", key: "path" },
+    { header: "status_code", key: "statusCode" },
+    { header: "ip_address", key: "ipAddress" },
+    { header: "changes", key: "changes" },
+];
+
+const getEntitySnapshot = async (entity, entityId) => {
+    try {
+        return await findEntitySnapshot(entity, entityId);
+    } catch (error) {
+        log.error("Unable to load audit snapshot", { entity, entityId, error: error.message });
+        return null;
+    }
+}
+
+const getRequestAuditContext = (req) => {
+    const { ipAddress, userAgent } = getSessionMeta(req);
+    return {
+        requestId: req.requestId || null,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        ipAddress,
+        userAgent: userAgent ? userAgent.slice(0, 255) : null,
+    };
+}
+
+// Auditing must never fail the request it describes, so errors are only logged
+const recordAuditEvent = async (event) => {
+    try {
+        await insertAuditEvent(event);
+    } catch (error) {
+        log.error("Unable to record audit event", {
+            entity: event.entity,
+            action: event.action,
+            requestId: event.requestId,
+            error: error.message,
+        });
+    }
+}
+
+const getAuditFilters = (query) => {
+    const { actorId, entity, entityId, action, requestId, fromDate, toDate } = query;
+    return { actorId, entity, entityId, action, requestId, fromDate, toDate };
+}
+
+const processGetAuditEvents = async (query) => {
+    const page = Math.max(Number(query.page) || 1, 1);
+    const limit = Math.min(Number(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const filters = getAuditFilters(query);
+
+    const [events, total] = await Promise.all([
+        findAuditEvents({ filters, limit, offset: (page - 1) * limit }),
+        countAuditEvents(filters),
+    ]);
+
+    return { events, total, page, limit };
+}
+
+const processExportAuditEvents = async (query) => {
+    const events = await findAuditEvents({
+        filters: getAuditFilters(query),
+        limit: MAX_EXPORT_ROWS,
+        offset: 0,
+    });
+
+    const header = CSV_COLUMNS.map(({ header }) => header).join(",");
+    const lines = events.map((event) => CSV_COLUMNS.map(({ key }) => toCsvValue(event[key])).join(","));
+    return [header, ...lines].join("\r\n");
+}
+
+module.exports = {
+    getEntitySnapshot,
+    getRequestAuditContext,
+    recordAuditEvent,
+    processGetAuditEvents,
+    processExportAuditEvents,
+    toCsvValue,
+};
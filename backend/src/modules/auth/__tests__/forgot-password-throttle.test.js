@@ -0,0 +1,55 @@
+const { createForgotPasswordThrottle } = require("../forgot-password-throttle");
+const { createMemoryLoginAttemptStore } = require("../login-attempt-store");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+
+describe("Forgot Password Throttle", () => {
+  let currentTime, throttle;
+  const windowInMs = 60 * 60 * 1000;
+
+  beforeEach(() => {
+    currentTime = Date.UTC(2024, 0, 1);
+    throttle = createForgotPasswordThrottle({
+      store: createMemoryLoginAttemptStore(),
+      maxEmailRequests: 3,
+      maxIpRequests: 5,
+      windowInMs,
+      now: () => currentTime,
+    });
+  });
+
+  it("should limit requests per email regardless of letter case", async () => {
+    await throttle.consumeRequest({ email: "parent@school.com", ipAddress: "10.0.0.1" });
+    await throttle.consumeRequest({ email: "Parent@School.com", ipAddress: "10.0.0.2" });
+    await throttle.consumeRequest({ email: "parent@school.com ", ipAddress: "10.0.0.3" });
+
+    await expect(
+      throttle.consumeRequest({ email: "parent@school.com", ipAddress: "10.0.0.4" })
+    ).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it("should limit requests per IP across different emails", async () => {
+    for (let i = 0; i < 5; i++) {
+      await throttle.consumeRequest({ email: `user${i}@school.com`, ipAddress: "10.0.0.1" });
+    }
+
+    await expect(
+      throttle.consumeRequest({ email: "another@school.com", ipAddress: "10.0.0.1" })
+    ).rejects.toMatchObject({ statusCode: 429 });
+    await expect(
+      throttle.consumeRequest({ email: "another@school.com", ipAddress: "10.0.0.2" })
+    ).resolves.toBeUndefined();
+  });
+
+  it("should allow requests again after a quiet window", async () => {
+    for (let i = 0; i < 4; i++) {
+      await throttle.consumeRequest({ email: "parent@school.com" }).catch(() => {});
+    }
+
+    currentTime += windowInMs + 1;
+    await expect(throttle.consumeRequest({ email: "parent@school.com" })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,70 @@
+const jwt = require("jsonwebtoken");
+const { db } = require("../../../config");
+const { startImpersonation } = require("../auth-service");
+const {
+  findUserByIdForLogin,
+  isRefreshTokenActive,
+  getRoleNameByRoleId,
+  getRoleIdsByUserId,
+  getMenusByRoleIds,
+  setSessionAccessToken,
+} = require("../auth-repository");
+
+jest.mock("../../../config", () => ({
+  db: { connect: jest.fn() },
+  env: { JWT_ACCESS_TOKEN_SECRET: "access-secret", IMPERSONATION_TIME_IN_MS: 1800000 },
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  generateToken: jest.requireActual("../../../utils/jwt-handle").generateToken,
+  generateCsrfHmacHash: jest.fn().mockReturnValue("csrf-hash"),
+  formatMyPermission: jest.fn().mockReturnValue({ hierarchialMenus: [], apis: [], uis: [] }),
+}));
+jest.mock("../../../utils/log", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock("../auth-repository");
+jest.mock("../../../shared/repository", () => ({}));
+jest.mock("../login-throttle", () => ({ loginThrottle: {} }));
+jest.mock("../token-revocation", () => ({ tokenRevocation: {} }));
+jest.mock("../forgot-password-throttle", () => ({ forgotPasswordThrottle: {} }));
+jest.mock("../oidc-client", () => ({ oidcClient: {} }));
+jest.mock("../../audit/audit-service", () => ({ recordAuditEvent: jest.fn() }));
+jest.mock("../../password-policy/password-policy-service", () => ({}));
+jest.mock("../../two-factor/two-factor-service", () => ({}));
+
+describe("Impersonation", () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.connect.mockResolvedValue(client);
+    findUserByIdForLogin.mockImplementation(async (id) =>
+      id === 1
+        ? { id: 1, name: "Admin", role_id: 1, is_active: true }
+        : { id, name: "Teacher", email: "teacher@school.com", role_id: 2, is_active: true }
+    );
+    isRefreshTokenActive.mockResolvedValue(true);
+    getRoleNameByRoleId.mockResolvedValue("teacher");
+    getRoleIdsByUserId.mockResolvedValue([2]);
+    getMenusByRoleIds.mockResolvedValue([]);
+  });
+
+  it("should issue a token that lives as long as IMPERSONATION_TIME_IN_MS", async () => {
+    const { accessToken, accountBasic } = await startImpersonation({
+      actor: { id: 1, roleId: 1 },
+      userId: 5,
+      refreshToken: "admin-refresh",
+      auditContext: {},
+    });
+
+    const { exp, iat, jti, impersonator } = jwt.verify(accessToken, "access-secret");
+    expect(exp - iat).toBe(1800);
+    expect(setSessionAccessToken).toHaveBeenCalledWith(
+      "admin-refresh",
+      { accessTokenId: jti, accessTokenExpiresAt: new Date(exp * 1000) },
+      client
+    );
+    expect(impersonator).toEqual(accountBasic.impersonator);
+    expect(Date.parse(impersonator.expiresAt) / 1000).toBeCloseTo(exp, -1);
+  });
+});
@@ -0,0 +1,118 @@
+const { createLoginThrottle } = require("../login-throttle");
+const { createMemoryLoginAttemptStore } = require("../login-attempt-store");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+
+describe("Login Throttle", () => {
+  let currentTime, store, throttle;
+  const identity = { username: "Teacher@School.com", ipAddress: "10.0.0.1" };
+
+  beforeEach(() => {
+    currentTime = Date.UTC(2024, 0, 1);
+    store = createMemoryLoginAttemptStore();
+    throttle = createLoginThrottle({
+      store,
+      maxAccountAttempts: 5,
+      maxIpAttempts: 8,
+      lockoutTimeInMs: 15 * 60 * 1000,
+      backoffBaseInMs: 1000,
+      now: () => currentTime,
+    });
+  });
+
+  const failAfter = async (delayInMs) => {
+    currentTime += delayInMs;
+    return throttle.recordLoginFailure(identity);
+  };
+
+  it("should allow the first failures without any delay", async () => {
+    await failAfter(0);
+    await failAfter(0);
+    await expect(throttle.assertLoginAllowed(identity)).resolves.toBeUndefined();
+  });
+
+  it("should apply an exponential backoff after the free attempts", async () => {
+    await failAfter(0);
+    await failAfter(0);
+    await failAfter(0);
+    await expect(throttle.assertLoginAllowed(identity)).rejects.toMatchObject({ statusCode: 429 });
+
+    currentTime += 1000;
+    await expect(throttle.assertLoginAllowed(identity)).resolves.toBeUndefined();
+
+    await failAfter(0);
+    currentTime += 1000;
+    await expect(throttle.assertLoginAllowed(identity)).rejects.toThrow("Try again in 1 second(s)");
+  });
+
+  it("should lock the account after the maximum failures and report it once", async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await failAfter(30000));
+    }
+
+    expect(results.slice(0, 4).every((lockouts) => lockouts.length === 0)).toBe(true);
+    expect(results[4]).toEqual([
+      { scope: "account", failedCount: 5, lockedUntil: new Date(currentTime + 15 * 60 * 1000) },
+    ]);
+    await expect(throttle.assertLoginAllowed(identity)).rejects.toThrow("Try again in 15 minute(s)");
+  });
+
+  it("should treat usernames case-insensitively", async () => {
+    for (let i = 0; i < 5; i++) {
+      await failAfter(30000);
+    }
+    await expect(
+      throttle.assertLoginAllowed({ username: "teacher@school.com" })
+    ).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it("should lock an IP address that fails across many accounts", async () => {
+    let lockouts = [];
+    for (let i = 0; i < 8; i++) {
+      currentTime += 30000;
+      lockouts = await throttle.recordLoginFailure({ username: `user${i}@school.com`, ipAddress: "10.0.0.9" });
+    }
+
+    expect(lockouts.map(({ scope }) => scope)).toEqual(["ip"]);
+    await expect(
+      throttle.assertLoginAllowed({ username: "new@school.com", ipAddress: "10.0.0.9" })
+    ).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it("should start a fresh count once the lockout has expired", async () => {
+    for (let i = 0; i < 5; i++) {
+      await failAfter(30000);
+    }
+
+    currentTime += 15 * 60 * 1000 + 1;
+    await expect(throttle.assertLoginAllowed(identity)).resolves.toBeUndefined();
+    expect(await failAfter(0)).toEqual([]);
+  });
+
+  it("clearAccountFailures should unlock the account", async () => {
+    for (let i = 0; i < 5; i++) {
+      await failAfter(30000);
+    }
+
+    await throttle.clearAccountFailures("teacher@school.com");
+    await expect(throttle.assertLoginAllowed({ username: identity.username })).resolves.toBeUndefined();
+  });
+
+  it("pruneExpired should only delete counters that no longer count", async () => {
+    await throttle.recordLoginFailure({ username: "other@school.com" });
+    for (let i = 0; i < 5; i++) {
+      await failAfter(i === 0 ? 10 * 60 * 1000 : 0);
+    }
+    currentTime += 6 * 60 * 1000;
+
+    // The locked account and the recent IP counter stay, the other account has expired
+    await expect(throttle.pruneExpired()).resolves.toBe(1);
+    expect(await store.get("account:other@school.com")).toBeNull();
+    expect(await store.get("account:teacher@school.com")).not.toBeNull();
+    expect(await store.get("ip:10.0.0.1")).not.toBeNull();
+  });
+});
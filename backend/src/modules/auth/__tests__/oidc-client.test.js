@@ -0,0 +1,96 @@
+const jwt = require("jsonwebtoken");
+const { createOidcClient } = require("../oidc-client");
+const { createMockOidcProvider } = require("../../../scripts/mock-oidc-provider");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+}));
+
+describe("OIDC Client", () => {
+  const redirectUri = "http://localhost:5173/auth/oidc/callback";
+  let provider, issuer, client;
+
+  const authorize = async () => {
+    const request = await client.createAuthorizationRequest();
+    const response = await fetch(request.authorizationUrl, { redirect: "manual" });
+    const location = new URL(response.headers.get("location"));
+    return { ...request, code: location.searchParams.get("code"), returnedState: location.searchParams.get("state") };
+  };
+
+  beforeAll(async () => {
+    provider = createMockOidcProvider({
+      user: { sub: "idp-user-7", email: "teacher@school-admin.com", name: "Jane Teacher" },
+    });
+    issuer = await provider.start();
+  });
+
+  afterAll(async () => {
+    await provider.stop();
+  });
+
+  beforeEach(() => {
+    client = createOidcClient({
+      issuerUrl: issuer,
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret,
+      redirectUri,
+    });
+  });
+
+  it("should sign in through the authorization code flow with PKCE", async () => {
+    const { code, codeVerifier, nonce, state, returnedState, authorizationUrl } = await authorize();
+
+    expect(new URL(authorizationUrl).searchParams.get("code_challenge_method")).toBe("S256");
+    expect(returnedState).toBe(state);
+
+    const claims = await client.exchangeCode({ code, codeVerifier, nonce });
+    expect(claims).toMatchObject({
+      sub: "idp-user-7",
+      email: "teacher@school-admin.com",
+      iss: issuer,
+      aud: provider.clientId,
+    });
+  });
+
+  it("should fail when the code verifier does not match the challenge", async () => {
+    const { code, nonce } = await authorize();
+
+    await expect(client.exchangeCode({ code, codeVerifier: "wrong-verifier", nonce }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("should reject an id token with a different nonce", async () => {
+    const { code, codeVerifier } = await authorize();
+
+    await expect(client.exchangeCode({ code, codeVerifier, nonce: "replayed-nonce" }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("should reject an id token signed by an unknown key", async () => {
+    const forgedToken = jwt.sign({ nonce: "n" }, "not-the-provider-key", {
+      issuer,
+      audience: provider.clientId,
+      subject: "idp-user-7",
+    });
+    const fetchImpl = jest.fn(async (url, options) => {
+      if (String(url).endsWith("/token")) {
+        return new Response(JSON.stringify({ id_token: forgedToken }), { status: 200 });
+      }
+      return fetch(url, options);
+    });
+    client = createOidcClient({ issuerUrl: issuer, clientId: provider.clientId, redirectUri, fetchImpl });
+
+    await expect(client.exchangeCode({ code: "code", codeVerifier: "verifier", nonce: "n" }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("should refuse a provider whose issuer does not match the configuration", async () => {
+    client = createOidcClient({
+      issuerUrl: issuer.replace("localhost", "127.0.0.1"),
+      clientId: provider.clientId,
+      redirectUri,
+    });
+
+    await expect(client.createAuthorizationRequest()).rejects.toMatchObject({ statusCode: 502 });
+  });
+});
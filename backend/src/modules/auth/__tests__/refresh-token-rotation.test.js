@@ -0,0 +1,141 @@
+const jwt = require("jsonwebtoken");
+const { db } = require("../../../config");
+const { getNewAccessAndCsrfToken } = require("../auth-service");
+const {
+  findRefreshTokenForUpdate,
+  markRefreshTokenUsed,
+  revokeRefreshTokenFamily,
+  getRoleNameByRoleId,
+  getRoleIdsByUserId,
+} = require("../auth-repository");
+const { insertRefreshToken } = require("../../../shared/repository");
+
+jest.mock("../../../config", () => ({
+  db: { connect: jest.fn() },
+  env: {
+    JWT_ACCESS_TOKEN_SECRET: "access-secret",
+    JWT_REFRESH_TOKEN_SECRET: "refresh-secret",
+    JWT_ACCESS_TOKEN_TIME_IN_MS: "15m",
+    JWT_REFRESH_TOKEN_TIME_IN_MS: "8h",
+  },
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  generateToken: jest.requireActual("../../../utils/jwt-handle").generateToken,
+  verifyToken: jest.requireActual("../../../utils/jwt-handle").verifyToken,
+  generateCsrfHmacHash: jest.fn().mockReturnValue("csrf-hash"),
+}));
+jest.mock("../../../utils/log", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock("../auth-repository");
+jest.mock("../../../shared/repository", () => ({ insertRefreshToken: jest.fn() }));
+jest.mock("../login-throttle", () => ({ loginThrottle: {} }));
+jest.mock("../token-revocation", () => ({ tokenRevocation: {} }));
+jest.mock("../forgot-password-throttle", () => ({ forgotPasswordThrottle: {} }));
+jest.mock("../oidc-client", () => ({ oidcClient: {} }));
+jest.mock("../../audit/audit-service", () => ({ recordAuditEvent: jest.fn() }));
+jest.mock("../../password-policy/password-policy-service", () => ({}));
+jest.mock("../../two-factor/two-factor-service", () => ({}));
+
+describe("Refresh Token Rotation", () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  const refreshToken = jwt.sign({ id: 7, roleId: 3 }, "refresh-secret", { expiresIn: "8h" });
+  const sessionMeta = { userAgent: "Firefox", ipAddress: "10.0.0.1" };
+  const sessionStartedAt = new Date("2026-01-01T08:00:00Z");
+  const storedToken = {
+    id: 41,
+    family_id: "family-1",
+    used_at: null,
+    revoked_at: null,
+    session_started_at: sessionStartedAt,
+    user_id: 7,
+    role_id: 3,
+    is_active: true,
+    role_is_active: true,
+  };
+  const queries = () => client.query.mock.calls.map(([query]) => query);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.connect.mockResolvedValue(client);
+    findRefreshTokenForUpdate.mockResolvedValue(storedToken);
+    markRefreshTokenUsed.mockResolvedValue(1);
+    getRoleNameByRoleId.mockResolvedValue("teacher");
+    getRoleIdsByUserId.mockResolvedValue([3]);
+  });
+
+  it("should mark the old token used and add a child in the same family", async () => {
+    const result = await getNewAccessAndCsrfToken(refreshToken, sessionMeta);
+
+    expect(findRefreshTokenForUpdate).toHaveBeenCalledWith(refreshToken, client);
+    expect(markRefreshTokenUsed).toHaveBeenCalledWith(41, client);
+    expect(insertRefreshToken).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 7,
+        refreshToken: result.refreshToken,
+        familyId: "family-1",
+        parentId: 41,
+        sessionStartedAt,
+        sessionMeta,
+      }),
+      client
+    );
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(result.accessToken, "access-secret")).toMatchObject({ id: 7, roleId: 3, roleIds: [3] });
+    expect(queries()).toEqual(["BEGIN", "COMMIT"]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it.each([
+    ["used", { used_at: new Date() }],
+    ["revoked", { revoked_at: new Date() }],
+  ])("should revoke the whole family when a %s token is presented again", async (_, state) => {
+    findRefreshTokenForUpdate.mockResolvedValue({ ...storedToken, ...state });
+
+    await expect(getNewAccessAndCsrfToken(refreshToken, sessionMeta)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Refresh token has already been used. Please login again.",
+    });
+
+    expect(revokeRefreshTokenFamily).toHaveBeenCalledWith("family-1", client);
+    expect(markRefreshTokenUsed).not.toHaveBeenCalled();
+    expect(insertRefreshToken).not.toHaveBeenCalled();
+    // The revocation is committed before the error rolls back the (now empty) transaction
+    expect(queries()).toEqual(["BEGIN", "COMMIT", "ROLLBACK"]);
+  });
+
+  it("should refuse a disabled user without rotating", async () => {
+    findRefreshTokenForUpdate.mockResolvedValue({ ...storedToken, is_active: false });
+
+    await expect(getNewAccessAndCsrfToken(refreshToken, sessionMeta)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Your account is disabled",
+    });
+
+    expect(markRefreshTokenUsed).not.toHaveBeenCalled();
+    expect(insertRefreshToken).not.toHaveBeenCalled();
+    expect(queries()).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  it("should refuse a user whose role is disabled without rotating", async () => {
+    findRefreshTokenForUpdate.mockResolvedValue({ ...storedToken, role_is_active: false });
+
+    await expect(getNewAccessAndCsrfToken(refreshToken, sessionMeta)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Your role is disabled. Please contact the administrator.",
+    });
+
+    expect(markRefreshTokenUsed).not.toHaveBeenCalled();
+    expect(insertRefreshToken).not.toHaveBeenCalled();
+    expect(queries()).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+
+  it("should refuse a token that lost the race to be rotated", async () => {
+    markRefreshTokenUsed.mockResolvedValue(0);
+
+    await expect(getNewAccessAndCsrfToken(refreshToken, sessionMeta)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(insertRefreshToken).not.toHaveBeenCalled();
+    expect(queries()).toEqual(["BEGIN", "ROLLBACK"]);
+  });
+});
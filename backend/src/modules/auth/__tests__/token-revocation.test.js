@@ -0,0 +1,93 @@
+const { createTokenRevocation } = require("../token-revocation");
+const { createLruCache } = require("../../../utils/lru-cache");
+
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+
+describe("Token Revocation", () => {
+  let currentTime, store, revocation;
+  const issuedAt = (timeInMs) => Math.floor(timeInMs / 1000);
+
+  beforeEach(() => {
+    currentTime = Date.UTC(2024, 0, 1);
+    store = {
+      find: jest.fn().mockResolvedValue({ isRevoked: false, revokedBefore: 0 }),
+      revokeToken: jest.fn(),
+      revokeUser: jest.fn(),
+      revokeRole: jest.fn().mockResolvedValue([4, 5]),
+      deleteExpired: jest.fn(),
+    };
+    revocation = createTokenRevocation({
+      store,
+      cache: createLruCache({ maxSize: 100, ttlInMs: 30000, now: () => currentTime }),
+      now: () => currentTime,
+    });
+  });
+
+  it("should cache lookups until the entry expires", async () => {
+    const token = { jti: "a", id: 4, iat: issuedAt(currentTime) };
+
+    expect(await revocation.isRevoked(token)).toBe(false);
+    expect(await revocation.isRevoked(token)).toBe(false);
+    expect(store.find).toHaveBeenCalledTimes(1);
+
+    currentTime += 30001;
+    await revocation.isRevoked(token);
+    expect(store.find).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject a logged out token without touching the user's other tokens", async () => {
+    const token = { jti: "a", id: 4, iat: issuedAt(currentTime), exp: issuedAt(currentTime) + 900 };
+    await revocation.revokeToken(token);
+
+    expect(store.revokeToken).toHaveBeenCalledWith({ jti: "a", userId: 4, expiresAt: new Date(token.exp * 1000) });
+    expect(await revocation.isRevoked(token)).toBe(true);
+    expect(await revocation.isRevoked({ ...token, jti: "b" })).toBe(false);
+  });
+
+  it("should reject every token issued before a user revocation", async () => {
+    const oldToken = { jti: "a", id: 4, iat: issuedAt(currentTime) };
+    currentTime += 5000;
+    await revocation.revokeUserTokens(4);
+
+    expect(await revocation.isRevoked(oldToken)).toBe(true);
+    expect(await revocation.isRevoked({ jti: "b", id: 4, iat: issuedAt(currentTime) })).toBe(false);
+    expect(await revocation.isRevoked({ jti: "c", id: 9, iat: oldToken.iat })).toBe(false);
+  });
+
+  it("should reject an impersonation token once the impersonating admin is revoked", async () => {
+    const token = { jti: "a", id: 4, iat: issuedAt(currentTime), impersonator: { id: 1, name: "Admin" } };
+    expect(await revocation.isRevoked(token)).toBe(false);
+
+    currentTime += 5000;
+    await revocation.revokeUserTokens(1);
+
+    expect(await revocation.isRevoked(token)).toBe(true);
+    expect(await revocation.isRevoked({ jti: "b", id: 4, iat: token.iat })).toBe(false);
+  });
+
+  it("should revoke the tokens of every user holding a disabled role", async () => {
+    const iat = issuedAt(currentTime);
+    currentTime += 5000;
+    await revocation.revokeRoleTokens(2);
+
+    expect(await revocation.isRevoked({ jti: "a", id: 4, iat })).toBe(true);
+    expect(await revocation.isRevoked({ jti: "b", id: 5, iat })).toBe(true);
+  });
+});
+
+describe("LRU Cache", () => {
+  it("should evict the least recently used entry", () => {
+    const cache = createLruCache({ maxSize: 2, ttlInMs: 1000 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("c")).toBe(3);
+  });
+});
@@ -1,10 +1,17 @@
 const asyncHandler = require("express-async-handler");
-const { login, logout, getNewAccessAndCsrfToken, processAccountEmailVerify, processPasswordSetup, processResendEmailVerification, processResendPwdSetupLink, processPwdReset } = require("./auth-service");
-const { setAccessTokenCookie, setCsrfTokenCookie, setAllCookies, clearAllCookies } = require("../../cookie");
+const { login, completeTwoFactorLogin, processLoginTwoFactorSetup, logout, getNewAccessAndCsrfToken, processAccountEmailVerify, processConfirmEmailChange, processPasswordSetup, processResendEmailVerification, processResendPwdSetupLink, processPwdReset, processForgotPassword, getOidcConfig, startOidcLogin, completeOidcLogin, startImpersonation, stopImpersonation, processForceLogout, processUnlockAccount } = require("./auth-service");
+const { getSessionMeta } = require("../../utils");
+const { setAllCookies, clearAllCookies, setOidcStateCookie, clearOidcStateCookie, setAccessTokenCookie, setCsrfTokenCookie } = require("../../cookie");
+const { getRequestAuditContext } = require("../audit/audit-service");
+const { env } = require("../../config");
 
 const handleLogin = asyncHandler(async (req, res) => {
     const { username, password } = req.body;
-    const { accessToken, refreshToken, csrfToken, accountBasic } = await login(username, password);
+    const { accessToken, refreshToken, csrfToken, accountBasic, twoFactorChallenge } = await login(username, password, getSessionMeta(req));
+
+    if (twoFactorChallenge) {
+        return res.json(twoFactorChallenge);
+    }
 
     clearAllCookies(res);
     setAllCookies(res, accessToken, refreshToken, csrfToken);
@@ -12,10 +19,54 @@ const handleLogin = asyncHandler(async (req, res) => {
     res.json(accountBasic);
 });
 
+const handleGetOidcConfig = asyncHandler(async (req, res) => {
+    res.json(getOidcConfig());
+});
+
+const handleOidcAuthorize = asyncHandler(async (req, res) => {
+    const { authorizationUrl, oidcStateToken } = await startOidcLogin();
+    setOidcStateCookie(res, oidcStateToken);
+    res.json({ authorizationUrl });
+});
+
+const handleOidcCallback = asyncHandler(async (req, res) => {
+    const { code, state } = req.body;
+    const { oidcState } = req.cookies;
+    clearOidcStateCookie(res);
+
+    const { accessToken, refreshToken, csrfToken, accountBasic, twoFactorChallenge } = await completeOidcLogin({ code, state, oidcStateToken: oidcState, sessionMeta: getSessionMeta(req) });
+
+    if (twoFactorChallenge) {
+        return res.json(twoFactorChallenge);
+    }
+
+    clearAllCookies(res);
+    setAllCookies(res, accessToken, refreshToken, csrfToken);
+
+    res.json(accountBasic);
+});
+
+const handleLoginTwoFactor = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { code, recoveryCode } = req.body;
+    const { accessToken, refreshToken, csrfToken, accountBasic, recoveryCodes } = await completeTwoFactorLogin({ userId, code, recoveryCode, sessionMeta: getSessionMeta(req) });
+
+    clearAllCookies(res);
+    setAllCookies(res, accessToken, refreshToken, csrfToken);
+
+    res.json(recoveryCodes ? { ...accountBasic, recoveryCodes } : accountBasic);
+});
+
+const handleLoginTwoFactorSetup = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const enrollment = await processLoginTwoFactorSetup(userId);
+    res.json(enrollment);
+});
+
 const handleLogout = asyncHandler(async (req, res) => {
     const { refreshToken } = req.cookies;
 
-    const message = await logout(refreshToken);
+    const message = await logout(refreshToken, req.user);
     clearAllCookies(res);
 
     res.status(204).json(message);
@@ -24,12 +75,9 @@ const handleLogout = asyncHandler(async (req, res) => {
 const handleTokenRefresh = asyncHandler(async (req, res) => {
     const { refreshToken } = req.cookies;
 
-    const { accessToken, csrfToken, message } = await getNewAccessAndCsrfToken(refreshToken);
-    res.clearCookie("accessToken");
-    res.clearCookie("csrfToken");
-
-    setAccessTokenCookie(res, accessToken);
-    setCsrfTokenCookie(res, csrfToken);
+    const { accessToken, refreshToken: newRefreshToken, csrfToken, message } = await getNewAccessAndCsrfToken(refreshToken, getSessionMeta(req));
+    clearAllCookies(res);
+    setAllCookies(res, accessToken, newRefreshToken, csrfToken);
 
     res.json(message);
 });
@@ -40,10 +88,16 @@ const handleAccountEmailVerify = asyncHandler(async (req, res) => {
     res.json(message);
 });
 
+const handleConfirmEmailChange = asyncHandler(async (req, res) => {
+    const { id: userId, email } = req.user;
+    const message = await processConfirmEmailChange({ userId, email });
+    res.json(message);
+});
+
 const handleAccountPasswordSetup = asyncHandler(async (req, res) => {
-    const { id: userId } = req.user;
+    const { id: userId, pwd_version: passwordVersion } = req.user;
     const { username: userEmail, password } = req.body;
-    const message = await processPasswordSetup({ userId, userEmail, password });
+    const message = await processPasswordSetup({ userId, userEmail, password, passwordVersion });
     res.json(message);
 });
 
@@ -65,13 +119,66 @@ const handlePwdReset = asyncHandler(async (req, res) => {
     res.json(message);
 });
 
+const handleForgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const { ipAddress } = getSessionMeta(req);
+    const message = await processForgotPassword({ email, ipAddress });
+    res.json(message);
+});
+
+const handleForceLogout = asyncHandler(async (req, res) => {
+    const { userId } = req.body;
+    const message = await processForceLogout(userId);
+    res.json(message);
+});
+
+const handleUnlockAccount = asyncHandler(async (req, res) => {
+    const { userId } = req.body;
+    const { id: actorId } = req.user;
+    const message = await processUnlockAccount({ userId, actorId });
+    res.json(message);
+});
+
+const handleStartImpersonation = asyncHandler(async (req, res) => {
+    const { userId } = req.body;
+    const { refreshToken } = req.cookies;
+    const { accessToken, csrfToken, accountBasic } = await startImpersonation({ actor: req.user, userId, refreshToken, auditContext: getRequestAuditContext(req) });
+
+    // The refresh token stays the admin's, only the access side of the session is swapped
+    setAccessTokenCookie(res, accessToken, env.IMPERSONATION_TIME_IN_MS);
+    setCsrfTokenCookie(res, csrfToken, env.IMPERSONATION_TIME_IN_MS);
+
+    res.json(accountBasic);
+});
+
+const handleStopImpersonation = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.cookies;
+    const { accessToken, csrfToken, accountBasic } = await stopImpersonation({ user: req.user, refreshToken, auditContext: getRequestAuditContext(req) });
+
+    setAccessTokenCookie(res, accessToken);
+    setCsrfTokenCookie(res, csrfToken);
+
+    res.json(accountBasic);
+});
+
 module.exports = {
     handleLogin,
+    handleGetOidcConfig,
+    handleOidcAuthorize,
+    handleOidcCallback,
+    handleLoginTwoFactor,
+    handleLoginTwoFactorSetup,
     handleLogout,
     handleTokenRefresh,
     handleAccountEmailVerify,
+    handleConfirmEmailChange,
     handleAccountPasswordSetup,
     handleResendEmailVerification,
     handleResendPwdSetupLink,
-    handlePwdReset
+    handlePwdReset,
+    handleForgotPassword,
+    handleForceLogout,
+    handleUnlockAccount,
+    handleStartImpersonation,
+    handleStopImpersonation
 };
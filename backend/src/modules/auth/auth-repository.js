@@ -7,23 +7,110 @@ const findUserByUsername = async (username, client) => {
     return rows[0];
 };
 
+const findUserByIdForLogin = async (id, client) => {
+    const query = "SELECT * FROM users WHERE id = $1";
+    const { rows } = await client.query(query, [id]);
+    return rows[0];
+};
+
+const findUserByEmailForLogin = async (email, client) => {
+    const query = "SELECT * FROM users WHERE lower(email) = lower($1)";
+    const { rows } = await client.query(query, [email]);
+    return rows[0];
+};
+
+const linkOidcSubject = async (userId, subject, client) => {
+    const query = "UPDATE users SET oidc_subject = $1 WHERE id = $2 AND oidc_subject IS NULL";
+    const { rowCount } = await client.query(query, [subject, userId]);
+    return rowCount;
+};
+
+const insertOidcUser = async ({ name, email, roleId, subject }, client) => {
+    const query = `
+        INSERT INTO users (name, email, role_id, is_active, is_email_verified, oidc_subject, created_dt)
+        VALUES ($1, $2, $3, true, true, $4, now())
+        RETURNING *
+    `;
+    const { rows } = await client.query(query, [name, email, roleId, subject]);
+    await client.query("INSERT INTO user_profiles (user_id) VALUES ($1)", [rows[0].id]);
+    return rows[0];
+};
+
 const invalidateRefreshToken = async (token) => {
-    const query = "DELETE FROM user_refresh_tokens WHERE token = $1";
+    const query = `
+        DELETE FROM user_refresh_tokens
+        WHERE family_id = (SELECT family_id FROM user_refresh_tokens WHERE token = $1)
+    `;
     const queryParams = [token];
     const { rowCount } = await processDBRequest({ query, queryParams });
     return rowCount;
 }
 
-const findUserByRefreshToken = async (refreshToken) => {
+const findRefreshTokenForUpdate = async (refreshToken, client) => {
     const query = `
-        SELECT u.* 
-        FROM users u
-        JOIN user_refresh_tokens rt ON u.id = rt.user_id
-        WHERE rt.token = $1`;
-    const { rows } = await db.query(query, [refreshToken]);
+        SELECT
+            rt.id,
+            rt.family_id,
+            rt.used_at,
+            rt.revoked_at,
+            rt.session_started_at,
+            u.id AS user_id,
+            u.role_id,
+            u.is_active,
+            r.is_active AS role_is_active
+        FROM user_refresh_tokens rt
+        JOIN users u ON u.id = rt.user_id
+        JOIN roles r ON r.id = u.role_id
+        WHERE rt.token = $1
+        FOR UPDATE OF rt`;
+    const { rows } = await client.query(query, [refreshToken]);
     return rows[0];
 };
 
+const isRefreshTokenActive = async (refreshToken, userId, client) => {
+    const query = `
+        SELECT 1
+        FROM user_refresh_tokens
+        WHERE token = $1
+            AND user_id = $2
+            AND used_at IS NULL
+            AND revoked_at IS NULL
+            AND expires_at > now()`;
+    const { rowCount } = await client.query(query, [refreshToken, userId]);
+    return rowCount > 0;
+};
+
+// Impersonating and returning from it replace the session's access token without a refresh
+const setSessionAccessToken = async (refreshToken, { accessTokenId, accessTokenExpiresAt }, client) => {
+    const query = `
+        UPDATE user_refresh_tokens
+        SET access_token_jti = $1, access_token_expires_at = $2
+        WHERE token = $3`;
+    const { rowCount } = await client.query(query, [accessTokenId, accessTokenExpiresAt, refreshToken]);
+    return rowCount;
+};
+
+const markRefreshTokenUsed = async (id, client) => {
+    const query = "UPDATE user_refresh_tokens SET used_at = now() WHERE id = $1 AND used_at IS NULL";
+    const { rowCount } = await client.query(query, [id]);
+    return rowCount;
+};
+
+const revokeRefreshTokenFamily = async (familyId, client) => {
+    const query = `
+        UPDATE user_refresh_tokens
+        SET revoked_at = now()
+        WHERE family_id = $1 AND revoked_at IS NULL`;
+    const { rowCount } = await client.query(query, [familyId]);
+    return rowCount;
+};
+
+const deleteExpiredRefreshTokens = async () => {
+    const query = "DELETE FROM user_refresh_tokens WHERE expires_at < now()";
+    const { rowCount } = await processDBRequest({ query });
+    return rowCount;
+};
+
 const updateUserRefreshToken = async (newRefreshToken, expiresAt, userId, oldRefreshToken) => {
     const query = `
     UPDATE user_refresh_tokens
@@ -32,12 +119,13 @@ const updateUserRefreshToken = async (newRefreshToken, expiresAt, userId, oldRef
     await db.query(query, [newRefreshToken, expiresAt, userId, oldRefreshToken]);
 };
 
-const getMenusByRoleId = async (roleId, client) => {
-    const isUserAdmin = Number(roleId) === 1 ? true : false;
+// Menus are the union of what each of the user's roles grants
+const getMenusByRoleIds = async (roleIds, client) => {
+    const isUserAdmin = roleIds.some((roleId) => Number(roleId) === 1);
     const query = isUserAdmin
         ? `SELECT * FROM access_controls`
         : `
-            SELECT
+            SELECT DISTINCT
                 ac.id,
                 ac.name,
                 ac.path,
@@ -45,15 +133,34 @@ const getMenusByRoleId = async (roleId, client) => {
                 ac.parent_path,
                 ac.hierarchy_id,
                 ac.type
-            FROM permissions p
-            JOIN access_controls ac ON p.access_control_id = ac.id
-            WHERE p.role_id = $1
+            FROM unnest($1::int[]) AS ur(role_id)
+            CROSS JOIN LATERAL role_permission_sources(ur.role_id) rps
+            JOIN access_controls ac ON rps.access_control_id = ac.id
+            WHERE NOT rps.is_denied
         `;
-    const queryParams = isUserAdmin ? [] : [roleId];
+    const queryParams = isUserAdmin ? [] : [roleIds];
     const { rows } = await client.query(query, queryParams);
     return rows;
 }
 
+// Primary role first, followed by the user's active extra roles
+const getRoleIdsByUserId = async (userId, client) => {
+    const query = `
+        SELECT
+            ARRAY[u.role_id] || ARRAY(
+                SELECT ur.role_id
+                FROM user_roles ur
+                JOIN roles r ON r.id = ur.role_id
+                WHERE ur.user_id = u.id AND ur.role_id <> u.role_id AND r.is_active = true
+                ORDER BY ur.role_id
+            ) AS "roleIds"
+        FROM users u
+        WHERE u.id = $1
+    `;
+    const { rows } = await client.query(query, [userId]);
+    return rows[0]?.roleIds ?? [];
+}
+
 const getRoleNameByRoleId = async (id, client) => {
     const query = "SELECT lower(name) AS name from roles WHERE id = $1";
     const queryParams = [id];
@@ -61,6 +168,12 @@ const getRoleNameByRoleId = async (id, client) => {
     return rows[0].name;
 }
 
+const isRoleActive = async (id, client) => {
+    const query = "SELECT is_active FROM roles WHERE id = $1";
+    const { rows } = await client.query(query, [id]);
+    return rows[0]?.is_active === true;
+}
+
 const saveUserLastLoginDate = async (userId, client) => {
     const now = new Date();
     const query = `UPDATE users SET last_login = $1 WHERE id = $2`;
@@ -68,12 +181,6 @@ const saveUserLastLoginDate = async (userId, client) => {
     await client.query(query, queryParams);
 }
 
-const deleteOldRefreshTokenByUserId = async (userId, client) => {
-    const query = `DELETE FROM user_refresh_tokens WHERE user_id = $1`;
-    const queryParams = [userId];
-    await client.query(query, queryParams);
-}
-
 const isEmailVerified = async (id) => {
     const query = 'SELECT is_email_verified FROM users WHERE id = $1';
     const queryParams = [id];
@@ -93,6 +200,20 @@ const verifyAccountEmail = async (id) => {
     return rows[0];
 }
 
+// Matching on the pending address makes each confirmation link single-use
+const confirmPendingEmail = async ({ userId, email }) => {
+    const query = `
+        UPDATE users
+        SET email = pending_email, pending_email = NULL, is_email_verified = true, updated_dt = now()
+        WHERE id = $1 AND pending_email = $2
+            AND NOT EXISTS (SELECT 1 FROM users o WHERE lower(o.email) = lower($2) AND o.id <> $1)
+        RETURNING email
+    `;
+    const queryParams = [userId, email];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0];
+}
+
 const doesEmailExist = async (id, email) => {
     const query = `SELECT email FROM users WHERE email = $1 AND id = $2`;
     const queryParams = [email, id];
@@ -100,29 +221,53 @@ const doesEmailExist = async (id, email) => {
     return rows[0]
 }
 
-const setupUserPassword = async (payload) => {
-    const { userId, userEmail, password } = payload;
+// Matching on the version makes each setup link single-use, even for concurrent submissions
+const setupUserPassword = async (payload, client) => {
+    const { userId, userEmail, password, passwordVersion } = payload;
     const query = `
         UPDATE users
-        SET password = $1, is_active = true
-        WHERE id = $2 AND email = $3
+        SET password = $1, is_active = true, password_version = password_version + 1
+        WHERE id = $2 AND email = $3 AND password_version = $4
     `;
-    const queryParams = [password, userId, userEmail];
-    const { rowCount } = await processDBRequest({ query, queryParams });
+    const queryParams = [password, userId, userEmail, passwordVersion];
+    const { rowCount } = await client.query(query, queryParams);
     return rowCount;
 }
 
+const findUserByEmail = async (email) => {
+    const query = `
+        SELECT id, email, is_active, is_email_verified, password_version
+        FROM users
+        WHERE lower(email) = lower($1)
+    `;
+    const queryParams = [email];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0];
+}
+
 module.exports = {
     findUserByUsername,
+    findUserByIdForLogin,
+    findUserByEmailForLogin,
+    linkOidcSubject,
+    insertOidcUser,
     invalidateRefreshToken,
-    findUserByRefreshToken,
+    findRefreshTokenForUpdate,
+    isRefreshTokenActive,
+    setSessionAccessToken,
+    markRefreshTokenUsed,
+    revokeRefreshTokenFamily,
+    deleteExpiredRefreshTokens,
     updateUserRefreshToken,
-    getMenusByRoleId,
+    getMenusByRoleIds,
+    getRoleIdsByUserId,
     getRoleNameByRoleId,
+    isRoleActive,
     saveUserLastLoginDate,
-    deleteOldRefreshTokenByUserId,
     isEmailVerified,
     verifyAccountEmail,
+    confirmPendingEmail,
     doesEmailExist,
     setupUserPassword,
+    findUserByEmail,
 };
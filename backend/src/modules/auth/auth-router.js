@@ -1,17 +1,28 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateToken, csrfProtection, handleEmailVerificationToken, handlePasswordSetupToken, checkApiAccess } = require("../../middlewares");
+const { authenticateToken, csrfProtection, handleEmailVerificationToken, handleEmailChangeToken, handlePasswordSetupToken, handleTwoFactorChallengeToken, checkApiAccess, isUserAdmin } = require("../../middlewares");
 const authController = require("./auth-controller");
 const { validateRequest } = require("../../utils");
-const { LoginSchema } = require("./auth-schema");
+const { LoginSchema, TwoFactorLoginSchema, TwoFactorChallengeSchema, ForgotPasswordSchema, OidcCallbackSchema, ImpersonationSchema } = require("./auth-schema");
 
 router.post("/login", validateRequest(LoginSchema), authController.handleLogin);
+router.post("/login/2fa", validateRequest(TwoFactorLoginSchema), handleTwoFactorChallengeToken, authController.handleLoginTwoFactor);
+router.post("/login/2fa/setup", validateRequest(TwoFactorChallengeSchema), handleTwoFactorChallengeToken, authController.handleLoginTwoFactorSetup);
+router.get("/oidc", authController.handleGetOidcConfig);
+router.get("/oidc/authorize", authController.handleOidcAuthorize);
+router.post("/oidc/callback", validateRequest(OidcCallbackSchema), authController.handleOidcCallback);
 router.get("/refresh", authController.handleTokenRefresh);
 router.post("/logout", authenticateToken, csrfProtection, authController.handleLogout);
 router.get("/verify-email/:token", handleEmailVerificationToken, authController.handleAccountEmailVerify);
+router.get("/confirm-email/:token", handleEmailChangeToken, authController.handleConfirmEmailChange);
 router.post("/setup-password", handlePasswordSetupToken, authController.handleAccountPasswordSetup);
+router.post("/forgot-password", validateRequest(ForgotPasswordSchema), authController.handleForgotPassword);
 router.post("/resend-email-verification", authenticateToken, csrfProtection, checkApiAccess, authController.handleResendEmailVerification);
 router.post("/resend-pwd-setup-link", authenticateToken, csrfProtection, checkApiAccess, authController.handleResendPwdSetupLink);
 router.post("/reset-pwd", authenticateToken, csrfProtection, checkApiAccess, authController.handlePwdReset);
+router.post("/force-logout", authenticateToken, csrfProtection, checkApiAccess, authController.handleForceLogout);
+router.post("/unlock-account", authenticateToken, csrfProtection, checkApiAccess, authController.handleUnlockAccount);
+router.post("/impersonate", authenticateToken, csrfProtection, isUserAdmin, validateRequest(ImpersonationSchema), authController.handleStartImpersonation);
+router.post("/impersonate/stop", authenticateToken, csrfProtection, authController.handleStopImpersonation);
 
 module.exports = { authRoutes: router };
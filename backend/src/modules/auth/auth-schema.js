@@ -1,4 +1,5 @@
 const { z } = require("zod");
+const { twoFactorCode } = require("../two-factor/two-factor-schema");
 
 const LoginSchema = z.object({
     body: z.object({
@@ -7,6 +8,47 @@ const LoginSchema = z.object({
     })
 });
 
+const TwoFactorLoginSchema = z.object({
+    body: z.object({
+        challengeToken: z.string().min(1, "Challenge token is required"),
+        code: twoFactorCode.optional(),
+        recoveryCode: z.string().min(1).optional()
+    }).refine((data) => data.code || data.recoveryCode, {
+        message: "Code or recovery code is required",
+        path: ["code"]
+    })
+});
+
+const TwoFactorChallengeSchema = z.object({
+    body: z.object({
+        challengeToken: z.string().min(1, "Challenge token is required")
+    })
+});
+
+const OidcCallbackSchema = z.object({
+    body: z.object({
+        code: z.string().min(1, "Authorization code is required"),
+        state: z.string().min(1, "State is required")
+    })
+});
+
+const ForgotPasswordSchema = z.object({
+    body: z.object({
+        email: z.string().email("Valid email is required")
+    })
+});
+
+const ImpersonationSchema = z.object({
+    body: z.object({
+        userId: z.number().int().positive("Valid user id is required")
+    })
+});
+
 module.exports = {
-    LoginSchema
+    LoginSchema,
+    TwoFactorLoginSchema,
+    TwoFactorChallengeSchema,
+    ForgotPasswordSchema,
+    OidcCallbackSchema,
+    ImpersonationSchema
 };
@@ -9,22 +9,55 @@ const {
   sendAccountVerificationEmail,
   formatMyPermission,
 } = require("../../utils");
+const log = require("../../utils/log");
 const {
   findUserByUsername,
+  findUserByIdForLogin,
+  findUserByEmailForLogin,
+  linkOidcSubject,
+  insertOidcUser,
   invalidateRefreshToken,
-  findUserByRefreshToken,
-  getMenusByRoleId,
+  findRefreshTokenForUpdate,
+  isRefreshTokenActive,
+  setSessionAccessToken,
+  markRefreshTokenUsed,
+  revokeRefreshTokenFamily,
+  deleteExpiredRefreshTokens,
+  getMenusByRoleIds,
+  getRoleIdsByUserId,
   getRoleNameByRoleId,
+  isRoleActive,
   saveUserLastLoginDate,
-  deleteOldRefreshTokenByUserId,
   isEmailVerified,
   verifyAccountEmail,
+  confirmPendingEmail,
   doesEmailExist,
   setupUserPassword,
+  findUserByEmail,
 } = require("./auth-repository");
+const jwt = require("jsonwebtoken");
 const { v4: uuidV4 } = require("uuid");
 const { env, db } = require("../../config");
-const { insertRefreshToken, findUserById } = require("../../shared/repository");
+const {
+  insertRefreshToken,
+  findUserById,
+  revokeUserSessions,
+  insertSecurityEvent,
+} = require("../../shared/repository");
+const { loginThrottle } = require("./login-throttle");
+const { tokenRevocation } = require("./token-revocation");
+const { forgotPasswordThrottle } = require("./forgot-password-throttle");
+const { oidcClient } = require("./oidc-client");
+const { recordAuditEvent } = require("../audit/audit-service");
+const {
+  assertPasswordMeetsPolicy,
+  recordPasswordHistory,
+} = require("../password-policy/password-policy-service");
+const {
+  getTwoFactorLoginChallenge,
+  verifyLoginSecondFactor,
+  startTwoFactorEnrollment,
+} = require("../two-factor/two-factor-service");
 
 const PWD_SETUP_EMAIL_SEND_SUCCESS =
   "Password setup link emailed successfully.";
@@ -33,64 +66,203 @@ const EMAIL_NOT_VERIFIED =
   "Email not verified yet. Please verify your email first.";
 const USER_ALREADY_ACTIVE = "User already in active status. Please login.";
 const UNABLE_TO_VERIFY_EMAIL = "Unable to verify email";
-const login = async (username, passwordFromUser) => {
+const INVALID_CREDENTIAL = "Invalid credential";
+const REFRESH_TOKEN_REUSED = "Refresh token has already been used. Please login again.";
+const ROLE_DISABLED = "Your role is disabled. Please contact the administrator.";
+const PWD_SETUP_LINK_USED =
+  "This password setup link has expired or has already been used. Please request a new one.";
+const FORGOT_PASSWORD_EMAIL_SENT =
+  "If an account exists for this email, a password setup link has been sent to it.";
+const OIDC_NOT_CONFIGURED = "Single sign-on is not configured";
+const OIDC_STATE_MISMATCH = "Single sign-on session expired. Please try again.";
+const OIDC_STATE_TOKEN_TIME = "10m";
+
+const generateRefreshToken = ({ userId, roleName, roleId }) => {
+  return generateToken(
+    { id: userId, role: roleName, roleId },
+    env.JWT_REFRESH_TOKEN_SECRET,
+    env.JWT_REFRESH_TOKEN_TIME_IN_MS
+  );
+};
+
+const generateAccessAndCsrfToken = ({
+  userId,
+  roleName,
+  roleId,
+  roleIds = [roleId],
+  impersonator,
+  expiresIn = env.JWT_ACCESS_TOKEN_TIME_IN_MS,
+}) => {
+  const csrfToken = uuidV4();
+  const csrfHmacHash = generateCsrfHmacHash(csrfToken);
+  const accessToken = generateToken(
+    {
+      id: userId,
+      role: roleName,
+      roleId,
+      roleIds,
+      csrf_hmac: csrfHmacHash,
+      ...(impersonator && { impersonator }),
+    },
+    env.JWT_ACCESS_TOKEN_SECRET,
+    expiresIn
+  );
+  const { jti, exp } = jwt.decode(accessToken);
+  return { accessToken, csrfToken, accessTokenId: jti, accessTokenExpiresAt: new Date(exp * 1000) };
+};
+
+const getAccountBasic = async ({ id, name, email, roleIds, roleName }, client) => {
+  const permissions = await getMenusByRoleIds(roleIds, client);
+  const { hierarchialMenus, apis, uis } = formatMyPermission(permissions);
+
+  return {
+    id,
+    name,
+    email,
+    role: roleName,
+    menus: hierarchialMenus,
+    uis,
+    apis,
+  };
+};
+
+// Starts a new session for the user, used by login and by a password change
+const issueSessionTokens = async (user, sessionMeta, client) => {
+  const { id: userId, role_id } = user;
+  if (!(await isRoleActive(role_id, client))) {
+    throw new ApiError(403, ROLE_DISABLED);
+  }
+
+  const roleName = await getRoleNameByRoleId(role_id, client);
+  const roleIds = await getRoleIdsByUserId(userId, client);
+  const { accessToken, csrfToken, accessTokenId, accessTokenExpiresAt } = generateAccessAndCsrfToken({
+    userId,
+    roleName,
+    roleId: role_id,
+    roleIds,
+  });
+  const refreshToken = generateRefreshToken({ userId, roleName, roleId: role_id });
+
+  await insertRefreshToken({ userId, refreshToken, accessTokenId, accessTokenExpiresAt, sessionMeta }, client);
+
+  return { accessToken, refreshToken, csrfToken, roleName, roleIds };
+};
+
+const issueUserSession = async (user, sessionMeta, client) => {
+  const { id: userId, name, email } = user;
+  const { accessToken, refreshToken, csrfToken, roleName, roleIds } = await issueSessionTokens(
+    user,
+    sessionMeta,
+    client
+  );
+  await saveUserLastLoginDate(userId, client);
+
+  const accountBasic = await getAccountBasic(
+    { id: userId, name, email, roleIds, roleName },
+    client
+  );
+
+  return { accessToken, refreshToken, csrfToken, accountBasic };
+};
+
+const registerFailedLogin = async ({ username, ipAddress, userId = null }) => {
+  const lockouts = await loginThrottle.recordLoginFailure({ username, ipAddress });
+  for (const { scope, failedCount, lockedUntil } of lockouts) {
+    log.warn("Login locked after repeated failures", { scope, username, ipAddress });
+    await insertSecurityEvent({
+      eventType: scope === "account" ? "ACCOUNT_LOCKED" : "IP_LOCKED",
+      userId: scope === "account" ? userId : null,
+      username,
+      ipAddress,
+      detail: { failedCount, lockedUntil },
+    });
+  }
+};
+
+const login = async (username, passwordFromUser, sessionMeta) => {
+  const ipAddress = sessionMeta?.ipAddress;
+  await loginThrottle.assertLoginAllowed({ username, ipAddress });
+
   const client = await db.connect();
   try {
     await client.query("BEGIN");
 
     const user = await findUserByUsername(username, client);
     if (!user) {
-      throw new ApiError(400, "Invalid credential");
+      await registerFailedLogin({ username, ipAddress });
+      throw new ApiError(400, INVALID_CREDENTIAL);
     }
 
-    const {
-      id: userId,
-      role_id,
-      name,
-      email,
-      password: passwordFromDB,
-      is_active,
-    } = user;
+    const { password: passwordFromDB, is_active } = user;
     if (!is_active) {
       throw new ApiError(403, "Your account is disabled");
     }
 
-    await verifyPassword(passwordFromDB, passwordFromUser);
-
-    const roleName = await getRoleNameByRoleId(role_id, client);
-    const csrfToken = uuidV4();
-    const csrfHmacHash = generateCsrfHmacHash(csrfToken);
-    const accessToken = generateToken(
-      { id: userId, role: roleName, roleId: role_id, csrf_hmac: csrfHmacHash },
-      env.JWT_ACCESS_TOKEN_SECRET,
-      env.JWT_ACCESS_TOKEN_TIME_IN_MS
-    );
-    const refreshToken = generateToken(
-      { id: userId, role: roleName, roleId: role_id },
-      env.JWT_REFRESH_TOKEN_SECRET,
-      env.JWT_REFRESH_TOKEN_TIME_IN_MS
-    );
+    try {
+      await verifyPassword(passwordFromDB, passwordFromUser);
+    } catch (error) {
+      await registerFailedLogin({ username, ipAddress, userId: user.id });
+      throw error;
+    }
 
-    await deleteOldRefreshTokenByUserId(userId, client);
-    await insertRefreshToken({ userId, refreshToken }, client);
-    await saveUserLastLoginDate(userId, client);
+    // Failures are only cleared once the second factor passes too,
+    // otherwise a known password would reset the code guessing budget
+    const twoFactorChallenge = await getTwoFactorLoginChallenge(user);
+    if (twoFactorChallenge) {
+      await client.query("COMMIT");
+      return { twoFactorChallenge };
+    }
 
-    const permissions = await getMenusByRoleId(role_id, client);
-    const { hierarchialMenus, apis, uis } = formatMyPermission(permissions);
+    await loginThrottle.clearAccountFailures(username);
+    const session = await issueUserSession(user, sessionMeta, client);
 
     await client.query("COMMIT");
 
-    const accountBasic = {
-      id: userId,
-      name,
-      email,
-      role: roleName,
-      menus: hierarchialMenus,
-      uis,
-      apis,
-    };
+    return session;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
 
-    return { accessToken, refreshToken, csrfToken, accountBasic };
+const completeTwoFactorLogin = async ({ userId, code, recoveryCode, sessionMeta }) => {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const user = await findUserByIdForLogin(userId, client);
+    if (!user) {
+      throw new ApiError(400, INVALID_CREDENTIAL);
+    }
+
+    if (!user.is_active) {
+      throw new ApiError(403, "Your account is disabled");
+    }
+
+    const identity = { username: user.email, ipAddress: sessionMeta?.ipAddress };
+    await loginThrottle.assertLoginAllowed(identity);
+
+    let recoveryCodes;
+    try {
+      ({ recoveryCodes } = await verifyLoginSecondFactor(
+        { userId, code, recoveryCode },
+        client
+      ));
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode === 400) {
+        await registerFailedLogin({ ...identity, userId });
+      }
+      throw error;
+    }
+
+    await loginThrottle.clearAccountFailures(user.email);
+    const session = await issueUserSession(user, sessionMeta, client);
+
+    await client.query("COMMIT");
+
+    return { ...session, recoveryCodes };
   } catch (error) {
     await client.query("ROLLBACK");
     throw error;
@@ -99,7 +271,18 @@ const login = async (username, passwordFromUser) => {
   }
 };
 
-const logout = async (refreshToken) => {
+const processLoginTwoFactorSetup = async (userId) => {
+  const user = await findUserById(userId);
+  if (!user || !user.is_active) {
+    throw new ApiError(400, "Invalid challenge token");
+  }
+
+  return startTwoFactorEnrollment(userId);
+};
+
+const logout = async (refreshToken, user) => {
+  await tokenRevocation.revokeToken(user);
+
   const affectedRow = await invalidateRefreshToken(refreshToken);
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to logout");
@@ -107,7 +290,7 @@ const logout = async (refreshToken) => {
   return { message: "Logged out successfully" };
 };
 
-const getNewAccessAndCsrfToken = async (refreshToken) => {
+const getNewAccessAndCsrfToken = async (refreshToken, sessionMeta) => {
   const client = await db.connect();
   try {
     await client.query("BEGIN");
@@ -120,29 +303,68 @@ const getNewAccessAndCsrfToken = async (refreshToken) => {
       throw new ApiError(401, "Invalid refresh token");
     }
 
-    const user = await findUserByRefreshToken(refreshToken);
-    if (!user) {
+    const storedToken = await findRefreshTokenForUpdate(refreshToken, client);
+    if (!storedToken) {
       throw new ApiError(401, "Refresh token does not exist");
     }
 
-    const { id: userId, role_id, is_active } = user;
+    const {
+      id: tokenId,
+      family_id: familyId,
+      session_started_at: sessionStartedAt,
+      user_id: userId,
+      role_id,
+      is_active,
+      role_is_active,
+    } = storedToken;
+    if (storedToken.used_at || storedToken.revoked_at) {
+      // A rotated token presented again means it was copied, so the whole chain is untrusted
+      await revokeRefreshTokenFamily(familyId, client);
+      await client.query("COMMIT");
+      log.warn("Refresh token reuse detected, token family revoked", { userId, familyId });
+      throw new ApiError(401, REFRESH_TOKEN_REUSED);
+    }
+
     if (!is_active) {
       throw new ApiError(401, "Your account is disabled");
     }
+    if (!role_is_active) {
+      throw new ApiError(401, ROLE_DISABLED);
+    }
+
+    const affectedRow = await markRefreshTokenUsed(tokenId, client);
+    if (affectedRow <= 0) {
+      throw new ApiError(401, REFRESH_TOKEN_REUSED);
+    }
 
     const roleName = await getRoleNameByRoleId(role_id, client);
-    const csrfToken = uuidV4();
-    const csrfHmacHash = generateCsrfHmacHash(csrfToken);
-    const accessToken = generateToken(
-      { id: userId, role: roleName, roleId: role_id, csrf_hmac: csrfHmacHash },
-      env.JWT_ACCESS_TOKEN_SECRET,
-      env.JWT_ACCESS_TOKEN_TIME_IN_MS
+    const roleIds = await getRoleIdsByUserId(userId, client);
+    const { accessToken, csrfToken, accessTokenId, accessTokenExpiresAt } = generateAccessAndCsrfToken({
+      userId,
+      roleName,
+      roleId: role_id,
+      roleIds,
+    });
+    const newRefreshToken = generateRefreshToken({ userId, roleName, roleId: role_id });
+    await insertRefreshToken(
+      {
+        userId,
+        refreshToken: newRefreshToken,
+        accessTokenId,
+        accessTokenExpiresAt,
+        familyId,
+        parentId: tokenId,
+        sessionStartedAt,
+        sessionMeta,
+      },
+      client
     );
 
     await client.query("COMMIT");
 
     return {
       accessToken,
+      refreshToken: newRefreshToken,
       csrfToken,
       message: "Refresh-token and csrf-token generated successfully",
     };
@@ -154,6 +376,159 @@ const getNewAccessAndCsrfToken = async (refreshToken) => {
   }
 };
 
+// Admin "log in as user": a time-boxed access token for the target user that also names the admin.
+// The admin's own refresh token is left in place, so the impersonation cannot outlive its access
+// token and refreshing or stopping returns to the admin's session.
+const startImpersonation = async ({ actor, userId, refreshToken, auditContext }) => {
+  if (actor.impersonator) {
+    throw new ApiError(403, "Stop the current impersonation first");
+  }
+  if (Number(userId) === Number(actor.id)) {
+    throw new ApiError(400, "You cannot impersonate yourself");
+  }
+
+  const client = await db.connect();
+  try {
+    const admin = await findUserByIdForLogin(actor.id, client);
+    const user = await findUserByIdForLogin(userId, client);
+    if (!admin || !(await isRefreshTokenActive(refreshToken, admin.id, client))) {
+      throw new ApiError(401, "Your session has expired. Please login again.");
+    }
+    if (!user) {
+      throw new ApiError(404, USER_DOES_NOT_EXIST);
+    }
+    if (Number(user.role_id) === 1) {
+      throw new ApiError(403, "Admin accounts cannot be impersonated");
+    }
+    if (!user.is_active) {
+      throw new ApiError(403, "Disabled accounts cannot be impersonated");
+    }
+
+    const impersonationTimeInMs = Number(env.IMPERSONATION_TIME_IN_MS);
+    const expiresAt = new Date(Date.now() + impersonationTimeInMs).toISOString();
+    const impersonator = { id: admin.id, name: admin.name, expiresAt };
+    const roleName = await getRoleNameByRoleId(user.role_id, client);
+    const roleIds = await getRoleIdsByUserId(user.id, client);
+    const { accessToken, csrfToken, ...accessTokenInfo } = generateAccessAndCsrfToken({
+      userId: user.id,
+      roleName,
+      roleId: user.role_id,
+      roleIds,
+      impersonator,
+      // jsonwebtoken reads a plain number as seconds
+      expiresIn: `${impersonationTimeInMs}ms`,
+    });
+    await setSessionAccessToken(refreshToken, accessTokenInfo, client);
+    const accountBasic = await getAccountBasic(
+      { id: user.id, name: user.name, email: user.email, roleIds, roleName },
+      client
+    );
+
+    log.info("Impersonation started", { actorId: admin.id, userId: user.id, expiresAt });
+    await recordAuditEvent({
+      ...auditContext,
+      actorId: admin.id,
+      impersonatedUserId: user.id,
+      action: "impersonation:start",
+      entity: "user",
+      entityId: String(user.id),
+      statusCode: 200,
+      changes: { expiresAt: { from: null, to: expiresAt } },
+    });
+
+    return { accessToken, csrfToken, accountBasic: { ...accountBasic, impersonator } };
+  } finally {
+    client.release();
+  }
+};
+
+// Also called after the impersonation token has expired and been replaced by a refresh,
+// in which case there is nothing to stop and the admin's account is returned as is
+const stopImpersonation = async ({ user, refreshToken, auditContext }) => {
+  const adminId = user.impersonator ? user.impersonator.id : user.id;
+
+  const client = await db.connect();
+  try {
+    const admin = await findUserByIdForLogin(adminId, client);
+    if (!admin || !admin.is_active || !(await isRefreshTokenActive(refreshToken, adminId, client))) {
+      throw new ApiError(401, "Your session has expired. Please login again.");
+    }
+
+    const roleName = await getRoleNameByRoleId(admin.role_id, client);
+    const roleIds = await getRoleIdsByUserId(admin.id, client);
+    const { accessToken, csrfToken, ...accessTokenInfo } = generateAccessAndCsrfToken({
+      userId: admin.id,
+      roleName,
+      roleId: admin.role_id,
+      roleIds,
+    });
+    await setSessionAccessToken(refreshToken, accessTokenInfo, client);
+    const accountBasic = await getAccountBasic(
+      { id: admin.id, name: admin.name, email: admin.email, roleIds, roleName },
+      client
+    );
+
+    if (user.impersonator) {
+      log.info("Impersonation stopped", { actorId: admin.id, userId: user.id });
+      await tokenRevocation.revokeToken(user);
+      await recordAuditEvent({
+        ...auditContext,
+        actorId: admin.id,
+        impersonatedUserId: user.id,
+        action: "impersonation:stop",
+        entity: "user",
+        entityId: String(user.id),
+        statusCode: 200,
+        changes: null,
+      });
+    }
+
+    return { accessToken, csrfToken, accountBasic };
+  } finally {
+    client.release();
+  }
+};
+
+const processForceLogout = async (userId) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, USER_DOES_NOT_EXIST);
+  }
+
+  await revokeUserSessions(userId);
+  await tokenRevocation.revokeUserTokens(userId);
+  return { message: "User logged out from all devices" };
+};
+
+const processUnlockAccount = async ({ userId, actorId }) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, USER_DOES_NOT_EXIST);
+  }
+
+  await loginThrottle.clearAccountFailures(user.email);
+  await insertSecurityEvent({
+    eventType: "ACCOUNT_UNLOCKED",
+    userId: user.id,
+    username: user.email,
+    actorId,
+  });
+
+  return { message: "Account unlocked successfully" };
+};
+
+const pruneExpiredRefreshTokens = async () => {
+  return deleteExpiredRefreshTokens();
+};
+
+const pruneExpiredRevokedAccessTokens = async () => {
+  return tokenRevocation.pruneExpired();
+};
+
+const pruneExpiredLoginAttempts = async () => {
+  return loginThrottle.pruneExpired();
+};
+
 const processAccountEmailVerify = async (id) => {
   const EMAIL_VERIFIED_AND_EMAIL_SEND_SUCCESS =
     "Email verified successfully. Please setup password using link provided in the email.";
@@ -171,7 +546,11 @@ const processAccountEmailVerify = async (id) => {
     }
 
     try {
-      await sendPasswordSetupEmail({ userId: id, userEmail: user.email });
+      await sendPasswordSetupEmail({
+        userId: id,
+        userEmail: user.email,
+        passwordVersion: user.password_version,
+      });
       return { message: EMAIL_VERIFIED_AND_EMAIL_SEND_SUCCESS };
     } catch (error) {
       return { message: EMAIL_VERIFIED_BUT_EMAIL_SEND_FAIL };
@@ -181,24 +560,74 @@ const processAccountEmailVerify = async (id) => {
   }
 };
 
+const processConfirmEmailChange = async ({ userId, email }) => {
+  const user = await findUserById(userId);
+  if (!user || user.pending_email !== email) {
+    throw new ApiError(400, "Email change link is invalid or has already been used");
+  }
+
+  const updated = await confirmPendingEmail({ userId, email });
+  if (!updated) {
+    throw new ApiError(409, "Email already exists");
+  }
+
+  await insertSecurityEvent({
+    eventType: "EMAIL_CHANGED",
+    userId,
+    username: user.email,
+    detail: { newEmail: updated.email },
+  });
+
+  return { message: "Email changed successfully. Please use the new email address to login." };
+};
+
 const processPasswordSetup = async (payload) => {
-  const { userId, userEmail, password } = payload;
+  const { userId, userEmail, password, passwordVersion } = payload;
 
   const result = await doesEmailExist(userId, userEmail);
   if (!result || result?.email !== userEmail) {
     throw new ApiError(404, "Bad request");
   }
 
-  const hashedPassword = await generateHashedPassword(password);
-  const affectedRow = await setupUserPassword({
+  const user = await findUserById(userId);
+  await assertPasswordMeetsPolicy({
     userId,
-    userEmail,
-    password: hashedPassword,
+    password,
+    currentPasswordHash: user.password,
   });
-  if (affectedRow <= 0) {
-    throw new ApiError(500, "Unable to setup password");
+
+  const hashedPassword = await generateHashedPassword(password);
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const affectedRow = await setupUserPassword(
+      {
+        userId,
+        userEmail,
+        password: hashedPassword,
+        passwordVersion,
+      },
+      client
+    );
+    if (affectedRow <= 0) {
+      throw new ApiError(400, PWD_SETUP_LINK_USED);
+    }
+    await recordPasswordHistory({ userId, previousPasswordHash: user.password }, client);
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
   }
 
+  // Whoever held the old password should not stay logged in, and a lockout no longer applies
+  await revokeUserSessions(userId);
+  await tokenRevocation.revokeUserTokens(userId);
+  await loginThrottle.clearAccountFailures(userEmail);
+
   return {
     message:
       "Password setup successful. Please login now using your email and password.",
@@ -245,7 +674,7 @@ const processResendPwdSetupLink = async (userId) => {
       throw new ApiError(404, USER_DOES_NOT_EXIST);
     }
 
-    const { email, is_active, is_email_verified } = user;
+    const { email, is_active, is_email_verified, password_version } = user;
     if (is_active) {
       throw new ApiError(400, USER_ALREADY_ACTIVE);
     }
@@ -254,7 +683,11 @@ const processResendPwdSetupLink = async (userId) => {
       throw new ApiError(400, EMAIL_NOT_VERIFIED);
     }
 
-    await sendPasswordSetupEmail({ userId, userEmail: email });
+    await sendPasswordSetupEmail({
+      userId,
+      userEmail: email,
+      passwordVersion: password_version,
+    });
     return { message: PWD_SETUP_EMAIL_SEND_SUCCESS };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -272,12 +705,16 @@ const processPwdReset = async (userId) => {
       throw new ApiError(404, USER_DOES_NOT_EXIST);
     }
 
-    const { email, is_email_verified } = user;
+    const { email, is_email_verified, password_version } = user;
     if (!is_email_verified) {
       throw new ApiError(400, EMAIL_NOT_VERIFIED);
     }
 
-    await sendPasswordSetupEmail({ userId, userEmail: email });
+    await sendPasswordSetupEmail({
+      userId,
+      userEmail: email,
+      passwordVersion: password_version,
+    });
     return { message: PWD_SETUP_EMAIL_SEND_SUCCESS };
   } catch (error) {
     if (error instanceof ApiError) {
@@ -288,13 +725,174 @@ const processPwdReset = async (userId) => {
   }
 };
 
+const sendForgotPasswordEmail = async (user, ipAddress) => {
+  try {
+    await sendPasswordSetupEmail({
+      userId: user.id,
+      userEmail: user.email,
+      passwordVersion: user.password_version,
+    });
+    await insertSecurityEvent({
+      eventType: "PASSWORD_RESET_REQUESTED",
+      userId: user.id,
+      username: user.email,
+      ipAddress,
+    });
+  } catch (error) {
+    log.error("Unable to send forgot password email", { userId: user.id, errorMessage: error.message });
+  }
+};
+
+const processForgotPassword = async ({ email, ipAddress }) => {
+  await forgotPasswordThrottle.consumeRequest({ email, ipAddress });
+
+  // Disabled accounts are skipped because completing the setup link would re-activate them
+  const user = await findUserByEmail(email);
+  if (user && user.is_active && user.is_email_verified) {
+    // Not awaited, so the response time does not reveal whether the account exists
+    sendForgotPasswordEmail(user, ipAddress);
+  }
+
+  return { message: FORGOT_PASSWORD_EMAIL_SENT };
+};
+
+const getOidcConfig = () => {
+  return {
+    enabled: Boolean(oidcClient),
+    providerName: env.OIDC_PROVIDER_NAME,
+  };
+};
+
+const startOidcLogin = async () => {
+  if (!oidcClient) {
+    throw new ApiError(404, OIDC_NOT_CONFIGURED);
+  }
+
+  const { authorizationUrl, state, nonce, codeVerifier } =
+    await oidcClient.createAuthorizationRequest();
+  // The PKCE verifier and nonce never leave the server except inside this signed, httpOnly cookie
+  const oidcStateToken = generateToken(
+    { state, nonce, codeVerifier },
+    env.OIDC_STATE_TOKEN_SECRET,
+    OIDC_STATE_TOKEN_TIME
+  );
+
+  return { authorizationUrl, oidcStateToken };
+};
+
+const findOrProvisionOidcUser = async ({ sub, email, name }, client) => {
+  const user = await findUserByEmailForLogin(email, client);
+  if (user) {
+    // Once linked, the account only follows the same IdP identity even if the email is reassigned
+    if (user.oidc_subject && user.oidc_subject !== sub) {
+      throw new ApiError(403, "This account is linked to a different single sign-on identity");
+    }
+    if (!user.oidc_subject) {
+      await linkOidcSubject(user.id, sub, client);
+    }
+    return { user, isProvisioned: false };
+  }
+
+  if (env.OIDC_JIT_PROVISIONING !== "true") {
+    throw new ApiError(403, "No account exists for this email. Please contact the school office.");
+  }
+
+  const newUser = await insertOidcUser(
+    {
+      name: name || email.split("@")[0],
+      email,
+      roleId: env.OIDC_DEFAULT_ROLE_ID,
+      subject: sub,
+    },
+    client
+  );
+  return { user: newUser, isProvisioned: true };
+};
+
+const completeOidcLogin = async ({ code, state, oidcStateToken, sessionMeta }) => {
+  if (!oidcClient) {
+    throw new ApiError(404, OIDC_NOT_CONFIGURED);
+  }
+
+  const savedState = oidcStateToken
+    ? verifyToken(oidcStateToken, env.OIDC_STATE_TOKEN_SECRET)
+    : null;
+  if (!savedState || savedState.state !== state) {
+    throw new ApiError(400, OIDC_STATE_MISMATCH);
+  }
+
+  const claims = await oidcClient.exchangeCode({
+    code,
+    codeVerifier: savedState.codeVerifier,
+    nonce: savedState.nonce,
+  });
+  if (!claims.email || claims.email_verified !== true) {
+    throw new ApiError(403, "Your identity provider did not share a verified email address");
+  }
+
+  const client = await db.connect();
+  let result;
+  let provisionedUser = null;
+  try {
+    await client.query("BEGIN");
+
+    const { user, isProvisioned } = await findOrProvisionOidcUser(claims, client);
+    if (!user.is_active) {
+      throw new ApiError(403, "Your account is disabled");
+    }
+    if (isProvisioned) {
+      provisionedUser = user;
+    }
+
+    // Local two-factor settings still apply, the same as for password logins
+    const twoFactorChallenge = await getTwoFactorLoginChallenge(user);
+    result = twoFactorChallenge
+      ? { twoFactorChallenge }
+      : await issueUserSession(user, sessionMeta, client);
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (provisionedUser) {
+    await insertSecurityEvent({
+      eventType: "OIDC_USER_PROVISIONED",
+      userId: provisionedUser.id,
+      username: provisionedUser.email,
+      ipAddress: sessionMeta?.ipAddress,
+      detail: { subject: claims.sub, roleId: provisionedUser.role_id },
+    });
+  }
+
+  return result;
+};
+
 module.exports = {
   login,
+  completeTwoFactorLogin,
+  processLoginTwoFactorSetup,
   logout,
   getNewAccessAndCsrfToken,
+  issueSessionTokens,
+  pruneExpiredRefreshTokens,
+  pruneExpiredRevokedAccessTokens,
+  pruneExpiredLoginAttempts,
+  processForceLogout,
+  processUnlockAccount,
   processAccountEmailVerify,
+  processConfirmEmailChange,
   processPasswordSetup,
   processResendEmailVerification,
   processResendPwdSetupLink,
   processPwdReset,
+  processForgotPassword,
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin,
+  startImpersonation,
+  stopImpersonation,
 };
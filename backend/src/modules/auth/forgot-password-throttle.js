@@ -0,0 +1,52 @@
+const { env } = require("../../config");
+const { ApiError } = require("../../utils");
+const { createLoginAttemptStore } = require("./login-attempt-store");
+
+// Shares the login attempt store; keys are prefixed so they never collide with login counters
+const getRequestKeys = ({ email, ipAddress }) => {
+    const keys = [{ scope: "email", key: `forgot-password:email:${String(email).trim().toLowerCase()}` }];
+    if (ipAddress) {
+        keys.push({ scope: "ip", key: `forgot-password:ip:${ipAddress}` });
+    }
+    return keys;
+}
+
+const createForgotPasswordThrottle = ({
+    store,
+    maxEmailRequests,
+    maxIpRequests,
+    windowInMs,
+    now = () => Date.now(),
+}) => {
+    const getMaxRequests = (scope) => (scope === "email" ? maxEmailRequests : maxIpRequests);
+
+    // Counts the request before checking it, so hammering the endpoint keeps the window open
+    const consumeRequest = async (identity) => {
+        const currentTime = now();
+        let isLimited = false;
+        for (const { scope, key } of getRequestKeys(identity)) {
+            const counter = await store.increment(key, { now: currentTime, windowInMs });
+            if (counter.failedCount > getMaxRequests(scope)) {
+                isLimited = true;
+            }
+        }
+
+        if (isLimited) {
+            throw new ApiError(429, "Too many password reset requests. Please try again later.");
+        }
+    };
+
+    return { consumeRequest };
+}
+
+const forgotPasswordThrottle = createForgotPasswordThrottle({
+    store: createLoginAttemptStore(),
+    maxEmailRequests: parseInt(env.FORGOT_PASSWORD_MAX_REQUESTS),
+    maxIpRequests: parseInt(env.FORGOT_PASSWORD_MAX_REQUESTS_PER_IP),
+    windowInMs: parseInt(env.FORGOT_PASSWORD_WINDOW_IN_MS),
+});
+
+module.exports = {
+    createForgotPasswordThrottle,
+    forgotPasswordThrottle,
+};
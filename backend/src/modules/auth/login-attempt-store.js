@@ -0,0 +1,135 @@
+const { env } = require("../../config");
+const { processDBRequest } = require("../../utils");
+
+// A store keeps one failed-attempt counter per key ("account:<email>" or "ip:<address>").
+// Every store exposes the same async interface so the throttle does not care where data lives:
+//   get(key) -> { failedCount, lastFailedAt, lockedUntil } | null   (timestamps in ms)
+//   increment(key, { now, windowInMs }) -> counter after the failure was added
+//   lock(key, lockedUntil)
+//   clear(key)
+//   deleteExpired({ now, windowInMs }) -> number of counters that no longer count and were removed
+
+const isCounterExpired = (attempt, now, windowInMs) => {
+    const isLocked = attempt.lockedUntil && attempt.lockedUntil > now;
+    return !isLocked && now - attempt.lastFailedAt > windowInMs;
+}
+
+const createMemoryLoginAttemptStore = () => {
+    const attempts = new Map();
+
+    return {
+        get: async (key) => {
+            const attempt = attempts.get(key);
+            return attempt ? { ...attempt } : null;
+        },
+        increment: async (key, { now, windowInMs }) => {
+            const previous = attempts.get(key);
+            const attempt = !previous || isCounterExpired(previous, now, windowInMs)
+                ? { failedCount: 1, lastFailedAt: now, lockedUntil: null }
+                : { ...previous, failedCount: previous.failedCount + 1, lastFailedAt: now };
+            attempts.set(key, attempt);
+            return { ...attempt };
+        },
+        lock: async (key, lockedUntil) => {
+            const attempt = attempts.get(key);
+            if (attempt) {
+                attempts.set(key, { ...attempt, lockedUntil });
+            }
+        },
+        clear: async (key) => {
+            attempts.delete(key);
+        },
+        deleteExpired: async ({ now, windowInMs }) => {
+            let deletedCount = 0;
+            for (const [key, attempt] of attempts) {
+                if (isCounterExpired(attempt, now, windowInMs)) {
+                    attempts.delete(key);
+                    deletedCount++;
+                }
+            }
+            return deletedCount;
+        },
+    };
+}
+
+const toAttempt = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        failedCount: row.failed_count,
+        lastFailedAt: new Date(row.last_failed_at).getTime(),
+        lockedUntil: row.locked_until ? new Date(row.locked_until).getTime() : null,
+    };
+}
+
+const createPostgresLoginAttemptStore = () => {
+    return {
+        get: async (key) => {
+            const query = `
+                SELECT failed_count, last_failed_at, locked_until
+                FROM login_attempts
+                WHERE attempt_key = $1
+            `;
+            const { rows } = await processDBRequest({ query, queryParams: [key] });
+            return toAttempt(rows[0]);
+        },
+        increment: async (key, { now, windowInMs }) => {
+            // Single upsert so parallel failures cannot overwrite each other's count
+            const query = `
+                INSERT INTO login_attempts (attempt_key, failed_count, last_failed_at, locked_until)
+                VALUES ($1, 1, $2, NULL)
+                ON CONFLICT (attempt_key) DO UPDATE
+                SET
+                    failed_count = CASE
+                        WHEN (login_attempts.locked_until IS NULL OR login_attempts.locked_until <= $2)
+                            AND login_attempts.last_failed_at < $3
+                        THEN 1
+                        ELSE login_attempts.failed_count + 1
+                    END,
+                    locked_until = CASE
+                        WHEN login_attempts.locked_until <= $2 THEN NULL
+                        ELSE login_attempts.locked_until
+                    END,
+                    last_failed_at = $2
+                RETURNING failed_count, last_failed_at, locked_until
+            `;
+            const queryParams = [key, new Date(now), new Date(now - windowInMs)];
+            const { rows } = await processDBRequest({ query, queryParams });
+            return toAttempt(rows[0]);
+        },
+        lock: async (key, lockedUntil) => {
+            const query = "UPDATE login_attempts SET locked_until = $1 WHERE attempt_key = $2";
+            await processDBRequest({ query, queryParams: [new Date(lockedUntil), key] });
+        },
+        clear: async (key) => {
+            const query = "DELETE FROM login_attempts WHERE attempt_key = $1";
+            await processDBRequest({ query, queryParams: [key] });
+        },
+        // Same rule as isCounterExpired, the next failure would start a new counter anyway
+        deleteExpired: async ({ now, windowInMs }) => {
+            const query = `
+                DELETE FROM login_attempts
+                WHERE (locked_until IS NULL OR locked_until <= $1)
+                    AND last_failed_at < $2
+            `;
+            const queryParams = [new Date(now), new Date(now - windowInMs)];
+            const { rowCount } = await processDBRequest({ query, queryParams });
+            return rowCount;
+        },
+    };
+}
+
+const createLoginAttemptStore = () => {
+    return env.LOGIN_ATTEMPT_STORE === "memory"
+        ? createMemoryLoginAttemptStore()
+        : createPostgresLoginAttemptStore();
+}
+
+module.exports = {
+    isCounterExpired,
+    createMemoryLoginAttemptStore,
+    createPostgresLoginAttemptStore,
+    createLoginAttemptStore,
+};
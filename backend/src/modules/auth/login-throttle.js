@@ -0,0 +1,97 @@
+const { env } = require("../../config");
+const { ApiError } = require("../../utils");
+const { isCounterExpired, createLoginAttemptStore } = require("./login-attempt-store");
+
+// Failures allowed before the backoff delay starts growing
+const FREE_ATTEMPTS = 2;
+const MAX_BACKOFF_IN_MS = 30000;
+
+const getAttemptKeys = ({ username, ipAddress }) => {
+    const keys = [{ scope: "account", key: `account:${String(username).trim().toLowerCase()}` }];
+    if (ipAddress) {
+        keys.push({ scope: "ip", key: `ip:${ipAddress}` });
+    }
+    return keys;
+}
+
+const createLoginThrottle = ({
+    store,
+    maxAccountAttempts,
+    maxIpAttempts,
+    lockoutTimeInMs,
+    backoffBaseInMs,
+    now = () => Date.now(),
+}) => {
+    const getMaxAttempts = (scope) => (scope === "account" ? maxAccountAttempts : maxIpAttempts);
+
+    const getBackoffInMs = (failedCount) => {
+        if (failedCount <= FREE_ATTEMPTS) {
+            return 0;
+        }
+        return Math.min(backoffBaseInMs * 2 ** (failedCount - FREE_ATTEMPTS - 1), MAX_BACKOFF_IN_MS);
+    };
+
+    const assertLoginAllowed = async (identity) => {
+        const currentTime = now();
+        for (const { key } of getAttemptKeys(identity)) {
+            const attempt = await store.get(key);
+            if (!attempt || isCounterExpired(attempt, currentTime, lockoutTimeInMs)) {
+                continue;
+            }
+
+            if (attempt.lockedUntil && attempt.lockedUntil > currentTime) {
+                const minutes = Math.ceil((attempt.lockedUntil - currentTime) / 60000);
+                throw new ApiError(429, `Too many failed login attempts. Try again in ${minutes} minute(s).`);
+            }
+
+            const retryAt = attempt.lastFailedAt + getBackoffInMs(attempt.failedCount);
+            if (retryAt > currentTime) {
+                const seconds = Math.ceil((retryAt - currentTime) / 1000);
+                throw new ApiError(429, `Too many failed login attempts. Try again in ${seconds} second(s).`);
+            }
+        }
+    };
+
+    // Returns the keys that became locked by this failure so the caller can record them
+    const recordLoginFailure = async (identity) => {
+        const currentTime = now();
+        const lockouts = [];
+        for (const { scope, key } of getAttemptKeys(identity)) {
+            const attempt = await store.increment(key, { now: currentTime, windowInMs: lockoutTimeInMs });
+            const isAlreadyLocked = attempt.lockedUntil && attempt.lockedUntil > currentTime;
+            if (!isAlreadyLocked && attempt.failedCount >= getMaxAttempts(scope)) {
+                const lockedUntil = currentTime + lockoutTimeInMs;
+                await store.lock(key, lockedUntil);
+                lockouts.push({ scope, failedCount: attempt.failedCount, lockedUntil: new Date(lockedUntil) });
+            }
+        }
+        return lockouts;
+    };
+
+    const clearAccountFailures = async (username) => {
+        const [{ key }] = getAttemptKeys({ username });
+        await store.clear(key);
+    };
+
+    const pruneExpired = async () => store.deleteExpired({ now: now(), windowInMs: lockoutTimeInMs });
+
+    return {
+        assertLoginAllowed,
+        recordLoginFailure,
+        clearAccountFailures,
+        pruneExpired,
+    };
+}
+
+const loginThrottle = createLoginThrottle({
+    store: createLoginAttemptStore(),
+    maxAccountAttempts: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS),
+    maxIpAttempts: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP),
+    lockoutTimeInMs: parseInt(env.LOGIN_LOCKOUT_TIME_IN_MS),
+    backoffBaseInMs: parseInt(env.LOGIN_BACKOFF_BASE_IN_MS),
+});
+
+module.exports = {
+    createLoginThrottle,
+    loginThrottle,
+};
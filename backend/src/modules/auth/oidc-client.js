@@ -0,0 +1,181 @@
+const jwt = require("jsonwebtoken");
+const { createHash, createPublicKey, randomBytes } = require("crypto");
+const { env } = require("../../config");
+const { ApiError } = require("../../utils");
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+const CLOCK_TOLERANCE_IN_SECONDS = 60;
+const SSO_FAILED = "Unable to complete single sign-on. Please try again.";
+const IDP_UNAVAILABLE = "Identity provider is unavailable";
+
+const toBase64Url = (buffer) => buffer.toString("base64url");
+const createRandomValue = () => toBase64Url(randomBytes(32));
+const createCodeChallenge = (codeVerifier) => toBase64Url(createHash("sha256").update(codeVerifier).digest());
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+// Authorization code flow with PKCE (S256). Discovery metadata and signing keys are
+// cached; the key set is fetched again when a token names a key we have not seen yet.
+const createOidcClient = ({
+    issuerUrl,
+    clientId,
+    clientSecret,
+    redirectUri,
+    scopes = "openid email profile",
+    fetchImpl = fetch,
+}) => {
+    let metadataPromise = null;
+    let signingKeys = null;
+
+    const fetchJson = async (url, options, { statusCode, message }) => {
+        let response;
+        try {
+            response = await fetchImpl(url, options);
+        } catch (error) {
+            throw new ApiError(502, IDP_UNAVAILABLE);
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok || !body) {
+            throw new ApiError(statusCode, message);
+        }
+        return body;
+    };
+
+    const getMetadata = () => {
+        if (!metadataPromise) {
+            const url = `${trimTrailingSlash(issuerUrl)}/.well-known/openid-configuration`;
+            metadataPromise = fetchJson(url, undefined, { statusCode: 502, message: IDP_UNAVAILABLE })
+                .then((metadata) => {
+                    if (trimTrailingSlash(metadata.issuer || "") !== trimTrailingSlash(issuerUrl)) {
+                        throw new ApiError(502, "Identity provider issuer does not match configuration");
+                    }
+                    return metadata;
+                })
+                .catch((error) => {
+                    metadataPromise = null;
+                    throw error;
+                });
+        }
+        return metadataPromise;
+    };
+
+    const findSigningKey = async (kid, { refresh }) => {
+        if (!signingKeys || refresh) {
+            const { jwks_uri } = await getMetadata();
+            const { keys } = await fetchJson(jwks_uri, undefined, { statusCode: 502, message: IDP_UNAVAILABLE });
+            signingKeys = Array.isArray(keys) ? keys : [];
+        }
+
+        if (!kid) {
+            return signingKeys.length === 1 ? signingKeys[0] : undefined;
+        }
+        return signingKeys.find((key) => key.kid === kid);
+    };
+
+    const verifyIdToken = async (idToken, nonce) => {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new ApiError(400, SSO_FAILED);
+        }
+
+        const { kid } = decoded.header;
+        const jwk = (await findSigningKey(kid, { refresh: false })) || (await findSigningKey(kid, { refresh: true }));
+        if (!jwk) {
+            throw new ApiError(400, SSO_FAILED);
+        }
+
+        const { issuer } = await getMetadata();
+        let claims;
+        try {
+            claims = jwt.verify(idToken, createPublicKey({ key: jwk, format: "jwk" }), {
+                algorithms: ID_TOKEN_ALGORITHMS,
+                issuer,
+                audience: clientId,
+                clockTolerance: CLOCK_TOLERANCE_IN_SECONDS,
+            });
+        } catch (error) {
+            throw new ApiError(400, SSO_FAILED);
+        }
+
+        if (!nonce || claims.nonce !== nonce) {
+            throw new ApiError(400, SSO_FAILED);
+        }
+        return claims;
+    };
+
+    const createAuthorizationRequest = async () => {
+        const { authorization_endpoint } = await getMetadata();
+        const state = createRandomValue();
+        const nonce = createRandomValue();
+        const codeVerifier = createRandomValue();
+
+        const authorizationUrl = new URL(authorization_endpoint);
+        authorizationUrl.search = new URLSearchParams({
+            response_type: "code",
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            scope: scopes,
+            state,
+            nonce,
+            code_challenge: createCodeChallenge(codeVerifier),
+            code_challenge_method: "S256",
+        }).toString();
+
+        return { authorizationUrl: authorizationUrl.toString(), state, nonce, codeVerifier };
+    };
+
+    const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+        const { token_endpoint, token_endpoint_auth_methods_supported: authMethods } = await getMetadata();
+        const body = new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: clientId,
+            code_verifier: codeVerifier,
+        });
+        const headers = {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json",
+        };
+
+        // client_secret_basic is the spec default; fall back to post only when the provider asks for it
+        if (clientSecret) {
+            const isPostOnly = Array.isArray(authMethods)
+                && !authMethods.includes("client_secret_basic")
+                && authMethods.includes("client_secret_post");
+            if (isPostOnly) {
+                body.set("client_secret", clientSecret);
+            } else {
+                const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+                headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+            }
+        }
+
+        const tokens = await fetchJson(token_endpoint, { method: "POST", headers, body }, { statusCode: 400, message: SSO_FAILED });
+        if (!tokens.id_token) {
+            throw new ApiError(400, SSO_FAILED);
+        }
+        return verifyIdToken(tokens.id_token, nonce);
+    };
+
+    return {
+        createAuthorizationRequest,
+        exchangeCode,
+    };
+}
+
+const oidcClient = env.OIDC_ISSUER_URL && env.OIDC_CLIENT_ID
+    ? createOidcClient({
+        issuerUrl: env.OIDC_ISSUER_URL,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        redirectUri: env.OIDC_REDIRECT_URI,
+        scopes: env.OIDC_SCOPES,
+    })
+    : null;
+
+module.exports = {
+    createCodeChallenge,
+    createOidcClient,
+    oidcClient,
+};
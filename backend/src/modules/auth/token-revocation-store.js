@@ -0,0 +1,62 @@
+const { processDBRequest } = require("../../utils");
+
+// Revocations are kept in two forms:
+//   revoked_access_tokens   one row per revoked jti, kept until the token would have expired
+//   user_token_revocations  a per-user cut-off, every access token issued before it is rejected
+const createPostgresTokenRevocationStore = () => {
+    return {
+        find: async ({ jti, userId }) => {
+            const query = `
+                SELECT
+                    EXISTS (SELECT 1 FROM revoked_access_tokens WHERE jti = $1) AS "isRevoked",
+                    (SELECT revoked_before FROM user_token_revocations WHERE user_id = $2) AS "revokedBefore"
+            `;
+            const { rows } = await processDBRequest({ query, queryParams: [jti, userId] });
+            const { isRevoked, revokedBefore } = rows[0];
+            return {
+                isRevoked,
+                revokedBefore: revokedBefore ? new Date(revokedBefore).getTime() : 0,
+            };
+        },
+        revokeToken: async ({ jti, userId, expiresAt }) => {
+            const query = `
+                INSERT INTO revoked_access_tokens (jti, user_id, expires_at)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (jti) DO NOTHING
+            `;
+            await processDBRequest({ query, queryParams: [jti, userId, expiresAt] });
+        },
+        revokeUser: async (userId, revokedBefore) => {
+            const query = `
+                INSERT INTO user_token_revocations (user_id, revoked_before)
+                VALUES ($1, $2)
+                ON CONFLICT (user_id) DO UPDATE
+                SET revoked_before = GREATEST(user_token_revocations.revoked_before, EXCLUDED.revoked_before)
+            `;
+            await processDBRequest({ query, queryParams: [userId, revokedBefore] });
+        },
+        revokeRole: async (roleId, revokedBefore) => {
+            const query = `
+                INSERT INTO user_token_revocations (user_id, revoked_before)
+                SELECT user_id, $2
+                FROM (
+                    SELECT id AS user_id FROM users WHERE role_id = $1
+                    UNION
+                    SELECT user_id FROM user_roles WHERE role_id = $1
+                ) role_users
+                ON CONFLICT (user_id) DO UPDATE
+                SET revoked_before = GREATEST(user_token_revocations.revoked_before, EXCLUDED.revoked_before)
+                RETURNING user_id AS "userId"
+            `;
+            const { rows } = await processDBRequest({ query, queryParams: [roleId, revokedBefore] });
+            return rows.map(({ userId }) => userId);
+        },
+        deleteExpired: async () => {
+            const query = "DELETE FROM revoked_access_tokens WHERE expires_at < now()";
+            const { rowCount } = await processDBRequest({ query });
+            return rowCount;
+        },
+    };
+}
+
+module.exports = { createPostgresTokenRevocationStore };
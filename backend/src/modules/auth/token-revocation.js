@@ -0,0 +1,86 @@
+const { env } = require("../../config");
+const { createLruCache } = require("../../utils/lru-cache");
+const { createPostgresTokenRevocationStore } = require("./token-revocation-store");
+
+// JWT iat is in whole seconds, so cut-offs are rounded down to the second. A token issued
+// in the same second as the revocation is still accepted, which keeps a refresh made right
+// after a role switch from being rejected.
+const toSecondPrecision = (timeInMs) => Math.floor(timeInMs / 1000) * 1000;
+
+const createTokenRevocation = ({ store, cache, now = () => Date.now() }) => {
+    const userKey = (userId) => `user:${userId}`;
+    const tokenKey = (jti) => `jti:${jti}`;
+
+    // Tokens issued before jti existed are only checked against the per-user cut-off
+    const isCutOff = async ({ jti, userId, iat }) => {
+        let revokedBefore = cache.get(userKey(userId));
+        let isTokenRevoked = jti ? cache.get(tokenKey(jti)) : false;
+
+        if (revokedBefore === undefined || isTokenRevoked === undefined) {
+            // Revocations can only be added, so whichever of cache and store is stricter wins
+            const revocation = await store.find({ jti: jti || null, userId });
+            revokedBefore = Math.max(revokedBefore ?? 0, revocation.revokedBefore);
+            isTokenRevoked = Boolean(isTokenRevoked) || revocation.isRevoked;
+            cache.set(userKey(userId), revokedBefore);
+            if (jti) {
+                cache.set(tokenKey(jti), isTokenRevoked);
+            }
+        }
+
+        return isTokenRevoked || iat * 1000 < revokedBefore;
+    };
+
+    // An impersonation token also ends when the admin behind it is disabled or logged out
+    const isRevoked = async ({ jti, id: userId, iat, impersonator }) => {
+        if (await isCutOff({ jti, userId, iat })) {
+            return true;
+        }
+        return impersonator ? isCutOff({ jti: null, userId: impersonator.id, iat }) : false;
+    };
+
+    const revokeToken = async ({ jti, id: userId, exp }) => {
+        if (!jti) {
+            return;
+        }
+
+        await store.revokeToken({ jti, userId, expiresAt: new Date(exp * 1000) });
+        cache.set(tokenKey(jti), true);
+    };
+
+    const revokeUserTokens = async (userId) => {
+        const revokedBefore = toSecondPrecision(now());
+        await store.revokeUser(userId, new Date(revokedBefore));
+        cache.set(userKey(userId), revokedBefore);
+    };
+
+    const revokeRoleTokens = async (roleId) => {
+        const revokedBefore = toSecondPrecision(now());
+        const userIds = await store.revokeRole(roleId, new Date(revokedBefore));
+        for (const userId of userIds) {
+            cache.set(userKey(userId), revokedBefore);
+        }
+    };
+
+    const pruneExpired = async () => store.deleteExpired();
+
+    return {
+        isRevoked,
+        revokeToken,
+        revokeUserTokens,
+        revokeRoleTokens,
+        pruneExpired,
+    };
+}
+
+const tokenRevocation = createTokenRevocation({
+    store: createPostgresTokenRevocationStore(),
+    cache: createLruCache({
+        maxSize: parseInt(env.TOKEN_REVOCATION_CACHE_SIZE),
+        ttlInMs: parseInt(env.TOKEN_REVOCATION_CACHE_TTL_IN_MS),
+    }),
+});
+
+module.exports = {
+    createTokenRevocation,
+    tokenRevocation,
+};
@@ -0,0 +1,48 @@
+const { reviewPendingLeaveRequest } = require("../leave-service");
+const { findReviewerIdByRequestId, approveOrCancelPendingLeaveRequest } = require("../leave-repository");
+const { findActiveDelegations } = require("../../permission-grants/permission-grant-repository");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../leave-repository");
+jest.mock("../../permission-grants/permission-grant-repository");
+
+const accessControl = { path: "/api/v1/leave/pending/:id/status", method: "POST" };
+
+describe("Review Leave Request", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findReviewerIdByRequestId.mockResolvedValue({ reporter_id: 9, role_id: 2 });
+    approveOrCancelPendingLeaveRequest.mockResolvedValue(1);
+  });
+
+  it("should let the reporter review without looking up delegations", async () => {
+    expect(await reviewPendingLeaveRequest(9, 30, 2, null, accessControl)).toEqual({ message: "Success" });
+    expect(findActiveDelegations).not.toHaveBeenCalled();
+    expect(approveOrCancelPendingLeaveRequest).toHaveBeenCalledWith(9, 30, 2, null);
+  });
+
+  it("should record the delegator when reviewing on their behalf", async () => {
+    findActiveDelegations.mockResolvedValue([
+      { grantId: 3, delegatorId: 9, delegatorName: "Principal", delegatorRoleId: 1 },
+    ]);
+
+    const result = await reviewPendingLeaveRequest(4, 30, 2, null, accessControl);
+
+    expect(findActiveDelegations).toHaveBeenCalledWith(4, accessControl);
+    expect(result.onBehalfOf).toEqual({ id: 9, name: "Principal" });
+    expect(approveOrCancelPendingLeaveRequest).toHaveBeenCalledWith(4, 30, 2, 9);
+  });
+
+  it("should reject reviewers without an active delegation from the reporter", async () => {
+    findActiveDelegations.mockResolvedValue([
+      { grantId: 5, delegatorId: 12, delegatorName: "Head of Science", delegatorRoleId: 2 },
+    ]);
+
+    await expect(reviewPendingLeaveRequest(4, 30, 2, null, accessControl)).rejects.toMatchObject({ statusCode: 403 });
+    expect(approveOrCancelPendingLeaveRequest).not.toHaveBeenCalled();
+  });
+});
@@ -62,7 +62,7 @@ const handleReviewLeaveRequest = asyncHandler(async (req, res) => {
     const { id: userId } = req.user;
     const { id: leaveRequestId } = req.params;
 
-    const message = await reviewPendingLeaveRequest(userId, leaveRequestId, status);
+    const message = await reviewPendingLeaveRequest(userId, leaveRequestId, status, req.dataScope, req.accessControl);
     res.json(message);
 });
 
@@ -96,7 +96,7 @@ const handleDeleteLeaveRequest = asyncHandler(async (req, res) => {
 });
 
 const handleFetchPendingLeaveRequests = asyncHandler(async (req, res) => {
-    const pendingLeaves = await fetchPendingLeaveRequests();
+    const pendingLeaves = await fetchPendingLeaveRequests(req.dataScope);
     res.json({ pendingLeaves });
 });
 
@@ -1,4 +1,5 @@
 const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
 
 const createNewLeavePolicy = async (name) => {
     const query = "INSERT INTO leave_policies (name) VALUES ($1)";
@@ -180,7 +181,8 @@ const deleteLeaveRequestByRequestId = async (requestId) => {
     return rowCount;
 }
 
-const getPendingLeaveRequests = async () => {
+const getPendingLeaveRequests = async (dataScope) => {
+    const queryParams = [];
     const query = `
         SELECT
             t1.id,
@@ -196,33 +198,34 @@ const getPendingLeaveRequests = async () => {
         FROM user_leaves t1
         JOIN leave_policies t2 ON t1.leave_policy_id = t2.id
         JOIN users t3 ON t1.user_id = t3.id
-        WHERE t1.status = 1
+        WHERE t1.status = 1${buildDataScopeCondition(dataScope, "t1.user_id", queryParams)}
         ORDER BY submitted_dt DESC
     `;
-    const { rows } = await processDBRequest({ query });
+    const { rows } = await processDBRequest({ query, queryParams });
     return rows;
 }
 
-const approveOrCancelPendingLeaveRequest = async (userId, requestId, status) => {
+const approveOrCancelPendingLeaveRequest = async (userId, requestId, status, onBehalfOfId = null) => {
     const now = new Date();
     const query = `
         UPDATE user_leaves
-        SET status = $1, approved_dt = $2, approver_id = $3
+        SET status = $1, approved_dt = $2, approver_id = $3, approved_on_behalf_of = $5
         WHERE id = $4
     `;
-    const queryParams = [status, now, userId, requestId];
+    const queryParams = [status, now, userId, requestId, onBehalfOfId];
     const { rowCount } = await processDBRequest({ query, queryParams });
     return rowCount;
 }
 
-const findReviewerIdByRequestId = async (requestId) => {
+const findReviewerIdByRequestId = async (requestId, dataScope) => {
+    const queryParams = [requestId];
     const query = `
         SELECT u.reporter_id, u.role_id
         FROM users u
         JOIN user_leaves ul ON u.id = ul.user_id
-        WHERE ul.id = $1
+        WHERE ul.id = $1${buildDataScopeCondition(dataScope, "ul.user_id", queryParams)}
     `;
-    const { rows } = await processDBRequest({ query, queryParams: [requestId] });
+    const { rows } = await processDBRequest({ query, queryParams });
     return rows[0];
 }
 
@@ -1,11 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const leaveController = require("./leave-controller");
-const { checkApiAccess } = require("../../middlewares");
+const { checkApiAccess, blockApiKey } = require("../../middlewares");
 
 router.post("/policies", checkApiAccess, leaveController.handleMakeNewPolicy);
 router.get("/policies", checkApiAccess, leaveController.handleGetLeavePolicies);
-router.get("/policies/me", checkApiAccess, leaveController.handleGetMyLeavePolicy);
+router.get("/policies/me", blockApiKey, checkApiAccess, leaveController.handleGetMyLeavePolicy);
 router.put("/policies/:id", checkApiAccess, leaveController.handleUpdateLeavePlicy);
 router.post("/policies/:id/status", checkApiAccess, leaveController.handleReviewLeavePolicy);
 router.post("/policies/:id/users", checkApiAccess, leaveController.handleUpdatePolicyUsers);
@@ -13,12 +13,12 @@ router.get("/policies/:id/users", checkApiAccess, leaveController.handleGetPolic
 router.delete("/policies/:id/users", checkApiAccess, leaveController.handleRemovePolicyUser);
 router.get("/policies/eligible-users", checkApiAccess, leaveController.handleFetchPolicyEligibleUsers);
 
-router.get("/request", checkApiAccess, leaveController.handleGetUserLeaveHistory);
-router.post("/request", checkApiAccess, leaveController.handleCreateNewLeaveRequest);
-router.put("/request/:id", checkApiAccess, leaveController.handleUpdateLeaveRequest);
-router.delete("/request/:id", checkApiAccess, leaveController.handleDeleteLeaveRequest);
+router.get("/request", blockApiKey, checkApiAccess, leaveController.handleGetUserLeaveHistory);
+router.post("/request", blockApiKey, checkApiAccess, leaveController.handleCreateNewLeaveRequest);
+router.put("/request/:id", blockApiKey, checkApiAccess, leaveController.handleUpdateLeaveRequest);
+router.delete("/request/:id", blockApiKey, checkApiAccess, leaveController.handleDeleteLeaveRequest);
 
 router.get("/pending", checkApiAccess, leaveController.handleFetchPendingLeaveRequests);
-router.post("/pending/:id/status", checkApiAccess, leaveController.handleReviewLeaveRequest);
+router.post("/pending/:id/status", blockApiKey, checkApiAccess, leaveController.handleReviewLeaveRequest);
 
 module.exports = { leaveRoutes: router };
@@ -1,5 +1,6 @@
 const { ApiError } = require("../../utils");
 const { createNewLeavePolicy, updateLeavePolicyById, getLeavePolicies, getUsersByPolicyId, updatePolicyUsersById, enableDisableLeavePolicy, deleteUserFromPolicyById, getPolicyEligibleUsers, createNewLeaveRequest, updateLeaveRequestById, getLeaveRequestHistoryByUser, deleteLeaveRequestByRequestId, getPendingLeaveRequests, approveOrCancelPendingLeaveRequest, findReviewerIdByRequestId, getMyLeavePolicy, findPolicyStatusById } = require("./leave-repository");
+const { findActiveDelegations } = require("../permission-grants/permission-grant-repository");
 
 const checkIfPolicyIsActive = async (id) => {
     const policy = await findPolicyStatusById(id);
@@ -137,8 +138,8 @@ const deleteLeaveRequest = async (leaveRequestId) => {
     return { message: "Leave reuquest deleted successfully" };
 }
 
-const fetchPendingLeaveRequests = async () => {
-    const leaves = await getPendingLeaveRequests();
+const fetchPendingLeaveRequests = async (dataScope) => {
+    const leaves = await getPendingLeaveRequests(dataScope);
     if (!Array.isArray(leaves) || leaves.length <= 0) {
         throw new ApiError(404, "Pending leave requests not found");
     }
@@ -146,22 +147,35 @@ const fetchPendingLeaveRequests = async () => {
     return leaves;
 }
 
-const reviewPendingLeaveRequest = async (userId, requestId, status) => {
-    const user = await findReviewerIdByRequestId(requestId);
+const reviewPendingLeaveRequest = async (userId, requestId, status, dataScope, accessControl) => {
+    const user = await findReviewerIdByRequestId(requestId, dataScope);
     if (!user) {
         throw new ApiError(404, "User does not exist.");
     }
 
     const { reporter_id, role_id } = user;
+    // A user covering for the reporter, e.g. while they are on leave, reviews on their behalf
+    let delegation = null;
     if (role_id !== 1 && reporter_id !== userId) {
-        throw new ApiError(403, "Forbidden. Authorised reviewer only.");
+        const delegations = await findActiveDelegations(userId, accessControl);
+        delegation = delegations.find(({ delegatorId }) => delegatorId === reporter_id);
+        if (!delegation) {
+            throw new ApiError(403, "Forbidden. Authorised reviewer only.");
+        }
     }
 
-    const affectedRow = await approveOrCancelPendingLeaveRequest(userId, requestId, status);
+    const onBehalfOfId = delegation ? delegation.delegatorId : null;
+    const affectedRow = await approveOrCancelPendingLeaveRequest(userId, requestId, status, onBehalfOfId);
     if (affectedRow <= 0) {
         throw new ApiError(500, "Operation failed")
     }
 
+    if (delegation) {
+        return {
+            message: `Success. Reviewed on behalf of ${delegation.delegatorName}`,
+            onBehalfOf: { id: delegation.delegatorId, name: delegation.delegatorName }
+        };
+    }
     return { message: "Success" };
 }
 
@@ -56,13 +56,13 @@ const handleFetchAllNotices = asyncHandler(async (req, res) => {
 });
 
 const handleFetchAllPendingNotices = asyncHandler(async (req, res) => {
-  const notices = await processGetAllPendingNotices();
+  const notices = await processGetAllPendingNotices(req.dataScope);
   res.json({ notices });
 });
 
 const handleFetchNoticeDetailById = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const notice = await fetchNoticeDetailById(id);
+  const notice = await fetchNoticeDetailById(id, req.dataScope);
   res.json(notice);
 });
 
@@ -76,7 +76,7 @@ const handleAddNotice = asyncHandler(async (req, res) => {
 const handleUpdateNotice = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const payload = req.body;
-  const message = await updateNotice({ ...payload, id });
+  const message = await updateNotice({ ...payload, id, dataScope: req.dataScope });
   res.json(message);
 });
 
@@ -84,7 +84,14 @@ const handleNoticeStatus = asyncHandler(async (req, res) => {
   const { id: currentUserId, role: currentUserRole } = req.user;
   const { id: noticeId } = req.params;
   const { status } = req.body;
-  const payload = { noticeId, status, currentUserId, currentUserRole };
+  const payload = {
+    noticeId,
+    status,
+    currentUserId,
+    currentUserRole,
+    dataScope: req.dataScope,
+    accessControl: req.accessControl,
+  };
   const message = await processNoticeStatus(payload);
   res.json(message);
 });
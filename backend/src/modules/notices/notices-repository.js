@@ -1,5 +1,6 @@
 const { db } = require("../../config");
 const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
 
 const getNotices = async (userId) => {
   const query = `SELECT * FROM get_notices($1)`;
@@ -8,7 +9,9 @@ const getNotices = async (userId) => {
   return rows;
 };
 
-const getAllPendingNotices = async () => {
+// Notices are scoped by their author
+const getAllPendingNotices = async (dataScope) => {
+  const queryParams = [];
   const query = `
     SELECT
         t1.id,
@@ -27,13 +30,14 @@ const getAllPendingNotices = async () => {
     LEFT JOIN users t2 ON t1.author_id = t2.id
     LEFT JOIN notice_status t3 ON t1.status = t3.id
     LEFT JOIN users t4 ON t1.reviewer_id = t4.id
-    WHERE t1.status IN (2, 3)
+    WHERE t1.status IN (2, 3)${buildDataScopeCondition(dataScope, "t1.author_id", queryParams)}
   `;
-  const { rows } = await processDBRequest({ query });
+  const { rows } = await processDBRequest({ query, queryParams });
   return rows;
 };
 
-const getNoticeById = async (id) => {
+const getNoticeById = async (id, dataScope) => {
+  const queryParams = [id];
   const query = `
         SELECT
             t1.id,
@@ -49,9 +53,8 @@ const getNoticeById = async (id) => {
             t2.name AS author
         FROM notices t1
         LEFT JOIN users t2 ON t1.author_id = t2.id
-        WHERE t1.id = $1
+        WHERE t1.id = $1${buildDataScopeCondition(dataScope, "t1.author_id", queryParams)}
     `;
-  const queryParams = [id];
   const { rows } = await processDBRequest({ query, queryParams });
   return rows[0];
 };
@@ -235,16 +238,17 @@ const getNoticeRecipientById = async (id) => {
 };
 
 const manageNoticeStatus = async (payload) => {
-  const { status, reviewerId, noticeId, reviewDate } = payload;
+  const { status, reviewerId, noticeId, reviewDate, onBehalfOfId = null } = payload;
   const query = `
         UPDATE notices
         SET
             status = $1,
             reviewed_dt = $2,
-            reviewer_id = $3
+            reviewer_id = $3,
+            reviewed_on_behalf_of = $5
         WHERE id = $4
     `;
-  const queryParams = [status, reviewDate, reviewerId, noticeId];
+  const queryParams = [status, reviewDate, reviewerId, noticeId, onBehalfOfId];
   const { rowCount } = await processDBRequest({ query, queryParams });
   return rowCount;
 };
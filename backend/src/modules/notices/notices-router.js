@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const noticeController = require("./notices-controller");
-const { checkApiAccess } = require("../../middlewares");
+const { checkApiAccess, blockApiKey } = require("../../middlewares");
 
 router.get(
   "/recipients/list",
@@ -33,7 +33,7 @@ router.delete(
   checkApiAccess,
   noticeController.handleDeleteNoticeRecipient
 );
-router.post("/:id/status", checkApiAccess, noticeController.handleNoticeStatus);
+router.post("/:id/status", blockApiKey, checkApiAccess, noticeController.handleNoticeStatus);
 router.get(
   "/pending",
   checkApiAccess,
@@ -44,8 +44,8 @@ router.get(
   checkApiAccess,
   noticeController.handleFetchNoticeDetailById
 );
-router.get("", checkApiAccess, noticeController.handleFetchAllNotices);
-router.post("", checkApiAccess, noticeController.handleAddNotice);
+router.get("", blockApiKey, checkApiAccess, noticeController.handleFetchAllNotices);
+router.post("", blockApiKey, checkApiAccess, noticeController.handleAddNotice);
 router.put("/:id", checkApiAccess, noticeController.handleUpdateNotice);
 
 module.exports = { noticesRoutes: router };
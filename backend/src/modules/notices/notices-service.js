@@ -13,6 +13,9 @@ const {
   getNoticeRecipientById,
   getAllPendingNotices,
 } = require("./notices-repository");
+const { findActiveDelegations } = require("../permission-grants/permission-grant-repository");
+
+const ADMIN_ROLE_ID = 1;
 
 const fetchNoticeRecipients = async () => {
   const recipients = await getNoticeRecipientList();
@@ -47,8 +50,8 @@ const fetchAllNotices = async (userId) => {
   return notices;
 };
 
-const fetchNoticeDetailById = async (id) => {
-  const noticeDetail = await getNoticeById(id);
+const fetchNoticeDetailById = async (id, dataScope) => {
+  const noticeDetail = await getNoticeById(id, dataScope);
   if (!noticeDetail) {
     throw new ApiError(404, "Notice detail not found");
   }
@@ -64,7 +67,12 @@ const addNotice = async (payload) => {
   return { message: "Notice added successfully" };
 };
 
-const updateNotice = async (payload) => {
+const updateNotice = async ({ dataScope, ...payload }) => {
+  const notice = await getNoticeById(payload.id, dataScope);
+  if (!notice) {
+    throw new ApiError(404, "Notice not found");
+  }
+
   const affectedRow = await updateNoticeById(payload);
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to update notice");
@@ -74,8 +82,8 @@ const updateNotice = async (payload) => {
 };
 
 const processNoticeStatus = async (payload) => {
-  const { noticeId, status, currentUserId, currentUserRole } = payload;
-  const notice = await getNoticeById(noticeId);
+  const { noticeId, status, currentUserId, currentUserRole, dataScope, accessControl } = payload;
+  const notice = await getNoticeById(noticeId, dataScope);
   if (!notice) {
     throw new ApiError(404, "Notice not found");
   }
@@ -85,9 +93,18 @@ const processNoticeStatus = async (payload) => {
     authorId,
     reviewer_id: reviewerIdFromDB,
     reviewed_dt: reviewedDateFromDB,
+    reviewed_on_behalf_of: onBehalfOfFromDB,
   } = notice;
+  // A user covering for an admin, e.g. a principal on leave, reviews notices as that admin
+  const delegation =
+    currentUserRole === "admin"
+      ? null
+      : (await findActiveDelegations(currentUserId, accessControl)).find(
+          ({ delegatorRoleId }) => delegatorRoleId === ADMIN_ROLE_ID
+        );
+  const reviewerRole = delegation ? "admin" : currentUserRole;
   const userCanManageStatus = handleStatusCheck(
-    currentUserRole,
+    reviewerRole,
     currentUserId,
     authorId,
     status
@@ -102,13 +119,20 @@ const processNoticeStatus = async (payload) => {
   const affectedRow = await manageNoticeStatus({
     noticeId,
     status,
-    reviewerId: currentUserRole === "admin" ? currentUserId : reviewerIdFromDB,
-    reviewDate: currentUserRole === "admin" ? now : reviewedDateFromDB,
+    reviewerId: reviewerRole === "admin" ? currentUserId : reviewerIdFromDB,
+    reviewDate: reviewerRole === "admin" ? now : reviewedDateFromDB,
+    onBehalfOfId: reviewerRole === "admin" ? delegation?.delegatorId ?? null : onBehalfOfFromDB,
   });
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to review notice");
   }
 
+  if (delegation) {
+    return {
+      message: `Success. Reviewed on behalf of ${delegation.delegatorName}`,
+      onBehalfOf: { id: delegation.delegatorId, name: delegation.delegatorName },
+    };
+  }
   return { message: "Success" };
 };
 
@@ -161,8 +185,8 @@ const processDeleteNoticeRecipient = async (id) => {
   return { message: "Notice Recipient deleted successfully" };
 };
 
-const processGetAllPendingNotices = async () => {
-  const notices = await getAllPendingNotices();
+const processGetAllPendingNotices = async (dataScope) => {
+  const notices = await getAllPendingNotices(dataScope);
   if (notices.length <= 0) {
     throw new ApiError(404, "Pending Notices not found");
   }
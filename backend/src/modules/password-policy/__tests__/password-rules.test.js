@@ -0,0 +1,43 @@
+const { DEFAULT_PASSWORD_POLICY, findPasswordRuleViolations } = require("../password-rules");
+
+describe("Password Rules", () => {
+  const getRules = (password, policy = DEFAULT_PASSWORD_POLICY) =>
+    findPasswordRuleViolations(password, policy).map(({ rule }) => rule);
+
+  it("should accept a password that meets the default policy", () => {
+    expect(findPasswordRuleViolations("Blue-Harbor-42", DEFAULT_PASSWORD_POLICY)).toEqual([]);
+  });
+
+  it("should report every broken rule with its field path", () => {
+    const violations = findPasswordRuleViolations("abc", DEFAULT_PASSWORD_POLICY, "newPassword");
+
+    expect(violations.map(({ rule }) => rule)).toEqual(["minLength", "uppercase", "number"]);
+    expect(violations[0]).toEqual({
+      path: "newPassword",
+      rule: "minLength",
+      message: "Must be at least 8 characters long",
+    });
+  });
+
+  it("should block common passwords regardless of letter case", () => {
+    expect(getRules("Password123")).toEqual(["common"]);
+    expect(getRules("Password123", { ...DEFAULT_PASSWORD_POLICY, blockCommonPasswords: false })).toEqual([]);
+  });
+
+  it("should only check character classes that the policy requires", () => {
+    const policy = {
+      ...DEFAULT_PASSWORD_POLICY,
+      requireUppercase: false,
+      requireNumber: false,
+      requireSymbol: true,
+    };
+
+    expect(getRules("correct horse battery", policy)).toEqual([]);
+    expect(getRules("correcthorsebattery", policy)).toEqual(["symbol"]);
+  });
+
+  it("should reject overly long and missing passwords", () => {
+    expect(getRules(`Aa1${"x".repeat(130)}`)).toEqual(["maxLength"]);
+    expect(getRules(undefined)).toEqual(["minLength", "uppercase", "lowercase", "number"]);
+  });
+});
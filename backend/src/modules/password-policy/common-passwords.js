@@ -0,0 +1,21 @@
+// Most frequent entries from public breach corpora plus school-specific guesses.
+// Kept local so password checks never send anything to a third party. Compared in lowercase.
+const COMMON_PASSWORDS = new Set([
+    "123456", "123456789", "12345678", "12345", "1234567", "1234567890", "123123",
+    "111111", "000000", "654321", "666666", "121212", "123321", "112233", "987654321",
+    "password", "password1", "password12", "password123", "password@123", "passw0rd",
+    "p@ssw0rd", "p@ssword", "pass@123", "admin", "admin123", "admin@123", "administrator",
+    "qwerty", "qwerty123", "qwertyuiop", "qwerty1", "asdfgh", "asdfghjkl", "zxcvbnm",
+    "1q2w3e4r", "1q2w3e4r5t", "1qaz2wsx", "qazwsx", "abc123", "abcd1234", "abcdef",
+    "iloveyou", "welcome", "welcome1", "welcome123", "welcome@123", "letmein", "monkey",
+    "dragon", "sunshine", "princess", "football", "baseball", "cricket", "superman",
+    "batman", "trustno1", "master", "shadow", "starwars", "whatever", "freedom",
+    "michael", "jennifer", "charlie", "ashley", "daniel", "computer", "internet",
+    "secret", "changeme", "default", "guest", "login", "hello123", "test123", "test@123",
+    "school", "school123", "school@123", "schooladmin", "student", "student123",
+    "teacher", "teacher123", "principal", "library", "classroom", "india123",
+    "summer2024", "winter2024", "spring2024", "autumn2024", "summer2025", "winter2025",
+    "spring2025", "autumn2025", "january2025", "pa$$w0rd", "aa123456", "a1b2c3d4",
+]);
+
+module.exports = { COMMON_PASSWORDS };
@@ -0,0 +1,18 @@
+const asyncHandler = require("express-async-handler");
+const { processGetPasswordPolicy, processUpdatePasswordPolicy } = require("./password-policy-service");
+
+const handleGetPasswordPolicy = asyncHandler(async (req, res) => {
+    const policy = await processGetPasswordPolicy();
+    res.json(policy);
+});
+
+const handleUpdatePasswordPolicy = asyncHandler(async (req, res) => {
+    const { id: actorId } = req.user;
+    const message = await processUpdatePasswordPolicy({ ...req.body, actorId });
+    res.json(message);
+});
+
+module.exports = {
+    handleGetPasswordPolicy,
+    handleUpdatePasswordPolicy
+};
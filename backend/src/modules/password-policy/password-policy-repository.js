@@ -0,0 +1,113 @@
+const { processDBRequest } = require("../../utils");
+
+const findPasswordPolicy = async () => {
+    const query = `
+        SELECT
+            min_length,
+            require_uppercase,
+            require_lowercase,
+            require_number,
+            require_symbol,
+            block_common_passwords,
+            history_count,
+            updated_dt
+        FROM password_policy
+        WHERE id = 1
+    `;
+    const { rows } = await processDBRequest({ query });
+    return rows[0];
+}
+
+const upsertPasswordPolicy = async (payload) => {
+    const {
+        minLength,
+        requireUppercase,
+        requireLowercase,
+        requireNumber,
+        requireSymbol,
+        blockCommonPasswords,
+        historyCount,
+        actorId,
+    } = payload;
+    const query = `
+        INSERT INTO password_policy (
+            id,
+            min_length,
+            require_uppercase,
+            require_lowercase,
+            require_number,
+            require_symbol,
+            block_common_passwords,
+            history_count,
+            updated_dt,
+            updated_by
+        )
+        VALUES (1, $1, $2, $3, $4, $5, $6, $7, now(), $8)
+        ON CONFLICT (id) DO UPDATE
+        SET
+            min_length = EXCLUDED.min_length,
+            require_uppercase = EXCLUDED.require_uppercase,
+            require_lowercase = EXCLUDED.require_lowercase,
+            require_number = EXCLUDED.require_number,
+            require_symbol = EXCLUDED.require_symbol,
+            block_common_passwords = EXCLUDED.block_common_passwords,
+            history_count = EXCLUDED.history_count,
+            updated_dt = EXCLUDED.updated_dt,
+            updated_by = EXCLUDED.updated_by
+    `;
+    const queryParams = [
+        minLength,
+        requireUppercase,
+        requireLowercase,
+        requireNumber,
+        requireSymbol,
+        blockCommonPasswords,
+        historyCount,
+        actorId,
+    ];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+const findRecentPasswordHashes = async (userId, limit) => {
+    const query = `
+        SELECT password_hash
+        FROM user_password_history
+        WHERE user_id = $1
+        ORDER BY id DESC
+        LIMIT $2
+    `;
+    const queryParams = [userId, limit];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows.map(({ password_hash }) => password_hash);
+}
+
+const insertPasswordHistory = async ({ userId, passwordHash }, client) => {
+    const query = "INSERT INTO user_password_history (user_id, password_hash) VALUES ($1, $2)";
+    const queryParams = [userId, passwordHash];
+    await client.query(query, queryParams);
+}
+
+const deletePasswordHistoryOverflow = async (userId, keepCount, client) => {
+    const query = `
+        DELETE FROM user_password_history
+        WHERE user_id = $1
+        AND id NOT IN (
+            SELECT id
+            FROM user_password_history
+            WHERE user_id = $1
+            ORDER BY id DESC
+            LIMIT $2
+        )
+    `;
+    const queryParams = [userId, keepCount];
+    await client.query(query, queryParams);
+}
+
+module.exports = {
+    findPasswordPolicy,
+    upsertPasswordPolicy,
+    findRecentPasswordHashes,
+    insertPasswordHistory,
+    deletePasswordHistoryOverflow,
+};
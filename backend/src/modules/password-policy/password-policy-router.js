@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const passwordPolicyController = require("./password-policy-controller");
+const { checkApiAccess } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { PasswordPolicySchema } = require("./password-policy-schema");
+
+router.get("", checkApiAccess, passwordPolicyController.handleGetPasswordPolicy);
+router.put("", checkApiAccess, validateRequest(PasswordPolicySchema), passwordPolicyController.handleUpdatePasswordPolicy);
+
+module.exports = { passwordPolicyRoutes: router };
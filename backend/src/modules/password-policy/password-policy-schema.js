@@ -0,0 +1,18 @@
+const { z } = require("zod");
+const { MAX_PASSWORD_LENGTH, MAX_PASSWORD_HISTORY } = require("./password-rules");
+
+const PasswordPolicySchema = z.object({
+    body: z.object({
+        minLength: z.number().int().min(6, "Minimum length must be at least 6").max(MAX_PASSWORD_LENGTH, `Minimum length must be at most ${MAX_PASSWORD_LENGTH}`),
+        requireUppercase: z.boolean(),
+        requireLowercase: z.boolean(),
+        requireNumber: z.boolean(),
+        requireSymbol: z.boolean(),
+        blockCommonPasswords: z.boolean(),
+        historyCount: z.number().int().min(0, "History count cannot be negative").max(MAX_PASSWORD_HISTORY, `History count must be at most ${MAX_PASSWORD_HISTORY}`)
+    })
+});
+
+module.exports = {
+    PasswordPolicySchema
+};
@@ -0,0 +1,104 @@
+const { ApiError, isPasswordMatch } = require("../../utils");
+const {
+  findPasswordPolicy,
+  upsertPasswordPolicy,
+  findRecentPasswordHashes,
+  insertPasswordHistory,
+  deletePasswordHistoryOverflow,
+} = require("./password-policy-repository");
+const {
+  MAX_PASSWORD_HISTORY,
+  DEFAULT_PASSWORD_POLICY,
+  findPasswordRuleViolations,
+} = require("./password-rules");
+
+const PASSWORD_POLICY_NOT_MET = "Password does not meet the password policy";
+
+const toPasswordPolicy = (row) => {
+  if (!row) {
+    return { ...DEFAULT_PASSWORD_POLICY, updatedDate: null };
+  }
+
+  return {
+    minLength: row.min_length,
+    requireUppercase: row.require_uppercase,
+    requireLowercase: row.require_lowercase,
+    requireNumber: row.require_number,
+    requireSymbol: row.require_symbol,
+    blockCommonPasswords: row.block_common_passwords,
+    historyCount: row.history_count,
+    updatedDate: row.updated_dt,
+  };
+};
+
+const getPasswordPolicy = async () => {
+  const row = await findPasswordPolicy();
+  return toPasswordPolicy(row);
+};
+
+const isRecentPassword = async ({ userId, password, currentPasswordHash, historyCount }) => {
+  // The current password counts as one of the last N, the rest come from history
+  const previousHashes = await findRecentPasswordHashes(userId, historyCount - 1);
+  const hashes = [currentPasswordHash, ...previousHashes].filter(Boolean);
+  for (const hash of hashes) {
+    if (await isPasswordMatch(hash, password)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const assertPasswordMeetsPolicy = async ({ userId, password, currentPasswordHash, path = "password" }) => {
+  const policy = await getPasswordPolicy();
+  const violations = findPasswordRuleViolations(password, policy, path);
+
+  // Hash comparisons are slow, so history is only checked once the cheap rules pass
+  if (violations.length === 0 && policy.historyCount > 0) {
+    const isReused = await isRecentPassword({
+      userId,
+      password,
+      currentPasswordHash,
+      historyCount: policy.historyCount,
+    });
+    if (isReused) {
+      violations.push({
+        path,
+        rule: "history",
+        message: `Must not match any of your last ${policy.historyCount} passwords`,
+      });
+    }
+  }
+
+  if (violations.length > 0) {
+    throw new ApiError(400, PASSWORD_POLICY_NOT_MET, violations);
+  }
+};
+
+const recordPasswordHistory = async ({ userId, previousPasswordHash }, client) => {
+  if (!previousPasswordHash) {
+    return;
+  }
+
+  await insertPasswordHistory({ userId, passwordHash: previousPasswordHash }, client);
+  await deletePasswordHistoryOverflow(userId, MAX_PASSWORD_HISTORY, client);
+};
+
+const processGetPasswordPolicy = async () => {
+  return getPasswordPolicy();
+};
+
+const processUpdatePasswordPolicy = async (payload) => {
+  const affectedRow = await upsertPasswordPolicy(payload);
+  if (affectedRow <= 0) {
+    throw new ApiError(500, "Unable to update password policy");
+  }
+
+  return { message: "Password policy updated successfully" };
+};
+
+module.exports = {
+  assertPasswordMeetsPolicy,
+  recordPasswordHistory,
+  processGetPasswordPolicy,
+  processUpdatePasswordPolicy,
+};
@@ -0,0 +1,75 @@
+const { COMMON_PASSWORDS } = require("./common-passwords");
+
+const MAX_PASSWORD_LENGTH = 128;
+// History rows kept per user; the configurable history count cannot go above this
+const MAX_PASSWORD_HISTORY = 24;
+
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    blockCommonPasswords: true,
+    historyCount: 5,
+};
+
+const getPasswordRules = (policy) => [
+    {
+        rule: "minLength",
+        isEnabled: true,
+        message: `Must be at least ${policy.minLength} characters long`,
+        test: (password) => password.length >= policy.minLength,
+    },
+    {
+        rule: "maxLength",
+        isEnabled: true,
+        message: `Must be at most ${MAX_PASSWORD_LENGTH} characters long`,
+        test: (password) => password.length <= MAX_PASSWORD_LENGTH,
+    },
+    {
+        rule: "uppercase",
+        isEnabled: policy.requireUppercase,
+        message: "Must contain an uppercase letter",
+        test: (password) => /[A-Z]/.test(password),
+    },
+    {
+        rule: "lowercase",
+        isEnabled: policy.requireLowercase,
+        message: "Must contain a lowercase letter",
+        test: (password) => /[a-z]/.test(password),
+    },
+    {
+        rule: "number",
+        isEnabled: policy.requireNumber,
+        message: "Must contain a number",
+        test: (password) => /\d/.test(password),
+    },
+    {
+        rule: "symbol",
+        isEnabled: policy.requireSymbol,
+        message: "Must contain a symbol",
+        test: (password) => /[^A-Za-z0-9]/.test(password),
+    },
+    {
+        rule: "common",
+        isEnabled: policy.blockCommonPasswords,
+        message: "Must not be a commonly used password",
+        test: (password) => !COMMON_PASSWORDS.has(password.toLowerCase()),
+    },
+];
+
+// Returned in the validateRequest detail shape, with the rule name added so the UI can show each one
+const findPasswordRuleViolations = (password, policy, path = "password") => {
+    const value = typeof password === "string" ? password : "";
+    return getPasswordRules(policy)
+        .filter(({ isEnabled, test }) => isEnabled && !test(value))
+        .map(({ rule, message }) => ({ path, rule, message }));
+}
+
+module.exports = {
+    MAX_PASSWORD_LENGTH,
+    MAX_PASSWORD_HISTORY,
+    DEFAULT_PASSWORD_POLICY,
+    findPasswordRuleViolations,
+};
@@ -0,0 +1,29 @@
+const asyncHandler = require("express-async-handler");
+const {
+    processGetPermissionGrants,
+    processCreatePermissionGrant,
+    processRevokePermissionGrant
+} = require("./permission-grant-service");
+
+const handleGetPermissionGrants = asyncHandler(async (req, res) => {
+    const permissionGrants = await processGetPermissionGrants();
+    res.json(permissionGrants);
+});
+
+const handleCreatePermissionGrant = asyncHandler(async (req, res) => {
+    const { id: createdBy } = req.user;
+    const message = await processCreatePermissionGrant({ ...req.body, createdBy });
+    res.status(201).json(message);
+});
+
+const handleRevokePermissionGrant = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const message = await processRevokePermissionGrant(id);
+    res.json(message);
+});
+
+module.exports = {
+    handleGetPermissionGrants,
+    handleCreatePermissionGrant,
+    handleRevokePermissionGrant
+};
@@ -0,0 +1,136 @@
+const { processDBRequest } = require("../../utils");
+
+const findPermissionGrants = async () => {
+    const query = `
+        SELECT
+            g.id,
+            g.user_id AS "userId",
+            u.name AS "userName",
+            g.delegator_id AS "delegatorId",
+            d.name AS "delegatorName",
+            g.reason,
+            g.starts_at AS "startsAt",
+            g.ends_at AS "endsAt",
+            COALESCE(
+                (SELECT jsonb_agg(
+                    jsonb_build_object('accessControlId', gac.access_control_id, 'dataScope', gac.data_scope)
+                    ORDER BY gac.access_control_id
+                )
+                FROM permission_grant_access_controls gac WHERE gac.permission_grant_id = g.id),
+                '[]'::jsonb
+            ) AS "accessControls",
+            g.created_by AS "createdBy",
+            c.name AS "createdByName",
+            g.created_dt AS "createdDate",
+            g.revoked_at AS "revokedAt"
+        FROM permission_grants g
+        JOIN users u ON u.id = g.user_id
+        LEFT JOIN users d ON d.id = g.delegator_id
+        LEFT JOIN users c ON c.id = g.created_by
+        ORDER BY g.id DESC
+    `;
+    const { rows } = await processDBRequest({ query });
+    return rows;
+}
+
+// Every grant route of the user that has not ended yet, future ones included. The caller
+// compares the dates with the clock, so the result can be cached until a grant changes.
+const findUserGrantPermissions = async (userId) => {
+    const query = `
+        SELECT
+            ac.path,
+            ac.method,
+            gac.data_scope AS "dataScope",
+            g.delegator_id AS "delegatorId",
+            g.starts_at AS "startsAt",
+            g.ends_at AS "endsAt"
+        FROM permission_grants g
+        JOIN permission_grant_access_controls gac ON gac.permission_grant_id = g.id
+        JOIN access_controls ac ON ac.id = gac.access_control_id
+        LEFT JOIN users d ON d.id = g.delegator_id
+        WHERE g.user_id = $1
+            AND g.revoked_at IS NULL
+            AND g.ends_at > now()
+            AND (g.delegator_id IS NULL OR d.is_active = true)
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [userId] });
+    return rows;
+}
+
+// Users the given user currently acts for on the given route, from delegations that are active
+// right now and were granted for that route's access control
+const findActiveDelegations = async (userId, { path, method }) => {
+    const query = `
+        SELECT DISTINCT ON (g.delegator_id)
+            g.id AS "grantId",
+            g.delegator_id AS "delegatorId",
+            d.name AS "delegatorName",
+            d.role_id AS "delegatorRoleId",
+            g.ends_at AS "endsAt"
+        FROM permission_grants g
+        JOIN users d ON d.id = g.delegator_id
+        JOIN permission_grant_access_controls gac ON gac.permission_grant_id = g.id
+        JOIN access_controls ac ON ac.id = gac.access_control_id
+        WHERE g.user_id = $1
+            AND ac.path = $2
+            AND ac.method = $3
+            AND g.revoked_at IS NULL
+            AND g.starts_at <= now()
+            AND g.ends_at > now()
+            AND d.is_active = true
+        ORDER BY g.delegator_id, g.ends_at DESC
+    `;
+    const { rows } = await processDBRequest({ query, queryParams: [userId, path, method] });
+    return rows;
+}
+
+const findUsersByIds = async (userIds) => {
+    const query = "SELECT id, role_id, is_active FROM users WHERE id = ANY($1::int[])";
+    const { rows } = await processDBRequest({ query, queryParams: [userIds] });
+    return rows;
+}
+
+const countAccessControls = async (accessControlIds) => {
+    const query = "SELECT COUNT(*)::int AS total FROM access_controls WHERE id = ANY($1::int[])";
+    const { rows } = await processDBRequest({ query, queryParams: [accessControlIds] });
+    return rows[0].total;
+}
+
+const insertPermissionGrant = async (payload, client) => {
+    const { userId, delegatorId, reason, startsAt, endsAt, createdBy } = payload;
+    const query = `
+        INSERT INTO permission_grants (user_id, delegator_id, reason, starts_at, ends_at, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `;
+    const queryParams = [userId, delegatorId, reason, startsAt, endsAt, createdBy];
+    const { rows } = await client.query(query, queryParams);
+    return rows[0].id;
+}
+
+const insertPermissionGrantAccessControls = async ({ grantId, accessControlIds, dataScopes }, client) => {
+    const query = `
+        INSERT INTO permission_grant_access_controls (permission_grant_id, access_control_id, data_scope)
+        SELECT $1, t.access_control_id, t.data_scope
+        FROM unnest($2::int[], $3::text[]) AS t(access_control_id, data_scope)
+    `;
+    const queryParams = [grantId, accessControlIds, accessControlIds.map((id) => dataScopes[id] || "all")];
+    await client.query(query, queryParams);
+}
+
+const revokePermissionGrantById = async (id) => {
+    const query = "UPDATE permission_grants SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL";
+    const { rowCount } = await processDBRequest({ query, queryParams: [id] });
+    return rowCount;
+}
+
+module.exports = {
+    findPermissionGrants,
+    findUserGrantPermissions,
+    findActiveDelegations,
+    findUsersByIds,
+    countAccessControls,
+    insertPermissionGrant,
+    insertPermissionGrantAccessControls,
+    revokePermissionGrantById,
+};
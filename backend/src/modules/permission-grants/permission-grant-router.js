@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const permissionGrantController = require("./permission-grant-controller");
+const { isUserAdmin } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { CreatePermissionGrantSchema, PermissionGrantIdSchema } = require("./permission-grant-schema");
+
+router.get("", isUserAdmin, permissionGrantController.handleGetPermissionGrants);
+router.post("", isUserAdmin, validateRequest(CreatePermissionGrantSchema), permissionGrantController.handleCreatePermissionGrant);
+router.delete("/:id", isUserAdmin, validateRequest(PermissionGrantIdSchema), permissionGrantController.handleRevokePermissionGrant);
+
+module.exports = { permissionGrantRoutes: router };
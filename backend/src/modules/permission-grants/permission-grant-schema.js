@@ -0,0 +1,33 @@
+const { z } = require("zod");
+const { DATA_SCOPES } = require("../../utils/data-scope");
+
+const dateTime = (label) => z.string().datetime({ offset: true, message: `${label} must be an ISO date-time` });
+
+const CreatePermissionGrantSchema = z.object({
+    body: z.object({
+        userId: z.number().int().positive("Valid user id is required"),
+        delegatorId: z.number().int().positive().optional(),
+        reason: z.string().trim().max(255, "Reason must be at most 255 characters").optional(),
+        accessControlIds: z.array(z.number().int().positive()).min(1, "At least one access control is required"),
+        dataScopes: z.record(z.enum(DATA_SCOPES)).optional(),
+        startsAt: dateTime("Start"),
+        endsAt: dateTime("End").refine((value) => new Date(value) > new Date(), "End must be in the future")
+    }).refine((body) => new Date(body.endsAt) > new Date(body.startsAt), {
+        message: "End must be after the start",
+        path: ["endsAt"]
+    }).refine((body) => body.delegatorId !== body.userId, {
+        message: "A user cannot review on their own behalf",
+        path: ["delegatorId"]
+    })
+});
+
+const PermissionGrantIdSchema = z.object({
+    params: z.object({
+        id: z.coerce.number().int().positive("Valid permission grant id is required")
+    })
+});
+
+module.exports = {
+    CreatePermissionGrantSchema,
+    PermissionGrantIdSchema
+};
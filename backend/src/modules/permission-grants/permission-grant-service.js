@@ -0,0 +1,77 @@
+const { ApiError } = require("../../utils");
+const { db } = require("../../config");
+const { permissionCache } = require("../roles-and-permissions/permission-cache");
+const {
+    findPermissionGrants,
+    findUsersByIds,
+    countAccessControls,
+    insertPermissionGrant,
+    insertPermissionGrantAccessControls,
+    revokePermissionGrantById,
+} = require("./permission-grant-repository");
+
+const ADMIN_ROLE_ID = 1;
+
+const processGetPermissionGrants = async () => {
+    const permissionGrants = await findPermissionGrants();
+    return { permissionGrants };
+}
+
+const processCreatePermissionGrant = async (payload) => {
+    const { userId, delegatorId = null, reason = null, accessControlIds, dataScopes = {}, startsAt, endsAt, createdBy } = payload;
+
+    const users = await findUsersByIds(delegatorId ? [userId, delegatorId] : [userId]);
+    const user = users.find(({ id }) => id === userId);
+    if (!user) {
+        throw new ApiError(404, "User does not exist");
+    }
+    // Admin skips every permission check, a grant would change nothing
+    if (user.role_id === ADMIN_ROLE_ID) {
+        throw new ApiError(400, "Admins already have every permission");
+    }
+    if (delegatorId && !users.some(({ id }) => id === delegatorId)) {
+        throw new ApiError(404, "Delegator does not exist");
+    }
+
+    const uniqueIds = [...new Set(accessControlIds)];
+    if ((await countAccessControls(uniqueIds)) !== uniqueIds.length) {
+        throw new ApiError(400, "Access controls must be existing entries");
+    }
+
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+
+        const grantId = await insertPermissionGrant(
+            { userId, delegatorId, reason, startsAt, endsAt, createdBy },
+            client
+        );
+        await insertPermissionGrantAccessControls({ grantId, accessControlIds: uniqueIds, dataScopes }, client);
+
+        await client.query("COMMIT");
+        await permissionCache.invalidate();
+
+        return { id: grantId, message: "Permission grant added successfully" };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const processRevokePermissionGrant = async (id) => {
+    const affectedRow = await revokePermissionGrantById(id);
+    if (affectedRow <= 0) {
+        throw new ApiError(404, "Permission grant does not exist or is already revoked");
+    }
+    await permissionCache.invalidate();
+
+    return { message: "Permission grant revoked successfully" };
+}
+
+module.exports = {
+    processGetPermissionGrants,
+    processCreatePermissionGrant,
+    processRevokePermissionGrant,
+};
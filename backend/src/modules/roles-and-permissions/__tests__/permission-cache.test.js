@@ -0,0 +1,106 @@
+const { createPermissionCache } = require("../permission-cache");
+const { createLruCache } = require("../../../utils/lru-cache");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../../../utils/log", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe("Permission Cache", () => {
+  let loadRolePermissions, changeChannel, permissionCache;
+
+  beforeEach(() => {
+    loadRolePermissions = jest.fn(async (roleId) =>
+      roleId === 2
+        ? [{ path: "/api/v1/students", method: "GET", dataScope: "own_sections" }]
+        : [
+            { path: "/api/v1/students", method: "GET", dataScope: "all" },
+            { path: "/api/v1/staffs", method: "GET", dataScope: "reportees" },
+          ]
+    );
+    changeChannel = { publish: jest.fn(), subscribe: jest.fn() };
+    permissionCache = createPermissionCache({
+      loadRolePermissions,
+      cache: createLruCache({ maxSize: 100, ttlInMs: 300000 }),
+      changeChannel,
+    });
+  });
+
+  it("should load each role once and combine the scopes of every role", async () => {
+    expect(await permissionCache.getPermissionScopes([2, 3], "/api/v1/students", "GET")).toEqual([
+      "own_sections",
+      "all",
+    ]);
+    expect(await permissionCache.getPermissionScopes([2], "/api/v1/staffs", "GET")).toEqual([]);
+    expect(await permissionCache.getPermissionScopes([2, 3], "/api/v1/students", "POST")).toEqual([]);
+    expect(loadRolePermissions).toHaveBeenCalledTimes(2);
+  });
+
+  it("should share one load between concurrent checks of a role", async () => {
+    await Promise.all([
+      permissionCache.getPermissionScopes([2], "/api/v1/students", "GET"),
+      permissionCache.getPermissionScopes([2], "/api/v1/students", "GET"),
+    ]);
+
+    expect(loadRolePermissions).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reload after an invalidation and tell the other instances", async () => {
+    await permissionCache.getPermissionScopes([2], "/api/v1/students", "GET");
+    await permissionCache.invalidate();
+    await permissionCache.getPermissionScopes([2], "/api/v1/students", "GET");
+
+    expect(changeChannel.publish).toHaveBeenCalledTimes(1);
+    expect(loadRolePermissions).toHaveBeenCalledTimes(2);
+  });
+
+  it("should drop the cache when another instance reports a change", async () => {
+    await permissionCache.listen();
+    const [onChange] = changeChannel.subscribe.mock.calls[0];
+
+    await permissionCache.getPermissionScopes([2], "/api/v1/students", "GET");
+    onChange();
+    await permissionCache.getPermissionScopes([2], "/api/v1/students", "GET");
+
+    expect(loadRolePermissions).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not keep a failed load", async () => {
+    loadRolePermissions.mockRejectedValueOnce(new Error("connection lost"));
+
+    await expect(permissionCache.getPermissionScopes([2], "/api/v1/students", "GET")).rejects.toThrow();
+    expect(await permissionCache.getPermissionScopes([2], "/api/v1/students", "GET")).toEqual(["own_sections"]);
+  });
+
+  it("should start and expire grants on time without reloading them", async () => {
+    let time = Date.parse("2026-10-19T08:00:00Z");
+    const loadUserGrants = jest.fn(async () => [
+      {
+        path: "/api/v1/leave/pending",
+        method: "GET",
+        dataScope: "reportees",
+        delegatorId: 9,
+        startsAt: "2026-10-20T00:00:00Z",
+        endsAt: "2026-10-27T00:00:00Z",
+      },
+    ]);
+    permissionCache = createPermissionCache({
+      loadRolePermissions,
+      loadUserGrants,
+      cache: createLruCache({ maxSize: 100, ttlInMs: 300000 }),
+      now: () => time,
+    });
+
+    expect(await permissionCache.getGrantScopes(4, "/api/v1/leave/pending", "GET")).toEqual([]);
+    time = Date.parse("2026-10-20T00:00:00Z");
+    expect(await permissionCache.getGrantScopes(4, "/api/v1/leave/pending", "GET")).toEqual([
+      { dataScope: "reportees", delegatorId: 9 },
+    ]);
+    expect(await permissionCache.getGrantScopes(4, "/api/v1/leave/pending", "POST")).toEqual([]);
+    time = Date.parse("2026-10-27T00:00:00Z");
+    expect(await permissionCache.getGrantScopes(4, "/api/v1/leave/pending", "GET")).toEqual([]);
+    expect(loadUserGrants).toHaveBeenCalledTimes(1);
+  });
+});
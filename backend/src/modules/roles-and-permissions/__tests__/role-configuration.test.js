@@ -0,0 +1,192 @@
+const { exportRoleConfiguration, importRoleConfiguration } = require("../role-configuration");
+const {
+  getRoleConfigurations,
+  getOwnPermissionConfigurations,
+  getAccessControlReferences,
+  insertAccessControls,
+  insertImportedRole,
+  updateImportedRole,
+  deletePermissionForRoleId,
+  insertPermissionsForRoleId,
+} = require("../rp-repository");
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.mock("../../../config", () => ({
+  db: { connect: jest.fn(async () => mockClient) },
+  env: {},
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../rp-repository");
+jest.mock("../permission-cache", () => ({ permissionCache: { invalidate: jest.fn() } }));
+
+const studentsAccessControl = {
+  name: "Get students",
+  path: "/api/v1/students",
+  method: "GET",
+  type: "api",
+  icon: null,
+  parentPath: "students_parent",
+  hierarchyId: null,
+};
+
+describe("Role Configuration", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRoleConfigurations.mockResolvedValue([
+      { id: 1, name: "Admin", isEditable: false, isTwoFactorRequired: false, parentRole: null },
+      { id: 2, name: "Teacher", isEditable: false, isTwoFactorRequired: false, parentRole: null },
+      { id: 4, name: "Class Teacher", isEditable: true, isTwoFactorRequired: false, parentRole: "Teacher" },
+    ]);
+    getOwnPermissionConfigurations.mockResolvedValue([
+      { roleId: 2, isDenied: false, dataScope: "own_sections", ...studentsAccessControl },
+      { roleId: 4, isDenied: true, dataScope: "all", ...studentsAccessControl },
+    ]);
+    getAccessControlReferences.mockResolvedValue([{ id: 81, path: "/api/v1/students", method: "GET" }]);
+  });
+
+  it("should export roles by name and access controls by path and method, without the admin role", async () => {
+    const configuration = await exportRoleConfiguration();
+
+    expect(configuration.version).toBe(1);
+    expect(configuration.accessControls).toEqual([studentsAccessControl]);
+    expect(configuration.roles).toEqual([
+      {
+        name: "Teacher",
+        parentRole: null,
+        isTwoFactorRequired: false,
+        permissions: [{ path: "/api/v1/students", method: "GET", dataScope: "own_sections" }],
+        deniedPermissions: [],
+      },
+      {
+        name: "Class Teacher",
+        parentRole: "Teacher",
+        isTwoFactorRequired: false,
+        permissions: [],
+        deniedPermissions: [{ path: "/api/v1/students", method: "GET" }],
+      },
+    ]);
+  });
+
+  it("should preview an import without writing anything", async () => {
+    const result = await importRoleConfiguration(
+      {
+        version: 1,
+        accessControls: [{ ...studentsAccessControl, name: "Get staffs", path: "/api/v1/staffs" }],
+        roles: [
+          {
+            name: "class teacher",
+            parentRole: "Teacher",
+            isTwoFactorRequired: true,
+            permissions: [{ path: "/api/v1/staffs", method: "GET", dataScope: "reportees" }],
+            deniedPermissions: [{ path: "/api/v1/students", method: "GET" }],
+          },
+          {
+            name: "Accountant",
+            parentRole: null,
+            isTwoFactorRequired: false,
+            permissions: [],
+            deniedPermissions: [],
+          },
+        ],
+      },
+      true
+    );
+
+    expect(result.accessControls.map(({ path }) => path)).toEqual(["/api/v1/staffs"]);
+    expect(result.roles).toEqual([
+      {
+        roleId: 4,
+        name: "class teacher",
+        action: "update",
+        changes: { isTwoFactorRequired: { from: false, to: true } },
+        permissions: {
+          added: [{ path: "/api/v1/staffs", method: "GET", isDenied: false, dataScope: "reportees" }],
+          removed: [],
+          changed: [],
+        },
+      },
+      expect.objectContaining({ roleId: null, name: "Accountant", action: "create" }),
+    ]);
+    expect(mockClient.query).not.toHaveBeenCalled();
+    expect(insertAccessControls).not.toHaveBeenCalled();
+  });
+
+  it("should apply an import in one transaction with ids of the target system", async () => {
+    getAccessControlReferences
+      .mockResolvedValueOnce([{ id: 81, path: "/api/v1/students", method: "GET" }])
+      .mockResolvedValueOnce([
+        { id: 81, path: "/api/v1/students", method: "GET" },
+        { id: 95, path: "/api/v1/staffs", method: "GET" },
+      ]);
+    insertImportedRole.mockResolvedValue(7);
+
+    await importRoleConfiguration(
+      {
+        version: 1,
+        accessControls: [{ ...studentsAccessControl, name: "Get staffs", path: "/api/v1/staffs" }],
+        roles: [
+          {
+            name: "Accountant",
+            parentRole: "Class Teacher",
+            isTwoFactorRequired: false,
+            permissions: [{ path: "/api/v1/staffs", method: "GET", dataScope: "reportees" }],
+            deniedPermissions: [],
+          },
+        ],
+      },
+      false
+    );
+
+    expect(mockClient.query).toHaveBeenNthCalledWith(1, "BEGIN");
+    expect(insertAccessControls).toHaveBeenCalledWith(
+      [{ ...studentsAccessControl, name: "Get staffs", path: "/api/v1/staffs" }],
+      mockClient
+    );
+    expect(updateImportedRole).toHaveBeenCalledWith(
+      { id: 7, parentRoleId: 4, isTwoFactorRequired: false },
+      mockClient
+    );
+    expect(deletePermissionForRoleId).toHaveBeenCalledWith(7, mockClient);
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      { roleId: 7, accessControlIds: [95], isDenied: false, dataScopes: { 95: "reportees" } },
+      mockClient
+    );
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+  });
+
+  it("should reject permissions on access controls that exist nowhere", async () => {
+    const configuration = {
+      version: 1,
+      accessControls: [],
+      roles: [
+        {
+          name: "Accountant",
+          parentRole: null,
+          isTwoFactorRequired: false,
+          permissions: [{ path: "/api/v1/fees", method: "GET", dataScope: "all" }],
+          deniedPermissions: [],
+        },
+      ],
+    };
+
+    await expect(importRoleConfiguration(configuration, false)).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+  });
+
+  it("should reject parent roles that would form a cycle", async () => {
+    const configuration = {
+      version: 1,
+      accessControls: [],
+      roles: [
+        { name: "A", parentRole: "B", isTwoFactorRequired: false, permissions: [], deniedPermissions: [] },
+        { name: "B", parentRole: "A", isTwoFactorRequired: false, permissions: [], deniedPermissions: [] },
+      ],
+    };
+
+    await expect(importRoleConfiguration(configuration, true)).rejects.toThrow("inheriting from itself");
+  });
+});
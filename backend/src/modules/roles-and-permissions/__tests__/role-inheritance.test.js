@@ -0,0 +1,103 @@
+const { addRolePermission, updateRole } = require("../rp-service");
+const {
+  doesRoleIdExist,
+  getRoleById,
+  getEffectivePermissions,
+  insertPermissionsForRoleId,
+  isRoleInParentChain,
+  updateRoleById,
+} = require("../rp-repository");
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.mock("../../../config", () => ({
+  db: { connect: jest.fn(async () => mockClient) },
+  env: {},
+}));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  isObjectEmpty: jest.fn(),
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../rp-repository");
+jest.mock("../../auth/token-revocation", () => ({ tokenRevocation: {} }));
+
+describe("Role Inheritance", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    doesRoleIdExist.mockResolvedValue(1);
+  });
+
+  it("should inherit what the parent grants and deny what was left out", async () => {
+    getRoleById.mockResolvedValue({ id: 5, parent_role_id: 2 });
+    getEffectivePermissions.mockResolvedValue([
+      { id: 10, dataScope: "all" },
+      { id: 11, dataScope: "all" },
+      { id: 12, dataScope: "all" },
+    ]);
+
+    await addRolePermission(5, "10,11,20", "");
+
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      { roleId: 5, accessControlIds: [20], isDenied: false, dataScopes: {} },
+      mockClient
+    );
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      { roleId: 5, accessControlIds: [12], isDenied: true },
+      mockClient
+    );
+  });
+
+  it("should store explicit denies even when nothing is inherited yet", async () => {
+    getRoleById.mockResolvedValue({ id: 5, parent_role_id: null });
+
+    await addRolePermission(5, "10,11", "11,30");
+
+    expect(getEffectivePermissions).not.toHaveBeenCalled();
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      { roleId: 5, accessControlIds: [10], isDenied: false, dataScopes: {} },
+      mockClient
+    );
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      { roleId: 5, accessControlIds: [11, 30], isDenied: true },
+      mockClient
+    );
+  });
+
+  it("should copy an inherited permission only when its data scope changes", async () => {
+    getRoleById.mockResolvedValue({ id: 5, parent_role_id: 2 });
+    getEffectivePermissions.mockResolvedValue([
+      { id: 10, dataScope: "all" },
+      { id: 11, dataScope: "self" },
+    ]);
+
+    await addRolePermission(5, "10,11", "", { 10: "own_sections", 11: "self" });
+
+    expect(insertPermissionsForRoleId).toHaveBeenCalledWith(
+      {
+        roleId: 5,
+        accessControlIds: [10],
+        isDenied: false,
+        dataScopes: { 10: "own_sections", 11: "self" },
+      },
+      mockClient
+    );
+  });
+
+  it("should reject unknown data scopes", async () => {
+    await expect(addRolePermission(5, "10", "", { 10: "everyone" })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("should reject a parent that would create a cycle", async () => {
+    isRoleInParentChain.mockResolvedValue(true);
+
+    await expect(updateRole(5, "Class Teacher", 7)).rejects.toMatchObject({ statusCode: 400 });
+    expect(updateRoleById).not.toHaveBeenCalled();
+  });
+
+  it("should refuse to inherit from the admin role", async () => {
+    await expect(updateRole(5, "Class Teacher", 1)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
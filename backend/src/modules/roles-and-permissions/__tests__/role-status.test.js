@@ -0,0 +1,47 @@
+const { processRoleStatus } = require("../rp-service");
+const {
+  doesRoleIdExist,
+  enableOrDisableRoleStatusByRoleId,
+  deleteRefreshTokensByRoleId,
+} = require("../rp-repository");
+const { tokenRevocation } = require("../../auth/token-revocation");
+const { permissionCache } = require("../permission-cache");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  isObjectEmpty: jest.fn(),
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../rp-repository");
+jest.mock("../permission-cache", () => ({
+  permissionCache: { invalidate: jest.fn() },
+}));
+jest.mock("../../auth/token-revocation", () => ({
+  tokenRevocation: { revokeRoleTokens: jest.fn() },
+}));
+
+describe("Role Status", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    doesRoleIdExist.mockResolvedValue(1);
+    enableOrDisableRoleStatusByRoleId.mockResolvedValue(1);
+  });
+
+  it("should end the sessions of the role's users when the role is disabled", async () => {
+    await expect(processRoleStatus(4, false)).resolves.toEqual({
+      message: "Role disabled successfully",
+    });
+
+    expect(permissionCache.invalidate).toHaveBeenCalled();
+    expect(deleteRefreshTokensByRoleId).toHaveBeenCalledWith(4);
+    expect(tokenRevocation.revokeRoleTokens).toHaveBeenCalledWith(4);
+  });
+
+  it("should leave the sessions alone when the role is enabled", async () => {
+    await processRoleStatus(4, true);
+
+    expect(deleteRefreshTokensByRoleId).not.toHaveBeenCalled();
+    expect(tokenRevocation.revokeRoleTokens).not.toHaveBeenCalled();
+  });
+});
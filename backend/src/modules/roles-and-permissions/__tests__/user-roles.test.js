@@ -0,0 +1,58 @@
+const { processSwitchRole } = require("../rp-service");
+const {
+  doesRoleIdExist,
+  getPrimaryRoleIdByUserId,
+  addUserRole,
+  removeUserRole,
+} = require("../rp-repository");
+const { tokenRevocation } = require("../../auth/token-revocation");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  isObjectEmpty: jest.fn(),
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../rp-repository");
+jest.mock("../../auth/token-revocation", () => ({
+  tokenRevocation: { revokeUserTokens: jest.fn() },
+}));
+
+describe("User Roles", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    doesRoleIdExist.mockResolvedValue(1);
+    getPrimaryRoleIdByUserId.mockResolvedValue(2);
+  });
+
+  it("should add an extra role and make the user fetch a new access token", async () => {
+    addUserRole.mockResolvedValue(1);
+
+    await expect(processSwitchRole({ userId: 7, roleId: 4, action: "add" })).resolves.toEqual({
+      message: "Role added successfully",
+    });
+    expect(addUserRole).toHaveBeenCalledWith(7, 4);
+    expect(tokenRevocation.revokeUserTokens).toHaveBeenCalledWith(7);
+  });
+
+  it("should remove an extra role", async () => {
+    removeUserRole.mockResolvedValue(1);
+
+    await processSwitchRole({ userId: 7, roleId: 4, action: "remove" });
+
+    expect(removeUserRole).toHaveBeenCalledWith(7, 4);
+    expect(tokenRevocation.revokeUserTokens).toHaveBeenCalledWith(7);
+  });
+
+  it("should leave the primary role and the admin role alone", async () => {
+    await expect(processSwitchRole({ userId: 7, roleId: 2, action: "remove" })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(processSwitchRole({ userId: 7, roleId: 1, action: "add" })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    expect(addUserRole).not.toHaveBeenCalled();
+    expect(removeUserRole).not.toHaveBeenCalled();
+    expect(tokenRevocation.revokeUserTokens).not.toHaveBeenCalled();
+  });
+});
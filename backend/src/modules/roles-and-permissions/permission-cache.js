@@ -0,0 +1,105 @@
+const { env } = require("../../config");
+const { createLruCache } = require("../../utils/lru-cache");
+const log = require("../../utils/log");
+const { getRoleApiPermissions } = require("./rp-repository");
+const { findUserGrantPermissions } = require("../permission-grants/permission-grant-repository");
+const { createPostgresPermissionChangeChannel } = require("./permission-change-channel");
+
+const routeKey = (method, path) => `${method} ${path}`;
+
+// Keeps each role's effective API permissions in memory as "METHOD path" -> data scope,
+// loaded the first time the role is checked. Inherited permissions mean a change to one
+// role can reach any role below it, so every change drops the whole cache. With a change
+// channel the other instances drop theirs too; without one they catch up within the TTL.
+// A user's permission grants are cached next to the roles, keyed by "user:<id>".
+const createPermissionCache = ({
+    loadRolePermissions,
+    loadUserGrants = async () => [],
+    cache,
+    changeChannel = null,
+    now = () => Date.now(),
+}) => {
+    // The pending load is cached so concurrent requests for a key share one query
+    const getCached = (key, load) => {
+        let value = cache.get(key);
+        if (value === undefined) {
+            value = load();
+            value.catch(() => {
+                if (cache.get(key) === value) {
+                    cache.delete(key);
+                }
+            });
+            cache.set(key, value);
+        }
+        return value;
+    };
+
+    const getRolePermissions = (roleId) =>
+        getCached(roleId, () =>
+            loadRolePermissions(roleId).then(
+                (rows) => new Map(rows.map(({ method, path, dataScope }) => [routeKey(method, path), dataScope]))
+            )
+        );
+
+    // Same contract as a permissions lookup: the data scope of each role that grants the
+    // route, empty when none does
+    const getPermissionScopes = async (roleIds, path, method) => {
+        const scopes = new Set();
+        for (const roleId of roleIds) {
+            const permissions = await getRolePermissions(Number(roleId));
+            if (permissions.has(routeKey(method, path))) {
+                scopes.add(permissions.get(routeKey(method, path)));
+            }
+        }
+        return [...scopes];
+    };
+
+    // Grants are cached with their dates and checked against the clock on every lookup, so
+    // they start and expire on time instead of when the cache entry does
+    const getGrantScopes = async (userId, path, method) => {
+        const grants = await getCached(`user:${userId}`, () => loadUserGrants(Number(userId)));
+        const time = now();
+        return grants
+            .filter((grant) => routeKey(grant.method, grant.path) === routeKey(method, path))
+            .filter(({ startsAt, endsAt }) => new Date(startsAt).getTime() <= time && time < new Date(endsAt).getTime())
+            .map(({ dataScope, delegatorId }) => ({ dataScope, delegatorId }));
+    };
+
+    // The change is already saved by the time this runs, so a failed notify is only logged
+    const invalidate = async () => {
+        cache.clear();
+        if (!changeChannel) {
+            return;
+        }
+
+        try {
+            await changeChannel.publish();
+        } catch (error) {
+            log.error("Unable to notify other instances of a permission change", { errorMessage: error.message });
+        }
+    };
+
+    const listen = () => (changeChannel ? changeChannel.subscribe(() => cache.clear()) : Promise.resolve());
+
+    return {
+        getPermissionScopes,
+        getGrantScopes,
+        invalidate,
+        listen,
+    };
+}
+
+const permissionCache = createPermissionCache({
+    loadRolePermissions: getRoleApiPermissions,
+    loadUserGrants: findUserGrantPermissions,
+    cache: createLruCache({
+        maxSize: parseInt(env.PERMISSION_CACHE_SIZE),
+        ttlInMs: parseInt(env.PERMISSION_CACHE_TTL_IN_MS),
+    }),
+    changeChannel: env.PERMISSION_CACHE_NOTIFY === "true" ? createPostgresPermissionChangeChannel() : null,
+});
+
+module.exports = {
+    createPermissionCache,
+    permissionCache,
+};
@@ -0,0 +1,56 @@
+const { db } = require("../../config");
+const { processDBRequest } = require("../../utils");
+const log = require("../../utils/log");
+
+const RECONNECT_DELAY_IN_MS = 5000;
+
+// Postgres LISTEN/NOTIFY channel that tells every backend instance a permission changed.
+// LISTEN needs a connection of its own, so one pooled client is held for as long as the
+// process runs and replaced whenever it drops.
+const createPostgresPermissionChangeChannel = ({ channel = "permission_changes" } = {}) => {
+    const publish = async () => {
+        await processDBRequest({ query: "SELECT pg_notify($1, '')", queryParams: [channel] });
+    };
+
+    // onChange also runs after a reconnect, since notifications sent meanwhile are lost
+    const subscribe = (onChange) => {
+        const connect = async () => {
+            let client;
+            let isDropped = false;
+            const reconnect = (message, error) => {
+                if (isDropped) {
+                    return;
+                }
+                isDropped = true;
+                log.error(message, { errorMessage: error.message });
+                if (client) {
+                    client.release(true);
+                }
+                setTimeout(connect, RECONNECT_DELAY_IN_MS).unref();
+            };
+
+            try {
+                client = await db.connect();
+                client.on("notification", (notification) => {
+                    if (notification.channel === channel) {
+                        onChange();
+                    }
+                });
+                client.on("error", (error) => reconnect("Permission change listener disconnected", error));
+                await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+                onChange();
+            } catch (error) {
+                reconnect("Unable to listen for permission changes", error);
+            }
+        };
+
+        return connect();
+    };
+
+    return {
+        publish,
+        subscribe,
+    };
+}
+
+module.exports = { createPostgresPermissionChangeChannel };
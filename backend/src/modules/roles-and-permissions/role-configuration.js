@@ -0,0 +1,290 @@
+const { db } = require("../../config");
+const { ApiError } = require("../../utils");
+const log = require("../../utils/log");
+const { ROLE_EXPORT_VERSION } = require("./rp-schema");
+const { permissionCache } = require("./permission-cache");
+const {
+  getRoleConfigurations,
+  getOwnPermissionConfigurations,
+  getAccessControlReferences,
+  insertAccessControls,
+  insertImportedRole,
+  updateImportedRole,
+  deletePermissionForRoleId,
+  insertPermissionsForRoleId,
+} = require("./rp-repository");
+
+const ADMIN_ROLE_ID = 1;
+
+const accessControlKey = ({ path, method }) => `${method || ""} ${path}`.trim();
+const roleKey = (name) => name.toLowerCase();
+
+// Denied wins when a file lists an access control both ways, as in addRolePermission
+const toPermissionMap = (permissions, deniedPermissions) =>
+  new Map([
+    ...permissions.map(({ path, method, dataScope }) => [
+      accessControlKey({ path, method }),
+      { path, method, isDenied: false, dataScope },
+    ]),
+    ...deniedPermissions.map(({ path, method }) => [
+      accessControlKey({ path, method }),
+      { path, method, isDenied: true, dataScope: "all" },
+    ]),
+  ]);
+
+const isSamePermission = (a, b) => a.isDenied === b.isDenied && (a.isDenied || a.dataScope === b.dataScope);
+
+const diffPermissions = (currentPermissions, importedPermissions) => {
+  const added = [];
+  const changed = [];
+  for (const [key, imported] of importedPermissions) {
+    const current = currentPermissions.get(key);
+    if (!current) {
+      added.push(imported);
+    } else if (!isSamePermission(current, imported)) {
+      changed.push({ path: imported.path, method: imported.method, from: current, to: imported });
+    }
+  }
+  const removed = [...currentPermissions]
+    .filter(([key]) => !importedPermissions.has(key))
+    .map(([, permission]) => permission);
+
+  return { added, removed, changed };
+};
+
+// Roles are serialized with their own permission rows only, inherited ones follow from
+// parentRole. The admin role is left out since it is granted everything without rows.
+const exportRoleConfiguration = async () => {
+  const client = await db.connect();
+  let roles, permissionRows;
+  try {
+    roles = await getRoleConfigurations(client);
+    permissionRows = await getOwnPermissionConfigurations(client);
+  } finally {
+    client.release();
+  }
+
+  const accessControls = new Map();
+  const exportedRoles = roles
+    .filter(({ id }) => id !== ADMIN_ROLE_ID)
+    .map(({ id, name, parentRole, isTwoFactorRequired }) => {
+      const rows = permissionRows.filter(({ roleId }) => roleId === id);
+      rows.forEach(({ name, path, method, type, icon, parentPath, hierarchyId }) => {
+        accessControls.set(accessControlKey({ path, method }), {
+          name,
+          path,
+          method,
+          type,
+          icon,
+          parentPath,
+          hierarchyId,
+        });
+      });
+
+      return {
+        name,
+        parentRole,
+        isTwoFactorRequired,
+        permissions: rows
+          .filter(({ isDenied }) => !isDenied)
+          .map(({ path, method, dataScope }) => ({ path, method, dataScope })),
+        deniedPermissions: rows.filter(({ isDenied }) => isDenied).map(({ path, method }) => ({ path, method })),
+      };
+    });
+
+  return {
+    version: ROLE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    accessControls: [...accessControls.values()],
+    roles: exportedRoles,
+  };
+};
+
+const checkParentRoles = (roles, currentRoles) => {
+  const currentRolesByKey = new Map(currentRoles.map((role) => [roleKey(role.name), role]));
+  const parentOf = new Map(
+    currentRoles.map(({ name, parentRole }) => [roleKey(name), parentRole ? roleKey(parentRole) : null])
+  );
+
+  for (const { name, parentRole } of roles) {
+    const parentKey = parentRole ? roleKey(parentRole) : null;
+    const current = currentRolesByKey.get(roleKey(name));
+    if (parentKey && !roles.some((role) => roleKey(role.name) === parentKey) && !currentRolesByKey.has(parentKey)) {
+      throw new ApiError(400, `Parent role ${parentRole} of ${name} is neither in the file nor in this system`);
+    }
+    if (parentKey && currentRolesByKey.get(parentKey)?.id === ADMIN_ROLE_ID) {
+      throw new ApiError(400, "Roles cannot inherit from the admin role");
+    }
+    if (current && !current.isEditable && parentOf.get(roleKey(name)) !== parentKey) {
+      throw new ApiError(400, `The parent of the built-in role ${name} cannot be changed`);
+    }
+    parentOf.set(roleKey(name), parentKey);
+  }
+
+  for (const { name } of roles) {
+    const visited = new Set([roleKey(name)]);
+    for (let key = parentOf.get(roleKey(name)); key; key = parentOf.get(key)) {
+      if (visited.has(key)) {
+        throw new ApiError(400, `${name} would end up inheriting from itself`);
+      }
+      visited.add(key);
+    }
+  }
+};
+
+// Works out what an import would change without writing anything. The result is what the
+// dry run returns, and what the apply step then writes.
+const planRoleImport = async ({ accessControls, roles }, client) => {
+  const currentRoles = await getRoleConfigurations(client);
+  const permissionRows = await getOwnPermissionConfigurations(client);
+  const references = await getAccessControlReferences(client);
+
+  const roleKeys = roles.map(({ name }) => roleKey(name));
+  const duplicateRole = roles.find(({ name }, index) => roleKeys.indexOf(roleKey(name)) !== index);
+  if (duplicateRole) {
+    throw new ApiError(400, `Role ${duplicateRole.name} appears more than once`);
+  }
+  if (roles.some(({ name }) => currentRoles.find((role) => roleKey(role.name) === roleKey(name))?.id === ADMIN_ROLE_ID)) {
+    throw new ApiError(400, "The admin role cannot be imported");
+  }
+  checkParentRoles(roles, currentRoles);
+
+  const existingKeys = new Set(references.map(accessControlKey));
+  const fileAccessControls = new Map(accessControls.map((accessControl) => [accessControlKey(accessControl), accessControl]));
+  const referencedKeys = new Set(
+    roles.flatMap(({ permissions, deniedPermissions }) => [...permissions, ...deniedPermissions].map(accessControlKey))
+  );
+  const unknownKeys = [...referencedKeys].filter((key) => !existingKeys.has(key) && !fileAccessControls.has(key));
+  if (unknownKeys.length > 0) {
+    throw new ApiError(
+      400,
+      "Permissions reference access controls that are neither in the file nor in this system",
+      unknownKeys.map((key) => ({ path: "roles", message: `Unknown access control ${key}` }))
+    );
+  }
+
+  const plannedRoles = roles.map(({ name, parentRole, isTwoFactorRequired, permissions, deniedPermissions }) => {
+    const current = currentRoles.find((role) => roleKey(role.name) === roleKey(name));
+    const currentPermissions = toPermissionMap(
+      permissionRows.filter(({ roleId, isDenied }) => roleId === current?.id && !isDenied),
+      permissionRows.filter(({ roleId, isDenied }) => roleId === current?.id && isDenied)
+    );
+
+    const changes = {};
+    if (!current || roleKey(current.parentRole || "") !== roleKey(parentRole || "")) {
+      changes.parentRole = { from: current?.parentRole ?? null, to: parentRole };
+    }
+    if (!current || current.isTwoFactorRequired !== isTwoFactorRequired) {
+      changes.isTwoFactorRequired = { from: current?.isTwoFactorRequired ?? null, to: isTwoFactorRequired };
+    }
+    const permissionChanges = diffPermissions(currentPermissions, toPermissionMap(permissions, deniedPermissions));
+    const isChanged =
+      Object.keys(changes).length > 0 || Object.values(permissionChanges).some((list) => list.length > 0);
+
+    return {
+      roleId: current?.id ?? null,
+      name,
+      action: !current ? "create" : isChanged ? "update" : "unchanged",
+      changes,
+      permissions: permissionChanges,
+    };
+  });
+
+  return {
+    accessControls: [...referencedKeys]
+      .filter((key) => !existingKeys.has(key))
+      .map((key) => fileAccessControls.get(key)),
+    roles: plannedRoles,
+  };
+};
+
+const applyRoleImport = async (plan, roles, client) => {
+  if (plan.accessControls.length > 0) {
+    await insertAccessControls(plan.accessControls, client);
+  }
+  const accessControlIds = new Map(
+    (await getAccessControlReferences(client)).map((reference) => [accessControlKey(reference), reference.id])
+  );
+
+  const roleIds = new Map((await getRoleConfigurations(client)).map(({ id, name }) => [roleKey(name), id]));
+  for (const [index, role] of roles.entries()) {
+    if (plan.roles[index].action === "create") {
+      roleIds.set(roleKey(role.name), await insertImportedRole(role, client));
+    }
+  }
+
+  // Parents are set once every imported role exists, so the file order does not matter
+  for (const [index, role] of roles.entries()) {
+    if (plan.roles[index].action === "unchanged") {
+      continue;
+    }
+
+    const roleId = roleIds.get(roleKey(role.name));
+    const { parentRole, isTwoFactorRequired, permissions, deniedPermissions } = role;
+    await updateImportedRole(
+      { id: roleId, parentRoleId: parentRole ? roleIds.get(roleKey(parentRole)) : null, isTwoFactorRequired },
+      client
+    );
+
+    const importedPermissions = [...toPermissionMap(permissions, deniedPermissions).values()];
+    const granted = importedPermissions.filter(({ isDenied }) => !isDenied);
+    await deletePermissionForRoleId(roleId, client);
+    await insertPermissionsForRoleId(
+      {
+        roleId,
+        accessControlIds: granted.map((permission) => accessControlIds.get(accessControlKey(permission))),
+        isDenied: false,
+        dataScopes: Object.fromEntries(
+          granted.map((permission) => [accessControlIds.get(accessControlKey(permission)), permission.dataScope])
+        ),
+      },
+      client
+    );
+    await insertPermissionsForRoleId(
+      {
+        roleId,
+        accessControlIds: importedPermissions
+          .filter(({ isDenied }) => isDenied)
+          .map((permission) => accessControlIds.get(accessControlKey(permission))),
+        isDenied: true,
+      },
+      client
+    );
+  }
+};
+
+// Roles are matched by name. Each imported role ends up with exactly the permissions in the
+// file, roles left out of the file are not touched. The whole import is one transaction.
+const importRoleConfiguration = async (configuration, isDryRun) => {
+  const client = await db.connect();
+  try {
+    if (isDryRun) {
+      const plan = await planRoleImport(configuration, client);
+      return { dryRun: true, ...plan };
+    }
+
+    await client.query("BEGIN");
+    const plan = await planRoleImport(configuration, client);
+    await applyRoleImport(plan, configuration.roles, client);
+    await client.query("COMMIT");
+    await permissionCache.invalidate();
+
+    return { message: "Roles imported successfully", dryRun: false, ...plan };
+  } catch (error) {
+    if (!isDryRun) {
+      await client.query("ROLLBACK");
+    }
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    log.error("Unable to import roles", { errorMessage: error.message });
+    throw new ApiError(500, "Unable to import roles");
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  exportRoleConfiguration,
+  importRoleConfiguration,
+};
@@ -1,5 +1,6 @@
 const asyncHandler = require("express-async-handler");
-const { fetchRoles, addRole, updateRole, processRoleStatus, fetchRole, addRolePermission, getRolePermissions, fetchUsersByRoleId, processSwitchRole } = require("./rp-service");
+const { fetchRoles, addRole, updateRole, processRoleStatus, processRoleTwoFactor, fetchRole, addRolePermission, getRolePermissions, fetchUsersByRoleId, processSwitchRole } = require("./rp-service");
+const { exportRoleConfiguration, importRoleConfiguration } = require("./role-configuration");
 
 const handleGetRoles = asyncHandler(async (req, res) => {
     const roles = await fetchRoles();
@@ -14,15 +15,15 @@ const handleGetRole = asyncHandler(async (req, res) => {
 
 
 const handleAddRole = asyncHandler(async (req, res) => {
-    const { name } = req.body;
-    const message = await addRole(name);
+    const { name, parentRoleId } = req.body;
+    const message = await addRole(name, parentRoleId);
     res.json(message);
 });
 
 const handleUpdateRole = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name } = req.body;
-    const message = await updateRole(id, name);
+    const { name, parentRoleId } = req.body;
+    const message = await updateRole(id, name, parentRoleId);
     res.json(message);
 });
 
@@ -33,17 +34,24 @@ const handleRoleStatus = asyncHandler(async (req, res) => {
     res.json(message);
 });
 
+const handleRoleTwoFactor = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { required } = req.body;
+    const message = await processRoleTwoFactor(id, required);
+    res.json(message);
+});
+
 const handleAddRolePermission = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { permissions } = req.body;
-    const message = await addRolePermission(id, permissions);
+    const { permissions, deniedPermissions, dataScopes } = req.body;
+    const message = await addRolePermission(id, permissions, deniedPermissions, dataScopes);
     res.json(message);
 });
 
 const handleGetRolePermission = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const permissions = await getRolePermissions(id);
-    res.json({ permissions });
+    const { permissions, deniedPermissions } = await getRolePermissions(id);
+    res.json({ permissions, deniedPermissions });
 });
 
 const handleGetUsersByRoleId = asyncHandler(async (req, res) => {
@@ -52,19 +60,35 @@ const handleGetUsersByRoleId = asyncHandler(async (req, res) => {
     res.json({ users });
 });
 const handleSwitchRole = asyncHandler(async (req, res) => {
-    const { userId, roleId } = req.body;
-    const message = await processSwitchRole(userId, roleId);
+    const { userId, roleId, action } = req.body;
+    const message = await processSwitchRole({ userId, roleId, action });
     res.json(message);
 });
 
+const handleExportRoles = asyncHandler(async (req, res) => {
+    const configuration = await exportRoleConfiguration();
+    const fileName = `roles-${configuration.exportedAt.slice(0, 10)}.json`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.json(configuration);
+});
+
+const handleImportRoles = asyncHandler(async (req, res) => {
+    const result = await importRoleConfiguration(req.body, req.query.dryRun === "true");
+    res.json(result);
+});
+
 module.exports = {
     handleAddRole,
     handleGetRoles,
     handleUpdateRole,
     handleRoleStatus,
+    handleRoleTwoFactor,
     handleGetRole,
     handleAddRolePermission,
     handleGetRolePermission,
     handleGetUsersByRoleId,
     handleSwitchRole,
+    handleExportRoles,
+    handleImportRoles,
 };
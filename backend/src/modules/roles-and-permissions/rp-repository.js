@@ -14,9 +14,9 @@ const doesRoleIdExist = async (id) => {
     return rowCount;
 };
 
-const insertRole = async (name) => {
-    const query = "INSERT INTO roles(name) VALUES($1)";
-    const queryParams = [name];
+const insertRole = async (name, parentRoleId = null) => {
+    const query = "INSERT INTO roles(name, parent_role_id) VALUES($1, $2)";
+    const queryParams = [name, parentRoleId];
     const { rowCount } = await processDBRequest({ query, queryParams });
     return rowCount;
 }
@@ -26,11 +26,19 @@ const getRoles = async () => {
         SELECT
             t1.id,
             t1.name,
-            COUNT(t2.id) AS "usersAssociated",
-            t1.is_active AS status
+            COUNT(t2.user_id) AS "usersAssociated",
+            t1.is_active AS status,
+            t1.is_2fa_required AS "isTwoFactorRequired",
+            t1.parent_role_id AS "parentRoleId",
+            t3.name AS "parentRoleName"
         FROM roles t1
-        LEFT JOIN users t2 ON t1.id = t2.role_id
-        GROUP BY (t1.id, t1.name)
+        LEFT JOIN (
+            SELECT id AS user_id, role_id FROM users
+            UNION
+            SELECT user_id, role_id FROM user_roles
+        ) t2 ON t1.id = t2.role_id
+        LEFT JOIN roles t3 ON t1.parent_role_id = t3.id
+        GROUP BY (t1.id, t1.name, t3.name)
         ORDER BY t1.id, t1.name, t1.is_active
     `;
     const { rows } = await processDBRequest({ query });
@@ -44,9 +52,9 @@ const getRoleById = async (id) => {
     return rows[0];
 }
 
-const updateRoleById = async (id, name) => {
-    const query = "UPDATE roles SET name = $1 WHERE id = $2 AND is_editable = true";
-    const queryParams = [name, id];
+const updateRoleById = async (id, name, parentRoleId) => {
+    const query = "UPDATE roles SET name = $1, parent_role_id = $2 WHERE id = $3 AND is_editable = true";
+    const queryParams = [name, parentRoleId, id];
     const { rowCount } = await processDBRequest({ query, queryParams });
     return rowCount;
 }
@@ -58,40 +66,105 @@ const enableOrDisableRoleStatusByRoleId = async (id, status) => {
     return rowCount;
 }
 
-const getAccessControlByIds = async (ids, client) => {
+// Sessions of the users whose primary role it is, extra roles just drop out of the next token
+const deleteRefreshTokensByRoleId = async (roleId) => {
+    const query = `
+        DELETE FROM user_refresh_tokens
+        WHERE user_id IN (SELECT id FROM users WHERE role_id = $1)
+    `;
+    const { rowCount } = await processDBRequest({ query, queryParams: [roleId] });
+    return rowCount;
+}
+
+const updateRoleTwoFactorRequirement = async (id, isRequired) => {
+    const query = "UPDATE roles SET is_2fa_required = $1 WHERE id = $2";
+    const queryParams = [isRequired, id];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+// True when roleId appears in the parent chain of ancestorCandidateId (or is the same role)
+const isRoleInParentChain = async (roleId, ancestorCandidateId) => {
+    const query = `
+        WITH RECURSIVE role_chain AS (
+            SELECT id, parent_role_id, ARRAY[id] AS visited FROM roles WHERE id = $2
+            UNION ALL
+            SELECT r.id, r.parent_role_id, rc.visited || r.id
+            FROM roles r
+            JOIN role_chain rc ON r.id = rc.parent_role_id
+            WHERE NOT r.id = ANY(rc.visited)
+        )
+        SELECT 1 FROM role_chain WHERE id = $1
+    `;
+    const queryParams = [roleId, ancestorCandidateId];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount > 0;
+}
+
+const getEffectivePermissions = async (roleId, client) => {
     const query = `
-        SELECT id, type
-        FROM access_controls
-        WHERE id = ANY($1::int[])
+        SELECT access_control_id AS id, data_scope AS "dataScope"
+        FROM role_permission_sources($1)
+        WHERE NOT is_denied
     `;
-    const { rows } = await client.query(query, [ids]);
+    const { rows } = await client.query(query, [roleId]);
     return rows;
 }
 
-const insertPermissionForRoleId = async (queryParams, client) => {
+// dataScopes maps access control ids to a data scope, anything not listed gets "all"
+const insertPermissionsForRoleId = async ({ roleId, accessControlIds, isDenied, dataScopes = {} }, client) => {
     const query = `
-        INSERT INTO permissions(role_id, access_control_id, type)
-        VALUES ${queryParams}
+        INSERT INTO permissions(role_id, access_control_id, type, is_denied, data_scope)
+        SELECT $1, ac.id, ac.type, $3, COALESCE(s.data_scope, 'all')
+        FROM access_controls ac
+        LEFT JOIN unnest($4::int[], $5::varchar[]) AS s(access_control_id, data_scope)
+            ON s.access_control_id = ac.id
+        WHERE ac.id = ANY($2::int[])
         ON CONFLICT (role_id, access_control_id) DO NOTHING
     `;
-    await client.query(query);
+    const queryParams = [
+        roleId,
+        accessControlIds,
+        isDenied,
+        Object.keys(dataScopes).map(Number),
+        Object.values(dataScopes),
+    ];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
 }
+
 const deletePermissionForRoleId = async (roleId, client) => {
-    const query = `DELETE FROM permissions WHERE role_id = ${roleId}`;
-    await client.query(query);
+    const query = "DELETE FROM permissions WHERE role_id = $1";
+    await client.query(query, [roleId]);
 }
 
+// Effective permissions with the role each one comes from; denied rows are returned too
 const getPermissionsById = async (roleId) => {
     const isUserAdmin = Number(roleId) === 1 ? true : false;
     const query = isUserAdmin
-        ? `SELECT id, name FROM access_controls`
+        ? `
+            SELECT
+                id,
+                name,
+                1 AS "sourceRoleId",
+                'Admin' AS "sourceRoleName",
+                false AS "isInherited",
+                false AS "isDenied",
+                'all' AS "dataScope"
+            FROM access_controls
+        `
         : `
             SELECT
                 ac.id,
-                ac.name
-            FROM permissions p
-            JOIN access_controls ac ON p.access_control_id = ac.id
-            WHERE p.role_id = $1
+                ac.name,
+                rps.source_role_id AS "sourceRoleId",
+                r.name AS "sourceRoleName",
+                rps.source_role_id <> $1 AS "isInherited",
+                rps.is_denied AS "isDenied",
+                rps.data_scope AS "dataScope"
+            FROM role_permission_sources($1) rps
+            JOIN access_controls ac ON rps.access_control_id = ac.id
+            JOIN roles r ON rps.source_role_id = r.id
     `;
     const queryParams = isUserAdmin ? [] : [roleId];
     const { rows } = await processDBRequest({ query, queryParams });
@@ -101,33 +174,142 @@ const getPermissionsById = async (roleId) => {
 const getUsersByRoleId = async (id) => {
     const query = `
         SELECT
-            id,
-            name,
-            last_login AS "lastLogin"
-        FROM users
-        WHERE role_id = $1
+            t1.id,
+            t1.name,
+            t1.last_login AS "lastLogin",
+            t1.role_id = $1 AS "isPrimary"
+        FROM users t1
+        WHERE t1.role_id = $1
+            OR EXISTS (SELECT 1 FROM user_roles t2 WHERE t2.user_id = t1.id AND t2.role_id = $1)
+        ORDER BY t1.id
     `;
     const queryParams = [id];
     const { rows } = await processDBRequest({ query, queryParams });
     return rows;
 }
 
-const switchUserRole = async (userId, newRoleId) => {
-    const query = `UPDATE users SET role_id = $1 WHERE id = $2`;
-    const queryParams = [newRoleId, userId];
+const getPrimaryRoleIdByUserId = async (userId) => {
+    const query = "SELECT role_id FROM users WHERE id = $1";
+    const queryParams = [userId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0]?.role_id;
+}
+
+const addUserRole = async (userId, roleId) => {
+    const query = `
+        INSERT INTO user_roles (user_id, role_id)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id, role_id) DO NOTHING
+    `;
+    const queryParams = [userId, roleId];
     const { rowCount } = await processDBRequest({ query, queryParams });
     return rowCount;
 }
 
-const checkPermission = async (roleId, apiPath, apiMethod) => {
+const removeUserRole = async (userId, roleId) => {
+    const query = "DELETE FROM user_roles WHERE user_id = $1 AND role_id = $2";
+    const queryParams = [userId, roleId];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+// Every API route the role may call with the data scope it is granted.
+// A deny only hides what its own role would inherit.
+const getRoleApiPermissions = async (roleId) => {
     const query = `
-        SELECT 1
-        FROM permissions p
-        JOIN access_controls ac ON p.access_control_id = ac.id
-        WHERE p.role_id = $1 AND ac.path = $2 AND ac.method = $3
+        SELECT ac.path, ac.method, rps.data_scope AS "dataScope"
+        FROM role_permission_sources($1) rps
+        JOIN access_controls ac ON rps.access_control_id = ac.id
+        WHERE NOT rps.is_denied AND ac.path IS NOT NULL AND ac.method IS NOT NULL
+            AND EXISTS (SELECT 1 FROM roles WHERE id = $1 AND is_active = true)
     `;
-    const queryParams = [roleId, apiPath, apiMethod];
-    const { rowCount } = await processDBRequest({ query, queryParams });
+    const queryParams = [roleId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+// Roles with their parent by name, for export and import
+const getRoleConfigurations = async (client) => {
+    const query = `
+        SELECT
+            t1.id,
+            t1.name,
+            t1.is_editable AS "isEditable",
+            t1.is_2fa_required AS "isTwoFactorRequired",
+            t2.name AS "parentRole"
+        FROM roles t1
+        LEFT JOIN roles t2 ON t1.parent_role_id = t2.id
+        ORDER BY t1.id
+    `;
+    const { rows } = await client.query(query);
+    return rows;
+}
+
+// Permission rows stored on the roles themselves (not inherited) with their access control
+const getOwnPermissionConfigurations = async (client) => {
+    const query = `
+        SELECT
+            t1.role_id AS "roleId",
+            t1.is_denied AS "isDenied",
+            t1.data_scope AS "dataScope",
+            t2.name,
+            t2.path,
+            t2.method,
+            t2.type,
+            t2.icon,
+            t2.parent_path AS "parentPath",
+            t2.hierarchy_id AS "hierarchyId"
+        FROM permissions t1
+        JOIN access_controls t2 ON t1.access_control_id = t2.id
+        ORDER BY t1.role_id, t2.id
+    `;
+    const { rows } = await client.query(query);
+    return rows;
+}
+
+const getAccessControlReferences = async (client) => {
+    const query = "SELECT id, path, method FROM access_controls WHERE path IS NOT NULL";
+    const { rows } = await client.query(query);
+    return rows;
+}
+
+const insertAccessControls = async (accessControls, client) => {
+    const query = `
+        INSERT INTO access_controls (name, path, method, type, icon, parent_path, hierarchy_id)
+        SELECT * FROM unnest(
+            $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[], $6::varchar[], $7::int[]
+        )
+        RETURNING id, path, method
+    `;
+    const queryParams = [
+        accessControls.map(({ name }) => name),
+        accessControls.map(({ path }) => path),
+        accessControls.map(({ method }) => method),
+        accessControls.map(({ type }) => type),
+        accessControls.map(({ icon }) => icon ?? null),
+        accessControls.map(({ parentPath }) => parentPath ?? null),
+        accessControls.map(({ hierarchyId }) => hierarchyId ?? null),
+    ];
+    const { rows } = await client.query(query, queryParams);
+    return rows;
+}
+
+const insertImportedRole = async ({ name, isTwoFactorRequired }, client) => {
+    const query = "INSERT INTO roles(name, is_2fa_required) VALUES($1, $2) RETURNING id";
+    const { rows } = await client.query(query, [name, isTwoFactorRequired]);
+    return rows[0].id;
+}
+
+// Built-in roles keep their parent, like in updateRoleById
+const updateImportedRole = async ({ id, parentRoleId, isTwoFactorRequired }, client) => {
+    const query = `
+        UPDATE roles
+        SET
+            parent_role_id = CASE WHEN is_editable THEN $1 ELSE parent_role_id END,
+            is_2fa_required = $2
+        WHERE id = $3
+    `;
+    const { rowCount } = await client.query(query, [parentRoleId, isTwoFactorRequired, id]);
     return rowCount;
 }
 
@@ -138,12 +320,23 @@ module.exports = {
     doesRoleIdExist,
     updateRoleById,
     enableOrDisableRoleStatusByRoleId,
+    deleteRefreshTokensByRoleId,
+    updateRoleTwoFactorRequirement,
     getRoleById,
     getPermissionsById,
     getUsersByRoleId,
-    getAccessControlByIds,
-    insertPermissionForRoleId,
-    switchUserRole,
-    checkPermission,
+    isRoleInParentChain,
+    getEffectivePermissions,
+    insertPermissionsForRoleId,
+    getPrimaryRoleIdByUserId,
+    addUserRole,
+    removeUserRole,
+    getRoleApiPermissions,
+    getRoleConfigurations,
+    getOwnPermissionConfigurations,
+    getAccessControlReferences,
+    insertAccessControls,
+    insertImportedRole,
+    updateImportedRole,
     deletePermissionForRoleId
 };
\ No newline at end of file
@@ -1,12 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const rpController = require("./rp-controller");
+const { isUserAdmin } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { RoleImportSchema } = require("./rp-schema");
 
 router.get("", rpController.handleGetRoles);
 router.post("", rpController.handleAddRole);
 router.post("/switch", rpController.handleSwitchRole);
+router.get("/export", isUserAdmin, rpController.handleExportRoles);
+router.post("/import", isUserAdmin, validateRequest(RoleImportSchema), rpController.handleImportRoles);
 router.put("/:id", rpController.handleUpdateRole);
 router.post("/:id/status", rpController.handleRoleStatus);
+router.post("/:id/two-factor", isUserAdmin, rpController.handleRoleTwoFactor);
 router.get("/:id", rpController.handleGetRole);
 router.get("/:id/permissions", rpController.handleGetRolePermission);
 router.post("/:id/permissions", rpController.handleAddRolePermission);
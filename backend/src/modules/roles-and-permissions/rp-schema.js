@@ -0,0 +1,42 @@
+const { z } = require("zod");
+const { DATA_SCOPES } = require("../../utils/data-scope");
+
+const ROLE_EXPORT_VERSION = 1;
+
+// Access controls are referenced by path and method instead of id, ids differ between databases
+const AccessControlReference = z.object({
+    path: z.string().min(1).max(100),
+    method: z.string().max(10).nullable(),
+});
+
+const RoleImportSchema = z.object({
+    query: z.object({
+        dryRun: z.enum(["true", "false"]).optional()
+    }),
+    body: z.object({
+        version: z.literal(ROLE_EXPORT_VERSION, {
+            errorMap: () => ({ message: `Only version ${ROLE_EXPORT_VERSION} exports can be imported` })
+        }),
+        accessControls: z.array(AccessControlReference.extend({
+            name: z.string().min(1).max(100),
+            type: z.string().max(50).nullable(),
+            icon: z.string().max(100).nullable().optional(),
+            parentPath: z.string().max(100).nullable().optional(),
+            hierarchyId: z.number().int().nullable().optional()
+        })),
+        roles: z.array(z.object({
+            name: z.string().min(1).max(50),
+            parentRole: z.string().min(1).max(50).nullable(),
+            isTwoFactorRequired: z.boolean(),
+            permissions: z.array(AccessControlReference.extend({
+                dataScope: z.enum(DATA_SCOPES)
+            })),
+            deniedPermissions: z.array(AccessControlReference)
+        })).min(1, "At least one role is required")
+    })
+});
+
+module.exports = {
+    ROLE_EXPORT_VERSION,
+    RoleImportSchema
+};
@@ -1,18 +1,26 @@
 const { db } = require("../../config");
 const { ApiError, isObjectEmpty } = require("../../utils");
+const { DATA_SCOPES } = require("../../utils/data-scope");
+const { tokenRevocation } = require("../auth/token-revocation");
+const { permissionCache } = require("./permission-cache");
 const {
   insertRole,
   getRoles,
   doesRoleNameExist,
   doesRoleIdExist,
   enableOrDisableRoleStatusByRoleId,
+  deleteRefreshTokensByRoleId,
+  updateRoleTwoFactorRequirement,
   getRoleById,
   updateRoleById,
   getPermissionsById,
   getUsersByRoleId,
-  getAccessControlByIds,
-  insertPermissionForRoleId,
-  switchUserRole,
+  isRoleInParentChain,
+  getEffectivePermissions,
+  insertPermissionsForRoleId,
+  getPrimaryRoleIdByUserId,
+  addUserRole,
+  removeUserRole,
   deletePermissionForRoleId,
 } = require("./rp-repository");
 
@@ -23,13 +31,61 @@ const checkIfRoleIdExist = async (id) => {
   }
 };
 
-const addRole = async (name) => {
+// Admin gets everything without permissions rows, so there is nothing to inherit from it
+const checkParentRole = async (roleId, parentRoleId) => {
+  if (parentRoleId === null || parentRoleId === undefined) {
+    return;
+  }
+
+  if (Number(parentRoleId) === 1) {
+    throw new ApiError(400, "Roles cannot inherit from the admin role");
+  }
+
+  const affectedRow = await doesRoleIdExist(parentRoleId);
+  if (affectedRow <= 0) {
+    throw new ApiError(404, "Invalid parent role id");
+  }
+
+  if (roleId && (await isRoleInParentChain(roleId, parentRoleId))) {
+    throw new ApiError(400, "A role cannot inherit from itself or from one of its child roles");
+  }
+};
+
+const parseIdList = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map((id) => parseInt(id, 10));
+
+// { "81": "own_sections" } -> { 81: "own_sections" }
+const parseDataScopes = (value) => {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new ApiError(400, "Data scopes must be an object of permission id and scope");
+  }
+
+  const dataScopes = {};
+  for (const [id, scope] of Object.entries(value)) {
+    if (!DATA_SCOPES.includes(scope)) {
+      throw new ApiError(400, `Data scope must be one of ${DATA_SCOPES.join(", ")}`);
+    }
+    dataScopes[parseInt(id, 10)] = scope;
+  }
+  return dataScopes;
+};
+
+const addRole = async (name, parentRoleId = null) => {
   const roleNameExist = await doesRoleNameExist(name);
   if (roleNameExist > 0) {
     throw new ApiError(409, "Role Name already exists.");
   }
 
-  const affectedRow = await insertRole(name);
+  await checkParentRole(null, parentRoleId);
+
+  const affectedRow = await insertRole(name, parentRoleId);
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to add role");
   }
@@ -57,13 +113,20 @@ const fetchRole = async (id) => {
   return role;
 };
 
-const updateRole = async (id, name) => {
+// parentRoleId: undefined keeps the current parent, null removes it
+const updateRole = async (id, name, parentRoleId) => {
   await checkIfRoleIdExist(id);
+  await checkParentRole(id, parentRoleId);
 
-  const affectedRow = await updateRoleById(id, name);
+  const { parent_role_id: currentParentRoleId } = await getRoleById(id);
+  const newParentRoleId = parentRoleId === undefined ? currentParentRoleId : parentRoleId;
+  const affectedRow = await updateRoleById(id, name, newParentRoleId);
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to update role");
   }
+  if (Number(newParentRoleId) !== Number(currentParentRoleId)) {
+    await permissionCache.invalidate();
+  }
 
   return { message: "Role updated successfully" };
 };
@@ -75,38 +138,77 @@ const processRoleStatus = async (id, status) => {
   if (affectedRow <= 0) {
     throw new ApiError(500, "Unable to disable role");
   }
+  await permissionCache.invalidate();
+
+  // Without their refresh tokens the users of the role cannot get a new access token either
+  if (!status) {
+    await deleteRefreshTokensByRoleId(id);
+    await tokenRevocation.revokeRoleTokens(id);
+  }
 
   const stsText = status ? "enabled" : "disabled";
   return { message: `Role ${stsText} successfully` };
 };
 
-const addRolePermission = async (roleId, permissionIds) => {
+const processRoleTwoFactor = async (id, isRequired) => {
+  await checkIfRoleIdExist(id);
+
+  if (typeof isRequired !== "boolean") {
+    throw new ApiError(400, "Two-factor requirement must be a boolean value");
+  }
+
+  const affectedRow = await updateRoleTwoFactorRequirement(id, isRequired);
+  if (affectedRow <= 0) {
+    throw new ApiError(500, "Unable to update two-factor requirement of role");
+  }
+
+  const requirementText = isRequired ? "mandatory" : "optional";
+  return { message: `Two-factor authentication is now ${requirementText} for this role` };
+};
+
+// permissionIds is the full set the role should end up with. Whatever the parent chain
+// already grants is inherited rather than copied, and inherited permissions left out of
+// the set (or listed in deniedPermissionIds) are stored as explicit denies. An inherited
+// permission is copied only when dataScopes gives it a different scope than the parent's.
+const addRolePermission = async (roleId, permissionIds, deniedPermissionIds, requestedDataScopes) => {
+  if (permissionIds === undefined || permissionIds === null) {
+    throw new ApiError(400, "Permissions are required");
+  }
+  const dataScopes = parseDataScopes(requestedDataScopes);
+
   await checkIfRoleIdExist(roleId);
+  const { parent_role_id: parentRoleId } = await getRoleById(roleId);
 
   const client = await db.connect();
   try {
     await client.query("BEGIN");
 
-    const idArray = permissionIds
-      .split(",")
-      .map((id) => id.trim())
-      .filter(Boolean);
-    if (idArray.length === 0) {
-      await deletePermissionForRoleId(roleId, client);
+    const deniedIds = new Set(parseIdList(deniedPermissionIds));
+    const ids = parseIdList(permissionIds).filter((id) => !deniedIds.has(id));
+    const inheritedPermissions = parentRoleId ? await getEffectivePermissions(parentRoleId, client) : [];
+    const inherited = new Map(inheritedPermissions.map(({ id, dataScope }) => [id, dataScope]));
+    [...inherited.keys()].filter((id) => !ids.includes(id)).forEach((id) => deniedIds.add(id));
+    const isOwnPermission = (id) =>
+      !inherited.has(id) || (id in dataScopes && dataScopes[id] !== inherited.get(id));
+
+    await deletePermissionForRoleId(roleId, client);
+    if (ids.length === 0 && deniedIds.size === 0) {
       await client.query("COMMIT");
+      await permissionCache.invalidate();
       return { message: "Permission of given role deleted successfully" };
     }
-    const ids = idArray.map((id) => parseInt(id, 10));
-    const accessControls = await getAccessControlByIds(ids, client);
-
-    if (accessControls.length > 0) {
-      const queryParams = accessControls
-        .map(({ id, type }) => `(${roleId}, ${id}, '${type}')`)
-        .join(", ");
-      await insertPermissionForRoleId(queryParams, client);
-    }
+
+    await insertPermissionsForRoleId(
+      { roleId, accessControlIds: ids.filter(isOwnPermission), isDenied: false, dataScopes },
+      client
+    );
+    await insertPermissionsForRoleId(
+      { roleId, accessControlIds: [...deniedIds], isDenied: true },
+      client
+    );
 
     await client.query("COMMIT");
+    await permissionCache.invalidate();
 
     return { message: "Permission of given role saved successfully" };
   } catch (error) {
@@ -120,12 +222,16 @@ const addRolePermission = async (roleId, permissionIds) => {
 const getRolePermissions = async (roleId) => {
   await checkIfRoleIdExist(roleId);
 
-  const permissions = await getPermissionsById(roleId);
+  const permissionSources = await getPermissionsById(roleId);
+  const permissions = permissionSources.filter(({ isDenied }) => !isDenied);
   if (permissions.length <= 0) {
     throw new ApiError(404, "Permissions for given role not found");
   }
 
-  return permissions;
+  return {
+    permissions,
+    deniedPermissions: permissionSources.filter(({ isDenied }) => isDenied),
+  };
 };
 
 const fetchUsersByRoleId = async (id) => {
@@ -139,12 +245,45 @@ const fetchUsersByRoleId = async (id) => {
   return users;
 };
 
-const processSwitchRole = async (userId, newRoleId) => {
-  const affectedRow = await switchUserRole(userId, newRoleId);
-  if (affectedRow <= 0) {
-    throw new ApiError(500, "Unable to switch role");
+// Adds or removes one of the user's extra roles, the primary role is changed from the user's profile
+const processSwitchRole = async ({ userId, roleId, action = "add" }) => {
+  if (!userId || !roleId) {
+    throw new ApiError(400, "User and role are required");
+  }
+  if (!["add", "remove"].includes(action)) {
+    throw new ApiError(400, "Action must be either add or remove");
+  }
+
+  const primaryRoleId = await getPrimaryRoleIdByUserId(userId);
+  if (!primaryRoleId) {
+    throw new ApiError(404, "User does not exist");
+  }
+  await checkIfRoleIdExist(roleId);
+  if (Number(roleId) === Number(primaryRoleId)) {
+    throw new ApiError(400, "This is the user's primary role, change it from the user's profile instead");
   }
-  return { message: "Role switched successfully" };
+
+  let message;
+  if (action === "add") {
+    if (Number(roleId) === 1) {
+      throw new ApiError(400, "The admin role can only be given as a primary role");
+    }
+    const affectedRow = await addUserRole(userId, roleId);
+    if (affectedRow <= 0) {
+      throw new ApiError(409, "User already has this role");
+    }
+    message = "Role added successfully";
+  } else {
+    const affectedRow = await removeUserRole(userId, roleId);
+    if (affectedRow <= 0) {
+      throw new ApiError(404, "User does not have this role");
+    }
+    message = "Role removed successfully";
+  }
+
+  // The role list is baked into the access token, so make the user fetch a new one
+  await tokenRevocation.revokeUserTokens(userId);
+  return { message };
 };
 
 module.exports = {
@@ -152,6 +291,7 @@ module.exports = {
   fetchRoles,
   updateRole,
   processRoleStatus,
+  processRoleTwoFactor,
   fetchRole,
   addRolePermission,
   getRolePermissions,
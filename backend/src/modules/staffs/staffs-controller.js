@@ -2,14 +2,24 @@ const asyncHandler = require("express-async-handler");
 const { processUpdateStaff, processGetAllStaffs, processReviewStaffStatus, processGetStaff, processAddStaff } = require("./staffs-service");
 
 const handleGetAllStaffs = asyncHandler(async (req, res) => {
-    const { userId, roleId, name } = req.query;
-    const staffs = await processGetAllStaffs({ userId, roleId, name });
-    res.json({ staffs });
+    const { userId, roleId, name, page, limit, sortBy, sortOrder, search } = req.query;
+    const result = await processGetAllStaffs({
+        userId,
+        roleId,
+        name,
+        page,
+        limit,
+        sortBy,
+        sortOrder,
+        search,
+        dataScope: req.dataScope
+    });
+    res.json(result);
 });
 
 const handleGetStaff = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const staff = await processGetStaff(id);
+    const staff = await processGetStaff(id, req.dataScope);
     res.json(staff);
 
 });
@@ -18,7 +28,7 @@ const handleReviewStaffStatus = asyncHandler(async (req, res) => {
     const payload = req.body;
     const { id: userId } = req.params;
     const { id: reviewerId } = req.user;
-    const message = await processReviewStaffStatus({ ...payload, userId, reviewerId });
+    const message = await processReviewStaffStatus({ ...payload, userId, reviewerId, dataScope: req.dataScope });
     res.json(message);
 });
 
@@ -31,7 +41,7 @@ const handleAddStaff = asyncHandler(async (req, res) => {
 const handleUpdateStaff = asyncHandler(async (req, res) => {
     const { id: userId } = req.params;
     const payload = req.body;
-    const message = await processUpdateStaff({ ...payload, userId });
+    const message = await processUpdateStaff({ ...payload, userId, dataScope: req.dataScope });
     res.json(message);
 });
 
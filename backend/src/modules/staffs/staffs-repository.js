@@ -1,7 +1,40 @@
 const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
+const { toContainsPattern, buildSearchCondition, buildOrderBy, buildLimitOffset } = require("../../utils/list-query");
+
+const STAFF_SORT_COLUMNS = {
+    id: "t1.id",
+    name: "t1.name",
+    email: "t1.email",
+    role: "t3.name",
+    lastLogin: "t1.last_login",
+};
+const STAFF_SEARCH_COLUMNS = {
+    columns: ["t1.name", "t1.email", "t2.phone"],
+    fuzzyColumns: ["t1.name"],
+};
+
+const buildStaffFilters = (payload, queryParams) => {
+    const { userId, roleId, name, search, dataScope } = payload;
+    let conditions = "";
+    if (userId) {
+        conditions += ` AND t1.id = $${queryParams.length + 1}`;
+        queryParams.push(userId);
+    }
+    if (roleId) {
+        conditions += ` AND t1.role_id = $${queryParams.length + 1}`;
+        queryParams.push(roleId);
+    }
+    if (name) {
+        conditions += ` AND t1.name ILIKE $${queryParams.length + 1}`;
+        queryParams.push(toContainsPattern(name));
+    }
+    conditions += buildSearchCondition(search, STAFF_SEARCH_COLUMNS, queryParams);
+    conditions += buildDataScopeCondition(dataScope, "t1.id", queryParams);
+    return conditions;
+}
 
 const getAllStaffs = async (payload) => {
-    const { userId, roleId, name } = payload;
     let query = `
         SELECT
             t1.id,
@@ -16,27 +49,27 @@ const getAllStaffs = async (payload) => {
         WHERE 1=1 AND t1.role_id != 3
     `;
     let queryParams = [];
-    if (userId) {
-        query += ` AND t1.id = $${queryParams.length + 1}`;
-        queryParams.push(userId);
-    }
-    if (roleId) {
-        query += ` AND t1.role_id = $${queryParams.length + 1}`;
-        queryParams.push(roleId);
-    }
-    if (name) {
-        query += ` AND t1.name = $${queryParams.length + 1}`;
-        queryParams.push(name);
-    }
-
-    query += ` ORDER  by t1.id`;
+    query += buildStaffFilters(payload, queryParams);
+    query += buildOrderBy(payload, STAFF_SORT_COLUMNS, "t1.id");
+    query += buildLimitOffset(payload.pagination, queryParams);
 
     const { rows } = await processDBRequest({ query, queryParams });
     return rows;
 }
 
-const getStaffDetailById = async (id) => {
+const countStaffs = async (payload) => {
+    const queryParams = [];
     const query = `
+        SELECT COUNT(*)::int AS total
+        FROM users t1
+        LEFT JOIN user_profiles t2 ON t1.id = t2.user_id
+        WHERE t1.role_id != 3${buildStaffFilters(payload, queryParams)}`;
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0].total;
+}
+
+const getStaffDetailById = async (id, dataScope) => {
+    let query = `
         SELECT
             t1.id,
             t1.name,
@@ -65,6 +98,7 @@ const getStaffDetailById = async (id) => {
         WHERE t1.id = $1
     `;
     const queryParams = [id];
+    query += buildDataScopeCondition(dataScope, "t1.id", queryParams);
     const { rows } = await processDBRequest({ query, queryParams });
     return rows[0];
 }
@@ -95,6 +129,7 @@ const reviewStaffStatus = async (payload) => {
 
 module.exports = {
     getAllStaffs,
+    countStaffs,
     getStaffDetailById,
     addOrUpdateStaff,
     reviewStaffStatus,
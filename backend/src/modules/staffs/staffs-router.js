@@ -1,11 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const staffsController = require("./staffs-controller");
+const { checkApiAccess } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { StaffListQuerySchema } = require("./staffs-schema");
 
-router.get("", staffsController.handleGetAllStaffs);
-router.post("", staffsController.handleAddStaff);
-router.get("/:id", staffsController.handleGetStaff);
-router.put("/:id", staffsController.handleUpdateStaff);
-router.post("/:id/status", staffsController.handleReviewStaffStatus);
+router.get("", checkApiAccess, validateRequest(StaffListQuerySchema), staffsController.handleGetAllStaffs);
+router.post("", checkApiAccess, staffsController.handleAddStaff);
+router.get("/:id", checkApiAccess, staffsController.handleGetStaff);
+router.put("/:id", checkApiAccess, staffsController.handleUpdateStaff);
+router.post("/:id/status", checkApiAccess, staffsController.handleReviewStaffStatus);
 
 module.exports = { staffsRoutes: router };
@@ -0,0 +1,17 @@
+const { z } = require("zod");
+const { listQueryFields } = require("../../utils/list-query");
+
+const STAFF_SORT_FIELDS = ["id", "name", "email", "role", "lastLogin"];
+
+const StaffListQuerySchema = z.object({
+    query: z.object({
+        userId: z.coerce.number().int().positive().optional(),
+        roleId: z.coerce.number().int().positive().optional(),
+        name: z.string().max(100).optional(),
+        ...listQueryFields(STAFF_SORT_FIELDS)
+    })
+});
+
+module.exports = {
+    StaffListQuerySchema
+};
@@ -1,27 +1,54 @@
 const { ApiError, sendAccountVerificationEmail } = require("../../utils");
-const { addOrUpdateStaff, reviewStaffStatus, getAllStaffs, getStaffDetailById } = require("./staffs-repository");
+const { getPagination } = require("../../utils/list-query");
+const { addOrUpdateStaff, reviewStaffStatus, getAllStaffs, countStaffs, getStaffDetailById } = require("./staffs-repository");
+const { revokeUserSessions, isUserInDataScope } = require("../../shared/repository");
+const { requestEmailChange } = require("../account/account-service");
+const { tokenRevocation } = require("../auth/token-revocation");
 
+const EMAIL_CHANGE_PENDING = "Email change is pending confirmation from the new address.";
+
+// An empty page is not an error, total tells the client how many staff match
 const processGetAllStaffs = async (payload) => {
-    const staffs = await getAllStaffs(payload);
-    if (staffs.length <= 0) {
-        throw new ApiError(404, "Staffs not found");
+    const pagination = getPagination(payload);
+    const [staffs, total] = await Promise.all([
+        getAllStaffs({ ...payload, pagination }),
+        pagination ? countStaffs(payload) : null,
+    ]);
+
+    return {
+        staffs,
+        total: total ?? staffs.length,
+        ...(pagination && { page: pagination.page, limit: pagination.limit }),
+    };
+}
+
+const checkStaffInScope = async (userId, dataScope) => {
+    if (!(await isUserInDataScope(userId, dataScope))) {
+        throw new ApiError(404, "Staff detail not found");
     }
-    return staffs;
 }
 
-const processGetStaff = async (id) => {
-    const staff = await getStaffDetailById(id);
+const processGetStaff = async (id, dataScope) => {
+    const staff = await getStaffDetailById(id, dataScope);
     if (!staff) {
         throw new ApiError(404, "Staff detail not found");
     }
     return staff;
 }
 
-const processReviewStaffStatus = async (payload) => {
+const processReviewStaffStatus = async ({ dataScope, ...payload }) => {
+    await checkStaffInScope(payload.userId, dataScope);
+
     const affectedRow = await reviewStaffStatus(payload);
     if (affectedRow <= 0) {
         throw new ApiError(500, "Unable to update staff status");
     }
+
+    if (!payload.status) {
+        await revokeUserSessions(payload.userId);
+        await tokenRevocation.revokeUserTokens(payload.userId);
+    }
+
     return { message: "Staff status updated successfully" };
 }
 
@@ -45,13 +72,19 @@ const processAddStaff = async (payload) => {
     }
 }
 
-const processUpdateStaff = async (payload) => {
+const processUpdateStaff = async ({ dataScope, ...payload }) => {
+    await checkStaffInScope(payload.userId, dataScope);
+
     const result = await addOrUpdateStaff(payload);
     if (!result.status) {
         throw new ApiError(500, result.message);
     }
 
-    return { message: result.message };
+    const emailChange = payload.email
+        ? await requestEmailChange({ userId: payload.userId, newEmail: payload.email })
+        : null;
+
+    return { message: emailChange ? `${result.message}. ${EMAIL_CHANGE_PENDING}` : result.message };
 }
 
 module.exports = {
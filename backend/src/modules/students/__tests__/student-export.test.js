@@ -0,0 +1,86 @@
+const { Writable } = require("stream");
+const { prepareStudentExport } = require("../student-export");
+const { findStudentsForExport } = require("../students-repository");
+
+jest.mock("../../../config", () => ({ db: {}, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+}));
+jest.mock("../students-repository");
+
+const createOutput = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  output.text = () => Buffer.concat(chunks).toString("utf8");
+  return output;
+};
+
+const students = (from, count) => Array.from({ length: count }, (_, index) => ({
+  id: from + index,
+  name: `Student ${from + index}`,
+  class: "Grade 1",
+  section: "A",
+  roll: from + index,
+}));
+
+describe("Export Students", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should reject unknown formats and columns before reading any student", async () => {
+    await expect(prepareStudentExport({ format: "docx" })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(prepareStudentExport({ format: "csv", columns: "name,password" })).rejects.toMatchObject({
+      statusCode: 400,
+      detail: [expect.objectContaining({ path: "columns" })],
+    });
+    expect(findStudentsForExport).not.toHaveBeenCalled();
+  });
+
+  it("should read pages after the last row until a short page and keep the filters", async () => {
+    findStudentsForExport
+      .mockResolvedValueOnce(students(1, 500))
+      .mockResolvedValueOnce(students(501, 2));
+    const dataScope = { userId: 4, scopes: ["own_sections"] };
+
+    const studentExport = await prepareStudentExport({
+      format: "csv",
+      columns: "roll,name",
+      className: "Grade 1",
+      dataScope,
+    });
+    const output = createOutput();
+    const total = await studentExport.writeTo(output);
+
+    expect(total).toBe(502);
+    expect(studentExport.contentType).toBe("text/csv; charset=utf-8");
+    expect(studentExport.fileName).toMatch(/^students-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(findStudentsForExport).toHaveBeenCalledTimes(2);
+    expect(findStudentsForExport.mock.calls[1][0]).toEqual({
+      filters: { name: undefined, className: "Grade 1", section: undefined, roll: undefined, search: undefined, dataScope },
+      after: expect.objectContaining({ id: 500, roll: 500 }),
+      limit: 500,
+    });
+
+    const lines = output.text().split("\r\n");
+    expect(lines[0]).toBe("\uFEFFRoll,Name");
+    expect(lines[502]).toBe("502,Student 502");
+  });
+
+  it("should stop reading once the client has gone", async () => {
+    findStudentsForExport.mockResolvedValue(students(1, 500));
+
+    const studentExport = await prepareStudentExport({ format: "csv" });
+    const output = createOutput();
+    output.destroy();
+    await studentExport.writeTo(output);
+
+    expect(findStudentsForExport).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,139 @@
+const { importStudents } = require("../student-import");
+const {
+  findExistingEmails,
+  findClassNames,
+  findSectionNames,
+  insertImportedStudent,
+} = require("../students-repository");
+const { db } = require("../../../config");
+const { sendAccountVerificationEmail } = require("../../../utils");
+
+jest.mock("../../../config", () => ({ db: { connect: jest.fn() }, env: {} }));
+jest.mock("../../../utils", () => ({
+  ApiError: jest.requireActual("../../../utils/api-error").ApiError,
+  processDBRequest: jest.fn(),
+  sendAccountVerificationEmail: jest.fn(),
+}));
+jest.mock("../../../utils/log", () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock("../students-repository");
+
+const toFile = (lines) => Buffer.from(lines.join("\n"));
+
+describe("Import Students", () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    findClassNames.mockResolvedValue(["Grade 1", "Grade 2"]);
+    findSectionNames.mockResolvedValue(["A", "B"]);
+    findExistingEmails.mockResolvedValue(["taken@school.com"]);
+    sendAccountVerificationEmail.mockResolvedValue();
+  });
+
+  it("should report every invalid row on a dry run without writing", async () => {
+    const file = toFile([
+      "Name,Email,Class,Section,Roll,Gender,Hobby",
+      "Jane,jane@school.com,grade 1,a,1,female,Chess",
+      "John,taken@school.com,Grade 3,A,two,Male,",
+      "",
+      "Jim,JANE@school.com,Grade 2,C,3,,",
+    ]);
+
+    const report = await importStudents(file, true);
+
+    expect(report).toEqual({
+      isDryRun: true,
+      totalRows: 3,
+      validRows: 1,
+      invalidRows: 2,
+      ignoredColumns: ["Hobby"],
+      errors: [
+        {
+          row: 3,
+          email: "taken@school.com",
+          errors: [
+            { field: "roll", message: "Roll must be a whole number" },
+            { field: "class", message: "Class Grade 3 does not exist" },
+            { field: "email", message: "Email already exists" },
+          ],
+        },
+        {
+          row: 5,
+          email: "JANE@school.com",
+          errors: [
+            { field: "section", message: "Section C does not exist" },
+            { field: "email", message: "Email is also used in row 2" },
+          ],
+        },
+      ],
+    });
+    expect(db.connect).not.toHaveBeenCalled();
+  });
+
+  it("should reject a file without the required columns", async () => {
+    await expect(importStudents(toFile(["Name,Email", "Jane,jane@school.com"]), true)).rejects.toMatchObject({
+      statusCode: 400,
+      detail: [
+        { path: "class", message: 'Add a "class" column' },
+        { path: "roll", message: 'Add a "roll" column' },
+      ],
+    });
+  });
+
+  it("should refuse to import while any row is invalid", async () => {
+    const file = toFile(["name,email,class,roll", "Jane,jane@school.com,Grade 1,1", "John,john@school,Grade 1,2"]);
+
+    await expect(importStudents(file, false)).rejects.toMatchObject({
+      statusCode: 400,
+      detail: [{ path: "row 3.email", message: "Email is not valid" }],
+    });
+    expect(insertImportedStudent).not.toHaveBeenCalled();
+  });
+
+  it("should add all rows in one transaction and queue verification emails", async () => {
+    insertImportedStudent
+      .mockResolvedValueOnce({ status: true, userId: 11 })
+      .mockResolvedValueOnce({ status: true, userId: 12 });
+    const file = toFile(["name,email,class,section,roll", "Jane,jane@school.com,grade 1,b,1", "John,john@school.com,Grade 2,,2"]);
+
+    const result = await importStudents(file, false);
+
+    expect(result.message).toBe("2 students imported. Verification emails are being sent.");
+    expect(result.importedIds).toEqual([11, 12]);
+    expect(insertImportedStudent).toHaveBeenCalledWith(
+      { name: "Jane", email: "jane@school.com", class: "Grade 1", section: "B", roll: "1" },
+      client
+    );
+    expect(client.query.mock.calls.map(([query]) => query)).toEqual(["BEGIN", "COMMIT"]);
+    expect(client.release).toHaveBeenCalled();
+
+    await new Promise(setImmediate);
+    expect(sendAccountVerificationEmail).toHaveBeenCalledTimes(2);
+    expect(sendAccountVerificationEmail).toHaveBeenCalledWith({ userId: 12, userEmail: "john@school.com" });
+  });
+
+  it("should roll back every row when one insert fails", async () => {
+    insertImportedStudent
+      .mockResolvedValueOnce({ status: true, userId: 11 })
+      .mockResolvedValueOnce({ status: false, message: "Unable to add student" });
+    const file = toFile(["name,email,class,roll", "Jane,jane@school.com,Grade 1,1", "John,john@school.com,Grade 1,2"]);
+
+    await expect(importStudents(file, false)).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Row 3: Unable to add student",
+    });
+    expect(client.query.mock.calls.map(([query]) => query)).toEqual(["BEGIN", "ROLLBACK"]);
+    expect(sendAccountVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it("should reject callers whose access is limited to some students", async () => {
+    const file = toFile(["name,email,class", "Jane,jane@school.com,Grade 1"]);
+
+    await expect(importStudents(file, true, { userId: 4, scopes: ["own_sections"] })).rejects.toMatchObject({
+      statusCode: 403,
+    });
+    expect(db.connect).not.toHaveBeenCalled();
+  });
+});
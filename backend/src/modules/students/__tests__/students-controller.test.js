@@ -36,8 +36,8 @@ describe("Students Controller", () => {
 
   it("handleGetAllStudents should call getAllStudents and return 200", async () => {
     const mockStudents = [{ id: 1, name: "John" }];
-    getAllStudents.mockResolvedValue(mockStudents);
-    req.query = { name: "John" };
+    getAllStudents.mockResolvedValue({ students: mockStudents, total: 41, page: 3, limit: 20 });
+    req.query = { name: "John", page: "3" };
 
     await handleGetAllStudents(req, res, next);
 
@@ -46,7 +46,10 @@ describe("Students Controller", () => {
     expect(res.json).toHaveBeenCalledWith({
       success: true,
       data: mockStudents,
-      count: mockStudents.length
+      count: mockStudents.length,
+      total: 41,
+      page: 3,
+      limit: 20
     });
   });
 
@@ -57,7 +60,7 @@ describe("Students Controller", () => {
 
     await handleGetStudentDetail(req, res, next);
 
-    expect(getStudentDetail).toHaveBeenCalledWith("1");
+    expect(getStudentDetail).toHaveBeenCalledWith("1", undefined);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith({
       success: true,
@@ -128,7 +131,7 @@ describe("Students Controller", () => {
 
     await handleDeleteStudent(req, res, next);
 
-    expect(deleteStudent).toHaveBeenCalledWith("1");
+    expect(deleteStudent).toHaveBeenCalledWith("1", undefined);
     expect(res.status).toHaveBeenCalledWith(204);
     expect(res.end).toHaveBeenCalled();
   });
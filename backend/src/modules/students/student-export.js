@@ -0,0 +1,89 @@
+const { ApiError } = require("../../utils");
+const { TABLE_FORMATS, createTableWriter } = require("../../utils/table-writers");
+const { findStudentsForExport } = require("./students-repository");
+
+const EXPORT_BATCH_SIZE = 500;
+
+// The fields of a student's detail, width being the column width in characters
+const EXPORT_COLUMNS = {
+    id: { header: "ID", width: 6, type: "number" },
+    name: { header: "Name", width: 24 },
+    email: { header: "Email", width: 30 },
+    systemAccess: { header: "System Access", width: 8 },
+    phone: { header: "Phone", width: 14 },
+    gender: { header: "Gender", width: 8 },
+    dob: { header: "Date of Birth", width: 11 },
+    class: { header: "Class", width: 10 },
+    section: { header: "Section", width: 8 },
+    roll: { header: "Roll", width: 6, type: "number" },
+    fatherName: { header: "Father Name", width: 20 },
+    fatherPhone: { header: "Father Phone", width: 14 },
+    motherName: { header: "Mother Name", width: 20 },
+    motherPhone: { header: "Mother Phone", width: 14 },
+    guardianName: { header: "Guardian Name", width: 20 },
+    guardianPhone: { header: "Guardian Phone", width: 14 },
+    relationOfGuardian: { header: "Relation of Guardian", width: 12 },
+    currentAddress: { header: "Current Address", width: 30 },
+    permanentAddress: { header: "Permanent Address", width: 30 },
+    admissionDate: { header: "Admission Date", width: 11 },
+    reporterName: { header: "Reporter", width: 20 },
+};
+const DEFAULT_EXPORT_COLUMNS = ["roll", "name", "class", "section", "email", "phone", "guardianName", "guardianPhone"];
+
+const getExportColumns = (value) => {
+    const keys = value
+        ? [...new Set(String(value).split(",").map((key) => key.trim()).filter(Boolean))]
+        : DEFAULT_EXPORT_COLUMNS;
+    const unknownKeys = keys.filter((key) => !Object.hasOwn(EXPORT_COLUMNS, key));
+    if (unknownKeys.length > 0 || keys.length === 0) {
+        throw new ApiError(400, "Invalid export columns", [{
+            path: "columns",
+            message: `Choose from ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+        }]);
+    }
+    return keys.map((key) => ({ key, ...EXPORT_COLUMNS[key] }));
+}
+
+// Checks the options and reads the first page before anything is sent, so a bad request
+// or a database error still gets a normal error response
+const prepareStudentExport = async (payload) => {
+    const { format = "csv", columns: columnKeys, name, className, section, roll, search, dataScope } = payload;
+    if (!Object.hasOwn(TABLE_FORMATS, String(format))) {
+        throw new ApiError(400, "Invalid export format", [{ path: "format", message: "Format must be csv, xlsx or pdf" }]);
+    }
+
+    const columns = getExportColumns(columnKeys);
+    const filters = { name, className, section, roll, search, dataScope };
+    const firstPage = await findStudentsForExport({ filters, after: null, limit: EXPORT_BATCH_SIZE });
+    const title = className ? `Students - ${className}${section ? ` ${section}` : ""}` : "Students";
+
+    // Rows are fetched a page at a time while the previous one is being sent
+    const writeTo = async (output) => {
+        const writer = createTableWriter(format, output, { columns, title });
+        let rows = firstPage;
+        let total = 0;
+        while (rows.length > 0) {
+            await writer.writeRows(rows);
+            total += rows.length;
+            if (output.destroyed || rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+            rows = await findStudentsForExport({ filters, after: rows[rows.length - 1], limit: EXPORT_BATCH_SIZE });
+        }
+
+        if (!output.destroyed) {
+            await writer.end();
+        }
+        return total;
+    };
+
+    return {
+        contentType: TABLE_FORMATS[format].contentType,
+        fileName: `students-${new Date().toISOString().slice(0, 10)}.${format}`,
+        writeTo,
+    };
+}
+
+module.exports = {
+    prepareStudentExport,
+};
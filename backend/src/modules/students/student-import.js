@@ -0,0 +1,258 @@
+const { z } = require("zod");
+const { db } = require("../../config");
+const { ApiError, sendAccountVerificationEmail } = require("../../utils");
+const log = require("../../utils/log");
+const { parseSpreadsheet, fromExcelDate } = require("../../utils/spreadsheet");
+const { findExistingEmails, findClassNames, findSectionNames, insertImportedStudent } = require("./students-repository");
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Header cells are compared without case, spaces or punctuation, so "Guardian Phone",
+// "guardian_phone" and "guardianPhone" all map to guardianPhone
+const COLUMN_ALIASES = {
+    name: ["name", "studentname", "fullname"],
+    email: ["email", "emailaddress"],
+    gender: ["gender", "sex"],
+    phone: ["phone", "phonenumber", "mobile"],
+    dob: ["dob", "dateofbirth", "birthdate"],
+    class: ["class", "classname", "grade"],
+    section: ["section", "sectionname"],
+    roll: ["roll", "rollno", "rollnumber"],
+    admissionDate: ["admissiondate", "admissiondt", "dateofadmission"],
+    currentAddress: ["currentaddress", "address"],
+    permanentAddress: ["permanentaddress"],
+    fatherName: ["fathername", "father"],
+    fatherPhone: ["fatherphone"],
+    motherName: ["mothername", "mother"],
+    motherPhone: ["motherphone"],
+    guardianName: ["guardianname", "guardian"],
+    guardianPhone: ["guardianphone"],
+    relationOfGuardian: ["relationofguardian", "guardianrelation", "relation"],
+};
+const REQUIRED_COLUMNS = ["name", "email", "class", "roll"];
+const DATE_FIELDS = ["dob", "admissionDate"];
+
+const text = (label, max) => z.string().max(max, `${label} must be at most ${max} characters`).optional();
+const isoDate = (label) => z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be a date like 2025-04-14`)
+    .refine((value) => !Number.isNaN(Date.parse(value)), `${label} is not a valid date`)
+    .optional();
+
+const StudentRowSchema = z.object({
+    name: z.string({ required_error: "Name is required" }).max(100, "Name must be at most 100 characters"),
+    email: z.string({ required_error: "Email is required" }).email("Email is not valid").max(100, "Email must be at most 100 characters"),
+    gender: z.enum(["Male", "Female", "Other"], { errorMap: () => ({ message: "Gender must be Male, Female or Other" }) }).optional(),
+    phone: text("Phone", 20),
+    dob: isoDate("Date of birth"),
+    class: z.string({ required_error: "Class is required" }),
+    section: z.string().optional(),
+    roll: z.string({ required_error: "Roll is required" }).regex(/^\d+$/, "Roll must be a whole number"),
+    admissionDate: isoDate("Admission date"),
+    currentAddress: text("Current address", 50),
+    permanentAddress: text("Permanent address", 50),
+    fatherName: text("Father name", 50),
+    fatherPhone: text("Father phone", 20),
+    motherName: text("Mother name", 50),
+    motherPhone: text("Mother phone", 20),
+    guardianName: text("Guardian name", 50),
+    guardianPhone: text("Guardian phone", 20),
+    relationOfGuardian: text("Relation of guardian", 30),
+});
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const FIELD_BY_HEADER = new Map(
+    Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) => aliases.map((alias) => [alias, field]))
+);
+
+const toCellValue = (field, value) => {
+    const trimmed = String(value ?? "").trim();
+    if (trimmed === "") {
+        return undefined;
+    }
+    if (DATE_FIELDS.includes(field) && /^\d+(\.\d+)?$/.test(trimmed)) {
+        return fromExcelDate(trimmed);
+    }
+    if (field === "gender") {
+        return trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase();
+    }
+    return trimmed;
+}
+
+// Row numbers are the spreadsheet's, the header being row 1
+const readStudentRows = (file) => {
+    let rows;
+    try {
+        rows = parseSpreadsheet(file);
+    } catch (error) {
+        throw new ApiError(400, error instanceof RangeError ? "The file is not a valid CSV or XLSX file" : error.message);
+    }
+
+    const [header = [], ...records] = rows;
+    const columns = header.map((cell) => FIELD_BY_HEADER.get(normalizeHeader(cell)) || null);
+    const missingColumns = REQUIRED_COLUMNS.filter((field) => !columns.includes(field));
+    if (missingColumns.length > 0) {
+        throw new ApiError(
+            400,
+            "The file is missing required columns",
+            missingColumns.map((field) => ({ path: field, message: `Add a "${field}" column` }))
+        );
+    }
+
+    const students = records
+        .map((cells, index) => {
+            const values = {};
+            columns.forEach((field, column) => {
+                if (!field) {
+                    return;
+                }
+                const value = toCellValue(field, cells[column]);
+                if (value !== undefined && values[field] === undefined) {
+                    values[field] = value;
+                }
+            });
+            return { row: index + 2, values };
+        })
+        .filter(({ values }) => Object.keys(values).length > 0);
+
+    if (students.length <= 0) {
+        throw new ApiError(400, "The file has no student rows");
+    }
+    if (students.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(400, `A file can have at most ${MAX_IMPORT_ROWS} students`);
+    }
+
+    const ignoredColumns = header.filter((cell, column) => !columns[column] && String(cell).trim() !== "");
+    return { students, ignoredColumns };
+}
+
+const validateStudents = async (students) => {
+    const emails = students.map(({ values }) => values.email).filter(Boolean);
+    const [classNames, sectionNames, existingEmails] = await Promise.all([
+        findClassNames(),
+        findSectionNames(),
+        findExistingEmails(emails),
+    ]);
+    // Classes and sections are matched without case and saved with their existing spelling
+    const classByName = new Map(classNames.map((name) => [name.toLowerCase(), name]));
+    const sectionByName = new Map(sectionNames.map((name) => [name.toLowerCase(), name]));
+    const takenEmails = new Set(existingEmails.map((email) => email.toLowerCase()));
+    const firstRowByEmail = new Map();
+
+    return students.map(({ row, values }) => {
+        const result = StudentRowSchema.safeParse(values);
+        const errors = result.success
+            ? []
+            : result.error.errors.map(({ path, message }) => ({ field: path.join("."), message }));
+        const student = { ...values };
+
+        if (values.class) {
+            student.class = classByName.get(values.class.toLowerCase());
+            if (!student.class) {
+                errors.push({ field: "class", message: `Class ${values.class} does not exist` });
+            }
+        }
+        if (values.section) {
+            student.section = sectionByName.get(values.section.toLowerCase());
+            if (!student.section) {
+                errors.push({ field: "section", message: `Section ${values.section} does not exist` });
+            }
+        }
+        if (values.email) {
+            const email = values.email.toLowerCase();
+            if (takenEmails.has(email)) {
+                errors.push({ field: "email", message: "Email already exists" });
+            } else if (firstRowByEmail.has(email)) {
+                errors.push({ field: "email", message: `Email is also used in row ${firstRowByEmail.get(email)}` });
+            } else {
+                firstRowByEmail.set(email, row);
+            }
+        }
+
+        return { row, student, errors };
+    });
+}
+
+// Sent one at a time after the response, so a large import neither waits for nor floods
+// the mail provider. A failed email is logged, the student can ask for a new link.
+const queueVerificationEmails = (students) => {
+    const sendAll = async () => {
+        let sentCount = 0;
+        for (const { userId, email } of students) {
+            try {
+                await sendAccountVerificationEmail({ userId, userEmail: email });
+                sentCount++;
+            } catch (error) {
+                log.error("Unable to send verification email to imported student", { userId, errorMessage: error.message });
+            }
+        }
+        log.info("Sent verification emails for imported students", { sentCount, total: students.length });
+    };
+    sendAll();
+}
+
+// Dry run reports every row's problems without writing. Otherwise all rows are added in one
+// transaction, or none when a single row fails. The rows can name any class and section, so
+// roles limited to some students cannot import.
+const importStudents = async (file, isDryRun, dataScope) => {
+    if (dataScope) {
+        throw new ApiError(403, "Importing students needs access to every student");
+    }
+
+    const { students, ignoredColumns } = readStudentRows(file);
+    const results = await validateStudents(students);
+    const invalidRows = results.filter(({ errors }) => errors.length > 0);
+
+    const report = {
+        isDryRun,
+        totalRows: results.length,
+        validRows: results.length - invalidRows.length,
+        invalidRows: invalidRows.length,
+        ignoredColumns,
+        errors: invalidRows.map(({ row, student, errors }) => ({ row, email: student.email || null, errors })),
+    };
+    if (isDryRun) {
+        return report;
+    }
+    if (invalidRows.length > 0) {
+        throw new ApiError(
+            400,
+            `Fix the ${invalidRows.length} invalid row(s) before importing`,
+            invalidRows.flatMap(({ row, errors }) =>
+                errors.map(({ field, message }) => ({ path: `row ${row}.${field}`, message }))
+            )
+        );
+    }
+
+    const imported = [];
+    const client = await db.connect();
+    try {
+        await client.query("BEGIN");
+
+        for (const { row, student } of results) {
+            const result = await insertImportedStudent(student, client);
+            if (!result.status) {
+                throw new ApiError(409, `Row ${row}: ${result.message}`);
+            }
+            imported.push({ userId: result.userId, email: student.email });
+        }
+
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    queueVerificationEmails(imported);
+    return {
+        ...report,
+        importedIds: imported.map(({ userId }) => userId),
+        message: `${imported.length} students imported. Verification emails are being sent.`,
+    };
+}
+
+module.exports = {
+    importStudents,
+};
@@ -2,6 +2,8 @@ const asyncHandler = require("express-async-handler");
 const { ApiError } = require("../../utils");
 const log = require("../../utils/log");
 const { getAllStudents, addNewStudent, getStudentDetail, setStudentStatus, updateStudent, deleteStudent } = require("./students-service");
+const { importStudents } = require("./student-import");
+const { prepareStudentExport } = require("./student-export");
 
 // Validation helpers
 const validateIdParam = (id) => {
@@ -60,15 +62,35 @@ const validateUserAuthentication = (user) => {
 
 const handleGetAllStudents = asyncHandler(async (req, res) => {
     log.info("Fetching all students", { filters: req.query });
-    const students = await getAllStudents(req.query);
-    log.success(`Retrieved ${students.length} students`, { count: students.length });
+    const { students, total, page, limit } = await getAllStudents({ ...req.query, dataScope: req.dataScope });
+    log.success(`Retrieved ${students.length} students`, { count: students.length, total });
     res.status(200).json({
         success: true,
         data: students,
-        count: students.length
+        count: students.length,
+        total,
+        page,
+        limit
     });
 });
 
+const handleExportStudents = asyncHandler(async (req, res) => {
+    log.info("Exporting students", { filters: req.query });
+    const studentExport = await prepareStudentExport({ ...req.query, dataScope: req.dataScope });
+
+    res.setHeader("Content-Type", studentExport.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${studentExport.fileName}"`);
+    try {
+        const total = await studentExport.writeTo(res);
+        log.success(`Exported ${total} students`, { format: req.query.format || "csv" });
+    } catch (error) {
+        // Part of the file is already sent, so the client can only learn of the failure
+        // from the connection closing early
+        log.error("Student export failed", { errorMessage: error.message });
+        res.destroy();
+    }
+});
+
 const handleAddStudent = asyncHandler(async (req, res) => {
     // Validate request body
     validateStudentPayload(req.body, "create");
@@ -86,6 +108,32 @@ const handleAddStudent = asyncHandler(async (req, res) => {
     });
 });
 
+const handleImportStudents = asyncHandler(async (req, res) => {
+    // The router reads the file as a raw body, anything else leaves req.body as parsed JSON or {}
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ApiError(400, "Upload a CSV or XLSX file as the request body.");
+    }
+
+    const isDryRun = req.query.dryRun === "true";
+    log.info("Importing students", { isDryRun, size: req.body.length, importedBy: req.user.id });
+    const result = await importStudents(req.body, isDryRun, req.dataScope);
+    log.success(isDryRun ? "Student import checked" : "Students imported", {
+        totalRows: result.totalRows,
+        invalidRows: result.invalidRows
+    });
+    // The uploaded file stays out of the audit trail, only the outcome is recorded
+    res.locals.auditSummary = {
+        isDryRun,
+        totalRows: result.totalRows,
+        importedIds: result.importedIds || []
+    };
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+});
+
 const handleUpdateStudent = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -97,7 +145,7 @@ const handleUpdateStudent = asyncHandler(async (req, res) => {
 
     // Use URL parameter as the single source of truth for student ID
     // Trim email if provided
-    const payload = { id, ...req.body };
+    const payload = { id, ...req.body, dataScope: req.dataScope };
     if (payload.email) {
         payload.email = payload.email.trim();
     }
@@ -119,7 +167,7 @@ const handleGetStudentDetail = asyncHandler(async (req, res) => {
     validateIdParam(id);
 
     log.debug("Fetching student details", { studentId: id });
-    const student = await getStudentDetail(id);
+    const student = await getStudentDetail(id, req.dataScope);
     log.info("Student details retrieved", { studentId: id });
 
     return res.status(200).json({
@@ -141,7 +189,7 @@ const handleStudentStatus = asyncHandler(async (req, res) => {
     validateUserAuthentication(req.user);
 
     log.info("Updating student status", { studentId: id, status: req.body.status, reviewerId: req.user.id });
-    const payload = { userId: id, status: req.body.status, reviewerId: req.user.id };
+    const payload = { userId: id, status: req.body.status, reviewerId: req.user.id, dataScope: req.dataScope };
     const result = await setStudentStatus(payload);
     log.success("Student status updated", { studentId: id, newStatus: req.body.status });
 
@@ -167,7 +215,7 @@ const handleDeleteStudent = asyncHandler(async (req, res) => {
     // }
 
     log.info("Deleting student", { studentId: id, deletedBy: req.user.id });
-    const result = await deleteStudent(id);
+    const result = await deleteStudent(id, req.dataScope);
     log.success("Student deleted successfully", { studentId: id });
 
     return res.status(204).end();
@@ -175,8 +223,10 @@ const handleDeleteStudent = asyncHandler(async (req, res) => {
 
 module.exports = {
     handleGetAllStudents,
+    handleExportStudents,
     handleGetStudentDetail,
     handleAddStudent,
+    handleImportStudents,
     handleStudentStatus,
     handleUpdateStudent,
     handleDeleteStudent,
@@ -1,4 +1,6 @@
 const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
+const { toContainsPattern, buildSearchCondition, buildOrderBy, buildLimitOffset } = require("../../utils/list-query");
 
 const getRoleId = async (roleName) => {
     const query = "SELECT id FROM roles WHERE name ILIKE $1";
@@ -7,8 +9,46 @@ const getRoleId = async (roleName) => {
     return rows[0].id;
 }
 
+const STUDENT_SORT_COLUMNS = {
+    id: "t1.id",
+    name: "t1.name",
+    email: "t1.email",
+    lastLogin: "t1.last_login",
+    class: "t3.class_name",
+    section: "t3.section_name",
+    roll: "t3.roll",
+};
+const STUDENT_SEARCH_COLUMNS = {
+    columns: ["t1.name", "t1.email", "t3.phone", "t3.guardian_name", "t3.father_name", "t3.mother_name"],
+    fuzzyColumns: ["t1.name", "t3.guardian_name", "t3.father_name", "t3.mother_name"],
+};
+
+// Filters of the student list, shared with the export. t1 is users and t3 user_profiles.
+const buildStudentFilters = (payload, queryParams) => {
+    const { name, className, section, roll, search, dataScope } = payload;
+    let conditions = "";
+    if (name) {
+        conditions += ` AND t1.name ILIKE $${queryParams.length + 1}`;
+        queryParams.push(toContainsPattern(name));
+    }
+    if (className) {
+        conditions += ` AND t3.class_name = $${queryParams.length + 1}`;
+        queryParams.push(className);
+    }
+    if (section) {
+        conditions += ` AND t3.section_name = $${queryParams.length + 1}`;
+        queryParams.push(section);
+    }
+    if (roll) {
+        conditions += ` AND t3.roll = $${queryParams.length + 1}`;
+        queryParams.push(roll);
+    }
+    conditions += buildSearchCondition(search, STUDENT_SEARCH_COLUMNS, queryParams);
+    conditions += buildDataScopeCondition(dataScope, "t1.id", queryParams);
+    return conditions;
+}
+
 const findAllStudents = async (payload) => {
-    const { name, className, section, roll } = payload;
     let query = `
         SELECT
             t1.id,
@@ -20,24 +60,68 @@ const findAllStudents = async (payload) => {
         LEFT JOIN user_profiles t3 ON t1.id = t3.user_id
         WHERE t1.role_id = 3`;
     let queryParams = [];
-    if (name) {
-        query += ` AND t1.name = $${queryParams.length + 1}`;
-        queryParams.push(name);
-    }
-    if (className) {
-        query += ` AND t3.class_name = $${queryParams.length + 1}`;
-        queryParams.push(className);
-    }
-    if (section) {
-        query += ` AND t3.section_name = $${queryParams.length + 1}`;
-        queryParams.push(section);
-    }
-    if (roll) {
-        query += ` AND t3.roll = $${queryParams.length + 1}`;
-        queryParams.push(roll);
-    }
+    query += buildStudentFilters(payload, queryParams);
+    query += buildOrderBy(payload, STUDENT_SORT_COLUMNS, "t1.id");
+    query += buildLimitOffset(payload.pagination, queryParams);
 
-    query += ' ORDER BY t1.id';
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows;
+}
+
+const countStudents = async (payload) => {
+    const queryParams = [];
+    const query = `
+        SELECT COUNT(*)::int AS total
+        FROM users t1
+        LEFT JOIN user_profiles t3 ON t1.id = t3.user_id
+        WHERE t1.role_id = 3${buildStudentFilters(payload, queryParams)}`;
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0].total;
+}
+
+// One page of the export in roster order (class, section, roll). Pages are read with a
+// keyset from the last row of the previous page, so large exports need no OFFSET scans.
+const findStudentsForExport = async ({ filters, after, limit }) => {
+    const queryParams = [];
+    let query = `
+        SELECT
+            t1.id,
+            t1.name,
+            t1.email,
+            CASE WHEN t1.is_active THEN 'Yes' ELSE 'No' END AS "systemAccess",
+            t3.phone,
+            t3.gender,
+            to_char(t3.dob, 'YYYY-MM-DD') AS dob,
+            t3.class_name AS "class",
+            t3.section_name AS "section",
+            t3.roll,
+            t3.father_name AS "fatherName",
+            t3.father_phone AS "fatherPhone",
+            t3.mother_name AS "motherName",
+            t3.mother_phone AS "motherPhone",
+            t3.guardian_name AS "guardianName",
+            t3.guardian_phone AS "guardianPhone",
+            t3.relation_of_guardian AS "relationOfGuardian",
+            t3.current_address AS "currentAddress",
+            t3.permanent_address AS "permanentAddress",
+            to_char(t3.admission_dt, 'YYYY-MM-DD') AS "admissionDate",
+            t4.name AS "reporterName"
+        FROM users t1
+        LEFT JOIN user_profiles t3 ON t1.id = t3.user_id
+        LEFT JOIN users t4 ON t1.reporter_id = t4.id
+        WHERE t1.role_id = 3`;
+    query += buildStudentFilters(filters, queryParams);
+    if (after) {
+        queryParams.push(after.class || "", after.section || "", after.roll ?? -1, after.id);
+        const last = queryParams.length;
+        query += `
+        AND (COALESCE(t3.class_name, ''), COALESCE(t3.section_name, ''), COALESCE(t3.roll, -1), t1.id)
+            > ($${last - 3}, $${last - 2}, $${last - 1}::int, $${last}::int)`;
+    }
+    queryParams.push(limit);
+    query += `
+        ORDER BY COALESCE(t3.class_name, ''), COALESCE(t3.section_name, ''), COALESCE(t3.roll, -1), t1.id
+        LIMIT $${queryParams.length}`;
 
     const { rows } = await processDBRequest({ query, queryParams });
     return rows;
@@ -50,8 +134,31 @@ const addOrUpdateStudent = async (payload) => {
     return rows[0];
 }
 
-const findStudentDetail = async (id) => {
-    const query = `
+const insertImportedStudent = async (payload, client) => {
+    const query = "SELECT * FROM student_add_update($1)";
+    const { rows } = await client.query(query, [payload]);
+    return rows[0];
+}
+
+const findExistingEmails = async (emails) => {
+    const query = "SELECT email FROM users WHERE lower(email) = ANY($1::text[])";
+    const queryParams = [emails.map((email) => email.toLowerCase())];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows.map(({ email }) => email);
+}
+
+const findClassNames = async () => {
+    const { rows } = await processDBRequest({ query: "SELECT name FROM classes WHERE name IS NOT NULL" });
+    return rows.map(({ name }) => name);
+}
+
+const findSectionNames = async () => {
+    const { rows } = await processDBRequest({ query: "SELECT name FROM sections" });
+    return rows.map(({ name }) => name);
+}
+
+const findStudentDetail = async (id, dataScope) => {
+    let query = `
         SELECT
             u.id,
             u.name,
@@ -79,6 +186,7 @@ const findStudentDetail = async (id) => {
         LEFT JOIN users r ON u.reporter_id = r.id
         WHERE u.id = $1`;
     const queryParams = [id];
+    query += buildDataScopeCondition(dataScope, "u.id", queryParams);
     const { rows } = await processDBRequest({ query, queryParams });
     return rows[0];
 }
@@ -128,7 +236,13 @@ const softDeleteStudentById = async (id) => {
 module.exports = {
     getRoleId,
     findAllStudents,
+    countStudents,
+    findStudentsForExport,
     addOrUpdateStudent,
+    insertImportedStudent,
+    findExistingEmails,
+    findClassNames,
+    findSectionNames,
     findStudentDetail,
     findStudentToSetStatus,
     findStudentToUpdate,
@@ -0,0 +1,18 @@
+const { z } = require("zod");
+const { listQueryFields } = require("../../utils/list-query");
+
+const STUDENT_SORT_FIELDS = ["id", "name", "email", "lastLogin", "class", "section", "roll"];
+
+const StudentListQuerySchema = z.object({
+    query: z.object({
+        name: z.string().max(100).optional(),
+        className: z.string().max(50).optional(),
+        section: z.string().max(50).optional(),
+        roll: z.coerce.number().int().nonnegative().optional(),
+        ...listQueryFields(STUDENT_SORT_FIELDS)
+    })
+});
+
+module.exports = {
+    StudentListQuerySchema
+};
@@ -1,27 +1,39 @@
 const { ApiError, sendAccountVerificationEmail } = require("../../utils");
-const { findAllStudents, findStudentDetail, findStudentToSetStatus, addOrUpdateStudent, softDeleteStudentById } = require("./students-repository");
-const { findUserById } = require("../../shared/repository");
+const { getPagination } = require("../../utils/list-query");
+const { findAllStudents, countStudents, findStudentDetail, findStudentToSetStatus, addOrUpdateStudent, softDeleteStudentById } = require("./students-repository");
+const { findUserById, revokeUserSessions, isUserInDataScope } = require("../../shared/repository");
+const { requestEmailChange } = require("../account/account-service");
+const { tokenRevocation } = require("../auth/token-revocation");
 
-const checkStudentId = async (id) => {
+const EMAIL_CHANGE_PENDING = "Email change is pending confirmation from the new address.";
+
+// Students outside the caller's data scope are reported as missing
+const checkStudentId = async (id, dataScope) => {
     const isStudentFound = await findUserById(id);
-    if (!isStudentFound) {
+    if (!isStudentFound || !(await isUserInDataScope(id, dataScope))) {
         throw new ApiError(404, "Student not found");
     }
 }
 
+// An empty page is not an error, total tells the client how many students match
 const getAllStudents = async (payload) => {
-    const students = await findAllStudents(payload);
-    if (students.length <= 0) {
-        throw new ApiError(404, "Students not found");
-    }
+    const pagination = getPagination(payload);
+    const [students, total] = await Promise.all([
+        findAllStudents({ ...payload, pagination }),
+        pagination ? countStudents(payload) : null,
+    ]);
 
-    return students;
+    return {
+        students,
+        total: total ?? students.length,
+        ...(pagination && { page: pagination.page, limit: pagination.limit }),
+    };
 }
 
-const getStudentDetail = async (id) => {
+const getStudentDetail = async (id, dataScope) => {
     await checkStudentId(id);
 
-    const student = await findStudentDetail(id);
+    const student = await findStudentDetail(id, dataScope);
     if (!student) {
         throw new ApiError(404, "Student not found");
     }
@@ -50,27 +62,40 @@ const addNewStudent = async (payload) => {
 }
 
 const updateStudent = async (payload) => {
-    const result = await addOrUpdateStudent(payload);
+    const { dataScope, ...student } = payload;
+    const userId = student.userId ?? student.id;
+    await checkStudentId(userId, dataScope);
+
+    const result = await addOrUpdateStudent({ ...student, userId });
     if (!result.status) {
         throw new ApiError(500, result.message);
     }
 
-    return { message: result.message };
+    const emailChange = student.email
+        ? await requestEmailChange({ userId, newEmail: student.email })
+        : null;
+
+    return { message: emailChange ? `${result.message}. ${EMAIL_CHANGE_PENDING}` : result.message };
 }
 
-const setStudentStatus = async ({ userId, reviewerId, status }) => {
-    await checkStudentId(userId);
+const setStudentStatus = async ({ userId, reviewerId, status, dataScope }) => {
+    await checkStudentId(userId, dataScope);
 
     const affectedRow = await findStudentToSetStatus({ userId, reviewerId, status });
     if (affectedRow <= 0) {
         throw new ApiError(404, "Student not found");
     }
 
+    if (!status) {
+        await revokeUserSessions(userId);
+        await tokenRevocation.revokeUserTokens(userId);
+    }
+
     return { message: "Student status changed successfully" };
 }
 
-const deleteStudent = async (id) => {
-    await checkStudentId(id);
+const deleteStudent = async (id, dataScope) => {
+    await checkStudentId(id, dataScope);
     const affectedRow = await softDeleteStudentById(id);
     if (affectedRow <= 0) {
         throw new ApiError(404, "Student not found");
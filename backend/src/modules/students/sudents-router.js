@@ -1,12 +1,24 @@
 const express = require("express");
 const router = express.Router();
 const studentController = require("./students-controller");
+const { checkApiAccess } = require("../../middlewares");
+const { validateRequest } = require("../../utils");
+const { XLSX_CONTENT_TYPE } = require("../../utils/spreadsheet");
+const { StudentListQuerySchema } = require("./students-schema");
 
-router.get("", studentController.handleGetAllStudents);
-router.post("", studentController.handleAddStudent);
-router.get("/:id", studentController.handleGetStudentDetail);
-router.post("/:id/status", studentController.handleStudentStatus);
-router.put("/:id", studentController.handleUpdateStudent);
-router.delete("/:id", studentController.handleDeleteStudent);
+// Spreadsheets are posted as the request body. Browsers label CSV files differently by platform.
+const readImportFile = express.raw({
+    type: ["text/csv", "application/vnd.ms-excel", XLSX_CONTENT_TYPE, "application/octet-stream"],
+    limit: "5mb"
+});
+
+router.get("", checkApiAccess, validateRequest(StudentListQuerySchema), studentController.handleGetAllStudents);
+router.get("/export", checkApiAccess, validateRequest(StudentListQuerySchema), studentController.handleExportStudents);
+router.post("", checkApiAccess, studentController.handleAddStudent);
+router.post("/import", checkApiAccess, readImportFile, studentController.handleImportStudents);
+router.get("/:id", checkApiAccess, studentController.handleGetStudentDetail);
+router.post("/:id/status", checkApiAccess, studentController.handleStudentStatus);
+router.put("/:id", checkApiAccess, studentController.handleUpdateStudent);
+router.delete("/:id", checkApiAccess, studentController.handleDeleteStudent);
 
 module.exports = { studentsRoutes: router };
@@ -0,0 +1,43 @@
+const asyncHandler = require("express-async-handler");
+const { startTwoFactorEnrollment, processEnableTwoFactor, processDisableTwoFactor, processRegenerateRecoveryCodes, processGetTwoFactorStatus } = require("./two-factor-service");
+
+const handleGetTwoFactorStatus = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const status = await processGetTwoFactorStatus(userId);
+    res.json(status);
+});
+
+const handleStartTwoFactorSetup = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const enrollment = await startTwoFactorEnrollment(userId);
+    res.json(enrollment);
+});
+
+const handleEnableTwoFactor = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { code } = req.body;
+    const result = await processEnableTwoFactor({ userId, code });
+    res.json(result);
+});
+
+const handleDisableTwoFactor = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { password, code } = req.body;
+    const message = await processDisableTwoFactor({ userId, password, code });
+    res.json(message);
+});
+
+const handleRegenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { id: userId } = req.user;
+    const { code } = req.body;
+    const result = await processRegenerateRecoveryCodes({ userId, code });
+    res.json(result);
+});
+
+module.exports = {
+    handleGetTwoFactorStatus,
+    handleStartTwoFactorSetup,
+    handleEnableTwoFactor,
+    handleDisableTwoFactor,
+    handleRegenerateRecoveryCodes
+};
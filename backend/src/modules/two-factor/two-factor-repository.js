@@ -0,0 +1,118 @@
+const { processDBRequest } = require("../../utils");
+
+const findTwoFactorByUserId = async (userId) => {
+    const query = `
+        SELECT
+            user_id,
+            secret,
+            is_enabled,
+            last_used_step,
+            enabled_dt
+        FROM user_two_factor
+        WHERE user_id = $1
+    `;
+    const queryParams = [userId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0];
+}
+
+const isTwoFactorRequiredForRole = async (roleId) => {
+    const query = "SELECT is_2fa_required FROM roles WHERE id = $1";
+    const queryParams = [roleId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0]?.is_2fa_required === true;
+}
+
+const savePendingTwoFactorSecret = async (userId, secret) => {
+    const query = `
+        INSERT INTO user_two_factor (user_id, secret, is_enabled, last_used_step, created_dt)
+        VALUES ($1, $2, false, NULL, now())
+        ON CONFLICT (user_id) DO UPDATE
+        SET secret = EXCLUDED.secret, last_used_step = NULL, created_dt = now()
+        WHERE user_two_factor.is_enabled = false
+    `;
+    const queryParams = [userId, secret];
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+const enableTwoFactor = async (userId, usedStep, client) => {
+    const query = `
+        UPDATE user_two_factor
+        SET is_enabled = true, enabled_dt = now(), last_used_step = $1
+        WHERE user_id = $2 AND is_enabled = false
+    `;
+    const queryParams = [usedStep, userId];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+const updateLastUsedStep = async (userId, usedStep, client) => {
+    const query = `
+        UPDATE user_two_factor
+        SET last_used_step = $1
+        WHERE user_id = $2 AND (last_used_step IS NULL OR last_used_step < $1)
+    `;
+    const queryParams = [usedStep, userId];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+const deleteTwoFactorByUserId = async (userId, client) => {
+    const query = "DELETE FROM user_two_factor WHERE user_id = $1";
+    const queryParams = [userId];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+const replaceRecoveryCodes = async (userId, codeHashes, client) => {
+    await client.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [userId]);
+
+    const query = `
+        INSERT INTO user_recovery_codes (user_id, code_hash)
+        SELECT $1, unnest($2::text[])
+    `;
+    const queryParams = [userId, codeHashes];
+    await client.query(query, queryParams);
+}
+
+const deleteRecoveryCodesByUserId = async (userId, client) => {
+    const query = "DELETE FROM user_recovery_codes WHERE user_id = $1";
+    const queryParams = [userId];
+    await client.query(query, queryParams);
+}
+
+const useRecoveryCode = async (userId, codeHash, client) => {
+    const query = `
+        UPDATE user_recovery_codes
+        SET used_dt = now()
+        WHERE user_id = $1 AND code_hash = $2 AND used_dt IS NULL
+    `;
+    const queryParams = [userId, codeHash];
+    const { rowCount } = await client.query(query, queryParams);
+    return rowCount;
+}
+
+const countUnusedRecoveryCodes = async (userId) => {
+    const query = `
+        SELECT COUNT(*)::INTEGER AS count
+        FROM user_recovery_codes
+        WHERE user_id = $1 AND used_dt IS NULL
+    `;
+    const queryParams = [userId];
+    const { rows } = await processDBRequest({ query, queryParams });
+    return rows[0].count;
+}
+
+module.exports = {
+    findTwoFactorByUserId,
+    isTwoFactorRequiredForRole,
+    savePendingTwoFactorSecret,
+    enableTwoFactor,
+    updateLastUsedStep,
+    deleteTwoFactorByUserId,
+    replaceRecoveryCodes,
+    deleteRecoveryCodesByUserId,
+    useRecoveryCode,
+    countUnusedRecoveryCodes,
+};
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const twoFactorController = require("./two-factor-controller");
+const { validateRequest } = require("../../utils");
+const { blockImpersonation } = require("../../middlewares");
+const { TwoFactorCodeSchema, DisableTwoFactorSchema } = require("./two-factor-schema");
+
+router.get("", twoFactorController.handleGetTwoFactorStatus);
+router.post("/setup", blockImpersonation, twoFactorController.handleStartTwoFactorSetup);
+router.post("/enable", blockImpersonation, validateRequest(TwoFactorCodeSchema), twoFactorController.handleEnableTwoFactor);
+router.post("/disable", blockImpersonation, validateRequest(DisableTwoFactorSchema), twoFactorController.handleDisableTwoFactor);
+router.post("/recovery-codes", blockImpersonation, validateRequest(TwoFactorCodeSchema), twoFactorController.handleRegenerateRecoveryCodes);
+
+module.exports = { twoFactorRoutes: router };
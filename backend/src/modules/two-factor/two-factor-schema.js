@@ -0,0 +1,22 @@
+const { z } = require("zod");
+
+const twoFactorCode = z.string().regex(/^\d{6}$/, "Code must be a 6 digit number");
+
+const TwoFactorCodeSchema = z.object({
+    body: z.object({
+        code: twoFactorCode
+    })
+});
+
+const DisableTwoFactorSchema = z.object({
+    body: z.object({
+        password: z.string().min(1, "Password is required"),
+        code: twoFactorCode
+    })
+});
+
+module.exports = {
+    twoFactorCode,
+    TwoFactorCodeSchema,
+    DisableTwoFactorSchema
+};
@@ -0,0 +1,272 @@
+const QRCode = require("qrcode");
+const { createHash, randomBytes } = require("crypto");
+const { env, db } = require("../../config");
+const {
+  ApiError,
+  generateToken,
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+  verifyPassword,
+} = require("../../utils");
+const { findUserById } = require("../../shared/repository");
+const {
+  findTwoFactorByUserId,
+  isTwoFactorRequiredForRole,
+  savePendingTwoFactorSecret,
+  enableTwoFactor,
+  updateLastUsedStep,
+  deleteTwoFactorByUserId,
+  replaceRecoveryCodes,
+  deleteRecoveryCodesByUserId,
+  useRecoveryCode,
+  countUnusedRecoveryCodes,
+} = require("./two-factor-repository");
+
+const RECOVERY_CODE_COUNT = 10;
+const USER_DOES_NOT_EXIST = "User does not exist";
+const TWO_FACTOR_ALREADY_ENABLED = "Two-factor authentication is already enabled";
+const TWO_FACTOR_NOT_ENABLED = "Two-factor authentication is not enabled";
+const TWO_FACTOR_NOT_STARTED = "Two-factor enrollment has not been started";
+const INVALID_TWO_FACTOR_CODE = "Invalid two-factor code";
+const INVALID_RECOVERY_CODE = "Invalid recovery code";
+
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, "").toLowerCase();
+
+const hashRecoveryCode = (code) => {
+  return createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+};
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const issueRecoveryCodes = async (userId, client) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode), client);
+  return recoveryCodes;
+};
+
+const checkTotpCode = async (twoFactor, code, client) => {
+  const usedStep = verifyTotpCode(twoFactor.secret, code, {
+    lastUsedStep: twoFactor.last_used_step,
+  });
+  if (usedStep === null) {
+    throw new ApiError(400, INVALID_TWO_FACTOR_CODE);
+  }
+
+  const affectedRow = await updateLastUsedStep(twoFactor.user_id, usedStep, client);
+  if (affectedRow <= 0) {
+    throw new ApiError(400, INVALID_TWO_FACTOR_CODE);
+  }
+};
+
+const confirmEnrollment = async (twoFactor, code, client) => {
+  const usedStep = verifyTotpCode(twoFactor.secret, code);
+  if (usedStep === null) {
+    throw new ApiError(400, INVALID_TWO_FACTOR_CODE);
+  }
+
+  const affectedRow = await enableTwoFactor(twoFactor.user_id, usedStep, client);
+  if (affectedRow <= 0) {
+    throw new ApiError(400, TWO_FACTOR_ALREADY_ENABLED);
+  }
+
+  return issueRecoveryCodes(twoFactor.user_id, client);
+};
+
+const getTwoFactorLoginChallenge = async ({ id: userId, role_id }) => {
+  const twoFactor = await findTwoFactorByUserId(userId);
+  const isEnabled = twoFactor?.is_enabled === true;
+  const isRequired = await isTwoFactorRequiredForRole(role_id);
+  if (!isEnabled && !isRequired) {
+    return null;
+  }
+
+  const challengeToken = generateToken(
+    { id: userId },
+    env.TWO_FACTOR_CHALLENGE_TOKEN_SECRET,
+    env.TWO_FACTOR_CHALLENGE_TOKEN_TIME_IN_MS
+  );
+
+  return {
+    twoFactorRequired: true,
+    enrollmentRequired: !isEnabled,
+    challengeToken,
+  };
+};
+
+const verifyLoginSecondFactor = async ({ userId, code, recoveryCode }, client) => {
+  const twoFactor = await findTwoFactorByUserId(userId);
+  if (!twoFactor) {
+    throw new ApiError(400, TWO_FACTOR_NOT_STARTED);
+  }
+
+  if (!twoFactor.is_enabled) {
+    const recoveryCodes = await confirmEnrollment(twoFactor, code, client);
+    return { recoveryCodes };
+  }
+
+  if (recoveryCode) {
+    const affectedRow = await useRecoveryCode(userId, hashRecoveryCode(recoveryCode), client);
+    if (affectedRow <= 0) {
+      throw new ApiError(400, INVALID_RECOVERY_CODE);
+    }
+    return {};
+  }
+
+  await checkTotpCode(twoFactor, code, client);
+  return {};
+};
+
+const startTwoFactorEnrollment = async (userId) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, USER_DOES_NOT_EXIST);
+  }
+
+  const twoFactor = await findTwoFactorByUserId(userId);
+  if (twoFactor?.is_enabled) {
+    throw new ApiError(400, TWO_FACTOR_ALREADY_ENABLED);
+  }
+
+  const secret = generateTotpSecret();
+  const affectedRow = await savePendingTwoFactorSecret(userId, secret);
+  if (affectedRow <= 0) {
+    throw new ApiError(500, "Unable to start two-factor enrollment");
+  }
+
+  const otpAuthUrl = buildOtpAuthUrl({
+    secret,
+    accountName: user.email,
+    issuer: env.TWO_FACTOR_ISSUER,
+  });
+  const qrCode = await QRCode.toDataURL(otpAuthUrl);
+
+  return { secret, otpAuthUrl, qrCode };
+};
+
+const processEnableTwoFactor = async ({ userId, code }) => {
+  const twoFactor = await findTwoFactorByUserId(userId);
+  if (!twoFactor) {
+    throw new ApiError(400, TWO_FACTOR_NOT_STARTED);
+  }
+  if (twoFactor.is_enabled) {
+    throw new ApiError(400, TWO_FACTOR_ALREADY_ENABLED);
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const recoveryCodes = await confirmEnrollment(twoFactor, code, client);
+
+    await client.query("COMMIT");
+
+    return {
+      message: "Two-factor authentication enabled successfully",
+      recoveryCodes,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const processDisableTwoFactor = async ({ userId, password, code }) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, USER_DOES_NOT_EXIST);
+  }
+
+  const isRequired = await isTwoFactorRequiredForRole(user.role_id);
+  if (isRequired) {
+    throw new ApiError(403, "Two-factor authentication is mandatory for your role");
+  }
+
+  const twoFactor = await findTwoFactorByUserId(userId);
+  if (!twoFactor?.is_enabled) {
+    throw new ApiError(400, TWO_FACTOR_NOT_ENABLED);
+  }
+
+  await verifyPassword(user.password, password);
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    await checkTotpCode(twoFactor, code, client);
+    await deleteRecoveryCodesByUserId(userId, client);
+    await deleteTwoFactorByUserId(userId, client);
+
+    await client.query("COMMIT");
+
+    return { message: "Two-factor authentication disabled successfully" };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const processRegenerateRecoveryCodes = async ({ userId, code }) => {
+  const twoFactor = await findTwoFactorByUserId(userId);
+  if (!twoFactor?.is_enabled) {
+    throw new ApiError(400, TWO_FACTOR_NOT_ENABLED);
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    await checkTotpCode(twoFactor, code, client);
+    const recoveryCodes = await issueRecoveryCodes(userId, client);
+
+    await client.query("COMMIT");
+
+    return {
+      message: "Recovery codes generated successfully",
+      recoveryCodes,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const processGetTwoFactorStatus = async (userId) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, USER_DOES_NOT_EXIST);
+  }
+
+  const twoFactor = await findTwoFactorByUserId(userId);
+  const isEnabled = twoFactor?.is_enabled === true;
+  const isRequired = await isTwoFactorRequiredForRole(user.role_id);
+  const recoveryCodesRemaining = isEnabled ? await countUnusedRecoveryCodes(userId) : 0;
+
+  return {
+    isEnabled,
+    isRequired,
+    enabledDate: isEnabled ? twoFactor.enabled_dt : null,
+    recoveryCodesRemaining,
+  };
+};
+
+module.exports = {
+  getTwoFactorLoginChallenge,
+  verifyLoginSecondFactor,
+  startTwoFactorEnrollment,
+  processEnableTwoFactor,
+  processDisableTwoFactor,
+  processRegenerateRecoveryCodes,
+  processGetTwoFactorStatus,
+};
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 
-const { authenticateToken, handle404Error, csrfProtection, checkApiAccess } = require("../middlewares");
+const { authenticateToken, handle404Error, csrfProtection, checkApiAccess, auditTrail, blockApiKey } = require("../middlewares");
 const { db } = require("../config");
 const log = require("../utils/log");
 
@@ -42,21 +42,35 @@ const { sectionRoutes } = require("../modules/sections/section-router.js");
 const { departmentRoutes } = require("../modules/departments/department-router.js");
 const { handleGetDashboardData } = require("../modules/dashboard/dashboard-controller.js");
 const { accessControlRoutes } = require("../modules/access-control/access-control-router.js");
+const { twoFactorRoutes } = require("../modules/two-factor/two-factor-router.js");
+const { passwordPolicyRoutes } = require("../modules/password-policy/password-policy-router.js");
+const { auditRoutes } = require("../modules/audit/audit-router.js");
+const { apiKeyRoutes } = require("../modules/api-keys/api-key-router.js");
+const { permissionGrantRoutes } = require("../modules/permission-grants/permission-grant-router.js");
+const { academicYearRoutes } = require("../modules/academic-years/academic-year-router.js");
+const { attendanceRoutes } = require("../modules/attendance/attendance-router.js");
 
 router.get("/teachers", authenticateToken, csrfProtection, checkApiAccess, handleGetAllTeachers);
-router.get("/dashboard", authenticateToken, csrfProtection, checkApiAccess, handleGetDashboardData);
-router.use("/access-controls", authenticateToken, csrfProtection, accessControlRoutes);
+router.get("/dashboard", authenticateToken, csrfProtection, blockApiKey, checkApiAccess, handleGetDashboardData);
+router.use("/access-controls", authenticateToken, csrfProtection, auditTrail("access_control"), accessControlRoutes);
 router.use("/auth", authRoutes);
 router.use("/account", authenticateToken, csrfProtection, accountRoutes);
-router.use("/leave", authenticateToken, csrfProtection, leaveRoutes);
-router.use("/classes", authenticateToken, csrfProtection, classesRoutes);
-router.use("/class-teachers", authenticateToken, csrfProtection, classTeacherRoutes);
-router.use("/sections", authenticateToken, csrfProtection, sectionRoutes);
-router.use("/students", authenticateToken, csrfProtection, studentsRoutes);
-router.use("/notices", authenticateToken, csrfProtection, noticesRoutes);
-router.use("/staffs", authenticateToken, csrfProtection, staffsRoutes);
-router.use("/departments", authenticateToken, csrfProtection, departmentRoutes);
-router.use("/roles", authenticateToken, csrfProtection, rpRoutes);
+router.use("/two-factor", authenticateToken, csrfProtection, twoFactorRoutes);
+router.use("/leave", authenticateToken, csrfProtection, auditTrail("leave", { subEntities: { policies: "leave_policy", request: "leave_request", pending: "leave_request" } }), leaveRoutes);
+router.use("/classes", authenticateToken, csrfProtection, auditTrail("class"), classesRoutes);
+router.use("/class-teachers", authenticateToken, csrfProtection, auditTrail("class_teacher"), classTeacherRoutes);
+router.use("/sections", authenticateToken, csrfProtection, auditTrail("section"), sectionRoutes);
+router.use("/academic-years", authenticateToken, csrfProtection, auditTrail("academic_year"), academicYearRoutes);
+router.use("/attendance", authenticateToken, csrfProtection, auditTrail("attendance"), attendanceRoutes);
+router.use("/students", authenticateToken, csrfProtection, auditTrail("student"), studentsRoutes);
+router.use("/notices", authenticateToken, csrfProtection, auditTrail("notice", { subEntities: { recipients: "notice_recipient" } }), noticesRoutes);
+router.use("/staffs", authenticateToken, csrfProtection, auditTrail("staff"), staffsRoutes);
+router.use("/departments", authenticateToken, csrfProtection, auditTrail("department"), departmentRoutes);
+router.use("/roles", authenticateToken, csrfProtection, auditTrail("role"), rpRoutes);
+router.use("/password-policy", authenticateToken, csrfProtection, auditTrail("password_policy", { entityId: 1 }), passwordPolicyRoutes);
+router.use("/audit", authenticateToken, csrfProtection, auditRoutes);
+router.use("/api-keys", authenticateToken, csrfProtection, auditTrail("api_key"), apiKeyRoutes);
+router.use("/permission-grants", authenticateToken, csrfProtection, auditTrail("permission_grant"), permissionGrantRoutes);
 router.use(handle404Error);
 
 module.exports = { v1Routes: router };
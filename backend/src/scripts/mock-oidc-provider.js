@@ -0,0 +1,149 @@
+// Minimal OpenID Connect provider for local development and tests.
+// It signs in a single configured user without a login screen.
+//
+//   MOCK_OIDC_EMAIL=admin@school-admin.com node src/scripts/mock-oidc-provider.js
+//
+// Then point OIDC_ISSUER_URL at http://localhost:4010 and OIDC_CLIENT_ID at "school-mgmt".
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const { createHash, generateKeyPairSync, randomBytes } = require("crypto");
+
+const KEY_ID = "mock-oidc-key";
+
+const createMockOidcProvider = ({
+    port = 0,
+    clientId = "school-mgmt",
+    clientSecret = "school-mgmt-secret",
+    user = { sub: "mock-user-1", email: "admin@school-admin.com", name: "Mock User" },
+} = {}) => {
+    const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+    const authorizationCodes = new Map();
+    let issuer = null;
+
+    const sendJson = (res, statusCode, body) => {
+        res.writeHead(statusCode, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    };
+
+    const readForm = (req) => new Promise((resolve) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => resolve(new URLSearchParams(body)));
+    });
+
+    const isClientAuthenticated = (req, form) => {
+        const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+        if (scheme === "Basic" && encoded) {
+            const [id, secret] = Buffer.from(encoded, "base64").toString().split(":").map(decodeURIComponent);
+            return id === clientId && secret === clientSecret;
+        }
+        return form.get("client_id") === clientId && form.get("client_secret") === clientSecret;
+    };
+
+    const handleAuthorize = (url, res) => {
+        const { searchParams } = url;
+        if (searchParams.get("client_id") !== clientId || searchParams.get("code_challenge_method") !== "S256") {
+            return sendJson(res, 400, { error: "invalid_request" });
+        }
+
+        const code = randomBytes(16).toString("hex");
+        authorizationCodes.set(code, {
+            redirectUri: searchParams.get("redirect_uri"),
+            codeChallenge: searchParams.get("code_challenge"),
+            nonce: searchParams.get("nonce"),
+        });
+
+        const redirectUrl = new URL(searchParams.get("redirect_uri"));
+        redirectUrl.searchParams.set("code", code);
+        redirectUrl.searchParams.set("state", searchParams.get("state"));
+        res.writeHead(302, { Location: redirectUrl.toString() });
+        res.end();
+    };
+
+    const handleToken = async (req, res) => {
+        const form = await readForm(req);
+        if (!isClientAuthenticated(req, form)) {
+            return sendJson(res, 401, { error: "invalid_client" });
+        }
+
+        const code = form.get("code");
+        const grant = authorizationCodes.get(code);
+        authorizationCodes.delete(code);
+        const codeChallenge = createHash("sha256").update(form.get("code_verifier") || "").digest("base64url");
+        if (!grant || grant.redirectUri !== form.get("redirect_uri") || grant.codeChallenge !== codeChallenge) {
+            return sendJson(res, 400, { error: "invalid_grant" });
+        }
+
+        const idToken = jwt.sign(
+            { email: user.email, email_verified: true, name: user.name, nonce: grant.nonce },
+            privateKey,
+            { algorithm: "RS256", keyid: KEY_ID, issuer, audience: clientId, subject: user.sub, expiresIn: "5m" }
+        );
+        sendJson(res, 200, { access_token: randomBytes(16).toString("hex"), token_type: "Bearer", id_token: idToken });
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, issuer);
+        if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ["code"],
+                id_token_signing_alg_values_supported: ["RS256"],
+                code_challenge_methods_supported: ["S256"],
+                token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post"],
+            });
+        }
+        if (req.method === "GET" && url.pathname === "/jwks") {
+            return sendJson(res, 200, { keys: [jwk] });
+        }
+        if (req.method === "GET" && url.pathname === "/authorize") {
+            return handleAuthorize(url, res);
+        }
+        if (req.method === "POST" && url.pathname === "/token") {
+            return handleToken(req, res);
+        }
+        sendJson(res, 404, { error: "not_found" });
+    });
+
+    const start = () => new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+            issuer = `http://localhost:${server.address().port}`;
+            resolve(issuer);
+        });
+    });
+
+    const stop = () => new Promise((resolve) => server.close(resolve));
+
+    return {
+        start,
+        stop,
+        clientId,
+        clientSecret,
+        privateKey,
+        getIssuer: () => issuer,
+    };
+}
+
+if (require.main === module) {
+    const provider = createMockOidcProvider({
+        port: Number(process.env.MOCK_OIDC_PORT || 4010),
+        clientId: process.env.MOCK_OIDC_CLIENT_ID,
+        clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET,
+        user: {
+            sub: process.env.MOCK_OIDC_SUBJECT || "mock-user-1",
+            email: process.env.MOCK_OIDC_EMAIL || "admin@school-admin.com",
+            name: process.env.MOCK_OIDC_NAME || "Mock User",
+        },
+    });
+    provider.start().then((issuer) => {
+        console.log(`Mock OIDC provider listening at ${issuer}`);
+    });
+}
+
+module.exports = {
+    createMockOidcProvider,
+};
@@ -0,0 +1,40 @@
+// Lists the API routes that have no access_controls row, and the rows that match no route.
+//
+//   node src/scripts/sync-access-controls.js           report only
+//   node src/scripts/sync-access-controls.js --apply   also insert the missing rows
+//
+// Exits with 1 while routes are still missing a row, so it can run in CI.
+require("dotenv").config();
+
+const { db } = require("../config");
+const { v1Routes } = require("../routes/v1");
+const { syncAccessControls } = require("../modules/access-control/access-control-sync");
+
+const run = async () => {
+    const mode = process.argv.includes("--apply") ? "insert" : "report";
+    const { missing, stale, insertedCount } = await syncAccessControls(v1Routes, { mode });
+
+    console.log(`Missing access controls: ${missing.length}`);
+    missing.forEach(({ method, path, parentPath }) => {
+        console.log(`  ${method} ${path} (parent: ${parentPath || "none"})`);
+    });
+    console.log(`Stale access controls: ${stale.length}`);
+    stale.forEach(({ id, method, path }) => {
+        console.log(`  #${id} ${method} ${path}`);
+    });
+    if (mode === "insert") {
+        console.log(`Inserted access controls: ${insertedCount}`);
+    }
+
+    return mode === "report" && missing.length > 0 ? 1 : 0;
+}
+
+run()
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -1,8 +1,18 @@
 const { app } = require("./app.js");
 const { env } = require("./config");
+const { v1Routes } = require("./routes/v1");
+const { startRefreshTokenPruneJob } = require("./jobs/prune-refresh-tokens-job");
+const { syncAccessControls } = require("./modules/access-control/access-control-sync");
+const { permissionCache } = require("./modules/roles-and-permissions/permission-cache");
+const log = require("./utils/log");
 
 const PORT = env.PORT;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);                                                                                                                                                
+  startRefreshTokenPruneJob();
+  permissionCache.listen();
+  syncAccessControls(v1Routes, { mode: env.ACCESS_CONTROL_SYNC }).catch((error) => {
+    log.error("Failed to sync access controls", { errorMessage: error.message });
+  });
 });
@@ -5,10 +5,12 @@ const findUserById = async (id) => {
         SELECT
             id,
             email,
+            pending_email,
             role_id,
             password,
             is_active,
-            is_email_verified
+            is_email_verified,
+            password_version
         FROM users where id = $1
     `;
     const queryParams = [id];
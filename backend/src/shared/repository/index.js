@@ -1,7 +1,13 @@
 const { findUserById } = require("./find-user-by-id");
 const { insertRefreshToken } = require("./insert-refresh-token");
+const { revokeUserSessions } = require("./revoke-user-sessions");
+const { insertSecurityEvent } = require("./insert-security-event");
+const { isUserInDataScope } = require("./is-user-in-data-scope");
 
 module.exports = {
     findUserById,
     insertRefreshToken,
+    revokeUserSessions,
+    insertSecurityEvent,
+    isUserInDataScope,
 };
@@ -1,11 +1,42 @@
+const { v4: uuidV4 } = require("uuid");
 const { env } = require("../../config");
 
-const insertRefreshToken = async ({ userId, refreshToken }, client) => {
+// accessTokenId/accessTokenExpiresAt name the access token issued with it, so revoking the session can denylist it
+const insertRefreshToken = async (
+  {
+    userId,
+    refreshToken,
+    accessTokenId = null,
+    accessTokenExpiresAt = null,
+    familyId = uuidV4(),
+    parentId = null,
+    sessionStartedAt = new Date(),
+    sessionMeta = {},
+  },
+  client
+) => {
   const expiresAt = new Date(
     Date.now() + parseInt(env.JWT_REFRESH_TOKEN_TIME_IN_MS)
   );
-  const query = `INSERT INTO user_refresh_tokens (token, user_id, expires_at) VALUES($1, $2, $3)`;
-  const queryParams = [refreshToken, userId, expiresAt];
+  const { userAgent = null, ipAddress = null } = sessionMeta;
+  const query = `
+    INSERT INTO user_refresh_tokens
+      (token, user_id, family_id, parent_id, expires_at, session_started_at, user_agent, ip_address,
+        access_token_jti, access_token_expires_at)
+    VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `;
+  const queryParams = [
+    refreshToken,
+    userId,
+    familyId,
+    parentId,
+    expiresAt,
+    sessionStartedAt,
+    userAgent,
+    ipAddress,
+    accessTokenId,
+    accessTokenExpiresAt,
+  ];
   await client.query(query, queryParams);
 };
 
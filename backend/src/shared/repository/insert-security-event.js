@@ -0,0 +1,12 @@
+const { processDBRequest } = require("../../utils");
+
+const insertSecurityEvent = async ({ eventType, userId = null, username = null, ipAddress = null, actorId = null, detail = null }) => {
+    const query = `
+        INSERT INTO security_events (event_type, user_id, username, ip_address, actor_id, detail)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    const queryParams = [eventType, userId, username, ipAddress, actorId, detail];
+    await processDBRequest({ query, queryParams });
+}
+
+module.exports = { insertSecurityEvent };
@@ -0,0 +1,20 @@
+const { processDBRequest } = require("../../utils");
+const { buildDataScopeCondition } = require("../../utils/data-scope");
+
+// Always true when unscoped, so callers only pay for the query on scoped permissions
+const isUserInDataScope = async (userId, dataScope) => {
+    if (!dataScope) {
+        return true;
+    }
+
+    const queryParams = [userId];
+    const query = `
+        SELECT 1
+        FROM users t1
+        WHERE t1.id = $1${buildDataScopeCondition(dataScope, "t1.id", queryParams)}
+    `;
+    const { rowCount } = await processDBRequest({ query, queryParams });
+    return rowCount > 0;
+}
+
+module.exports = { isUserInDataScope };
@@ -0,0 +1,12 @@
+const { processDBRequest } = require("../../utils");
+
+const revokeUserSessions = async (userId, client) => {
+    const query = "DELETE FROM user_refresh_tokens WHERE user_id = $1";
+    const queryParams = [userId];
+    const { rowCount } = client
+        ? await client.query(query, queryParams)
+        : await processDBRequest({ query, queryParams });
+    return rowCount;
+}
+
+module.exports = { revokeUserSessions };
@@ -0,0 +1,53 @@
+const emailChangeConfirmTemplate = (link) => {
+    return (
+        `
+        <html>
+            <head>
+                <style>
+                .btn {
+                    background-color: #04AA6D;
+                    border: none;
+                    color: white !important;
+                    padding: 10px 15px;
+                    text-align: center;
+                    text-decoration: none;
+                    display: inline-block;
+                    font-size: 16px;
+                    cursor: pointer;
+                    margin: 10px 0px;
+                }
+                </style>
+            </head>
+            <body>
+                <div>Hi there,</div>
+                <span>Please click on the button below to confirm this as the new email address of your account.</span>
+                <br />
+                <a href=${link} class="btn">Confirm email</a>
+                <br />
+                <span>Alternatively, you can click on the link below.</span>
+                <br />
+                <a href=${link}>${link}</a>
+                <br />
+                <span>Until it is confirmed you will keep logging in with your current email address.</span>
+            </body>
+        </html>
+        `
+    );
+}
+
+const emailChangeNoticeTemplate = (maskedNewEmail) => {
+    return (
+        `
+        <html>
+            <body>
+                <div>Hi there,</div>
+                <span>A request was made to change the email address of your account to ${maskedNewEmail}.</span>
+                <br />
+                <span>The change only takes effect once it is confirmed from the new address. If you did not expect this, please contact your administrator.</span>
+            </body>
+        </html>
+        `
+    );
+}
+
+module.exports = { emailChangeConfirmTemplate, emailChangeNoticeTemplate };
@@ -1,7 +1,10 @@
 const { emailVerificationTemplate } = require("./email-verification-template");
 const { pwdSetupTemplate } = require("./pwd-setup-template");
+const { emailChangeConfirmTemplate, emailChangeNoticeTemplate } = require("./email-change-template");
 
 module.exports = {
     emailVerificationTemplate,
-    pwdSetupTemplate
+    pwdSetupTemplate,
+    emailChangeConfirmTemplate,
+    emailChangeNoticeTemplate
 };
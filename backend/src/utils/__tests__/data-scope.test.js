@@ -0,0 +1,37 @@
+const { resolveDataScope, buildDataScopeCondition } = require("../data-scope");
+
+describe("Data Scope", () => {
+  it("should be unscoped when any role grants the route for all rows", () => {
+    expect(resolveDataScope(["self", "all"], 4)).toBeNull();
+    expect(resolveDataScope(["self", "reportees", "self"], 4)).toEqual({
+      userId: 4,
+      scopes: ["self", "reportees"],
+    });
+  });
+
+  it("should add nothing to the query when unscoped", () => {
+    const queryParams = ["Grade 1"];
+
+    expect(buildDataScopeCondition(null, "t1.id", queryParams)).toBe("");
+    expect(queryParams).toEqual(["Grade 1"]);
+  });
+
+  it("should combine the scopes and bind the acting user as the next parameter", () => {
+    const queryParams = ["Grade 1"];
+    const condition = buildDataScopeCondition({ userId: 4, scopes: ["self", "reportees"] }, "t1.id", queryParams);
+
+    expect(condition).toBe(" AND (t1.id = $2 OR t1.id IN (SELECT id FROM users WHERE reporter_id = $2))");
+    expect(queryParams).toEqual(["Grade 1", 4]);
+  });
+
+  it("should reach the delegators' reportees while reviewing on their behalf", () => {
+    const queryParams = [];
+    const dataScope = resolveDataScope(["reportees", "self"], 4, [9, 9]);
+    const condition = buildDataScopeCondition(dataScope, "t1.user_id", queryParams);
+
+    expect(condition).toBe(
+      " AND (t1.user_id IN (SELECT id FROM users WHERE reporter_id = ANY($2::int[])) OR t1.user_id = $1)"
+    );
+    expect(queryParams).toEqual([4, [4, 9]]);
+  });
+});
@@ -0,0 +1,36 @@
+const { getPagination, buildSearchCondition, buildOrderBy, buildLimitOffset } = require("../list-query");
+
+describe("List Query", () => {
+  it("should page only when page or limit is given and cap the page size", () => {
+    expect(getPagination({})).toBeNull();
+    expect(getPagination({ page: "3" })).toEqual({ page: 3, limit: 20, offset: 40 });
+    expect(getPagination({ limit: "500" })).toEqual({ page: 1, limit: 100, offset: 0 });
+  });
+
+  it("should search partially on every column and by similarity on the name columns", () => {
+    const queryParams = [5];
+
+    const condition = buildSearchCondition(" 50%_off ", { columns: ["u.name", "u.email"], fuzzyColumns: ["u.name"] }, queryParams);
+
+    expect(condition).toBe(" AND (u.name ILIKE $2 OR u.email ILIKE $2 OR $3 <% u.name)");
+    expect(queryParams).toEqual([5, "%50\\%\\_off%", "50%_off"]);
+    expect(buildSearchCondition("  ", { columns: ["u.name"], fuzzyColumns: [] }, queryParams)).toBe("");
+  });
+
+  it("should sort by whitelisted fields only, breaking ties by id", () => {
+    const sortColumns = { id: "u.id", name: "u.name" };
+
+    expect(buildOrderBy({ sortBy: "name", sortOrder: "desc" }, sortColumns, "u.id"))
+      .toBe(" ORDER BY u.name DESC NULLS LAST, u.id DESC");
+    expect(buildOrderBy({ sortBy: "u.password; --" }, sortColumns, "u.id")).toBe(" ORDER BY u.id ASC");
+    expect(buildOrderBy({ sortBy: "constructor" }, sortColumns, "u.id")).toBe(" ORDER BY u.id ASC");
+  });
+
+  it("should add limit and offset as parameters", () => {
+    const queryParams = ["a"];
+
+    expect(buildLimitOffset({ page: 2, limit: 10, offset: 10 }, queryParams)).toBe(" LIMIT $2 OFFSET $3");
+    expect(queryParams).toEqual(["a", 10, 10]);
+    expect(buildLimitOffset(null, queryParams)).toBe("");
+  });
+});
@@ -0,0 +1,75 @@
+const zlib = require("zlib");
+const { parseCsv, parseSpreadsheet, fromExcelDate } = require("../spreadsheet");
+
+// Minimal zip writer for the test files, CRCs are left out as the reader does not check them
+const buildZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const fileName = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(fileName.length, 26);
+    localParts.push(local, fileName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, fileName);
+
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+describe("Spreadsheet", () => {
+  it("should parse quoted CSV fields with commas, quotes and line breaks", () => {
+    const csv = '\uFEFFname,address\r\n"Doe, Jane","Flat 2\nMain ""Road"""\r\nJohn,\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      ["name", "address"],
+      ["Doe, Jane", 'Flat 2\nMain "Road"'],
+      ["John", ""],
+    ]);
+  });
+
+  it("should read the first worksheet of an XLSX file with shared and inline strings", () => {
+    const file = buildZip({
+      "xl/workbook.xml": '<workbook><sheets><sheet name="Students" sheetId="1" r:id="rId3"/></sheets></workbook>',
+      "xl/_rels/workbook.xml.rels":
+        '<Relationships><Relationship Id="rId3" Type="worksheet" Target="worksheets/students.xml"/></Relationships>',
+      "xl/sharedStrings.xml": "<sst><si><t>name</t></si><si><r><t>Ja</t></r><r><t>ne &amp; co</t></r></si></sst>",
+      "xl/worksheets/students.xml": [
+        "<worksheet><sheetData>",
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>dob</t></is></c></row>',
+        '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="C3"><v>45292</v></c></row>',
+        "</sheetData></worksheet>",
+      ].join(""),
+    });
+
+    expect(parseSpreadsheet(file)).toEqual([["name", "dob"], [], ["Jane & co", "", "45292"]]);
+    expect(fromExcelDate("45292")).toBe("2024-01-01");
+  });
+
+  it("should read anything that is not a zip file as CSV", () => {
+    expect(parseSpreadsheet(Buffer.from("email\njane@example.com"))).toEqual([["email"], ["jane@example.com"]]);
+  });
+});
@@ -0,0 +1,108 @@
+const { Writable } = require("stream");
+const zlib = require("zlib");
+const { createTableWriter } = require("../table-writers");
+const { parseXlsx } = require("../spreadsheet");
+
+const COLUMNS = [
+  { key: "roll", header: "Roll", width: 6, type: "number" },
+  { key: "name", header: "Name", width: 24 },
+];
+
+const writeTable = async (format, batches) => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  const writer = createTableWriter(format, output, { columns: COLUMNS, title: "Students" });
+  for (const rows of batches) {
+    await writer.writeRows(rows);
+  }
+  await writer.end();
+  return Buffer.concat(chunks);
+};
+
+// Reads every entry through the central directory. Each one is wrapped in a gzip member, which
+// carries the same CRC-32 and size, so gunzip checks them independently of the writer.
+const unzipEntries = (file) => {
+  const end = file.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = {};
+  let offset = file.readUInt32LE(end + 16);
+  for (let count = file.readUInt16LE(end + 10); count > 0; count--) {
+    const [crc, compressedSize, size] = [16, 20, 24].map((field) => file.readUInt32LE(offset + field));
+    const nameLength = file.readUInt16LE(offset + 28);
+    const localOffset = file.readUInt32LE(offset + 42);
+    const start = localOffset + 30 + file.readUInt16LE(localOffset + 26) + file.readUInt16LE(localOffset + 28);
+
+    const trailer = Buffer.alloc(8);
+    trailer.writeUInt32LE(crc, 0);
+    trailer.writeUInt32LE(size, 4);
+    const gzip = Buffer.concat([
+      Buffer.from([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 255]),
+      file.subarray(start, start + compressedSize),
+      trailer,
+    ]);
+    entries[file.toString("utf8", offset + 46, offset + 46 + nameLength)] = zlib.gunzipSync(gzip).toString("utf8");
+    offset += 46 + nameLength + file.readUInt16LE(offset + 30) + file.readUInt16LE(offset + 32);
+  }
+  return entries;
+};
+
+describe("Table Writers", () => {
+  it("should write CSV with a byte order mark and formula-safe values", async () => {
+    const file = await writeTable("csv", [[{ roll: 1, name: "Doe, Jane" }], [{ roll: 2, name: "=HYPERLINK(1)" }]]);
+
+    expect(file.toString("utf8")).toBe('\uFEFFRoll,Name\r\n1,"Doe, Jane"\r\n2,\'=HYPERLINK(1)\r\n');
+  });
+
+  it("should stream an XLSX file that reads back row by row", async () => {
+    const batches = [
+      [{ roll: 1, name: "Jane <Doe> & co" }, { roll: null, name: "Zoë" }],
+      [{ roll: 3, name: "John" }],
+    ];
+
+    const file = await writeTable("xlsx", batches);
+
+    expect(parseXlsx(file)).toEqual([
+      ["Roll", "Name"],
+      ["1", "Jane <Doe> & co"],
+      ["", "Zoë"],
+      ["3", "John"],
+    ]);
+  });
+
+  it("should write XLSX entries whose checksums unzip without zlib.crc32, as on Node 18", async () => {
+    const { crc32 } = zlib;
+    delete zlib.crc32;
+    try {
+      const rows = Array.from({ length: 300 }, (_, index) => ({ roll: index + 1, name: `Zoë ${index + 1}` }));
+      const entries = unzipEntries(await writeTable("xlsx", [rows.slice(0, 150), rows.slice(150)]));
+
+      expect(Object.keys(entries)).toEqual(
+        expect.arrayContaining(["[Content_Types].xml", "xl/workbook.xml", "xl/worksheets/sheet1.xml"])
+      );
+      expect(entries["xl/worksheets/sheet1.xml"]).toContain(">Zoë 300</t>");
+    } finally {
+      zlib.crc32 = crc32;
+    }
+  });
+
+  it("should write a PDF whose cross-reference table points at every object", async () => {
+    const rows = Array.from({ length: 50 }, (_, index) => ({ roll: index + 1, name: `Student (${index + 1})` }));
+
+    const file = (await writeTable("pdf", [rows])).toString("latin1");
+
+    const xrefOffset = Number(file.match(/startxref\n(\d+)/)[1]);
+    const [, size, entries] = file.slice(xrefOffset).match(/^xref\n0 (\d+)\n0000000000 65535 f \n((?:\d{10} 00000 n \n)*)/);
+    entries.match(/\d{10}/g).forEach((offset, index) => {
+      expect(file.slice(Number(offset)).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+    expect(Number(size)).toBe(entries.length / 20 + 1);
+    expect(file).toContain("/Count 2");
+
+    const firstPage = file.match(/stream\n([\s\S]*?)\nendstream/)[1];
+    expect(zlib.inflateSync(Buffer.from(firstPage, "latin1")).toString("latin1")).toContain("(Student \\(1\\)) Tj");
+  });
+});
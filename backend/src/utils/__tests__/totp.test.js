@@ -0,0 +1,57 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+} = require("../totp");
+
+// RFC 6238 appendix B test secret for SHA1
+const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP utils", () => {
+  it("base32Decode should reverse base32Encode", () => {
+    const buffer = Buffer.from("school-mgmt");
+    expect(base32Decode(base32Encode(buffer)).equals(buffer)).toBe(true);
+  });
+
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("generateTotpCode should match RFC 6238 vector at T=%i", (seconds, expected) => {
+    expect(generateTotpCode(secret, seconds * 1000)).toBe(expected);
+  });
+
+  it("verifyTotpCode should accept a code from the previous time step", () => {
+    const timestamp = 1234567890 * 1000;
+    const previousCode = generateTotpCode(secret, timestamp - 30000);
+    expect(verifyTotpCode(secret, previousCode, { timestamp })).toBe(Math.floor(1234567890 / 30) - 1);
+  });
+
+  it("verifyTotpCode should reject a code outside the drift window", () => {
+    const timestamp = 1234567890 * 1000;
+    const oldCode = generateTotpCode(secret, timestamp - 90000);
+    expect(verifyTotpCode(secret, oldCode, { timestamp })).toBeNull();
+  });
+
+  it("verifyTotpCode should reject a code that was already used", () => {
+    const timestamp = 1234567890 * 1000;
+    const code = generateTotpCode(secret, timestamp);
+    const usedStep = verifyTotpCode(secret, code, { timestamp });
+    expect(verifyTotpCode(secret, code, { timestamp, lastUsedStep: usedStep })).toBeNull();
+  });
+
+  it("verifyTotpCode should reject malformed codes", () => {
+    expect(verifyTotpCode(secret, "12345")).toBeNull();
+    expect(verifyTotpCode(secret, undefined)).toBeNull();
+  });
+
+  it("buildOtpAuthUrl should include issuer, account and secret", () => {
+    const url = buildOtpAuthUrl({ secret: "ABC", accountName: "admin@school.com", issuer: "School Admin" });
+    expect(url).toBe(
+      "otpauth://totp/School%20Admin%3Aadmin%40school.com?secret=ABC&issuer=School+Admin&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
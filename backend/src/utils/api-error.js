@@ -1,7 +1,9 @@
 class ApiError extends Error {
-    constructor(statusCode, message) {
+    // detail follows the validateRequest shape: [{ path, message }]
+    constructor(statusCode, message, detail) {
         super(message);
         this.statusCode = statusCode;
+        this.detail = detail;
         Error.captureStackTrace(this, this.constructor);
     }
 };
@@ -0,0 +1,55 @@
+const DATA_SCOPES = ["all", "own_sections", "reportees", "self"];
+
+// Each scope limits rows to the users it reaches from the acting user. reviewer matches the
+// acting user, or also their delegators while they review on someone's behalf.
+const SCOPE_CONDITIONS = {
+    self: (column, user) => `${column} = ${user}`,
+    reportees: (column, user, reviewer) => `${column} IN (SELECT id FROM users WHERE reporter_id ${reviewer})`,
+    own_sections: (column, user, reviewer) => `${column} IN (
+        SELECT p.user_id
+        FROM user_profiles p
+        JOIN class_teachers ct ON ct.class_name = p.class_name AND ct.section_name = p.section_name
+        WHERE ct.teacher_id ${reviewer}
+    )`,
+};
+
+// Scopes from every role or grant that allows the route are combined, so one unrestricted
+// grant wins. Delegated grants also reach the delegators' reportees and sections.
+// null means unscoped.
+const resolveDataScope = (scopes, userId, delegatorIds = []) => {
+    if (scopes.length === 0 || scopes.includes("all")) {
+        return null;
+    }
+
+    return {
+        userId,
+        scopes: [...new Set(scopes)],
+        ...(delegatorIds.length > 0 && { delegatorIds: [...new Set(delegatorIds)] }),
+    };
+}
+
+// Returns an " AND (...)" clause limiting column (a user id) to the data scope and pushes the
+// acting user (and delegators) onto queryParams. Returns an empty string when unscoped.
+const buildDataScopeCondition = (dataScope, column, queryParams) => {
+    if (!dataScope) {
+        return "";
+    }
+
+    queryParams.push(dataScope.userId);
+    const user = `$${queryParams.length}`;
+    let reviewer = `= ${user}`;
+    // Only bound when a scope reads it, Postgres rejects parameters it cannot type
+    if (dataScope.delegatorIds && dataScope.scopes.some((scope) => scope !== "self")) {
+        queryParams.push([dataScope.userId, ...dataScope.delegatorIds]);
+        reviewer = `= ANY($${queryParams.length}::int[])`;
+    }
+
+    const conditions = dataScope.scopes.map((scope) => SCOPE_CONDITIONS[scope](column, user, reviewer));
+    return ` AND (${conditions.join(" OR ")})`;
+}
+
+module.exports = {
+    DATA_SCOPES,
+    resolveDataScope,
+    buildDataScopeCondition,
+};
@@ -0,0 +1,8 @@
+const getSessionMeta = (req) => {
+    return {
+        userAgent: req.get("user-agent") || null,
+        ipAddress: req.ip || null,
+    };
+}
+
+module.exports = { getSessionMeta };
@@ -13,7 +13,15 @@ const verifyPassword = async (passwordFromDb, passwordFromUser) => {
     }
 }
 
+const isPasswordMatch = async (passwordFromDb, passwordFromUser) => {
+    if (!passwordFromDb) {
+        return false;
+    }
+    return argon2.verify(passwordFromDb, passwordFromUser);
+}
+
 module.exports = {
     generateHashedPassword,
-    verifyPassword
+    verifyPassword,
+    isPasswordMatch
 };
\ No newline at end of file
@@ -4,9 +4,14 @@ const { processDBRequest } = require("./process-db-request");
 const { generateCsrfHmacHash, verifyCsrfToken } = require("./csrf-handle");
 const { isObjectEmpty } = require("./is-object-empty");
 const { getAccessItemHierarchy } = require("./get-access-item-hierarchy");
-const { generateHashedPassword, verifyPassword } = require("./handle-password");
+const { generateHashedPassword, verifyPassword, isPasswordMatch } = require("./handle-password");
 const { sendMail } = require("./send-email");
-const { sendAccountVerificationEmail } = require("./send-account-verification-email");
+const {
+    EMAIL_CHANGE_PURPOSE,
+    sendAccountVerificationEmail,
+    sendEmailChangeConfirmation,
+    sendEmailChangeNotice
+} = require("./send-account-verification-email");
 const { sendPasswordSetupEmail } = require("./send-password-setup-email");
 const {
     checkNoticeEditPermission,
@@ -16,6 +21,8 @@ const {
 } = require("./check-notice-permission");
 const { validateRequest } = require("./validate-request");
 const { formatMyPermission } = require("./format-my-permission");
+const { generateTotpSecret, generateTotpCode, verifyTotpCode, buildOtpAuthUrl } = require("./totp");
+const { getSessionMeta } = require("./get-session-meta");
 
 module.exports = {
     ApiError,
@@ -28,13 +35,22 @@ module.exports = {
     getAccessItemHierarchy,
     generateHashedPassword,
     sendMail,
+    EMAIL_CHANGE_PURPOSE,
     sendAccountVerificationEmail,
+    sendEmailChangeConfirmation,
+    sendEmailChangeNotice,
     sendPasswordSetupEmail,
     verifyPassword,
+    isPasswordMatch,
     checkNoticeEditPermission,
     checkNoticeApprovePermission,
     checkNoticeDeletePermission,
     checkNoticeRejectPermission,
     validateRequest,
-    formatMyPermission
+    formatMyPermission,
+    generateTotpSecret,
+    generateTotpCode,
+    verifyTotpCode,
+    buildOtpAuthUrl,
+    getSessionMeta,
 };
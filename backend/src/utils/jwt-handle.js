@@ -1,8 +1,11 @@
 const jwt = require("jsonwebtoken");
+const { v4: uuidV4 } = require("uuid");
 const { ApiError } = require("./api-error");
 
+// Every token gets its own id (jti): tokens issued within the same second stay unique
+// and a single access token can be revoked before it expires
 const generateToken = (payload, secret, time) => {
-    return jwt.sign(payload, secret, { expiresIn: time });
+    return jwt.sign(payload, secret, { expiresIn: time, jwtid: uuidV4() });
 }
 
 const verifyToken = (token, secret) => {
@@ -0,0 +1,76 @@
+const { z } = require("zod");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query fields of the paged lists, sortFields being the names a list can be sorted by
+const listQueryFields = (sortFields) => ({
+    page: z.coerce.number().int().positive().optional(),
+    limit: z.coerce.number().int().positive().max(MAX_PAGE_SIZE, `Limit must be at most ${MAX_PAGE_SIZE}`).optional(),
+    sortBy: z.enum(sortFields, { errorMap: () => ({ message: `Sort by one of ${sortFields.join(", ")}` }) }).optional(),
+    sortOrder: z.enum(["asc", "desc"]).optional(),
+    search: z.string().max(100, "Search must be at most 100 characters").optional(),
+});
+
+// A list is paged once page or limit is given. Without either every row is returned, as the
+// dropdowns listing all staff expect.
+const getPagination = ({ page, limit }) => {
+    if (page === undefined && limit === undefined) {
+        return null;
+    }
+
+    const pageNumber = Math.max(Number(page) || 1, 1);
+    const pageSize = Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    return { page: pageNumber, limit: pageSize, offset: (pageNumber - 1) * pageSize };
+}
+
+// Matches the text anywhere in a column with ILIKE, wildcards in the text taken literally
+const toContainsPattern = (text) => `%${String(text).trim().replace(/[\\%_]/g, "\\$&")}%`;
+
+// Case-insensitive partial match on every column plus trigram word similarity on the name
+// columns, so "ram" finds "Ramesh Kumar" and "Ramesh Kumr" still finds him
+const buildSearchCondition = (search, { columns, fuzzyColumns }, queryParams) => {
+    const text = (search || "").trim();
+    if (!text) {
+        return "";
+    }
+
+    queryParams.push(toContainsPattern(text));
+    const pattern = `$${queryParams.length}`;
+    queryParams.push(text);
+    const term = `$${queryParams.length}`;
+
+    const conditions = [
+        ...columns.map((column) => `${column} ILIKE ${pattern}`),
+        ...fuzzyColumns.map((column) => `${term} <% ${column}`),
+    ];
+    return ` AND (${conditions.join(" OR ")})`;
+}
+
+// sortColumns maps the whitelisted sort fields to SQL. The id breaks ties, so rows keep
+// their place from one page to the next.
+const buildOrderBy = ({ sortBy, sortOrder }, sortColumns, idColumn) => {
+    const direction = sortOrder === "desc" ? "DESC" : "ASC";
+    const column = Object.hasOwn(sortColumns, String(sortBy)) ? sortColumns[sortBy] : null;
+    return column && column !== idColumn
+        ? ` ORDER BY ${column} ${direction} NULLS LAST, ${idColumn} ${direction}`
+        : ` ORDER BY ${idColumn} ${direction}`;
+}
+
+const buildLimitOffset = (pagination, queryParams) => {
+    if (!pagination) {
+        return "";
+    }
+
+    queryParams.push(pagination.limit, pagination.offset);
+    return ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
+}
+
+module.exports = {
+    listQueryFields,
+    getPagination,
+    toContainsPattern,
+    buildSearchCondition,
+    buildOrderBy,
+    buildLimitOffset,
+};
@@ -0,0 +1,49 @@
+// Small in-process cache: least recently used entries are evicted once maxSize is
+// reached and every entry expires after ttlInMs so other instances' writes are picked up.
+const createLruCache = ({ maxSize, ttlInMs, now = () => Date.now() }) => {
+    const entries = new Map();
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        entries.delete(key);
+        if (entry.expiresAt <= now()) {
+            return undefined;
+        }
+
+        // Re-inserting moves the key to the most recently used end of the Map
+        entries.set(key, entry);
+        return entry.value;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: now() + ttlInMs });
+        while (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    const remove = (key) => {
+        entries.delete(key);
+    };
+
+    const clear = () => {
+        entries.clear();
+    };
+
+    return {
+        get,
+        set,
+        delete: remove,
+        clear,
+        get size() {
+            return entries.size;
+        },
+    };
+}
+
+module.exports = { createLruCache };
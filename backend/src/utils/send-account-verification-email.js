@@ -1,7 +1,13 @@
 const { env } = require("../config");
 const { generateToken } = require("./jwt-handle");
 const { sendMail } = require("./send-email");
-const { emailVerificationTemplate } = require("../templates");
+const {
+  emailVerificationTemplate,
+  emailChangeConfirmTemplate,
+  emailChangeNoticeTemplate,
+} = require("../templates");
+
+const EMAIL_CHANGE_PURPOSE = "email_change";
 
 const sendAccountVerificationEmail = async ({ userId, userEmail }) => {
   const pwdToken = generateToken(
@@ -19,4 +25,41 @@ const sendAccountVerificationEmail = async ({ userId, userEmail }) => {
   await sendMail(mailOptions);
 };
 
-module.exports = { sendAccountVerificationEmail };
+// The pending address is embedded so the link only confirms the change it was sent for
+const sendEmailChangeConfirmation = async ({ userId, newEmail }) => {
+  const token = generateToken(
+    { id: userId, email: newEmail, purpose: EMAIL_CHANGE_PURPOSE },
+    env.EMAIL_VERIFICATION_TOKEN_SECRET,
+    env.EMAIL_VERIFICATION_TOKEN_TIME_IN_MS
+  );
+  const link = `${env.API_URL}/api/v1/auth/confirm-email/${token}`;
+  const mailOptions = {
+    from: env.MAIL_FROM_USER,
+    to: newEmail,
+    subject: "Confirm new email address",
+    html: emailChangeConfirmTemplate(link),
+  };
+  await sendMail(mailOptions);
+};
+
+const maskEmail = (email) => {
+  const [name, domain] = email.split("@");
+  return `${name.slice(0, 2)}***@${domain}`;
+};
+
+const sendEmailChangeNotice = async ({ currentEmail, newEmail }) => {
+  const mailOptions = {
+    from: env.MAIL_FROM_USER,
+    to: currentEmail,
+    subject: "Email address change requested",
+    html: emailChangeNoticeTemplate(maskEmail(newEmail)),
+  };
+  await sendMail(mailOptions);
+};
+
+module.exports = {
+  EMAIL_CHANGE_PURPOSE,
+  sendAccountVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+};
@@ -3,9 +3,10 @@ const { generateToken } = require("./jwt-handle");
 const { sendMail } = require("./send-email");
 const { pwdSetupTemplate } = require("../templates");
 
-const sendPasswordSetupEmail = async ({ userId, userEmail }) => {
+// The password version is embedded so the link stops working once the password changes
+const sendPasswordSetupEmail = async ({ userId, userEmail, passwordVersion }) => {
   const pwdToken = generateToken(
-    { id: userId },
+    { id: userId, pwd_version: passwordVersion },
     env.PASSWORD_SETUP_TOKEN_SECRET,
     env.PASSWORD_SETUP_TOKEN_TIME_IN_MS
   );
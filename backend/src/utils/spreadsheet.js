@@ -0,0 +1,194 @@
+const zlib = require("zlib");
+
+// Uploaded sheets are unpacked in memory, so a compressed file cannot expand past this
+const MAX_XLSX_PART_SIZE = 50 * 1024 * 1024;
+
+const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let isQuoted = false;
+
+    const input = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (isQuoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            isQuoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Just enough of the zip format to read the parts of an .xlsx file
+const openZip = (buffer) => {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error("The file is not a valid XLSX file");
+    }
+
+    const entries = new Map();
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error("The file is not a valid XLSX file");
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        entries.set(buffer.toString("utf8", offset + 46, offset + 46 + nameLength), {
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localOffset: buffer.readUInt32LE(offset + 42),
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    return (name) => {
+        const entry = entries.get(name);
+        if (!entry) {
+            return null;
+        }
+
+        const { method, compressedSize, localOffset } = entry;
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+        if (method === 0) {
+            return data.toString("utf8");
+        }
+        if (method === 8) {
+            return zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_PART_SIZE }).toString("utf8");
+        }
+        throw new Error("The XLSX file uses an unsupported compression method");
+    };
+}
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (entity[0] !== "#") {
+        return named[entity.toLowerCase()];
+    }
+    return String.fromCodePoint(entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+});
+
+const getAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// Rich text is split into runs, phonetic hints are not part of the value
+const readText = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+    .map(([, text]) => decodeXml(text))
+    .join("");
+
+const columnIndex = (reference) => [...reference.replace(/\d+$/, "")]
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const findFirstSheetPath = (readPart) => {
+    const workbook = readPart("xl/workbook.xml") || "";
+    const relationships = readPart("xl/_rels/workbook.xml.rels") || "";
+    const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+    const relationshipId = sheet && getAttribute(sheet[1], "r:id");
+
+    for (const [, attributes] of relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+        if (getAttribute(attributes, "Id") === relationshipId) {
+            const target = getAttribute(attributes, "Target");
+            return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+        }
+    }
+    return "xl/worksheets/sheet1.xml";
+}
+
+// Returns the first worksheet as rows of text cells, rows[0] being spreadsheet row 1.
+// Numbers come back as written in the file, dates as their serial day number.
+const parseXlsx = (buffer) => {
+    const readPart = openZip(buffer);
+    const sheet = readPart(findFirstSheetPath(readPart));
+    if (!sheet) {
+        throw new Error("The XLSX file has no worksheet");
+    }
+
+    const sharedStrings = [...(readPart("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(([, item]) => readText(item));
+
+    const rows = [];
+    for (const [, rowAttributes, rowXml] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        for (const [, attributes, cellXml = ""] of (rowXml || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const type = getAttribute(attributes, "t");
+            const reference = getAttribute(attributes, "r");
+            const rawValue = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+            let value;
+            if (type === "s") {
+                value = sharedStrings[Number(rawValue)] ?? "";
+            } else if (type === "inlineStr") {
+                value = readText(cellXml);
+            } else if (type === "b") {
+                value = rawValue === "1" ? "TRUE" : "FALSE";
+            } else {
+                value = rawValue === undefined ? "" : decodeXml(rawValue);
+            }
+            row[reference ? columnIndex(reference) : row.length] = value;
+        }
+
+        const rowNumber = Number(getAttribute(rowAttributes, "r")) || rows.length + 1;
+        rows[rowNumber - 1] = Array.from(row, (value) => value ?? "");
+    }
+
+    return Array.from(rows, (row) => row || []);
+}
+
+// Zip files, and so .xlsx, start with "PK"
+const parseSpreadsheet = (buffer) => {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        return parseXlsx(buffer);
+    }
+    return parseCsv(buffer.toString("utf8"));
+}
+
+// Excel stores dates as days since 1899-12-30
+const fromExcelDate = (serial) => {
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(Number(serial) * 86400000));
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    XLSX_CONTENT_TYPE,
+    parseCsv,
+    parseXlsx,
+    parseSpreadsheet,
+    fromExcelDate,
+};
@@ -0,0 +1,419 @@
+const zlib = require("zlib");
+const { XLSX_CONTENT_TYPE } = require("./spreadsheet");
+
+// Writers take a columns list of { key, header, width, type } and rows as plain objects.
+// writeRows() resolves once the output can take more, so callers can stream large exports
+// batch by batch without buffering the whole file.
+
+// Resolves once the output can take more data, or has been closed by the client
+const whenWritable = (output) => {
+    if (!output.writableNeedDrain || output.destroyed) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+        const done = () => {
+            output.off("drain", done);
+            output.off("close", done);
+            resolve();
+        };
+        output.on("drain", done);
+        output.on("close", done);
+    });
+}
+
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    let text = value instanceof Date
+        ? value.toISOString()
+        : typeof value === "object" ? JSON.stringify(value) : String(value);
+    // Stop spreadsheet apps from evaluating user supplied values as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const createCsvWriter = (output, columns) => {
+    const toLine = (values) => values.map(toCsvValue).join(",") + "\r\n";
+    // The byte order mark makes Excel read the file as UTF-8
+    output.write("\uFEFF" + toLine(columns.map(({ header }) => header)));
+
+    return {
+        writeRows: async (rows) => {
+            output.write(rows.map((row) => toLine(columns.map(({ key }) => row[key]))).join(""));
+            await whenWritable(output);
+        },
+        end: async () => {
+            output.end();
+        },
+    };
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const columnName = (index) => {
+    let name = "";
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIP_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+const XLSX_PARTS = {
+    "[Content_Types].xml": XML_HEADER
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + "</Types>",
+    "_rels/.rels": XML_HEADER
+        + `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + "</Relationships>",
+    "xl/_rels/workbook.xml.rels": XML_HEADER
+        + `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`
+        + "</Relationships>",
+    // Style 1 is the bold header row
+    "xl/styles.xml": XML_HEADER
+        + `<styleSheet xmlns="${SPREADSHEET_NS}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + "</styleSheet>",
+};
+
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// zlib.crc32 only exists from Node 20.15 and 22.2, the Docker image runs Node 18
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+// Continues from a previous value, so a stream can be checksummed chunk by chunk
+const crc32 = (data, previous = 0) => {
+    let crc = ~previous;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+// Writes a zip archive entry by entry. The last entry may be streamed, its sizes and CRC
+// then follow the data in a data descriptor.
+const createZipWriter = (output) => {
+    const entries = [];
+    const modified = toDosDateTime(new Date());
+    let position = 0;
+
+    const write = (buffer) => {
+        position += buffer.length;
+        output.write(buffer);
+    };
+
+    const writeLocalHeader = (entry) => {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(entry.flags, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(modified.time, 10);
+        header.writeUInt16LE(modified.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(entry.name.length, 26);
+        entry.offset = position;
+        entries.push(entry);
+        write(Buffer.concat([header, entry.name]));
+    };
+
+    const addFile = (name, content) => {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        writeLocalHeader({
+            name: Buffer.from(name),
+            flags: 0,
+            crc: crc32(data),
+            compressedSize: compressed.length,
+            size: data.length,
+        });
+        write(compressed);
+    };
+
+    const startStream = (name) => {
+        const entry = { name: Buffer.from(name), flags: 0x08, crc: 0, compressedSize: 0, size: 0 };
+        writeLocalHeader(entry);
+
+        const deflate = zlib.createDeflateRaw();
+        deflate.on("data", (chunk) => {
+            entry.compressedSize += chunk.length;
+            write(chunk);
+        });
+
+        return {
+            write: (content) => {
+                const data = Buffer.from(content);
+                entry.crc = crc32(data, entry.crc);
+                entry.size += data.length;
+                return new Promise((resolve, reject) => deflate.write(data, (error) => (error ? reject(error) : resolve())));
+            },
+            end: async () => {
+                const ended = new Promise((resolve, reject) => {
+                    deflate.on("end", resolve);
+                    deflate.on("error", reject);
+                });
+                deflate.end();
+                await ended;
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                write(descriptor);
+            },
+        };
+    };
+
+    const end = () => {
+        const start = position;
+        entries.forEach((entry) => {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(entry.flags, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(modified.time, 12);
+            header.writeUInt16LE(modified.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            write(Buffer.concat([header, entry.name]));
+        });
+
+        const footer = Buffer.alloc(22);
+        footer.writeUInt32LE(0x06054b50, 0);
+        footer.writeUInt16LE(entries.length, 8);
+        footer.writeUInt16LE(entries.length, 10);
+        footer.writeUInt32LE(position - start, 12);
+        footer.writeUInt32LE(start, 16);
+        write(footer);
+        output.end();
+    };
+
+    return { addFile, startStream, end };
+}
+
+// One worksheet with inline strings, so rows can be written as they arrive
+const createXlsxWriter = (output, columns, title) => {
+    const zip = createZipWriter(output);
+    const sheetName = escapeXml(String(title).replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+    Object.entries(XLSX_PARTS).forEach(([name, content]) => zip.addFile(name, content));
+    zip.addFile(
+        "xl/workbook.xml",
+        `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">`
+            + `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    );
+
+    const sheet = zip.startStream("xl/worksheets/sheet1.xml");
+    let rowNumber = 0;
+    const toRow = (values, style) => {
+        rowNumber++;
+        const cells = values.map((value, index) => {
+            const reference = `${columnName(index)}${rowNumber}`;
+            if (value === null || value === undefined || value === "") {
+                return "";
+            }
+            if (columns[index].type === "number" && style === undefined && Number.isFinite(Number(value))) {
+                return `<c r="${reference}"><v>${Number(value)}</v></c>`;
+            }
+            const styleAttribute = style === undefined ? "" : ` s="${style}"`;
+            return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${rowNumber}">${cells.join("")}</row>`;
+    };
+
+    const columnWidths = columns
+        .map(({ width = 12 }, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`)
+        .join("");
+    const start = sheet.write(
+        `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}">`
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<cols>${columnWidths}</cols><sheetData>`
+            + toRow(columns.map(({ header }) => header), 1)
+    );
+
+    return {
+        writeRows: async (rows) => {
+            await start;
+            await sheet.write(rows.map((row) => toRow(columns.map(({ key }) => row[key]))).join(""));
+            await whenWritable(output);
+        },
+        end: async () => {
+            await start;
+            await sheet.write("</sheetData></worksheet>");
+            await sheet.end();
+            zip.end();
+        },
+    };
+}
+
+const PDF_PAGE_WIDTH = 842;
+const PDF_PAGE_HEIGHT = 595;
+const PDF_MARGIN = 36;
+const PDF_FONT_SIZE = 8;
+const PDF_ROW_HEIGHT = 14;
+const PDF_TITLE_HEIGHT = 28;
+const PDF_ROWS_PER_PAGE = Math.floor(
+    (PDF_PAGE_HEIGHT - 2 * PDF_MARGIN - PDF_TITLE_HEIGHT - PDF_ROW_HEIGHT) / PDF_ROW_HEIGHT
+);
+
+// The standard fonts only cover WinAnsi, other characters are printed as "?"
+const toPdfText = (value) => String(value ?? "")
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+// Helvetica glyphs average about half the font size, a little more for capitals
+const fitText = (value, width) => {
+    const text = String(value ?? "");
+    const maxLength = Math.floor((width - 4) / (PDF_FONT_SIZE * 0.55));
+    return text.length > maxLength ? `${text.slice(0, Math.max(maxLength - 3, 1))}...` : text;
+}
+
+// Landscape A4 table with the header repeated on every page. Pages are written as they
+// fill, the page tree object goes last, its number being reserved up front.
+const createPdfWriter = (output, columns, title) => {
+    const offsets = [];
+    const pageIds = [];
+    let position = 0;
+    let nextId = 5;
+    let pageRows = [];
+
+    const write = (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "latin1");
+        position += buffer.length;
+        output.write(buffer);
+    };
+    const writeObject = (id, body) => {
+        offsets[id] = position;
+        write(Buffer.concat([Buffer.from(`${id} 0 obj\n`), Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"), Buffer.from("\nendobj\n")]));
+    };
+
+    const usableWidth = PDF_PAGE_WIDTH - 2 * PDF_MARGIN;
+    const totalWeight = columns.reduce((total, { width = 12 }) => total + width, 0);
+    let x = PDF_MARGIN;
+    const layout = columns.map(({ width = 12 }) => {
+        const column = { x, width: (width / totalWeight) * usableWidth };
+        x += column.width;
+        return column;
+    });
+
+    const drawRow = (values, y, font) => values
+        .map((value, index) => `BT /${font} ${PDF_FONT_SIZE} Tf ${layout[index].x.toFixed(1)} ${y} Td (${toPdfText(fitText(value, layout[index].width))}) Tj ET`)
+        .join("\n");
+
+    const writePage = () => {
+        const pageNumber = pageIds.length + 1;
+        const top = PDF_PAGE_HEIGHT - PDF_MARGIN;
+        const headerY = top - PDF_TITLE_HEIGHT;
+        const lines = [
+            `BT /F2 12 Tf ${PDF_MARGIN} ${top - 12} Td (${toPdfText(title)}) Tj ET`,
+            drawRow(columns.map(({ header }) => header), headerY, "F2"),
+            `0.5 w ${PDF_MARGIN} ${headerY - 4} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${headerY - 4} l S`,
+            ...pageRows.map((values, index) => drawRow(values, headerY - (index + 1) * PDF_ROW_HEIGHT, "F1")),
+            `BT /F1 ${PDF_FONT_SIZE} Tf ${PDF_PAGE_WIDTH - PDF_MARGIN - 40} ${PDF_MARGIN - 16} Td (Page ${pageNumber}) Tj ET`,
+        ];
+        const content = zlib.deflateSync(Buffer.from(lines.join("\n"), "latin1"));
+
+        const contentId = nextId++;
+        const pageId = nextId++;
+        writeObject(contentId, Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+            content,
+            Buffer.from("\nendstream"),
+        ]));
+        writeObject(
+            pageId,
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] `
+                + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+        pageIds.push(pageId);
+        pageRows = [];
+    };
+
+    write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+    writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+    writeObject(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    writeObject(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    return {
+        writeRows: async (rows) => {
+            rows.forEach((row) => {
+                pageRows.push(columns.map(({ key }) => row[key]));
+                if (pageRows.length === PDF_ROWS_PER_PAGE) {
+                    writePage();
+                }
+            });
+            await whenWritable(output);
+        },
+        end: async () => {
+            if (pageRows.length > 0 || pageIds.length === 0) {
+                writePage();
+            }
+            writeObject(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`);
+
+            const xrefOffset = position;
+            const entries = offsets.slice(1).map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`);
+            write(
+                `xref\n0 ${nextId}\n0000000000 65535 f \n${entries.join("")}`
+                    + `trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+            );
+            output.end();
+        },
+    };
+}
+
+const TABLE_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", create: createCsvWriter },
+    xlsx: { contentType: XLSX_CONTENT_TYPE, create: createXlsxWriter },
+    pdf: { contentType: "application/pdf", create: createPdfWriter },
+};
+
+const createTableWriter = (format, output, { columns, title }) => TABLE_FORMATS[format].create(output, columns, title);
+
+module.exports = {
+    TABLE_FORMATS,
+    createTableWriter,
+    toCsvValue,
+};
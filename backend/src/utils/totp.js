@@ -0,0 +1,114 @@
+const { createHmac, randomBytes } = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD_IN_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+const base32Decode = (input) => {
+    const cleanInput = input.replace(/[\s=]/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleanInput) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+const generateTotpSecret = () => {
+    return base32Encode(randomBytes(20));
+}
+
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_IN_SECONDS);
+}
+
+const generateHotpCode = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return binary.toString().padStart(TOTP_DIGITS, "0");
+}
+
+const generateTotpCode = (secret, timestamp = Date.now()) => {
+    return generateHotpCode(secret, getTimeStep(timestamp));
+}
+
+// Returns the matched time step so callers can reject a code that was already used,
+// or null when the code does not match any step inside the allowed drift window.
+const verifyTotpCode = (secret, code, { window = 1, lastUsedStep = null, timestamp = Date.now() } = {}) => {
+    if (typeof code !== "string" || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp);
+    for (let drift = -window; drift <= window; drift++) {
+        const step = currentStep + drift;
+        if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+            continue;
+        }
+        if (generateHotpCode(secret, step) === code) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_IN_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotpCode,
+    verifyTotpCode,
+    buildOtpAuthUrl,
+};
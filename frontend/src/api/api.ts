@@ -22,6 +22,9 @@ const baseQuery = fetchBaseQuery({
   credentials: 'include'
 });
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise: Promise<Awaited<ReturnType<typeof baseQuery>>> | null = null;
+
 const baseQueryWithReauth: BaseQueryFn<string | FetchArgs, unknown, FetchBaseQueryError> = async (
   args,
   api,
@@ -29,7 +32,14 @@ const baseQueryWithReauth: BaseQueryFn<string | FetchArgs, unknown, FetchBaseQue
 ) => {
   let result = await baseQuery(args, api, extraOptions);
   if (result.error && result.error.status === 401) {
-    const refreshResult = await baseQuery('/auth/refresh', api, extraOptions);
+    if (!refreshPromise) {
+      refreshPromise = Promise.resolve(baseQuery('/auth/refresh', api, extraOptions)).finally(
+        () => {
+          refreshPromise = null;
+        }
+      );
+    }
+    const refreshResult = await refreshPromise;
     if (refreshResult.data) {
       result = await baseQuery(args, api, extraOptions);
     } else {
@@ -20,5 +20,9 @@ export enum Tag {
   ROLE_PERMISSIONS = 'RolePermissions',
   SECTIONS = 'Sections',
   DEPARTMENTS = 'Departments',
-  PENDING_NOTICES = 'PendingNotices'
+  PENDING_NOTICES = 'PendingNotices',
+  TWO_FACTOR_STATUS = 'TwoFactorStatus',
+  SESSIONS = 'Sessions',
+  PASSWORD_POLICY = 'PasswordPolicy',
+  ACCESS_REQUESTS = 'AccessRequests'
 }
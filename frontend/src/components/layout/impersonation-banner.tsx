@@ -0,0 +1,59 @@
+import * as React from 'react';
+import { Alert, AlertTitle, Button } from '@mui/material';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+
+import { getImpersonator, getUserEmail, getUserName } from '@/domains/auth/slice';
+import { useImpersonation } from '@/hooks';
+import { DATE_TIME_FORMAT, getFormattedDate } from '@/utils/helpers/date';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+
+export const ImpersonationBanner = () => {
+  const impersonator = useSelector(getImpersonator);
+  const userName = useSelector(getUserName);
+  const userEmail = useSelector(getUserEmail);
+  const { endImpersonation, isStopping } = useImpersonation();
+
+  const handleStop = React.useCallback(async () => {
+    try {
+      await endImpersonation();
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  }, [endImpersonation]);
+
+  // The impersonation token is time-boxed, so switch back to the admin once it runs out
+  const expiresAt = impersonator?.expiresAt;
+  React.useEffect(() => {
+    if (!expiresAt) {
+      return;
+    }
+    const timeout = window.setTimeout(handleStop, Math.max(Date.parse(expiresAt) - Date.now(), 0));
+    return () => window.clearTimeout(timeout);
+  }, [expiresAt, handleStop]);
+
+  if (!impersonator) {
+    return null;
+  }
+
+  return (
+    <Alert
+      severity='warning'
+      sx={{ mb: 2 }}
+      action={
+        <Button color='inherit' size='small' disabled={isStopping} onClick={handleStop}>
+          Stop
+        </Button>
+      }
+    >
+      <AlertTitle>
+        Logged in as {userName} ({userEmail})
+      </AlertTitle>
+      {impersonator.name} is viewing the app as this user until{' '}
+      {getFormattedDate(impersonator.expiresAt, DATE_TIME_FORMAT)}. Password and two-factor changes
+      are disabled.
+    </Alert>
+  );
+};
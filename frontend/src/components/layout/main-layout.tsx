@@ -4,6 +4,7 @@ import { LocalizationProvider } from '@mui/x-date-pickers';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFnsV3';
 import { AppBarLayout } from './app-bar-layout';
 import { DrawerContent } from './drawer-content';
+import { ImpersonationBanner } from './impersonation-banner';
 
 const drawerWidth = 280;
 
@@ -81,6 +82,7 @@ export const MainLayout = ({ children }: { children: React.ReactNode }) => {
         }}
       >
         <Toolbar />
+        <ImpersonationBanner />
         <LocalizationProvider dateAdapter={AdapterDateFns}>{children}</LocalizationProvider>
       </Box>
     </Box>
@@ -1,9 +1,78 @@
-import { Box } from '@mui/material';
+import * as React from 'react';
+import { useLocation } from 'react-router-dom';
+import { Box, Button, TextField } from '@mui/material';
+import { toast } from 'react-toastify';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import { DialogModal } from '@/components/dialog-modal';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { useRequestAccessMutation } from '@/domains/role-and-permission/api';
+
+// checkApiAccess ends its 403 message with the denied request, e.g. "... - GET /api/v1/students"
+const deniedRequestPattern = / - (GET|POST|PUT|PATCH|DELETE) (\/\S+)$/;
+
+type PermissionErrorLayoutProps = {
+  error: string;
+  canRequestAccess?: boolean;
+};
+
+export const PermissionErrorLayout = ({
+  error,
+  canRequestAccess = false
+}: PermissionErrorLayoutProps) => {
+  const location = useLocation();
+  const [isRequesting, setIsRequesting] = React.useState(false);
+  const [note, setNote] = React.useState('');
+  const [requestAccess, { isLoading: isSaving }] = useRequestAccessMutation();
+
+  const closeModal = () => {
+    setIsRequesting(false);
+    setNote('');
+  };
+
+  const handleSave = async () => {
+    const [, method = null, path = location.pathname] = error.match(deniedRequestPattern) ?? [];
+    try {
+      const result = await requestAccess({ path, method, message: error, note }).unwrap();
+      toast.info(result.message);
+      closeModal();
+    } catch (requestError) {
+      toast.error(getErrorMsg(requestError as FetchBaseQueryError | SerializedError).message);
+    }
+  };
 
-export const PermissionErrorLayout = ({ error }: { error: string }) => {
   return (
     <Box sx={{ textAlign: 'center' }}>
       <h3>{error}</h3>
+      {canRequestAccess && (
+        <Button size='small' variant='outlined' onClick={() => setIsRequesting(true)}>
+          Request Access
+        </Button>
+      )}
+
+      {isRequesting && (
+        <DialogModal
+          isSaving={isSaving}
+          isOpen={true}
+          titleText='Request Access'
+          actionFooterSaveText='Send'
+          closeModal={closeModal}
+          handleSave={handleSave}
+        >
+          <p>The administrator will see this error together with your note.</p>
+          <TextField
+            label='Note'
+            value={note}
+            onChange={(event) => setNote(event.target.value)}
+            multiline
+            minRows={3}
+            fullWidth
+            size='small'
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogModal>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,24 @@
+import { Box, Typography } from '@mui/material';
+
+type EnrollmentQrCodeProps = {
+  qrCode: string;
+  secret: string;
+};
+
+export const EnrollmentQrCode = ({ qrCode, secret }: EnrollmentQrCodeProps) => {
+  return (
+    <Box sx={{ textAlign: 'center' }}>
+      <Typography variant='body2' color='text.secondary'>
+        Scan this QR code with an authenticator app such as Google Authenticator, Microsoft
+        Authenticator or Authy, then enter the 6-digit code it shows.
+      </Typography>
+      <Box component='img' src={qrCode} alt='Two-factor QR code' sx={{ width: 180, my: 1 }} />
+      <Typography variant='caption' component='div' color='text.secondary'>
+        Can't scan? Enter this key manually:
+      </Typography>
+      <Typography variant='body2' sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+        {secret}
+      </Typography>
+    </Box>
+  );
+};
@@ -0,0 +1,2 @@
+export * from './enrollment-qr-code';
+export * from './recovery-codes';
@@ -0,0 +1,38 @@
+import { Alert, Box, Button, Grid2, Typography } from '@mui/material';
+import { toast } from 'react-toastify';
+
+type RecoveryCodesProps = {
+  codes: string[];
+};
+
+export const RecoveryCodes = ({ codes }: RecoveryCodesProps) => {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.info('Recovery codes copied');
+    } catch {
+      toast.error('Unable to copy recovery codes');
+    }
+  };
+
+  return (
+    <Box>
+      <Alert severity='warning' sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each code can be used once to sign in if you lose
+        access to your authenticator app. They will not be shown again.
+      </Alert>
+      <Grid2 container spacing={1}>
+        {codes.map((code) => (
+          <Grid2 key={code} size={6}>
+            <Typography variant='body2' sx={{ fontFamily: 'monospace' }}>
+              {code}
+            </Typography>
+          </Grid2>
+        ))}
+      </Grid2>
+      <Button type='button' size='small' variant='outlined' sx={{ mt: 2 }} onClick={copyCodes}>
+        Copy Codes
+      </Button>
+    </Box>
+  );
+};
@@ -1,9 +1,12 @@
+import { ServerTableOptions } from '@/hooks/use-server-table';
+
 export type UserAccountBasicDataProps = {
   users: UserAccountBasicProps[];
   isLoading: boolean;
   isError: boolean;
   error?: string;
   userType: 'staff' | 'student';
+  serverTable?: ServerTableOptions;
 };
 
 export type UserAccountBasicProps = {
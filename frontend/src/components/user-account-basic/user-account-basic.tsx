@@ -1,7 +1,19 @@
 import * as React from 'react';
 import { Box, ListItemIcon, ListItemText, MenuItem, Paper, Typography } from '@mui/material';
-import { Block, CheckCircle, Edit, Email, Key, LockReset, Visibility } from '@mui/icons-material';
+import {
+  Block,
+  CheckCircle,
+  Edit,
+  Email,
+  Key,
+  LockOpen,
+  LockReset,
+  Logout,
+  SupervisorAccount,
+  Visibility
+} from '@mui/icons-material';
 import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import { toast } from 'react-toastify';
 import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
 import { SerializedError } from '@reduxjs/toolkit';
@@ -11,8 +23,9 @@ import { DialogModal } from '@/components/dialog-modal';
 import { DATE_TIME_24_HR_FORMAT, getFormattedDate } from '@/utils/helpers/date';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { UserAccountBasicDataProps, UserAccountBasicProps } from './user-account-basic-type';
-import { useHandleMenuAction } from '../../hooks';
+import { useHandleMenuAction, useImpersonation } from '../../hooks';
 import { menuItemTexts } from '@/constants';
+import { getImpersonator, getUserRole } from '@/domains/auth/slice';
 
 type State = {
   isSaving: boolean;
@@ -34,17 +47,21 @@ const initialState = {
 export const UserAccountBasic = ({ data }: { data: UserAccountBasicDataProps }) => {
   const [state, setState] = React.useState<State>(initialState);
   const { handleAction } = useHandleMenuAction();
-  const { users, userType, isLoading, isError, error } = data;
+  const { startImpersonation } = useImpersonation();
+  const currentUserRole = useSelector(getUserRole);
+  const impersonator = useSelector(getImpersonator);
+  const { users, userType, isLoading, isError, error, serverTable } = data;
 
   const columns: MRT_ColumnDef<UserAccountBasicProps>[] = React.useMemo(
     () => [
       { accessorKey: 'id', header: 'ID' },
       { accessorKey: 'name', header: 'Name' },
       { accessorKey: 'email', header: 'Email' },
-      { accessorKey: 'role', header: 'Role' },
+      { accessorKey: 'role', header: 'Role', enableSorting: userType === 'staff' },
       {
         accessorKey: 'systemAccess',
         header: 'System Access',
+        enableSorting: false,
         Cell: ({ cell }) => <>{cell.getValue<boolean>().toString()}</>
       },
       {
@@ -53,7 +70,7 @@ export const UserAccountBasic = ({ data }: { data: UserAccountBasicDataProps })
         Cell: ({ cell }) => <>{getFormattedDate(cell.getValue<string>(), DATE_TIME_24_HR_FORMAT)}</>
       }
     ],
-    []
+    [userType]
   );
   const onMenuItemClick = (menuAction: string, userId: number) => {
     const modalTitle = menuItemTexts[menuAction] || '';
@@ -74,6 +91,12 @@ export const UserAccountBasic = ({ data }: { data: UserAccountBasicDataProps })
     try {
       setState((prevState) => ({ ...prevState, isSaving: !prevState.isSaving }));
       const { userId, menuAction } = state;
+      if (menuAction === 'IMPERSONATE_USER') {
+        const user = await startImpersonation(userId);
+        toast.info(`You are now using the app as ${user.name}`);
+        toggleModal();
+        return;
+      }
       const result = await handleAction(menuAction, userId);
       toast.info(result?.message);
       toggleModal();
@@ -109,14 +132,50 @@ export const UserAccountBasic = ({ data }: { data: UserAccountBasicDataProps })
       action: 'RESET_USER_PWD',
       icon: <LockReset />,
       text: 'Reset Password'
-    }
+    },
+    {
+      action: 'FORCE_LOGOUT_USER',
+      icon: <Logout />,
+      text: 'Force Logout'
+    },
+    {
+      action: 'UNLOCK_USER_ACCOUNT',
+      icon: <LockOpen />,
+      text: 'Unlock Account'
+    },
+    ...(currentUserRole === 'admin' && !impersonator
+      ? [
+          {
+            action: 'IMPERSONATE_USER',
+            icon: <SupervisorAccount />,
+            text: 'Log In As User'
+          }
+        ]
+      : [])
   ];
   const table = useMaterialReactTable({
     data: isError ? [] : users || [],
     columns,
+    // The server pages, sorts and searches when the list comes in pages
+    ...(serverTable && {
+      manualPagination: true,
+      manualSorting: true,
+      manualFiltering: true,
+      enableColumnFilters: false,
+      enableMultiSort: false,
+      rowCount: serverTable.rowCount,
+      onPaginationChange: serverTable.onPaginationChange,
+      onSortingChange: serverTable.onSortingChange,
+      onGlobalFilterChange: serverTable.onGlobalFilterChange
+    }),
     state: {
       isLoading,
-      density: 'compact'
+      density: 'compact',
+      ...(serverTable && {
+        pagination: serverTable.pagination,
+        sorting: serverTable.sorting,
+        globalFilter: serverTable.globalFilter
+      })
     },
     enableDensityToggle: false,
     getRowId: (row) => row?.id?.toString(),
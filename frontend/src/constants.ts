@@ -26,6 +26,9 @@ export const menuItemTexts: Record<string, string> = {
   RESEND_VERIFICATION_EMAIL_TO_USER: 'Resend Verification Email',
   RESEND_PWD_LINK_EMAIL_TO_USER: 'Resend Password Setup Link',
   RESET_USER_PWD: 'Reset User Password',
+  FORCE_LOGOUT_USER: 'Log Out User From All Devices',
+  UNLOCK_USER_ACCOUNT: 'Unlock User Account',
+  IMPERSONATE_USER: 'Log In As This User',
   APPROVE_NOTICE: 'Approve Notice',
   REJECT_NOTICE: 'Reject Notice',
   DELETE_NOTICE: 'Delete Notice',
@@ -0,0 +1,148 @@
+import * as React from 'react';
+import { Box, Button, Chip, Paper, Typography } from '@mui/material';
+import { LoadingButton } from '@mui/lab';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+import { MaterialReactTable, MRT_ColumnDef, useMaterialReactTable } from 'material-react-table';
+
+import { DialogModal } from '@/components/dialog-modal';
+import { DATE_TIME_FORMAT, getFormattedDate } from '@/utils/helpers/date';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import {
+  useGetSessionsQuery,
+  useRevokeAllSessionsMutation,
+  useRevokeSessionMutation
+} from '@/domains/auth/api';
+import { resetUser } from '@/domains/auth/slice';
+import { Session } from '@/domains/auth/types';
+
+export const ActiveSessions = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { data, isLoading, isError, error } = useGetSessionsQuery();
+  const [revokeSession, { isLoading: isRevoking }] = useRevokeSessionMutation();
+  const [revokeAllSessions, { isLoading: isRevokingAll }] = useRevokeAllSessionsMutation();
+  const [isModalOpen, setIsModalOpen] = React.useState(false);
+
+  const goToLogin = () => {
+    dispatch(resetUser());
+    navigate('/auth/login');
+  };
+
+  const onRevoke = async (id: string) => {
+    try {
+      const result = await revokeSession(id).unwrap();
+      toast.info(result.message);
+      if (result.isCurrentSession) {
+        goToLogin();
+      }
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  const onRevokeAll = async () => {
+    try {
+      const result = await revokeAllSessions().unwrap();
+      toast.info(result.message);
+      setIsModalOpen(false);
+      goToLogin();
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  const columns: MRT_ColumnDef<Session>[] = React.useMemo(
+    () => [
+      {
+        accessorKey: 'device',
+        header: 'Device',
+        Cell: ({ row }) => (
+          <>
+            {row.original.device}
+            {row.original.isCurrent && (
+              <Chip label='This device' size='small' color='primary' sx={{ ml: 1 }} />
+            )}
+          </>
+        )
+      },
+      { accessorKey: 'ipAddress', header: 'IP Address' },
+      {
+        accessorKey: 'startedDate',
+        header: 'Signed In',
+        Cell: ({ cell }) => <>{getFormattedDate(cell.getValue<string>(), DATE_TIME_FORMAT)}</>
+      },
+      {
+        accessorKey: 'lastActiveDate',
+        header: 'Last Active',
+        Cell: ({ cell }) => <>{getFormattedDate(cell.getValue<string>(), DATE_TIME_FORMAT)}</>
+      }
+    ],
+    []
+  );
+
+  const table = useMaterialReactTable({
+    data: isError ? [] : data?.sessions || [],
+    columns,
+    state: {
+      isLoading,
+      density: 'compact'
+    },
+    enableDensityToggle: false,
+    getRowId: (row) => row.id,
+    enableRowActions: true,
+    positionActionsColumn: 'last',
+    renderRowActions: ({ row }) => (
+      <Button
+        size='small'
+        color='error'
+        disabled={isRevoking}
+        onClick={() => onRevoke(row.original.id)}
+      >
+        Revoke
+      </Button>
+    ),
+    renderTopToolbarCustomActions: () => (
+      <LoadingButton
+        loading={isRevokingAll}
+        size='small'
+        variant='contained'
+        color='error'
+        onClick={() => setIsModalOpen(true)}
+      >
+        Log Out All Devices
+      </LoadingButton>
+    ),
+    renderEmptyRowsFallback: () => {
+      const errorMsg = isError
+        ? getErrorMsg(error as FetchBaseQueryError | SerializedError).message
+        : 'No records to display';
+      return <Box sx={{ textAlign: 'center', fontStyle: 'italic', my: 3 }}>{errorMsg}</Box>;
+    }
+  });
+
+  return (
+    <>
+      <Box sx={{ width: '100%', display: 'table', tableLayout: 'fixed' }} component={Paper}>
+        <MaterialReactTable table={table} />
+      </Box>
+
+      <DialogModal
+        isSaving={isRevokingAll}
+        titleText='Log Out All Devices'
+        actionFooterCancelText='No'
+        actionFooterSaveText='Yes'
+        isOpen={isModalOpen}
+        closeModal={() => setIsModalOpen(false)}
+        handleSave={onRevokeAll}
+      >
+        <Typography variant='body1'>
+          You will be logged out from every device, including this one. Continue?
+        </Typography>
+      </DialogModal>
+    </>
+  );
+};
@@ -1,3 +1,4 @@
+import * as React from 'react';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { LoadingButton } from '@mui/lab';
 import { Box, Button, Grid2, Paper, TextField } from '@mui/material';
@@ -6,6 +7,7 @@ import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
 import { useForm } from 'react-hook-form';
 import { toast } from 'react-toastify';
 
+import { ApiError } from '@/components/errors';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { useChangePwdMutation } from '@/domains/auth/api';
 import { PasswordProps, PasswordSchema } from '@/domains/auth/types';
@@ -18,26 +20,37 @@ const initialState = {
 
 export const ChangePassword = () => {
   const [changePassword, { isLoading: isChangingPassword }] = useChangePwdMutation();
+  const [policyErrors, setPolicyErrors] = React.useState<string[]>([]);
 
   const {
     register,
     formState: { errors },
     handleSubmit,
-    reset
+    reset,
+    setError
   } = useForm<PasswordProps>({
     defaultValues: initialState,
     resolver: zodResolver(PasswordSchema)
   });
   const clearForm = () => {
     reset(initialState);
+    setPolicyErrors([]);
   };
   const onSave = async (data: PasswordProps) => {
     try {
+      setPolicyErrors([]);
       const result = await changePassword(data).unwrap();
       toast.info(result.message);
       reset(initialState);
     } catch (error) {
-      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+      const { message, detail } = getErrorMsg(error as FetchBaseQueryError | SerializedError);
+      const ruleErrors = (detail ?? []).filter(({ path, rule }) => path === 'newPassword' && rule);
+      if (ruleErrors.length > 0) {
+        setError('newPassword', { message });
+        setPolicyErrors(ruleErrors.map(({ message }) => message));
+      } else {
+        toast.error(message);
+      }
     }
   };
 
@@ -81,6 +94,7 @@ export const ChangePassword = () => {
             />
           </Grid2>
         </Grid2>
+        <ApiError messages={policyErrors} />
         <Box sx={{ mt: 4 }}>
           <Button
             type='button'
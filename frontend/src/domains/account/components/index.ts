@@ -1 +1,3 @@
 export * from './change-password';
+export * from './two-factor-authentication';
+export * from './active-sessions';
@@ -0,0 +1,283 @@
+import * as React from 'react';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { LoadingButton } from '@mui/lab';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid2,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { SerializedError } from '@reduxjs/toolkit';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { DATE_FORMAT, getFormattedDate } from '@/utils/helpers/date';
+import { EnrollmentQrCode, RecoveryCodes } from '@/components/two-factor';
+import {
+  useDisableTwoFactorMutation,
+  useEnableTwoFactorMutation,
+  useGetTwoFactorStatusQuery,
+  useRegenerateRecoveryCodesMutation,
+  useStartTwoFactorSetupMutation
+} from '@/domains/auth/api';
+import {
+  DisableTwoFactorProps,
+  DisableTwoFactorSchema,
+  TwoFactorCodeProps,
+  TwoFactorCodeSchema
+} from '@/domains/auth/types';
+
+const showError = (error: unknown) => {
+  toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+};
+
+const EnableTwoFactor = ({ onEnabled }: { onEnabled: (codes: string[]) => void }) => {
+  const [startSetup, { data: enrollment, isLoading: isStarting }] =
+    useStartTwoFactorSetupMutation();
+  const [enableTwoFactor, { isLoading: isEnabling }] = useEnableTwoFactorMutation();
+  const {
+    register,
+    formState: { errors },
+    handleSubmit
+  } = useForm<TwoFactorCodeProps>({
+    defaultValues: { code: '' },
+    resolver: zodResolver(TwoFactorCodeSchema)
+  });
+
+  const onStart = async () => {
+    try {
+      await startSetup().unwrap();
+    } catch (error) {
+      showError(error);
+    }
+  };
+  const onEnable = async (data: TwoFactorCodeProps) => {
+    try {
+      const result = await enableTwoFactor(data).unwrap();
+      toast.info(result.message);
+      onEnabled(result.recoveryCodes);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  if (!enrollment) {
+    return (
+      <LoadingButton loading={isStarting} size='small' variant='contained' onClick={onStart}>
+        Set Up Two-Factor Authentication
+      </LoadingButton>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onEnable)}>
+      <Grid2 container spacing={2}>
+        <Grid2 size={{ xs: 12, md: 6 }}>
+          <EnrollmentQrCode qrCode={enrollment.qrCode} secret={enrollment.secret} />
+        </Grid2>
+        <Grid2 size={{ xs: 12, md: 6 }}>
+          <TextField
+            size='small'
+            type='text'
+            label='Authentication Code'
+            fullWidth
+            autoComplete='one-time-code'
+            {...register('code')}
+            error={!!errors.code}
+            helperText={errors.code?.message}
+          />
+          <LoadingButton
+            loading={isEnabling}
+            type='submit'
+            size='small'
+            variant='contained'
+            sx={{ mt: 2 }}
+          >
+            Enable
+          </LoadingButton>
+        </Grid2>
+      </Grid2>
+    </form>
+  );
+};
+
+const RegenerateRecoveryCodes = ({ onGenerated }: { onGenerated: (codes: string[]) => void }) => {
+  const [regenerate, { isLoading }] = useRegenerateRecoveryCodesMutation();
+  const {
+    register,
+    formState: { errors },
+    handleSubmit,
+    reset
+  } = useForm<TwoFactorCodeProps>({
+    defaultValues: { code: '' },
+    resolver: zodResolver(TwoFactorCodeSchema)
+  });
+
+  const onSave = async (data: TwoFactorCodeProps) => {
+    try {
+      const result = await regenerate(data).unwrap();
+      toast.info(result.message);
+      reset({ code: '' });
+      onGenerated(result.recoveryCodes);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSave)}>
+      <Typography variant='subtitle2' sx={{ mb: 1 }}>
+        Generate New Recovery Codes
+      </Typography>
+      <TextField
+        size='small'
+        type='text'
+        label='Authentication Code'
+        fullWidth
+        autoComplete='one-time-code'
+        {...register('code')}
+        error={!!errors.code}
+        helperText={errors.code?.message}
+      />
+      <LoadingButton
+        loading={isLoading}
+        type='submit'
+        size='small'
+        variant='contained'
+        sx={{ mt: 2 }}
+      >
+        Generate
+      </LoadingButton>
+    </form>
+  );
+};
+
+const DisableTwoFactor = () => {
+  const [disableTwoFactor, { isLoading }] = useDisableTwoFactorMutation();
+  const {
+    register,
+    formState: { errors },
+    handleSubmit,
+    reset
+  } = useForm<DisableTwoFactorProps>({
+    defaultValues: { password: '', code: '' },
+    resolver: zodResolver(DisableTwoFactorSchema)
+  });
+
+  const onSave = async (data: DisableTwoFactorProps) => {
+    try {
+      const result = await disableTwoFactor(data).unwrap();
+      toast.info(result.message);
+      reset({ password: '', code: '' });
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSave)}>
+      <Typography variant='subtitle2' sx={{ mb: 1 }}>
+        Disable Two-Factor Authentication
+      </Typography>
+      <TextField
+        size='small'
+        type='password'
+        label='Password'
+        fullWidth
+        sx={{ mb: 2 }}
+        {...register('password')}
+        error={!!errors.password}
+        helperText={errors.password?.message}
+      />
+      <TextField
+        size='small'
+        type='text'
+        label='Authentication Code'
+        fullWidth
+        autoComplete='one-time-code'
+        {...register('code')}
+        error={!!errors.code}
+        helperText={errors.code?.message}
+      />
+      <LoadingButton
+        loading={isLoading}
+        type='submit'
+        size='small'
+        variant='contained'
+        color='error'
+        sx={{ mt: 2 }}
+      >
+        Disable
+      </LoadingButton>
+    </form>
+  );
+};
+
+export const TwoFactorAuthentication = () => {
+  const { data: status, isLoading } = useGetTwoFactorStatusQuery();
+  const [recoveryCodes, setRecoveryCodes] = React.useState<string[]>([]);
+
+  if (isLoading) {
+    return <CircularProgress size={24} />;
+  }
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      {status.isRequired && !status.isEnabled && (
+        <Alert severity='warning' sx={{ mb: 2 }}>
+          Two-factor authentication is mandatory for your role.
+        </Alert>
+      )}
+      {recoveryCodes.length > 0 && (
+        <Box sx={{ mb: 3 }}>
+          <RecoveryCodes codes={recoveryCodes} />
+          <Button
+            type='button'
+            size='small'
+            variant='text'
+            sx={{ mt: 1 }}
+            onClick={() => setRecoveryCodes([])}
+          >
+            I have saved these codes
+          </Button>
+        </Box>
+      )}
+      {status.isEnabled ? (
+        <>
+          <Typography variant='body2' sx={{ mb: 3 }}>
+            Two-factor authentication is enabled
+            {status.enabledDate && ` since ${getFormattedDate(status.enabledDate, DATE_FORMAT)}`}.
+            You have {status.recoveryCodesRemaining} unused recovery codes.
+          </Typography>
+          <Grid2 container spacing={4}>
+            <Grid2 size={{ xs: 12, md: 6 }}>
+              <RegenerateRecoveryCodes onGenerated={setRecoveryCodes} />
+            </Grid2>
+            {!status.isRequired && (
+              <Grid2 size={{ xs: 12, md: 6 }}>
+                <DisableTwoFactor />
+              </Grid2>
+            )}
+          </Grid2>
+        </>
+      ) : (
+        <>
+          <Typography variant='body2' sx={{ mb: 2 }}>
+            Protect your account by requiring a code from an authenticator app when you sign in.
+          </Typography>
+          <EnableTwoFactor onEnabled={setRecoveryCodes} />
+        </>
+      )}
+    </Paper>
+  );
+};
@@ -5,10 +5,10 @@ import { useSelector } from 'react-redux';
 import { PageContentHeader } from '@/components/page-content-header';
 import { TabPanel } from '@/components/tab-panel';
 import { getUserRole } from '@/domains/auth/slice';
-import { ChangePassword } from '../components';
+import { ActiveSessions, ChangePassword, TwoFactorAuthentication } from '../components';
 import { StaffProfile, StudentProfile } from '@/components/user-account-profile';
 
-const tabs = ['Profile', 'Change Password'];
+const tabs = ['Profile', 'Change Password', 'Two-Factor Authentication', 'Sessions'];
 export const AccountPage = () => {
   const role = useSelector(getUserRole);
   const [tab, setTab] = React.useState(0);
@@ -42,6 +42,12 @@ export const AccountPage = () => {
           <TabPanel value={tab} index={1}>
             <ChangePassword />
           </TabPanel>
+          <TabPanel value={tab} index={2}>
+            <TwoFactorAuthentication />
+          </TabPanel>
+          <TabPanel value={tab} index={3}>
+            <ActiveSessions />
+          </TabPanel>
         </Box>
       </Box>
     </>
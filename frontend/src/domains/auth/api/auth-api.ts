@@ -1,15 +1,65 @@
-import { api } from '@/api';
-import { LoginRequest, PasswordProps, SetupPasswordProps, User, UserId } from '../types';
+import { api, Tag } from '@/api';
+import {
+  DisableTwoFactorProps,
+  ForgotPasswordProps,
+  LoginRequest,
+  LoginResponse,
+  OidcAuthorizeResponse,
+  OidcCallbackRequest,
+  OidcConfig,
+  PasswordProps,
+  RecoveryCodesResponse,
+  RevokeSessionResponse,
+  SessionsData,
+  SetupPasswordProps,
+  TwoFactorCodeProps,
+  TwoFactorEnrollment,
+  TwoFactorLoginRequest,
+  TwoFactorLoginResponse,
+  TwoFactorStatus,
+  User,
+  UserId
+} from '../types';
 
 export const authApi = api.injectEndpoints({
   endpoints: (builder) => ({
-    login: builder.mutation<User, LoginRequest>({
+    login: builder.mutation<LoginResponse, LoginRequest>({
       query: (payload) => ({
         url: `/auth/login`,
         method: 'POST',
         body: payload
       })
     }),
+    loginTwoFactor: builder.mutation<TwoFactorLoginResponse, TwoFactorLoginRequest>({
+      query: (payload) => ({
+        url: `/auth/login/2fa`,
+        method: 'POST',
+        body: payload
+      })
+    }),
+    loginTwoFactorSetup: builder.mutation<TwoFactorEnrollment, { challengeToken: string }>({
+      query: (payload) => ({
+        url: `/auth/login/2fa/setup`,
+        method: 'POST',
+        body: payload
+      })
+    }),
+    getOidcConfig: builder.query<OidcConfig, void>({
+      query: () => `/auth/oidc`
+    }),
+    oidcAuthorize: builder.mutation<OidcAuthorizeResponse, void>({
+      query: () => ({
+        url: `/auth/oidc/authorize`,
+        method: 'GET'
+      })
+    }),
+    oidcCallback: builder.mutation<LoginResponse, OidcCallbackRequest>({
+      query: (payload) => ({
+        url: `/auth/oidc/callback`,
+        method: 'POST',
+        body: payload
+      })
+    }),
     logout: builder.mutation<{ message: string }, void>({
       query: () => ({
         url: `/auth/logout`,
@@ -30,6 +80,13 @@ export const authApi = api.injectEndpoints({
         body: payload
       })
     }),
+    forgotPassword: builder.mutation<{ message: string }, ForgotPasswordProps>({
+      query: (payload) => ({
+        url: `/auth/forgot-password`,
+        method: 'POST',
+        body: payload
+      })
+    }),
     resendVerificationEmail: builder.mutation<{ message: string }, UserId>({
       query: (payload) => ({
         url: `/auth/resend-email-verification`,
@@ -50,16 +107,112 @@ export const authApi = api.injectEndpoints({
         method: 'POST',
         body: payload
       })
+    }),
+    forceLogout: builder.mutation<{ message: string }, UserId>({
+      query: (payload) => ({
+        url: `/auth/force-logout`,
+        method: 'POST',
+        body: payload
+      })
+    }),
+    unlockAccount: builder.mutation<{ message: string }, UserId>({
+      query: (payload) => ({
+        url: `/auth/unlock-account`,
+        method: 'POST',
+        body: payload
+      })
+    }),
+    impersonate: builder.mutation<User, UserId>({
+      query: (payload) => ({
+        url: `/auth/impersonate`,
+        method: 'POST',
+        body: payload
+      })
+    }),
+    stopImpersonation: builder.mutation<User, void>({
+      query: () => ({
+        url: `/auth/impersonate/stop`,
+        method: 'POST'
+      })
+    }),
+    getSessions: builder.query<SessionsData, void>({
+      query: () => `/account/sessions`,
+      providesTags: [Tag.SESSIONS]
+    }),
+    revokeSession: builder.mutation<RevokeSessionResponse, string>({
+      query: (id) => ({
+        url: `/account/sessions/${id}`,
+        method: 'DELETE'
+      }),
+      invalidatesTags: [Tag.SESSIONS]
+    }),
+    revokeAllSessions: builder.mutation<{ message: string }, void>({
+      query: () => ({
+        url: `/account/sessions`,
+        method: 'DELETE'
+      })
+    }),
+    getTwoFactorStatus: builder.query<TwoFactorStatus, void>({
+      query: () => `/two-factor`,
+      providesTags: [Tag.TWO_FACTOR_STATUS]
+    }),
+    startTwoFactorSetup: builder.mutation<TwoFactorEnrollment, void>({
+      query: () => ({
+        url: `/two-factor/setup`,
+        method: 'POST'
+      })
+    }),
+    enableTwoFactor: builder.mutation<RecoveryCodesResponse, TwoFactorCodeProps>({
+      query: (payload) => ({
+        url: `/two-factor/enable`,
+        method: 'POST',
+        body: payload
+      }),
+      invalidatesTags: [Tag.TWO_FACTOR_STATUS]
+    }),
+    disableTwoFactor: builder.mutation<{ message: string }, DisableTwoFactorProps>({
+      query: (payload) => ({
+        url: `/two-factor/disable`,
+        method: 'POST',
+        body: payload
+      }),
+      invalidatesTags: [Tag.TWO_FACTOR_STATUS]
+    }),
+    regenerateRecoveryCodes: builder.mutation<RecoveryCodesResponse, TwoFactorCodeProps>({
+      query: (payload) => ({
+        url: `/two-factor/recovery-codes`,
+        method: 'POST',
+        body: payload
+      }),
+      invalidatesTags: [Tag.TWO_FACTOR_STATUS]
     })
   })
 });
 
 export const {
   useLoginMutation,
+  useLoginTwoFactorMutation,
+  useLoginTwoFactorSetupMutation,
+  useGetOidcConfigQuery,
+  useOidcAuthorizeMutation,
+  useOidcCallbackMutation,
   useLogoutMutation,
   useChangePwdMutation,
   useSetupPasswordMutation,
+  useForgotPasswordMutation,
   useResendVerificationEmailMutation,
   useResendPwdSetupLinkMutation,
-  useResetPwdMutation
+  useResetPwdMutation,
+  useForceLogoutMutation,
+  useUnlockAccountMutation,
+  useImpersonateMutation,
+  useStopImpersonationMutation,
+  useGetSessionsQuery,
+  useRevokeSessionMutation,
+  useRevokeAllSessionsMutation,
+  useGetTwoFactorStatusQuery,
+  useStartTwoFactorSetupMutation,
+  useEnableTwoFactorMutation,
+  useDisableTwoFactorMutation,
+  useRegenerateRecoveryCodesMutation
 } = authApi;
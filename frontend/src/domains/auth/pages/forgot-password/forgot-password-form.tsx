@@ -0,0 +1,42 @@
+import * as React from 'react';
+import { LoadingButton } from '@mui/lab';
+import { Stack, TextField } from '@mui/material';
+import { UseFormReturn } from 'react-hook-form';
+import { ForgotPasswordProps } from '../../types';
+
+type ForgotPasswordFormProps = {
+  methods: UseFormReturn<ForgotPasswordProps>;
+  isLoading: boolean;
+  onSubmit: () => void;
+};
+
+export const ForgotPasswordForm: React.FC<ForgotPasswordFormProps> = ({
+  methods,
+  isLoading,
+  onSubmit
+}) => {
+  const {
+    register,
+    formState: { errors }
+  } = methods;
+
+  return (
+    <form onSubmit={onSubmit}>
+      <TextField
+        size='small'
+        type='email'
+        label='Email'
+        sx={{ margin: '30px 0' }}
+        fullWidth
+        {...register('email')}
+        error={!!errors.email}
+        helperText={errors.email?.message}
+      />
+      <Stack>
+        <LoadingButton loading={isLoading} type='submit' size='small' variant='contained'>
+          <span>Send Reset Link</span>
+        </LoadingButton>
+      </Stack>
+    </form>
+  );
+};
@@ -0,0 +1,78 @@
+import * as React from 'react';
+import { toast } from 'react-toastify';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { Alert, Box, Link, Paper, Typography } from '@mui/material';
+import { SerializedError } from '@reduxjs/toolkit';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { useForm } from 'react-hook-form';
+import { Link as RouterLink } from 'react-router-dom';
+
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { useForgotPasswordMutation } from '../../api';
+import { ForgotPasswordProps, ForgotPasswordSchema } from '../../types';
+import { ForgotPasswordForm } from './forgot-password-form';
+
+export const ForgotPasswordPage = () => {
+  const [sentMessage, setSentMessage] = React.useState<string | null>(null);
+  const [forgotPassword, { isLoading }] = useForgotPasswordMutation();
+  const methods = useForm<ForgotPasswordProps>({
+    defaultValues: { email: '' },
+    resolver: zodResolver(ForgotPasswordSchema)
+  });
+
+  const sendResetLink = async (data: ForgotPasswordProps) => {
+    try {
+      const result = await forgotPassword(data).unwrap();
+      setSentMessage(result.message);
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  return (
+    <Box
+      component={Paper}
+      sx={{
+        position: 'absolute',
+        left: '50%',
+        top: '50%',
+        transform: 'translate(-50%, -50%)',
+        overflow: 'auto',
+        maxHeight: 'calc(100vh - 40px)'
+      }}
+    >
+      <Box
+        sx={{
+          width: { xs: '300px', md: '400px' },
+          border: '1px solid #f3f6f999',
+          padding: '20px'
+        }}
+      >
+        <Typography component='div' variant='h6'>
+          Forgot Password
+        </Typography>
+        {sentMessage ? (
+          <Alert severity='info' sx={{ mt: 3 }}>
+            {sentMessage}
+          </Alert>
+        ) : (
+          <>
+            <Typography variant='subtitle1' color='text.secondary'>
+              Enter your account email and we will send you a link to set a new password.
+            </Typography>
+            <ForgotPasswordForm
+              methods={methods}
+              isLoading={isLoading}
+              onSubmit={methods.handleSubmit(sendResetLink)}
+            />
+          </>
+        )}
+        <Box sx={{ mt: 2, textAlign: 'right' }}>
+          <Link component={RouterLink} to='/auth/login' variant='body2'>
+            Back to sign in
+          </Link>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
@@ -1,2 +1,4 @@
 export * from './login/login-page';
 export * from './setup-password/setup-password-page';
+export * from './forgot-password/forgot-password-page';
+export * from './oidc-callback/oidc-callback-page';
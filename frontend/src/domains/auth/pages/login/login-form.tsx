@@ -1,6 +1,7 @@
 import * as React from 'react';
-import { Stack, TextField } from '@mui/material';
+import { Link, Stack, TextField } from '@mui/material';
 import { UseFormReturn } from 'react-hook-form';
+import { Link as RouterLink } from 'react-router-dom';
 import { LoadingButton } from '@mui/lab';
 import { LoginRequest } from '../../types';
 
@@ -46,6 +47,14 @@ export const LoginForm: React.FC<LoginFormProps> = ({ onSubmit, methods, isFetch
         <LoadingButton loading={isFetching} type='submit' size='small' variant='contained'>
           <span>Sign In</span>
         </LoadingButton>
+        <Link
+          component={RouterLink}
+          to='/auth/forgot-password'
+          variant='body2'
+          sx={{ mt: 2, alignSelf: 'flex-end' }}
+        >
+          Forgot password?
+        </Link>
       </Stack>
     </form>
   );
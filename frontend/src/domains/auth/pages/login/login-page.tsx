@@ -1,33 +1,72 @@
 import * as React from 'react';
-import { Box, Paper, Typography } from '@mui/material';
+import { Box, Button, Paper, Typography } from '@mui/material';
 import { useForm } from 'react-hook-form';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useDispatch } from 'react-redux';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
 import { SerializedError } from '@reduxjs/toolkit';
 
-import { LoginRequest, LoginSchema } from '../../types';
+import {
+  LoginRequest,
+  LoginSchema,
+  TwoFactorChallenge,
+  TwoFactorLoginResponse,
+  User
+} from '../../types';
 import { LoginForm } from './login-form';
+import { TwoFactorLoginForm } from './two-factor-login-form';
+import { SsoLoginButton } from './sso-login-button';
 import { useLoginMutation } from '../../api/auth-api';
 import { setUser } from '../../slice/auth-slice';
 import { formatApiError } from '@/utils/helpers/format-api-error';
 import { ApiError } from '@/components/errors';
+import { RecoveryCodes } from '@/components/two-factor';
 
 export const LoginPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const dispatch = useDispatch();
   const methods = useForm<LoginRequest>({ resolver: zodResolver(LoginSchema) });
   const [apiErrors, setApiErrors] = React.useState<string[]>([]);
+  // Single sign-on hands over here when the account still needs its second factor
+  const [challenge, setChallenge] = React.useState<TwoFactorChallenge | null>(
+    location.state?.twoFactorChallenge ?? null
+  );
+  const [pendingLogin, setPendingLogin] = React.useState<{
+    user: User;
+    recoveryCodes: string[];
+  } | null>(null);
 
   const [login, { isLoading }] = useLoginMutation();
 
+  const completeLogin = (user: User) => {
+    dispatch(setUser({ user }));
+    navigate('/app');
+  };
+
+  const handleTwoFactorSuccess = ({ recoveryCodes, ...user }: TwoFactorLoginResponse) => {
+    if (recoveryCodes && recoveryCodes.length > 0) {
+      setPendingLogin({ user, recoveryCodes });
+      return;
+    }
+    completeLogin(user);
+  };
+
+  const cancelTwoFactor = () => {
+    setChallenge(null);
+    methods.reset();
+    navigate(location.pathname, { replace: true });
+  };
+
   const onSubmit = async (data: LoginRequest) => {
     try {
-      const user = await login(data).unwrap();
-      if (user) {
-        dispatch(setUser({ user }));
-        navigate('/app');
+      setApiErrors([]);
+      const result = await login(data).unwrap();
+      if (result && 'twoFactorRequired' in result) {
+        setChallenge(result);
+      } else if (result) {
+        completeLogin(result);
       }
     } catch (error) {
       const apiErrors = formatApiError(error as FetchBaseQueryError | SerializedError);
@@ -57,15 +96,48 @@ export const LoginPage = () => {
         <Typography component='div' variant='h6'>
           Welcome to School Admin !
         </Typography>
-        <Typography variant='subtitle1' color='text.secondary'>
-          Sign in to continue.
-        </Typography>
-        <LoginForm
-          methods={methods}
-          onSubmit={methods.handleSubmit(onSubmit)}
-          isFetching={isLoading}
-        />
-        <ApiError messages={apiErrors} />
+        {pendingLogin ? (
+          <>
+            <Typography variant='subtitle1' color='text.secondary' sx={{ mb: 2 }}>
+              Two-factor authentication is now enabled.
+            </Typography>
+            <RecoveryCodes codes={pendingLogin.recoveryCodes} />
+            <Button
+              type='button'
+              size='small'
+              variant='contained'
+              fullWidth
+              sx={{ mt: 3 }}
+              onClick={() => completeLogin(pendingLogin.user)}
+            >
+              Continue
+            </Button>
+          </>
+        ) : challenge ? (
+          <>
+            <Typography variant='subtitle1' color='text.secondary'>
+              Two-factor authentication
+            </Typography>
+            <TwoFactorLoginForm
+              challenge={challenge}
+              onSuccess={handleTwoFactorSuccess}
+              onCancel={cancelTwoFactor}
+            />
+          </>
+        ) : (
+          <>
+            <Typography variant='subtitle1' color='text.secondary'>
+              Sign in to continue.
+            </Typography>
+            <LoginForm
+              methods={methods}
+              onSubmit={methods.handleSubmit(onSubmit)}
+              isFetching={isLoading}
+            />
+            <ApiError messages={apiErrors} />
+            <SsoLoginButton />
+          </>
+        )}
       </Box>
     </Box>
   );
@@ -0,0 +1,46 @@
+import * as React from 'react';
+import { Divider } from '@mui/material';
+import { LoadingButton } from '@mui/lab';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import { useGetOidcConfigQuery, useOidcAuthorizeMutation } from '../../api/auth-api';
+import { formatApiError } from '@/utils/helpers/format-api-error';
+import { ApiError } from '@/components/errors';
+
+export const SsoLoginButton = () => {
+  const { data: oidcConfig } = useGetOidcConfigQuery();
+  const [oidcAuthorize, { isLoading }] = useOidcAuthorizeMutation();
+  const [apiErrors, setApiErrors] = React.useState<string[]>([]);
+
+  if (!oidcConfig?.enabled) {
+    return null;
+  }
+
+  const handleClick = async () => {
+    try {
+      setApiErrors([]);
+      const { authorizationUrl } = await oidcAuthorize().unwrap();
+      window.location.assign(authorizationUrl);
+    } catch (error) {
+      setApiErrors(formatApiError(error as FetchBaseQueryError | SerializedError));
+    }
+  };
+
+  return (
+    <>
+      <Divider sx={{ my: 2 }}>or</Divider>
+      <LoadingButton
+        type='button'
+        size='small'
+        variant='outlined'
+        fullWidth
+        loading={isLoading}
+        onClick={handleClick}
+      >
+        <span>Sign in with {oidcConfig.providerName}</span>
+      </LoadingButton>
+      <ApiError messages={apiErrors} />
+    </>
+  );
+};
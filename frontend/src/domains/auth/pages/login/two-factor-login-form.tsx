@@ -0,0 +1,139 @@
+import * as React from 'react';
+import { Box, Button, CircularProgress, Stack, TextField, Typography } from '@mui/material';
+import { LoadingButton } from '@mui/lab';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import {
+  TwoFactorChallenge,
+  TwoFactorLoginResponse,
+  TwoFactorLoginSchema,
+  TwoFactorLoginValues
+} from '../../types';
+import { useLoginTwoFactorMutation, useLoginTwoFactorSetupMutation } from '../../api/auth-api';
+import { formatApiError } from '@/utils/helpers/format-api-error';
+import { ApiError } from '@/components/errors';
+import { EnrollmentQrCode } from '@/components/two-factor';
+
+type TwoFactorLoginFormProps = {
+  challenge: TwoFactorChallenge;
+  onSuccess: (user: TwoFactorLoginResponse) => void;
+  onCancel: () => void;
+};
+
+const initialState: TwoFactorLoginValues = {
+  useRecoveryCode: false,
+  code: '',
+  recoveryCode: ''
+};
+
+export const TwoFactorLoginForm: React.FC<TwoFactorLoginFormProps> = ({
+  challenge,
+  onSuccess,
+  onCancel
+}) => {
+  const { challengeToken, enrollmentRequired } = challenge;
+  const [apiErrors, setApiErrors] = React.useState<string[]>([]);
+  const [loginTwoFactor, { isLoading }] = useLoginTwoFactorMutation();
+  const [loginTwoFactorSetup, { data: enrollment, isLoading: isLoadingEnrollment }] =
+    useLoginTwoFactorSetupMutation();
+
+  const {
+    register,
+    watch,
+    setValue,
+    handleSubmit,
+    formState: { errors }
+  } = useForm<TwoFactorLoginValues>({
+    defaultValues: initialState,
+    resolver: zodResolver(TwoFactorLoginSchema)
+  });
+  const useRecoveryCode = watch('useRecoveryCode');
+
+  React.useEffect(() => {
+    if (enrollmentRequired) {
+      loginTwoFactorSetup({ challengeToken })
+        .unwrap()
+        .catch((error) => {
+          setApiErrors(formatApiError(error as FetchBaseQueryError | SerializedError));
+        });
+    }
+  }, [challengeToken, enrollmentRequired, loginTwoFactorSetup]);
+
+  const toggleRecoveryCode = () => {
+    setValue('useRecoveryCode', !useRecoveryCode);
+    setApiErrors([]);
+  };
+
+  const onSubmit = async ({ useRecoveryCode, code, recoveryCode }: TwoFactorLoginValues) => {
+    try {
+      const payload = useRecoveryCode ? { challengeToken, recoveryCode } : { challengeToken, code };
+      const user = await loginTwoFactor(payload).unwrap();
+      onSuccess(user);
+    } catch (error) {
+      setApiErrors(formatApiError(error as FetchBaseQueryError | SerializedError));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)}>
+      {enrollmentRequired ? (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant='body2' sx={{ mb: 1 }}>
+            Your account requires two-factor authentication. Set it up to continue.
+          </Typography>
+          {isLoadingEnrollment && <CircularProgress size={24} />}
+          {enrollment && <EnrollmentQrCode qrCode={enrollment.qrCode} secret={enrollment.secret} />}
+        </Box>
+      ) : (
+        <Typography variant='body2' sx={{ mt: 2 }} color='text.secondary'>
+          {useRecoveryCode
+            ? 'Enter one of your saved recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Typography>
+      )}
+      {useRecoveryCode ? (
+        <TextField
+          size='small'
+          type='text'
+          label='Recovery Code'
+          sx={{ margin: '30px 0' }}
+          fullWidth
+          autoComplete='off'
+          {...register('recoveryCode')}
+          error={!!errors.recoveryCode}
+          helperText={errors.recoveryCode?.message}
+        />
+      ) : (
+        <TextField
+          size='small'
+          type='text'
+          label='Authentication Code'
+          sx={{ margin: '30px 0' }}
+          fullWidth
+          autoComplete='one-time-code'
+          inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+          {...register('code')}
+          error={!!errors.code}
+          helperText={errors.code?.message}
+        />
+      )}
+      <Stack spacing={1}>
+        <LoadingButton loading={isLoading} type='submit' size='small' variant='contained'>
+          <span>Verify</span>
+        </LoadingButton>
+        {!enrollmentRequired && (
+          <Button type='button' size='small' variant='text' onClick={toggleRecoveryCode}>
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </Button>
+        )}
+        <Button type='button' size='small' variant='text' color='error' onClick={onCancel}>
+          Back to Sign In
+        </Button>
+      </Stack>
+      <ApiError messages={apiErrors} />
+    </form>
+  );
+};
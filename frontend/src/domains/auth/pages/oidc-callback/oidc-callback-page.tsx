@@ -0,0 +1,93 @@
+import * as React from 'react';
+import { Box, CircularProgress, Link, Paper, Typography } from '@mui/material';
+import { SerializedError } from '@reduxjs/toolkit';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { useDispatch } from 'react-redux';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+
+import { ApiError } from '@/components/errors';
+import { formatApiError } from '@/utils/helpers/format-api-error';
+import { useOidcCallbackMutation } from '../../api';
+import { setUser } from '../../slice/auth-slice';
+
+export const OidcCallbackPage = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+  const [apiErrors, setApiErrors] = React.useState<string[]>([]);
+  const [oidcCallback] = useOidcCallbackMutation();
+  // Authorization codes are single-use, so the exchange must not run twice
+  const hasExchanged = React.useRef(false);
+
+  React.useEffect(() => {
+    if (hasExchanged.current) {
+      return;
+    }
+    hasExchanged.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    if (!code || !state) {
+      setApiErrors([searchParams.get('error_description') || 'Single sign-on was cancelled.']);
+      return;
+    }
+
+    const completeSignIn = async () => {
+      try {
+        const result = await oidcCallback({ code, state }).unwrap();
+        if ('twoFactorRequired' in result) {
+          navigate('/auth/login', { replace: true, state: { twoFactorChallenge: result } });
+        } else {
+          dispatch(setUser({ user: result }));
+          navigate('/app', { replace: true });
+        }
+      } catch (error) {
+        setApiErrors(formatApiError(error as FetchBaseQueryError | SerializedError));
+      }
+    };
+    completeSignIn();
+  }, [searchParams, oidcCallback, dispatch, navigate]);
+
+  return (
+    <Box
+      component={Paper}
+      sx={{
+        position: 'absolute',
+        left: '50%',
+        top: '50%',
+        transform: 'translate(-50%, -50%)',
+        overflow: 'auto',
+        maxHeight: 'calc(100vh - 40px)'
+      }}
+    >
+      <Box
+        sx={{
+          width: { xs: '300px', md: '400px' },
+          border: '1px solid #f3f6f999',
+          padding: '20px'
+        }}
+      >
+        <Typography component='div' variant='h6'>
+          Single Sign-On
+        </Typography>
+        {apiErrors.length > 0 ? (
+          <>
+            <ApiError messages={apiErrors} />
+            <Box sx={{ mt: 2, textAlign: 'right' }}>
+              <Link component={RouterLink} to='/auth/login' variant='body2'>
+                Back to sign in
+              </Link>
+            </Box>
+          </>
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 3 }}>
+            <CircularProgress size={20} />
+            <Typography variant='body2' color='text.secondary'>
+              Signing you in...
+            </Typography>
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+};
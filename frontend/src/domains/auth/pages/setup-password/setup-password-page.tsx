@@ -1,3 +1,4 @@
+import * as React from 'react';
 import { toast } from 'react-toastify';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { Box, Paper, Typography } from '@mui/material';
@@ -6,6 +7,7 @@ import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
 import { useForm } from 'react-hook-form';
 import { useNavigate, useParams } from 'react-router-dom';
 
+import { ApiError } from '@/components/errors';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { useSetupPasswordMutation } from '../../api';
 import { SetupPasswordProps, SetupPasswordSchema } from '../../types';
@@ -22,6 +24,7 @@ export const SetupPasswordPage = () => {
   const { token } = useParams();
 
   const [setupNewPassword, { isLoading: isSettingPassword }] = useSetupPasswordMutation();
+  const [policyErrors, setPolicyErrors] = React.useState<string[]>([]);
   const methods = useForm<SetupPasswordProps>({
     defaultValues: initialState,
     resolver: zodResolver(SetupPasswordSchema)
@@ -29,17 +32,26 @@ export const SetupPasswordPage = () => {
 
   const setupPassword = async (data: SetupPasswordProps) => {
     try {
+      setPolicyErrors([]);
       const payload = { ...data, token };
       const result = await setupNewPassword(payload).unwrap();
       toast.info(result.message);
       navigate('/auth/login');
     } catch (error) {
-      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+      const { message, detail } = getErrorMsg(error as FetchBaseQueryError | SerializedError);
+      const ruleErrors = (detail ?? []).filter(({ path, rule }) => path === 'password' && rule);
+      if (ruleErrors.length > 0) {
+        methods.setError('password', { message });
+        setPolicyErrors(ruleErrors.map(({ message }) => message));
+      } else {
+        toast.error(message);
+      }
     }
   };
 
   const clearForm = () => {
     methods.reset();
+    setPolicyErrors([]);
   };
 
   return (
@@ -74,6 +86,7 @@ export const SetupPasswordPage = () => {
           isLoading={isSettingPassword}
           clearForm={clearForm}
         />
+        <ApiError messages={policyErrors} />
       </Box>
     </Box>
   );
@@ -46,4 +46,5 @@ export const getUserName = (state: RootState) => state.auth.user?.name;
 export const getUserEmail = (state: RootState) => state.auth.user?.email;
 export const getUserRole = (state: RootState) => state.auth.user?.role;
 export const getUserMenus = (state: RootState) => state.auth.user?.menus;
+export const getImpersonator = (state: RootState) => state.auth.user?.impersonator;
 export const getUserScreens = (state: RootState) => state.auth.user?.uis;
@@ -27,3 +27,42 @@ export const SetupPasswordSchema = z
     path: ['confirmPassword'],
     message: 'New Password and Confirm Password do not match'
   });
+
+export const ForgotPasswordSchema = z.object({
+  email: z.string().min(1, 'Email is required').email('Enter a valid email')
+});
+
+const twoFactorCode = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+export const TwoFactorCodeSchema = z.object({
+  code: twoFactorCode
+});
+
+export const TwoFactorLoginSchema = z
+  .object({
+    useRecoveryCode: z.boolean(),
+    code: z.string().optional(),
+    recoveryCode: z.string().optional()
+  })
+  .superRefine((data, ctx) => {
+    if (data.useRecoveryCode) {
+      if (!data.recoveryCode?.trim()) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['recoveryCode'],
+          message: 'Recovery code is required'
+        });
+      }
+    } else if (!data.code || !/^\d{6}$/.test(data.code)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['code'],
+        message: 'Code must be 6 digits'
+      });
+    }
+  });
+
+export const DisableTwoFactorSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: twoFactorCode
+});
@@ -1,6 +1,14 @@
 import * as React from 'react';
 import { z } from 'zod';
-import { LoginSchema, PasswordSchema, SetupPasswordSchema } from './auth-schema';
+import {
+  DisableTwoFactorSchema,
+  ForgotPasswordSchema,
+  LoginSchema,
+  PasswordSchema,
+  SetupPasswordSchema,
+  TwoFactorCodeSchema,
+  TwoFactorLoginSchema
+} from './auth-schema';
 import { BasePermission, Permission } from '@/utils/type/misc';
 
 export type SubMenu = {
@@ -17,6 +25,12 @@ export type Menu = {
   subMenus: SubMenu[];
 };
 
+export type Impersonator = {
+  id: number;
+  name: string;
+  expiresAt: string;
+};
+
 export type User = {
   id: number;
   name: string;
@@ -25,6 +39,7 @@ export type User = {
   menus: Permission[];
   apis: BasePermission[];
   uis: BasePermission[];
+  impersonator?: Impersonator;
 };
 
 export type LoginRequest = z.infer<typeof LoginSchema>;
@@ -33,6 +48,83 @@ export type PasswordProps = z.infer<typeof PasswordSchema>;
 
 export type SetupPasswordProps = z.infer<typeof SetupPasswordSchema>;
 
+export type ForgotPasswordProps = z.infer<typeof ForgotPasswordSchema>;
+
 export type UserId = {
   userId: number;
 };
+
+export type TwoFactorChallenge = {
+  twoFactorRequired: true;
+  enrollmentRequired: boolean;
+  challengeToken: string;
+};
+
+export type LoginResponse = User | TwoFactorChallenge;
+
+export type OidcConfig = {
+  enabled: boolean;
+  providerName: string;
+};
+
+export type OidcAuthorizeResponse = {
+  authorizationUrl: string;
+};
+
+export type OidcCallbackRequest = {
+  code: string;
+  state: string;
+};
+
+export type TwoFactorLoginValues = z.infer<typeof TwoFactorLoginSchema>;
+
+export type TwoFactorLoginRequest = {
+  challengeToken: string;
+  code?: string;
+  recoveryCode?: string;
+};
+
+export type TwoFactorLoginResponse = User & {
+  recoveryCodes?: string[];
+};
+
+export type TwoFactorEnrollment = {
+  secret: string;
+  otpAuthUrl: string;
+  qrCode: string;
+};
+
+export type TwoFactorStatus = {
+  isEnabled: boolean;
+  isRequired: boolean;
+  enabledDate: string | null;
+  recoveryCodesRemaining: number;
+};
+
+export type TwoFactorCodeProps = z.infer<typeof TwoFactorCodeSchema>;
+
+export type DisableTwoFactorProps = z.infer<typeof DisableTwoFactorSchema>;
+
+export type RecoveryCodesResponse = {
+  message: string;
+  recoveryCodes: string[];
+};
+
+export type Session = {
+  id: string;
+  device: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  startedDate: string;
+  lastActiveDate: string;
+  isCurrent: boolean;
+};
+
+export type SessionsData = {
+  sessions: Session[];
+};
+
+export type RevokeSessionResponse = {
+  message: string;
+  isCurrentSession: boolean;
+};
@@ -0,0 +1,26 @@
+import * as React from 'react';
+import { Box, Card, CardContent, Chip, Typography } from '@mui/material';
+import { AttendanceSummary } from '../types';
+
+export const AttendanceCard: React.FC<AttendanceSummary> = (props) => {
+  const { todayPerc, todayMarked, monthPerc } = props;
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography component='div' color='text.secondary' gutterBottom>
+          Attendance Today
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <Typography variant='h6' gutterBottom sx={{ pr: 2 }}>
+            {todayPerc === null ? 'Not taken yet' : `${todayPerc}%`}
+          </Typography>
+          {monthPerc !== null && <Chip label={`This month ${monthPerc}%`} color='primary' />}
+        </Box>
+        <Typography variant='body2' color='text.secondary'>
+          {todayMarked} students marked today
+        </Typography>
+      </CardContent>
+    </Card>
+  );
+};
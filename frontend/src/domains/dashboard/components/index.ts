@@ -1,3 +1,4 @@
+export * from './attendance-card';
 export * from './celebrations';
 export * from './grid-card';
 export * from './leave-policy-detail';
@@ -3,7 +3,14 @@ import { useSelector } from 'react-redux';
 
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { useGetDashboardDataQuery } from '../api/dashboard-api';
-import { Celebrations, GridCard, LeavePolicyDetail, Notices, WhoIsOut } from '../components';
+import {
+  AttendanceCard,
+  Celebrations,
+  GridCard,
+  LeavePolicyDetail,
+  Notices,
+  WhoIsOut
+} from '../components';
 import { getUserRole } from '@/domains/auth/slice';
 import { DashboardProps } from '../types';
 
@@ -21,8 +28,17 @@ export const DashboardPage = () => {
     return <>No data available</>;
   }
 
-  const { students, teachers, parents, notices, leavePolicies, celebrations, oneMonthLeave } =
-    data as DashboardProps;
+  const {
+    students,
+    teachers,
+    parents,
+    notices,
+    leavePolicies,
+    celebrations,
+    oneMonthLeave,
+    attendance
+  } = data as DashboardProps;
+  const hasAttendance = attendance.todayMarked > 0 || attendance.monthPerc !== null;
   return (
     <Grid2 container spacing={4}>
       {currentUserRole === 'admin' && (
@@ -38,6 +54,11 @@ export const DashboardPage = () => {
           </Grid2>
         </>
       )}
+      {hasAttendance && (
+        <Grid2 size={{ xs: 12, md: 4 }}>
+          <AttendanceCard {...attendance} />
+        </Grid2>
+      )}
 
       <Grid2 container size={{ xs: 12 }} spacing={3}>
         <Grid2 size={{ xs: 12, md: 4 }}>
@@ -23,6 +23,13 @@ export type WhoIsOutProps = {
   leaveType: string;
 };
 
+// Percentages are null until attendance is taken
+export type AttendanceSummary = {
+  todayPerc: number | null;
+  todayMarked: number;
+  monthPerc: number | null;
+};
+
 export type DashboardProps = {
   students: GeneralData;
   teachers: GeneralData;
@@ -31,4 +38,5 @@ export type DashboardProps = {
   leavePolicies: MyLeavePolicy[];
   celebrations: CelebrationProps[];
   oneMonthLeave: WhoIsOutProps[];
+  attendance: AttendanceSummary;
 };
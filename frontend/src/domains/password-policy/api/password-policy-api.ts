@@ -0,0 +1,21 @@
+import { api, Tag } from '@/api';
+import { PasswordPolicy, PasswordPolicyForm } from '../types';
+
+const passwordPolicyApi = api.injectEndpoints({
+  endpoints: (builder) => ({
+    getPasswordPolicy: builder.query<PasswordPolicy, void>({
+      query: () => `/password-policy`,
+      providesTags: [Tag.PASSWORD_POLICY]
+    }),
+    updatePasswordPolicy: builder.mutation<{ message: string }, PasswordPolicyForm>({
+      query: (payload) => ({
+        url: `/password-policy`,
+        method: 'PUT',
+        body: payload
+      }),
+      invalidatesTags: (result) => (result ? [Tag.PASSWORD_POLICY] : [])
+    })
+  })
+});
+
+export const { useGetPasswordPolicyQuery, useUpdatePasswordPolicyMutation } = passwordPolicyApi;
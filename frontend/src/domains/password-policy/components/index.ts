@@ -0,0 +1 @@
+export * from './manage-password-policy';
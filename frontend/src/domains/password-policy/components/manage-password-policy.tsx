@@ -0,0 +1,134 @@
+import * as React from 'react';
+import {
+  Box,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  FormLabel,
+  Grid2,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import { LoadingButton } from '@mui/lab';
+import { Controller, UseFormReturn } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { useUpdatePasswordPolicyMutation } from '../api';
+import { PasswordPolicyForm } from '../types';
+
+type ManagePasswordPolicyProps = {
+  methods: UseFormReturn<PasswordPolicyForm>;
+  updatedDate: string | null;
+};
+
+type PolicyRuleField = Exclude<keyof PasswordPolicyForm, 'minLength' | 'historyCount'>;
+
+const ruleFields: { name: PolicyRuleField; label: string }[] = [
+  { name: 'requireUppercase', label: 'Require an uppercase letter' },
+  { name: 'requireLowercase', label: 'Require a lowercase letter' },
+  { name: 'requireNumber', label: 'Require a number' },
+  { name: 'requireSymbol', label: 'Require a symbol' },
+  { name: 'blockCommonPasswords', label: 'Block commonly used passwords' }
+];
+
+export const ManagePasswordPolicy: React.FC<ManagePasswordPolicyProps> = ({
+  methods,
+  updatedDate
+}) => {
+  const [updatePasswordPolicy, { isLoading }] = useUpdatePasswordPolicyMutation();
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors }
+  } = methods;
+
+  const handleSave = async (data: PasswordPolicyForm) => {
+    try {
+      const result = await updatePasswordPolicy(data).unwrap();
+      toast.info(result.message);
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  return (
+    <Box component={Paper} sx={{ p: 2 }}>
+      <Typography variant='subtitle1'>Password Policy</Typography>
+      <Typography variant='body2' color='text.secondary' sx={{ mb: 3 }}>
+        Applies whenever a user sets up or changes their password.
+        {updatedDate && ` Last updated ${new Date(updatedDate).toLocaleString()}.`}
+      </Typography>
+      <form onSubmit={handleSubmit(handleSave)}>
+        <Grid2 container spacing={2}>
+          <Grid2 size={{ xs: 12, md: 6 }}>
+            <TextField
+              {...register('minLength', { valueAsNumber: true })}
+              type='number'
+              label='Minimum Length'
+              fullWidth
+              size='small'
+              error={!!errors.minLength}
+              helperText={errors.minLength?.message}
+            />
+          </Grid2>
+          <Grid2 size={{ xs: 12, md: 6 }}>
+            <TextField
+              {...register('historyCount', { valueAsNumber: true })}
+              type='number'
+              label='Password History'
+              fullWidth
+              size='small'
+              error={!!errors.historyCount}
+              helperText={
+                errors.historyCount?.message || 'Number of recent passwords that cannot be reused'
+              }
+            />
+          </Grid2>
+        </Grid2>
+
+        <FormControl sx={{ mt: 2 }}>
+          <FormLabel>Rules</FormLabel>
+          <FormGroup>
+            {ruleFields.map(({ name, label }) => (
+              <Controller
+                key={name}
+                name={name}
+                control={control}
+                render={({ field }) => (
+                  <FormControlLabel
+                    label={label}
+                    control={
+                      <Checkbox
+                        size='small'
+                        checked={field.value}
+                        onChange={(event) => field.onChange(event.target.checked)}
+                      />
+                    }
+                  />
+                )}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+
+        <Box textAlign='center'>
+          <LoadingButton
+            type='submit'
+            size='small'
+            variant='contained'
+            sx={{ mt: 4 }}
+            loading={isLoading}
+          >
+            Save
+          </LoadingButton>
+        </Box>
+      </form>
+    </Box>
+  );
+};
@@ -0,0 +1 @@
+export * from './password-policy-page';
@@ -0,0 +1,44 @@
+import * as React from 'react';
+import { Grid2 } from '@mui/material';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+
+import { PageContentHeader } from '@/components/page-content-header';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { ManagePasswordPolicy } from '../components';
+import { useGetPasswordPolicyQuery } from '../api';
+import { PasswordPolicyForm, PasswordPolicySchema } from '../types';
+
+export const PasswordPolicyPage = () => {
+  const { data: policy, isLoading, isError, error } = useGetPasswordPolicyQuery();
+
+  const methods = useForm<PasswordPolicyForm>({
+    resolver: zodResolver(PasswordPolicySchema)
+  });
+
+  React.useEffect(() => {
+    if (policy) {
+      methods.reset(policy);
+    }
+  }, [policy, methods]);
+
+  let content: React.ReactNode | null = null;
+  if (isLoading) {
+    content = <>loading...</>;
+  } else if (isError) {
+    content = <>{getErrorMsg(error).message}</>;
+  } else if (!policy) {
+    content = <>Record not found</>;
+  } else {
+    content = <ManagePasswordPolicy methods={methods} updatedDate={policy.updatedDate} />;
+  }
+
+  return (
+    <>
+      <PageContentHeader heading='Password Policy' />
+      <Grid2 container>
+        <Grid2 size={{ xs: 12, md: 6 }}>{content}</Grid2>
+      </Grid2>
+    </>
+  );
+};
@@ -0,0 +1,2 @@
+export * from './password-policy-schema';
+export * from './password-policy-type';
@@ -0,0 +1,19 @@
+import { z } from 'zod';
+
+export const PasswordPolicySchema = z.object({
+  minLength: z
+    .number({ invalid_type_error: 'Minimum length is required' })
+    .int()
+    .min(6, 'Minimum length must be at least 6')
+    .max(128, 'Minimum length must be at most 128'),
+  requireUppercase: z.boolean(),
+  requireLowercase: z.boolean(),
+  requireNumber: z.boolean(),
+  requireSymbol: z.boolean(),
+  blockCommonPasswords: z.boolean(),
+  historyCount: z
+    .number({ invalid_type_error: 'History count is required' })
+    .int()
+    .min(0, 'History count cannot be negative')
+    .max(24, 'History count must be at most 24')
+});
@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { PasswordPolicySchema } from './password-policy-schema';
+
+export type PasswordPolicyForm = z.infer<typeof PasswordPolicySchema>;
+
+export type PasswordPolicy = PasswordPolicyForm & {
+  updatedDate: string | null;
+};
@@ -1,15 +1,23 @@
 import { api, Tag } from '@/api';
 import {
-  AddEditRoleProps,
+  AddEditRoleRequest,
   PermissionData,
   RolePermission,
   RolePermissionsData,
   RolesData,
   HandleRoleStatus,
+  HandleRoleTwoFactor,
   RoleUsersData,
   UserRole,
   MyPermissionData,
-  AddEditPermissionWithId
+  AddEditPermissionWithId,
+  RoleConfiguration,
+  RoleImportPlan,
+  RoleImportRequest,
+  AccessRequestPayload,
+  AccessRequestsData,
+  AccessExplanation,
+  ExplainAccessRequest
 } from '../types';
 
 export const rolesAndPermissionsApi = api.injectEndpoints({
@@ -42,7 +50,7 @@ export const rolesAndPermissionsApi = api.injectEndpoints({
           return { type: Tag.ROLE_PERMISSIONS, id };
         }) || [{ type: Tag.ROLE_PERMISSIONS }]
     }),
-    addNewRole: builder.mutation<{ message: string }, Omit<AddEditRoleProps, 'id'>>({
+    addNewRole: builder.mutation<{ message: string }, Omit<AddEditRoleRequest, 'id'>>({
       query: (payload) => ({
         url: `/roles`,
         method: 'POST',
@@ -50,13 +58,14 @@ export const rolesAndPermissionsApi = api.injectEndpoints({
       }),
       invalidatesTags: (result) => (result ? [Tag.ROLES] : [])
     }),
-    updateRole: builder.mutation<{ message: string }, AddEditRoleProps>({
+    updateRole: builder.mutation<{ message: string }, AddEditRoleRequest>({
       query: ({ id, ...payload }) => ({
         url: `/roles/${id}`,
         method: 'PUT',
         body: payload
       }),
-      invalidatesTags: (result, _error, { id }) => (result ? [{ type: Tag.ROLES, id }] : [])
+      invalidatesTags: (result, _error, { id }) =>
+        result ? [{ type: Tag.ROLES, id }, Tag.ROLE_PERMISSIONS] : []
     }),
     handleRoleStatus: builder.mutation<{ message: string }, HandleRoleStatus>({
       query: ({ id, status }) => ({
@@ -66,26 +75,77 @@ export const rolesAndPermissionsApi = api.injectEndpoints({
       }),
       invalidatesTags: (result, _error, { id }) => (result ? [{ type: Tag.ROLES, id }] : [])
     }),
+    handleRoleTwoFactor: builder.mutation<{ message: string }, HandleRoleTwoFactor>({
+      query: ({ id, required }) => ({
+        url: `/roles/${id}/two-factor`,
+        method: 'POST',
+        body: { required }
+      }),
+      invalidatesTags: (result, _error, { id }) => (result ? [{ type: Tag.ROLES, id }] : [])
+    }),
     updateRolePermission: builder.mutation<{ message: string }, RolePermission>({
-      query: ({ id, permissions }) => ({
+      query: ({ id, permissions, dataScopes }) => ({
         url: `/roles/${id}/permissions`,
         method: 'POST',
-        body: { permissions }
+        body: { permissions, dataScopes }
       }),
       invalidatesTags: (result, _error, { id }) =>
         result ? [{ type: Tag.ROLE_PERMISSIONS, id }] : []
     }),
     switchUserRole: builder.mutation<{ message: string }, UserRole>({
-      query: ({ id, roleId }) => ({
+      query: ({ id, roleId, action }) => ({
         url: `/roles/switch`,
         method: 'POST',
         body: {
           userId: id,
-          roleId
+          roleId,
+          action
         }
       }),
       invalidatesTags: [Tag.ROLE_USERS, Tag.ROLES]
     }),
+    exportRoles: builder.query<RoleConfiguration, void>({
+      query: () => `/roles/export`,
+      keepUnusedDataFor: 0
+    }),
+    importRoles: builder.mutation<RoleImportPlan, RoleImportRequest>({
+      query: ({ configuration, dryRun }) => ({
+        url: `/roles/import`,
+        method: 'POST',
+        params: { dryRun },
+        body: configuration
+      }),
+      invalidatesTags: (result, _error, { dryRun }) =>
+        result && !dryRun
+          ? [Tag.ROLES, Tag.ROLE_PERMISSIONS, Tag.PERMISSIONS, Tag.MY_PERMISSIONS]
+          : []
+    }),
+    requestAccess: builder.mutation<{ message: string }, AccessRequestPayload>({
+      query: (payload) => ({
+        url: `/access-controls/requests`,
+        method: 'POST',
+        body: payload
+      }),
+      invalidatesTags: [Tag.ACCESS_REQUESTS]
+    }),
+    getAccessRequests: builder.query<AccessRequestsData, void>({
+      query: () => `/access-controls/requests`,
+      providesTags: [Tag.ACCESS_REQUESTS]
+    }),
+    resolveAccessRequest: builder.mutation<{ message: string }, number>({
+      query: (id) => ({
+        url: `/access-controls/requests/${id}/resolve`,
+        method: 'POST'
+      }),
+      invalidatesTags: [Tag.ACCESS_REQUESTS]
+    }),
+    explainAccess: builder.query<AccessExplanation, ExplainAccessRequest>({
+      query: (params) => ({
+        url: `/access-controls/explain`,
+        params
+      }),
+      providesTags: [Tag.ROLE_PERMISSIONS]
+    }),
     getMyPermissions: builder.query<MyPermissionData, void>({
       query: () => `/access-controls/me`,
       providesTags: () => [Tag.MY_PERMISSIONS]
@@ -126,8 +186,15 @@ export const {
   useAddNewRoleMutation,
   useUpdateRoleMutation,
   useHandleRoleStatusMutation,
+  useHandleRoleTwoFactorMutation,
   useUpdateRolePermissionMutation,
   useSwitchUserRoleMutation,
+  useLazyExportRolesQuery,
+  useImportRolesMutation,
+  useRequestAccessMutation,
+  useGetAccessRequestsQuery,
+  useResolveAccessRequestMutation,
+  useExplainAccessQuery,
   useGetMyPermissionsQuery,
   useDeletePermissionMutation,
   useAddPermissionMutation,
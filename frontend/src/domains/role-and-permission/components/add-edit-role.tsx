@@ -1,6 +1,6 @@
 import * as React from 'react';
-import { TextField } from '@mui/material';
-import { useForm } from 'react-hook-form';
+import { FormControl, InputLabel, MenuItem, Select, TextField } from '@mui/material';
+import { Controller, useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { toast } from 'react-toastify';
 import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
@@ -9,7 +9,7 @@ import { SerializedError } from '@reduxjs/toolkit';
 import { DialogModal } from '@/components/dialog-modal';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { AddEditRoleProps, AddEditRoleSchema } from '../types';
-import { useAddNewRoleMutation, useUpdateRoleMutation } from '../api';
+import { useAddNewRoleMutation, useGetRolesQuery, useUpdateRoleMutation } from '../api';
 
 type ModalProps = {
   roleId?: number;
@@ -20,8 +20,10 @@ type ModalProps = {
 
 const initValues = {
   id: 0,
-  name: ''
+  name: '',
+  parentRoleId: 0
 };
+const ADMIN_ROLE_ID = 1;
 
 export const AddEditRole: React.FC<ModalProps> = ({
   roleId,
@@ -31,6 +33,7 @@ export const AddEditRole: React.FC<ModalProps> = ({
 }) => {
   const {
     register,
+    control,
     formState: { errors },
     setValue,
     handleSubmit
@@ -39,22 +42,30 @@ export const AddEditRole: React.FC<ModalProps> = ({
     defaultValues: initValues
   });
 
+  const { data } = useGetRolesQuery();
+  const roles = data?.roles ?? [];
+  const currentParentRoleId = roles.find((role) => role.id === roleId)?.parentRoleId ?? 0;
+  // The admin role needs no permissions rows, so it cannot be inherited from
+  const parentRoleOptions = roles.filter((role) => role.id !== ADMIN_ROLE_ID && role.id !== roleId);
   const [addNewRole, { isLoading: isAddingRole }] = useAddNewRoleMutation();
   const [updateRole, { isLoading: isUpdatingRole }] = useUpdateRoleMutation();
 
   React.useEffect(() => {
     if (roleId) {
       setValue('name', roleName);
+      setValue('parentRoleId', currentParentRoleId);
     } else {
       setValue('name', '');
+      setValue('parentRoleId', 0);
     }
-  }, [roleName, roleId, setValue]);
+  }, [roleName, roleId, currentParentRoleId, setValue]);
 
   const handleSave = async (data: AddEditRoleProps) => {
     try {
+      const payload = { name: data.name, parentRoleId: data.parentRoleId || null };
       const result = roleId
-        ? await updateRole({ ...data, id: roleId }).unwrap()
-        : await addNewRole({ name: data.name }).unwrap();
+        ? await updateRole({ ...payload, id: roleId }).unwrap()
+        : await addNewRole(payload).unwrap();
 
       toast.info(result.message);
       closeAddEditRoleModalOpen();
@@ -80,6 +91,28 @@ export const AddEditRole: React.FC<ModalProps> = ({
         size='small'
         fullWidth
       />
+      <FormControl sx={{ width: '100%', mt: 3 }} size='small'>
+        <InputLabel id='parent-role'>Inherits Permissions From</InputLabel>
+        <Controller
+          name='parentRoleId'
+          control={control}
+          render={({ field: { onChange, value } }) => (
+            <Select
+              labelId='parent-role'
+              label='Inherits Permissions From'
+              value={value}
+              onChange={(e) => onChange(Number(e.target.value))}
+            >
+              <MenuItem value={0}>None</MenuItem>
+              {parentRoleOptions.map((role) => (
+                <MenuItem value={role.id} key={role.id}>
+                  {role.name}
+                </MenuItem>
+              ))}
+            </Select>
+          )}
+        />
+      </FormControl>
     </DialogModal>
   );
 };
@@ -0,0 +1,51 @@
+import * as React from 'react';
+import { Typography } from '@mui/material';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+import { toast } from 'react-toastify';
+
+import { DialogModal } from '@/components/dialog-modal';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { useHandleRoleTwoFactorMutation } from '../api';
+
+type RoleTwoFactorProps = {
+  isRequired: boolean;
+  roleId: number;
+  closeModals: () => void;
+  title: string;
+  bodyText: string;
+};
+
+export const HandleRoleTwoFactor: React.FC<RoleTwoFactorProps> = ({
+  roleId,
+  closeModals,
+  isRequired,
+  title,
+  bodyText
+}) => {
+  const [handleRoleTwoFactor, { isLoading: isSaving }] = useHandleRoleTwoFactorMutation();
+
+  const onSave = async () => {
+    try {
+      const result = await handleRoleTwoFactor({ id: roleId, required: isRequired }).unwrap();
+      toast.info(result.message);
+      closeModals();
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  return (
+    <DialogModal
+      isSaving={isSaving}
+      actionFooterCancelText='No'
+      actionFooterSaveText='Yes'
+      isOpen={true}
+      titleText={title}
+      closeModal={closeModals}
+      handleSave={onSave}
+    >
+      <Typography variant='body1'>{bodyText}</Typography>
+    </DialogModal>
+  );
+};
@@ -0,0 +1,162 @@
+import * as React from 'react';
+import { MaterialReactTable, MRT_ColumnDef, useMaterialReactTable } from 'material-react-table';
+import { Box, IconButton, Typography } from '@mui/material';
+import { CheckCircle, Help } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import {
+  useExplainAccessQuery,
+  useGetAccessRequestsQuery,
+  useResolveAccessRequestMutation
+} from '../../api';
+import { AccessRequest } from '../../types';
+import { DialogModal } from '@/components/dialog-modal';
+import { DATE_TIME_24_HR_FORMAT, getFormattedDate } from '@/utils/helpers/date';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+
+type ExplainAccessProps = {
+  request: AccessRequest;
+  closeModal: () => void;
+};
+
+const ExplainAccess: React.FC<ExplainAccessProps> = ({ request, closeModal }) => {
+  const { userId, path, method } = request;
+  const { data, isLoading, isError, error } = useExplainAccessQuery(
+    { userId, path, method: method ?? '' },
+    { skip: !method }
+  );
+  const [resolveAccessRequest, { isLoading: isSaving }] = useResolveAccessRequestMutation();
+
+  const handleResolve = async () => {
+    try {
+      const result = await resolveAccessRequest(request.id).unwrap();
+      toast.info(result.message);
+      closeModal();
+    } catch (resolveError) {
+      toast.error(getErrorMsg(resolveError as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  let content: React.ReactNode;
+  if (!method) {
+    content = 'The denied request is not known, only the error the user saw.';
+  } else if (isLoading) {
+    content = 'Checking permission...';
+  } else if (isError) {
+    content = getErrorMsg(error).message;
+  } else if (data) {
+    content = (
+      <>
+        <Typography variant='subtitle2'>{data.reason}</Typography>
+        <Typography variant='body2' sx={{ mb: 1 }}>
+          Access control: {data.accessControl?.name ?? 'none'}
+        </Typography>
+        {data.roles.map(({ id, name, reason }) => (
+          <Typography key={id} variant='body2'>
+            {name}: {reason}
+          </Typography>
+        ))}
+      </>
+    );
+  }
+
+  return (
+    <DialogModal
+      isSaving={isSaving}
+      isOpen={true}
+      titleText={`${method ?? ''} ${path}`}
+      actionFooterSaveText='Mark Resolved'
+      closeModal={closeModal}
+      handleSave={handleResolve}
+    >
+      <Typography variant='body2' color='text.secondary' sx={{ mb: 2 }}>
+        {request.message}
+        {request.note && ` Note: ${request.note}`}
+      </Typography>
+      {content}
+    </DialogModal>
+  );
+};
+
+export const AccessRequests = () => {
+  const { data, isLoading, isError, error } = useGetAccessRequestsQuery();
+  const [resolveAccessRequest] = useResolveAccessRequestMutation();
+  const [selected, setSelected] = React.useState<AccessRequest | null>(null);
+
+  const handleResolve = async (id: number) => {
+    try {
+      const result = await resolveAccessRequest(id).unwrap();
+      toast.info(result.message);
+    } catch (resolveError) {
+      toast.error(getErrorMsg(resolveError as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  const columns: MRT_ColumnDef<AccessRequest>[] = [
+    {
+      accessorKey: 'userName',
+      header: 'User'
+    },
+    {
+      accessorKey: 'path',
+      header: 'Request',
+      Cell: ({ row }) => <>{`${row.original.method ?? ''} ${row.original.path}`}</>
+    },
+    {
+      accessorKey: 'note',
+      header: 'Note'
+    },
+    {
+      accessorKey: 'createdDt',
+      header: 'Requested On',
+      Cell: ({ cell }) => <>{getFormattedDate(cell.getValue<string>(), DATE_TIME_24_HR_FORMAT)}</>
+    }
+  ];
+
+  const accessRequests = isError ? [] : data?.accessRequests || [];
+  const table = useMaterialReactTable({
+    data: accessRequests,
+    columns,
+    state: {
+      isLoading,
+      density: 'compact'
+    },
+    enableDensityToggle: false,
+    getRowId: (row) => row?.id?.toString(),
+    enableRowActions: true,
+    positionActionsColumn: 'last',
+    renderRowActions: ({ row }) => (
+      <>
+        <IconButton title='Explain' color='primary' onClick={() => setSelected(row.original)}>
+          <Help />
+        </IconButton>
+        <IconButton
+          title='Mark Resolved'
+          color='success'
+          onClick={() => handleResolve(row.original.id)}
+        >
+          <CheckCircle />
+        </IconButton>
+      </>
+    ),
+    renderEmptyRowsFallback: () => {
+      const errorMsg = isError ? getErrorMsg(error).message : 'No pending access requests';
+      return <Box sx={{ textAlign: 'center', fontStyle: 'italic', my: 3 }}>{errorMsg}</Box>;
+    }
+  });
+
+  return (
+    <>
+      <Typography component='div' sx={{ fontSize: '18px', mt: 3, mb: 1 }}>
+        Access Requests
+      </Typography>
+      <Box sx={{ display: 'table', width: '100%', tableLayout: 'fixed' }}>
+        <MaterialReactTable table={table} />
+      </Box>
+
+      {selected && <ExplainAccess request={selected} closeModal={() => setSelected(null)} />}
+    </>
+  );
+};
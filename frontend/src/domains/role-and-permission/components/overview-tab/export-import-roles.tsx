@@ -0,0 +1,153 @@
+import * as React from 'react';
+import { FileDownload, FileUpload } from '@mui/icons-material';
+import { Box, Button, Chip, Stack, Typography } from '@mui/material';
+import { toast } from 'react-toastify';
+import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
+import { SerializedError } from '@reduxjs/toolkit';
+
+import { DialogModal } from '@/components/dialog-modal';
+import { getErrorMsg } from '@/utils/helpers/get-error-message';
+import { useImportRolesMutation, useLazyExportRolesQuery } from '../../api';
+import { RoleConfiguration, RoleImportPlan } from '../../types';
+
+const actionColors = {
+  create: 'success',
+  update: 'warning',
+  unchanged: 'default'
+} as const;
+
+const downloadJson = (fileName: string, data: unknown) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+  );
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const ExportImportRoles = () => {
+  const fileInput = React.useRef<HTMLInputElement>(null);
+  const [configuration, setConfiguration] = React.useState<RoleConfiguration | null>(null);
+  const [plan, setPlan] = React.useState<RoleImportPlan | null>(null);
+  const [exportRoles, { isFetching: isExporting }] = useLazyExportRolesQuery();
+  const [importRoles, { isLoading: isImporting }] = useImportRolesMutation();
+
+  const closeModal = () => {
+    setConfiguration(null);
+    setPlan(null);
+  };
+
+  const handleExport = async () => {
+    try {
+      const result = await exportRoles().unwrap();
+      downloadJson(`roles-${result.exportedAt.slice(0, 10)}.json`, result);
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  const handleFileChange = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    let fileConfiguration: RoleConfiguration;
+    try {
+      fileConfiguration = JSON.parse(await file.text());
+    } catch {
+      toast.error('The file is not a valid roles export');
+      return;
+    }
+
+    try {
+      const result = await importRoles({ configuration: fileConfiguration, dryRun: true }).unwrap();
+      setConfiguration(fileConfiguration);
+      setPlan(result);
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!configuration) {
+      return;
+    }
+
+    try {
+      const result = await importRoles({ configuration, dryRun: false }).unwrap();
+      toast.info(result.message);
+      closeModal();
+    } catch (error) {
+      toast.error(getErrorMsg(error as FetchBaseQueryError | SerializedError).message);
+    }
+  };
+
+  return (
+    <>
+      <Stack spacing={1} direction='row' sx={{ display: 'flex', mt: 2 }}>
+        <Button
+          size='small'
+          variant='outlined'
+          startIcon={<FileDownload />}
+          disabled={isExporting}
+          onClick={handleExport}
+        >
+          Export Roles
+        </Button>
+        <Button
+          size='small'
+          variant='outlined'
+          startIcon={<FileUpload />}
+          disabled={isImporting}
+          onClick={() => fileInput.current?.click()}
+        >
+          Import Roles
+        </Button>
+        <input
+          ref={fileInput}
+          type='file'
+          accept='application/json,.json'
+          hidden
+          onChange={handleFileChange}
+        />
+      </Stack>
+
+      {plan && (
+        <DialogModal
+          isSaving={isImporting}
+          isOpen={true}
+          titleText='Import Roles'
+          actionFooterSaveText='Import'
+          closeModal={closeModal}
+          handleSave={handleImport}
+        >
+          <Typography variant='body2' sx={{ mb: 2 }}>
+            Each role below gets exactly the permissions in the file. Roles not in the file are left
+            as they are.
+            {plan.accessControls.length > 0 &&
+              ` ${plan.accessControls.length} missing access control(s) will be added.`}
+          </Typography>
+          {plan.roles.map(({ name, action, changes, permissions }) => (
+            <Box key={name} sx={{ mb: 1.5 }}>
+              <Stack direction='row' spacing={1} alignItems='center'>
+                <Typography variant='subtitle2'>{name}</Typography>
+                <Chip size='small' label={action} color={actionColors[action]} />
+              </Stack>
+              {action !== 'unchanged' && (
+                <Typography variant='caption' color='text.secondary'>
+                  {Object.keys(changes).length > 0 &&
+                    `Changes ${Object.keys(changes).join(', ')}. `}
+                  {`${permissions.added.length} added, ${permissions.removed.length} removed, ${permissions.changed.length} changed permission(s)`}
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </DialogModal>
+      )}
+    </>
+  );
+};
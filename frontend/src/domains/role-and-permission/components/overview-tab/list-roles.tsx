@@ -14,12 +14,14 @@ import { Circle, MoreVert } from '@mui/icons-material';
 import { useRolePermission } from '../../context/role-permission-provider';
 import { AddEditRole } from '../add-edit-role';
 import { HandleRoleStatus } from '../handle-role-status';
+import { HandleRoleTwoFactor } from '../handle-role-two-factor';
 
 const initialState = {
   anchorElement: null,
   id: 0,
   name: '',
   status: false,
+  isTwoFactorRequired: false,
   action: '',
   modalTitleText: ''
 };
@@ -28,6 +30,7 @@ type InitialStateProps = {
   id: number;
   name: string;
   status: boolean;
+  isTwoFactorRequired: boolean;
   action?: string;
   modalTitleText: string;
 };
@@ -38,11 +41,25 @@ export const ListRoles = () => {
   } = useRolePermission();
   const [state, setState] = React.useState<InitialStateProps>(initialState);
 
-  const menuItems: Array<{ action: string; name: string; status: boolean }> = React.useMemo(
+  const menuItems: Array<{
+    action: string;
+    name: string;
+    isDisabled: (role: InitialStateProps) => boolean;
+  }> = React.useMemo(
     () => [
-      { action: 'edit', name: 'Edit Role', status: false },
-      { action: 'disable', name: 'Disable Role', status: false },
-      { action: 'enable', name: 'Enable Role', status: true }
+      { action: 'edit', name: 'Edit Role', isDisabled: ({ status }) => !status },
+      { action: 'disable', name: 'Disable Role', isDisabled: ({ status }) => !status },
+      { action: 'enable', name: 'Enable Role', isDisabled: ({ status }) => status },
+      {
+        action: 'require-2fa',
+        name: 'Require Two-Factor',
+        isDisabled: ({ isTwoFactorRequired }) => isTwoFactorRequired
+      },
+      {
+        action: 'optional-2fa',
+        name: 'Make Two-Factor Optional',
+        isDisabled: ({ isTwoFactorRequired }) => !isTwoFactorRequired
+      }
     ],
     []
   );
@@ -51,7 +68,8 @@ export const ListRoles = () => {
     event: React.MouseEvent<HTMLElement>,
     id: number,
     name: string,
-    status: boolean
+    status: boolean,
+    isTwoFactorRequired: boolean
   ) => {
     setState((prevState) => ({
       ...prevState,
@@ -59,6 +77,7 @@ export const ListRoles = () => {
       id,
       name,
       status,
+      isTwoFactorRequired,
       modalTitleText: ''
     }));
   };
@@ -72,11 +91,11 @@ export const ListRoles = () => {
     setState((prevState) => ({ ...prevState, action: '' }));
   };
 
-  const { anchorElement, status: currentRoleStatus, action, modalTitleText, name, id } = state;
+  const { anchorElement, action, modalTitleText, name, id } = state;
   return (
     <>
       <Grid2 container spacing={3}>
-        {roles.map(({ id, name, status, usersAssociated }) => (
+        {roles.map(({ id, name, status, usersAssociated, isTwoFactorRequired }) => (
           <Grid2 size={{ xs: 12, md: 4 }} key={id}>
             <Card variant='outlined'>
               <CardContent sx={{ backgroundColor: '#f3f6f999' }}>
@@ -97,7 +116,9 @@ export const ListRoles = () => {
                       aria-label='more'
                       id='long-button'
                       aria-haspopup='true'
-                      onClick={(event) => handleMenuClick(event, id, name, status)}
+                      onClick={(event) =>
+                        handleMenuClick(event, id, name, status, isTwoFactorRequired)
+                      }
                     >
                       <MoreVert />
                     </IconButton>
@@ -110,7 +131,7 @@ export const ListRoles = () => {
                       {menuItems.map((menu) => (
                         <MenuItem
                           key={menu.action}
-                          disabled={currentRoleStatus === menu.status}
+                          disabled={menu.isDisabled(state)}
                           onClick={() => handleMenuItemClick(menu.action, menu.name)}
                         >
                           {menu.name}
@@ -121,6 +142,7 @@ export const ListRoles = () => {
                 </Box>
                 <Typography sx={{ fontSize: '16px', color: 'text.secondary', mb: '20px' }}>
                   {usersAssociated} people
+                  {isTwoFactorRequired && ' · Two-factor required'}
                 </Typography>
               </CardContent>
             </Card>
@@ -146,6 +168,20 @@ export const ListRoles = () => {
           closeModals={closeModal}
         />
       )}
+
+      {(action === 'require-2fa' || action === 'optional-2fa') && (
+        <HandleRoleTwoFactor
+          title={modalTitleText}
+          bodyText={
+            action === 'require-2fa'
+              ? 'Users with this role will have to set up two-factor authentication on their next sign in. Continue?'
+              : 'Users with this role will be able to turn off two-factor authentication. Continue?'
+          }
+          roleId={id}
+          isRequired={action === 'require-2fa'}
+          closeModals={closeModal}
+        />
+      )}
     </>
   );
 };
@@ -1,5 +1,7 @@
 import { Divider, Stack, Typography } from '@mui/material';
+import { AccessRequests } from './access-requests';
 import { AddRole } from './add-role';
+import { ExportImportRoles } from './export-import-roles';
 import { ListRoles } from './list-roles';
 
 export const OverviewTab = () => {
@@ -10,9 +12,11 @@ export const OverviewTab = () => {
           Overview
         </Typography>
         <AddRole />
+        <ExportImportRoles />
       </Stack>
       <Divider sx={{ my: '10px' }} />
       <ListRoles />
+      <AccessRequests />
     </>
   );
 };
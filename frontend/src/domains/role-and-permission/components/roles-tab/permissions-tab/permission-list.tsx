@@ -8,7 +8,7 @@ import {
 import { toast } from 'react-toastify';
 import { FetchBaseQueryError } from '@reduxjs/toolkit/query';
 import { SerializedError } from '@reduxjs/toolkit';
-import { Box, Button, IconButton } from '@mui/material';
+import { Box, Button, IconButton, MenuItem, Select } from '@mui/material';
 import { Add, Delete, Edit } from '@mui/icons-material';
 import { LoadingButton } from '@mui/lab';
 
@@ -16,12 +16,15 @@ import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { DeletePermission } from './delete-permission';
 import { AddEditPermission } from './add-edit-permission';
 import { useRolePermission } from '@/domains/role-and-permission/context/role-permission-provider';
-import { Permission } from '@/utils/type/misc';
 import {
   useGetRolePermissionsQuery,
   useUpdateRolePermissionMutation
 } from '@/domains/role-and-permission/api';
-import { ExtendedPermission } from '@/domains/role-and-permission/types';
+import {
+  DataScope,
+  ExtendedPermission,
+  RolePermissionsData
+} from '@/domains/role-and-permission/types';
 
 type PermissionListProps = {
   roleId: number;
@@ -34,6 +37,12 @@ export type FormInitialState = {
   type: string;
   method: string;
 };
+const dataScopeOptions: { value: DataScope; label: string }[] = [
+  { value: 'all', label: 'All records' },
+  { value: 'own_sections', label: 'Own class sections' },
+  { value: 'reportees', label: 'Own reportees' },
+  { value: 'self', label: 'Self only' }
+];
 const formInitialState = {
   action: '',
   id: 0,
@@ -45,7 +54,7 @@ const formInitialState = {
 
 const updatePermissionsAvailability = (
   permissions: ExtendedPermission[],
-  currentRolePermissions: Permission[]
+  currentRolePermissions: RolePermissionsData['permissions']
 ): ExtendedPermission[] => {
   return permissions.map((permission) => {
     const rolePermission = currentRolePermissions.find((p) => p.id === permission.id);
@@ -60,6 +69,7 @@ const updatePermissionsAvailability = (
     return {
       ...permission,
       isPermissionAvailable: rolePermission ? true : false,
+      inheritedFrom: rolePermission?.isInherited ? rolePermission.sourceRoleName : null,
       subMenus: updatedSubPermissions
     };
   });
@@ -72,6 +82,7 @@ export const PermissionList: React.FC<PermissionListProps> = ({ roleId }) => {
     []
   );
   const [formState, setFormState] = React.useState<FormInitialState>(formInitialState);
+  const [dataScopes, setDataScopes] = React.useState<Record<string, DataScope>>({});
   const {
     state: { permissions }
   } = useRolePermission();
@@ -86,6 +97,11 @@ export const PermissionList: React.FC<PermissionListProps> = ({ roleId }) => {
       );
       setCurrentRolePermissions(updatedPermissions);
     }
+    setDataScopes(
+      Object.fromEntries(
+        (data?.permissions ?? []).map(({ id, dataScope }) => [id.toString(), dataScope])
+      )
+    );
   }, [roleId, permissions, data]);
 
   React.useEffect(() => {
@@ -118,6 +134,31 @@ export const PermissionList: React.FC<PermissionListProps> = ({ roleId }) => {
     {
       accessorKey: 'method',
       header: 'Method'
+    },
+    {
+      accessorKey: 'inheritedFrom',
+      header: 'Inherited From'
+    },
+    {
+      id: 'dataScope',
+      header: 'Data Scope',
+      Cell: ({ row }) =>
+        row.original.type === 'api' ? (
+          <Select
+            variant='standard'
+            size='small'
+            value={dataScopes[row.id] ?? 'all'}
+            onChange={(e) =>
+              setDataScopes({ ...dataScopes, [row.id]: e.target.value as DataScope })
+            }
+          >
+            {dataScopeOptions.map(({ value, label }) => (
+              <MenuItem value={value} key={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        ) : null
     }
   ];
   const handleSave = async (event: React.MouseEvent<HTMLElement>) => {
@@ -126,7 +167,10 @@ export const PermissionList: React.FC<PermissionListProps> = ({ roleId }) => {
       const ids = Object.keys(rowSelection);
       const result = await updatePermissions({
         id: roleId!,
-        permissions: ids.length > 0 ? ids.join(',') : ''
+        permissions: ids.length > 0 ? ids.join(',') : '',
+        dataScopes: Object.fromEntries(
+          ids.filter((id) => dataScopes[id]).map((id) => [id, dataScopes[id]])
+        )
       }).unwrap();
       toast.info(result.message);
     } catch (error) {
@@ -10,34 +10,40 @@ import { SerializedError } from '@reduxjs/toolkit';
 import { DialogModal } from '@/components/dialog-modal';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 import { useGetRolesQuery, useSwitchUserRoleMutation } from '@/domains/role-and-permission/api';
+import { UserRoleAction } from '@/domains/role-and-permission/types';
 
-type SwitchUserRoleProps = {
+type AddRemoveUserRoleProps = {
   userId: number;
-  handleRoleSwitch: (id: number) => void;
+  roleId: number;
+  action: UserRoleAction;
+  closeModal: () => void;
 };
 const Schema = z.object({
   roleId: z.number().min(1, 'You must select one role')
 });
 type SchemaType = z.infer<typeof Schema>;
 
-export const SwitchUserRole: React.FC<SwitchUserRoleProps> = ({ userId, handleRoleSwitch }) => {
+export const AddRemoveUserRole: React.FC<AddRemoveUserRoleProps> = ({
+  userId,
+  roleId,
+  action,
+  closeModal
+}) => {
   const { data } = useGetRolesQuery();
-  const roles = data?.roles ?? [];
-  const [switchUserRole, { isLoading: isSwitchingRole }] = useSwitchUserRoleMutation();
+  // Admin can only be a primary role
+  const roles = (data?.roles ?? []).filter((role) => role.id !== 1 && role.id !== roleId);
+  const [switchUserRole, { isLoading: isSaving }] = useSwitchUserRoleMutation();
   const {
     control,
     formState: { errors },
     handleSubmit
   } = useForm<SchemaType>({
-    defaultValues: { roleId: 0 },
+    defaultValues: { roleId: action === 'remove' ? roleId : 0 },
     resolver: zodResolver(Schema)
   });
-  const closeModal = () => {
-    handleRoleSwitch(0);
-  };
   const handleSave = async (data: SchemaType) => {
     try {
-      const result = await switchUserRole({ id: userId, ...data }).unwrap();
+      const result = await switchUserRole({ id: userId, action, ...data }).unwrap();
       toast.info(result.message);
       closeModal();
     } catch (error) {
@@ -45,15 +51,33 @@ export const SwitchUserRole: React.FC<SwitchUserRoleProps> = ({ userId, handleRo
     }
   };
 
+  if (action === 'remove') {
+    return (
+      <DialogModal
+        isSaving={isSaving}
+        isOpen={true}
+        titleText='Remove Role'
+        actionFooterSaveText='Remove'
+        closeModal={closeModal}
+        handleSave={handleSubmit(handleSave)}
+      >
+        <p>
+          The user will lose the permissions of this role, except those granted by their other
+          roles.
+        </p>
+      </DialogModal>
+    );
+  }
+
   return (
     <DialogModal
-      isSaving={isSwitchingRole}
+      isSaving={isSaving}
       isOpen={true}
-      titleText='Switch Role'
+      titleText='Add Role'
       closeModal={closeModal}
       handleSave={handleSubmit(handleSave)}
     >
-      <p>Switching role will remove access permissions from current role.</p>
+      <p>The user keeps their current roles and gets the permissions of the new one as well.</p>
       <FormControl sx={{ width: '100%', my: 2 }} size='small' error={Boolean(errors.roleId)}>
         <InputLabel id='choose-new-role'>New Role</InputLabel>
         <Controller
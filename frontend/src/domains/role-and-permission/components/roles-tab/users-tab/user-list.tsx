@@ -1,12 +1,12 @@
 import * as React from 'react';
 import { MaterialReactTable, MRT_ColumnDef, useMaterialReactTable } from 'material-react-table';
 import { Box, IconButton } from '@mui/material';
-import { SwapHoriz } from '@mui/icons-material';
+import { GroupAdd, GroupRemove } from '@mui/icons-material';
 
 import { useGetRoleUsersQuery } from '@/domains/role-and-permission/api';
-import { User } from '@/domains/role-and-permission/types';
+import { User, UserRoleAction } from '@/domains/role-and-permission/types';
 import { DATE_TIME_24_HR_FORMAT, getFormattedDate } from '@/utils/helpers/date';
-import { SwitchUserRole } from './switch-user-role';
+import { AddRemoveUserRole } from './add-remove-user-role';
 import { getErrorMsg } from '@/utils/helpers/get-error-message';
 
 type UserListProps = {
@@ -15,22 +15,27 @@ type UserListProps = {
 
 export const UserList: React.FC<UserListProps> = ({ roleId }) => {
   const { data, isLoading, isError, error } = useGetRoleUsersQuery(roleId);
-  const [userId, setUserId] = React.useState<number>(0);
+  const [selected, setSelected] = React.useState<{
+    userId: number;
+    action: UserRoleAction;
+  } | null>(null);
 
   const columns: MRT_ColumnDef<User>[] = [
     {
       accessorKey: 'name',
       header: 'Name'
     },
+    {
+      accessorKey: 'isPrimary',
+      header: 'Role Type',
+      Cell: ({ cell }) => <>{cell.getValue<boolean>() ? 'Primary' : 'Additional'}</>
+    },
     {
       accessorKey: 'lastLogin',
       header: 'Last Login',
       Cell: ({ cell }) => <>{getFormattedDate(cell.getValue<string>(), DATE_TIME_24_HR_FORMAT)}</>
     }
   ];
-  const handleRoleSwitch = (userId: number) => {
-    setUserId(userId);
-  };
 
   const users = isError ? [] : data?.users || [];
   const table = useMaterialReactTable({
@@ -45,13 +50,25 @@ export const UserList: React.FC<UserListProps> = ({ roleId }) => {
     enableRowActions: true,
     positionActionsColumn: 'last',
     renderRowActions: ({ row }) => (
-      <IconButton
-        title='Switch Role'
-        color='primary'
-        onClick={() => handleRoleSwitch(row.original.id)}
-      >
-        <SwapHoriz />
-      </IconButton>
+      <>
+        <IconButton
+          title='Add Role'
+          color='primary'
+          onClick={() => setSelected({ userId: row.original.id, action: 'add' })}
+        >
+          <GroupAdd />
+        </IconButton>
+        <IconButton
+          title={
+            row.original.isPrimary ? 'Primary role is changed from the profile' : 'Remove Role'
+          }
+          color='error'
+          disabled={row.original.isPrimary}
+          onClick={() => setSelected({ userId: row.original.id, action: 'remove' })}
+        >
+          <GroupRemove />
+        </IconButton>
+      </>
     ),
     renderEmptyRowsFallback: () => {
       const errorMsg = isError ? getErrorMsg(error).message : 'No records to display';
@@ -65,7 +82,14 @@ export const UserList: React.FC<UserListProps> = ({ roleId }) => {
         <MaterialReactTable table={table} />
       </Box>
 
-      {Boolean(userId) && <SwitchUserRole userId={userId} handleRoleSwitch={handleRoleSwitch} />}
+      {selected && (
+        <AddRemoveUserRole
+          userId={selected.userId}
+          roleId={roleId}
+          action={selected.action}
+          closeModal={() => setSelected(null)}
+        />
+      )}
     </>
   );
 };
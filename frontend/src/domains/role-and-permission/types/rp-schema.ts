@@ -2,7 +2,8 @@ import { z } from 'zod';
 
 export const AddEditRoleSchema = z.object({
   id: z.number(),
-  name: z.string().min(1, 'Name is required')
+  name: z.string().min(1, 'Name is required'),
+  parentRoleId: z.number()
 });
 
 export const AddEditPermissionSchema = z.object({
@@ -7,20 +7,43 @@ export type Role = {
   name: string;
   status: boolean;
 };
-export type RoleWithUsersAssociated = Role & { usersAssociated: number };
+export type RoleWithUsersAssociated = Role & {
+  usersAssociated: number;
+  isTwoFactorRequired: boolean;
+  parentRoleId: number | null;
+  parentRoleName: string | null;
+};
 
 export type RolesData = {
   roles: RoleWithUsersAssociated[];
 };
 
+export type DataScope = 'all' | 'own_sections' | 'reportees' | 'self';
+
+export type PermissionSource = {
+  sourceRoleId: number;
+  sourceRoleName: string;
+  isInherited: boolean;
+  isDenied: boolean;
+  dataScope: DataScope;
+};
+
 export type RolePermissionsData = {
-  permissions: Permission[];
+  permissions: (Permission & PermissionSource)[];
+  deniedPermissions: (Permission & PermissionSource)[];
+};
+
+export type AddEditRoleRequest = {
+  id: number;
+  name: string;
+  parentRoleId: number | null;
 };
 
 export type User = {
   id: number;
   name: string;
   lastLogin: string;
+  isPrimary: boolean;
 };
 
 export type RoleUsersData = {
@@ -56,14 +79,101 @@ export type AddEditRoleProps = z.infer<typeof AddEditRoleSchema>;
 export type RolePermission = {
   id: number;
   permissions: string;
+  dataScopes: Record<string, DataScope>;
+};
+
+type AccessControlReference = {
+  path: string;
+  method: string | null;
+};
+export type RoleConfiguration = {
+  version: number;
+  exportedAt: string;
+  accessControls: (AccessControlReference & {
+    name: string;
+    type: string | null;
+    icon: string | null;
+    parentPath: string | null;
+    hierarchyId: number | null;
+  })[];
+  roles: {
+    name: string;
+    parentRole: string | null;
+    isTwoFactorRequired: boolean;
+    permissions: (AccessControlReference & { dataScope: DataScope })[];
+    deniedPermissions: AccessControlReference[];
+  }[];
+};
+export type RoleImportRequest = {
+  configuration: RoleConfiguration;
+  dryRun: boolean;
+};
+type ImportedPermission = AccessControlReference & {
+  isDenied: boolean;
+  dataScope: DataScope;
+};
+export type RoleImportPlan = {
+  message?: string;
+  dryRun: boolean;
+  accessControls: RoleConfiguration['accessControls'];
+  roles: {
+    roleId: number | null;
+    name: string;
+    action: 'create' | 'update' | 'unchanged';
+    changes: Record<string, { from: string | boolean | null; to: string | boolean | null }>;
+    permissions: {
+      added: ImportedPermission[];
+      removed: ImportedPermission[];
+      changed: (AccessControlReference & { from: ImportedPermission; to: ImportedPermission })[];
+    };
+  }[];
+};
+
+export type AccessRequestPayload = {
+  path: string;
+  method: string | null;
+  message: string;
+  note: string;
+};
+export type AccessRequest = AccessRequestPayload & {
+  id: number;
+  userId: number;
+  userName: string;
+  createdDt: string;
+};
+export type AccessRequestsData = {
+  accessRequests: AccessRequest[];
+};
+export type ExplainAccessRequest = {
+  userId: number;
+  path: string;
+  method: string;
+};
+export type AccessExplanation = {
+  isAllowed: boolean;
+  reason: string;
+  user: { id: number; name: string } | null;
+  accessControl: { id: number; name: string; path: string; method: string } | null;
+  roles: {
+    id: number;
+    name: string;
+    isPrimary: boolean;
+    isActive: boolean;
+    isConsidered: boolean;
+    hasPermission: boolean;
+    reason: string;
+  }[];
 };
 
+export type UserRoleAction = 'add' | 'remove';
 export type UserRole = {
   id: number;
   roleId: number;
+  action: UserRoleAction;
 };
 export type ExtendedPermission = BasePermission & {
   isPermissionAvailable?: boolean;
+  inheritedFrom?: string | null;
   subMenus?: ExtendedPermission[];
 };
 export type PermissionData = {
@@ -73,6 +183,10 @@ export type HandleRoleStatus = {
   id: number;
   status: boolean;
 };
+export type HandleRoleTwoFactor = {
+  id: number;
+  required: boolean;
+};
 
 export type MyPermissionData = {
   permissions: {
@@ -2,7 +2,7 @@ import { api, Tag } from '@/api';
 import { getQueryString } from '@/utils/helpers/get-query-string';
 import {
   StaffData,
-  StaffFilter,
+  StaffListQuery,
   StaffFormProps,
   StaffFormPropsWithId,
   StaffStatusRequest
@@ -10,7 +10,7 @@ import {
 
 export const staffApi = api.injectEndpoints({
   endpoints: (builder) => ({
-    getStaffs: builder.query<StaffData, StaffFilter>({
+    getStaffs: builder.query<StaffData, StaffListQuery>({
       query: (payload) => {
         const queryString = getQueryString(payload);
         return `/staffs${queryString}`;
@@ -13,6 +13,7 @@ import { UserAccountBasic } from '@/components/user-account-basic';
 import { StaffFilter, StaffFilterSchema } from '../types';
 import { useGetStaffsQuery } from '../api/staff-api';
 import { FilterStaff } from '../components/forms';
+import { useServerTable } from '@/hooks';
 
 const initialState = {
   roleId: '',
@@ -22,7 +23,13 @@ const initialState = {
 
 export const ListStaffs = () => {
   const [filter, setFilter] = React.useState<StaffFilter>({});
-  const { data, isLoading, isError, error } = useGetStaffsQuery(filter);
+  const { listQuery, getTableOptions, resetPage } = useServerTable();
+  const { data, isLoading, isError, error } = useGetStaffsQuery({
+    roleId: filter.roleId,
+    userId: filter.staffId,
+    name: filter.staffName,
+    ...listQuery
+  });
 
   const methods = useForm<StaffFilter>({
     defaultValues: initialState,
@@ -31,6 +38,7 @@ export const ListStaffs = () => {
 
   const searchStaff = (payload: StaffFilter) => {
     setFilter(payload);
+    resetPage();
   };
 
   return (
@@ -62,7 +70,8 @@ export const ListStaffs = () => {
           isLoading,
           isError,
           error: getErrorMsg(error as FetchBaseQueryError | SerializedError).message,
-          users: data?.staffs ?? []
+          users: data?.staffs ?? [],
+          serverTable: getTableOptions(data?.total ?? 0)
         }}
       />
     </>
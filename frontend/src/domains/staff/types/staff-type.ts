@@ -6,6 +6,7 @@ import {
   StaffFormSchema
 } from './staff-schema';
 import { UserAccountBasicProps } from '@/components/user-account-basic';
+import { ListQuery } from '@/hooks/use-server-table';
 
 export type StaffFilter = z.infer<typeof StaffFilterSchema>;
 
@@ -18,6 +19,13 @@ export type StaffStatusRequest = {
 
 export type StaffData = {
   staffs: UserAccountBasicProps[];
+  total: number;
+};
+
+export type StaffListQuery = ListQuery & {
+  userId?: string;
+  roleId?: string;
+  name?: string;
 };
 
 export type ParentsInfo = z.infer<typeof ParentsInfoSchema>;
@@ -5,19 +5,24 @@ import {
   GetTeachers,
   ReviewStudentStatusRequest,
   StudentData,
-  StudentFilter,
+  StudentListQuery,
   StudentProps,
   StudentPropsWithId
 } from '../types';
 import { getQueryString } from '@/utils/helpers/get-query-string';
+import { UserAccountBasicProps } from '@/components/user-account-basic';
 
 export const studentApi = api.injectEndpoints({
   endpoints: (builder) => ({
-    getStudents: builder.query<StudentData, StudentFilter>({
-      query: (payload) => {
-        const queryString = getQueryString(payload);
+    getStudents: builder.query<StudentData, StudentListQuery>({
+      query: ({ class: className, ...payload }) => {
+        const queryString = getQueryString({ ...payload, className });
         return `/students${queryString}`;
       },
+      transformResponse: (response: { data: UserAccountBasicProps[]; total: number }) => ({
+        students: response.data,
+        total: response.total
+      }),
       providesTags: (result) =>
         result?.students?.map(({ id }) => {
           return { type: Tag.STUDENTS, id };
@@ -13,6 +13,7 @@ import { StudentFilter, StudentFilterSchema } from '../types';
 import { FilterStudent } from '../components/forms';
 import { UserAccountBasic } from '@/components/user-account-basic';
 import { useGetStudentsQuery } from '../api/student-api';
+import { useServerTable } from '@/hooks';
 
 const initialState = {
   class: '',
@@ -28,10 +29,12 @@ export const ListStudents: React.FC = () => {
   });
 
   const [filter, setFilter] = React.useState<StudentFilter>({});
-  const { data, isLoading, isError, error } = useGetStudentsQuery(filter);
+  const { listQuery, getTableOptions, resetPage } = useServerTable();
+  const { data, isLoading, isError, error } = useGetStudentsQuery({ ...filter, ...listQuery });
 
   const searchStudent = (payload: StudentFilter) => {
     setFilter(payload);
+    resetPage();
   };
 
   return (
@@ -59,7 +62,8 @@ export const ListStudents: React.FC = () => {
           isLoading,
           isError,
           error: getErrorMsg(error as FetchBaseQueryError | SerializedError).message,
-          users: data?.students || []
+          users: data?.students || [],
+          serverTable: getTableOptions(data?.total ?? 0)
         }}
       />
     </>
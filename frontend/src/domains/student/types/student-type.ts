@@ -11,6 +11,7 @@ import {
   StudentSchema
 } from './student-schema';
 import { UserAccountBasicProps } from '@/components/user-account-basic';
+import { ListQuery } from '@/hooks/use-server-table';
 
 export type Student = {
   id: number;
@@ -74,8 +75,11 @@ export type StudentPropsWithId = StudentProps & { id: number };
 export type GetStudentDetailProps = StudentPropsWithId & { reporterName: string };
 export type StudentData = {
   students: UserAccountBasicProps[];
+  total: number;
 };
 
+export type StudentListQuery = StudentFilter & ListQuery;
+
 export type StudentDetail = {
   student: StudentPropsWithId;
 };
@@ -1,2 +1,4 @@
 export * from './use-handle-menu-action';
 export * from './use-permission';
+export * from './use-impersonation';
+export * from './use-server-table';
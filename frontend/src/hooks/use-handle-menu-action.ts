@@ -1,8 +1,10 @@
 import { menuItemTexts } from '../constants';
 import {
+  useForceLogoutMutation,
   useResendPwdSetupLinkMutation,
   useResendVerificationEmailMutation,
-  useResetPwdMutation
+  useResetPwdMutation,
+  useUnlockAccountMutation
 } from '@/domains/auth/api';
 import { useHandleNoticeStatusMutation } from '@/domains/notice/api';
 import { useHandleStaffStatusMutation } from '@/domains/staff/api';
@@ -14,6 +16,8 @@ export const useHandleMenuAction = () => {
   const [resendVerificationEmail] = useResendVerificationEmailMutation();
   const [resendPwdSetupLink] = useResendPwdSetupLinkMutation();
   const [resetPwd] = useResetPwdMutation();
+  const [forceLogout] = useForceLogoutMutation();
+  const [unlockAccount] = useUnlockAccountMutation();
   const [handleNoticeStatus] = useHandleNoticeStatusMutation();
 
   const handleAction = async (menuItemValue: string, selectedId: number) => {
@@ -28,6 +32,8 @@ export const useHandleMenuAction = () => {
         resendVerificationEmail({ userId: selectedId }).unwrap(),
       RESEND_PWD_LINK_EMAIL_TO_USER: () => resendPwdSetupLink({ userId: selectedId }).unwrap(),
       RESET_USER_PWD: () => resetPwd({ userId: selectedId }).unwrap(),
+      FORCE_LOGOUT_USER: () => forceLogout({ userId: selectedId }).unwrap(),
+      UNLOCK_USER_ACCOUNT: () => unlockAccount({ userId: selectedId }).unwrap(),
       APPROVE_NOTICE: () => handleNoticeStatus({ id: selectedId, status: 5 }).unwrap(),
       REJECT_NOTICE: () => handleNoticeStatus({ id: selectedId, status: 4 }).unwrap(),
       DELETE_NOTICE: () => handleNoticeStatus({ id: selectedId, status: 6 }).unwrap(),
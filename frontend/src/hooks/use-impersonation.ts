@@ -0,0 +1,35 @@
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+
+import { api } from '@/api';
+import { useImpersonateMutation, useStopImpersonationMutation } from '@/domains/auth/api';
+import { setUser } from '@/domains/auth/slice';
+import { User } from '@/domains/auth/types';
+
+export const useImpersonation = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [impersonate, { isLoading: isStarting }] = useImpersonateMutation();
+  const [stopImpersonation, { isLoading: isStopping }] = useStopImpersonationMutation();
+
+  // Cached responses belong to the previous user, so they are dropped on every switch
+  const switchUser = (user: User) => {
+    dispatch(setUser({ user }));
+    dispatch(api.util.resetApiState());
+    navigate('/app');
+  };
+
+  const startImpersonation = async (userId: number) => {
+    const user = await impersonate({ userId }).unwrap();
+    switchUser(user);
+    return user;
+  };
+
+  const endImpersonation = async () => {
+    const user = await stopImpersonation().unwrap();
+    switchUser(user);
+    return user;
+  };
+
+  return { startImpersonation, endImpersonation, isStarting, isStopping };
+};
@@ -0,0 +1,59 @@
+import * as React from 'react';
+import { MRT_PaginationState, MRT_SortingState } from 'material-react-table';
+
+export type ListQuery = {
+  page?: number;
+  limit?: number;
+  sortBy?: string;
+  sortOrder?: 'asc' | 'desc';
+  search?: string;
+};
+
+export type ServerTableOptions = {
+  rowCount: number;
+  pagination: MRT_PaginationState;
+  sorting: MRT_SortingState;
+  globalFilter: string;
+  onPaginationChange: React.Dispatch<React.SetStateAction<MRT_PaginationState>>;
+  onSortingChange: React.Dispatch<React.SetStateAction<MRT_SortingState>>;
+  onGlobalFilterChange: (value: string | undefined) => void;
+};
+
+// Paging, sorting and search state of a table whose rows come from the server, along with
+// the query that asks the API for the current page
+export const useServerTable = (pageSize = 20) => {
+  const [pagination, setPagination] = React.useState<MRT_PaginationState>({
+    pageIndex: 0,
+    pageSize
+  });
+  const [sorting, setSorting] = React.useState<MRT_SortingState>([]);
+  const [globalFilter, setGlobalFilter] = React.useState('');
+
+  const onGlobalFilterChange = React.useCallback((value: string | undefined) => {
+    setGlobalFilter(value ?? '');
+    setPagination((prevState) => ({ ...prevState, pageIndex: 0 }));
+  }, []);
+  const resetPage = React.useCallback(() => {
+    setPagination((prevState) => ({ ...prevState, pageIndex: 0 }));
+  }, []);
+
+  const listQuery: ListQuery = {
+    page: pagination.pageIndex + 1,
+    limit: pagination.pageSize,
+    sortBy: sorting[0]?.id,
+    sortOrder: sorting[0] ? (sorting[0].desc ? 'desc' : 'asc') : undefined,
+    search: globalFilter || undefined
+  };
+
+  const getTableOptions = (rowCount: number): ServerTableOptions => ({
+    rowCount,
+    pagination,
+    sorting,
+    globalFilter,
+    onPaginationChange: setPagination,
+    onSortingChange: setSorting,
+    onGlobalFilterChange
+  });
+
+  return { listQuery, getTableOptions, resetPage };
+};
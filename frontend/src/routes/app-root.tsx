@@ -19,7 +19,7 @@ export const AppRoot = () => {
   }, [matchedRoute]);
 
   if (isLoading) return <PermissionErrorLayout error='Checking permission...' />;
-  if (isError) return <PermissionErrorLayout error={errorMessage} />;
+  if (isError) return <PermissionErrorLayout error={errorMessage} canRequestAccess />;
   if (!hasData) return <PermissionErrorLayout error='No permission data available' />;
 
   const isRouteAvailable = doesRouteExist(currentPath);
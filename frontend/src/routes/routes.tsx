@@ -3,7 +3,12 @@ import { createBrowserRouter, Navigate } from 'react-router-dom';
 
 import { ProtectedRoute } from './protected-route';
 import { AppRoot } from './app-root';
-import { LoginPage, SetupPasswordPage } from '@/domains/auth/pages';
+import {
+  ForgotPasswordPage,
+  LoginPage,
+  OidcCallbackPage,
+  SetupPasswordPage
+} from '@/domains/auth/pages';
 import { DashboardPage } from '@/domains/dashboard/pages';
 import { LeaveDefine, MyLeaveRequest, PendingRequest } from '@/domains/leave/pages';
 import { EditClass, ListClasses } from '@/domains/class/pages';
@@ -22,6 +27,7 @@ import { AddStaff, EditStaff, ListStaffs, ViewStaff } from '@/domains/staff/page
 import { AccountPage } from '@/domains/account/pages';
 import { EditSectionPage, ListSectionPage } from '@/domains/section/pages';
 import { EditDepartmentPage, ListDepartmentsPage } from '@/domains/department/pages';
+import { PasswordPolicyPage } from '@/domains/password-policy/pages';
 import { ErrorPage, NotFound } from '@/components/errors';
 import { MainLayout } from '@/components/layout';
 import { RoleAndPermission } from '@/domains/role-and-permission/pages';
@@ -41,6 +47,16 @@ export const routes = [
     element: <SetupPasswordPage />,
     errorElement: <ErrorPage message='Error loading password setup page' />
   },
+  {
+    path: '/auth/forgot-password',
+    element: <ForgotPasswordPage />,
+    errorElement: <ErrorPage message='Error loading forgot password page' />
+  },
+  {
+    path: '/auth/oidc/callback',
+    element: <OidcCallbackPage />,
+    errorElement: <ErrorPage message='Error loading single sign-on page' />
+  },
   {
     path: '/app',
     element: (
@@ -79,6 +95,7 @@ export const routes = [
       { path: 'staffs/:id', element: <ViewStaff /> },
       { path: 'staffs/edit/:id', element: <EditStaff /> },
       { path: 'roles-and-permissions', element: <RoleAndPermission /> },
+      { path: 'password-policy', element: <PasswordPolicyPage /> },
       { path: 'departments', element: <ListDepartmentsPage /> },
       { path: 'departments/edit/:id', element: <EditDepartmentPage /> },
       { path: 'notices/recipients', element: <ListNoticeRecipients /> },
@@ -6,6 +6,7 @@ const unknownError: string = 'Unknown Error';
 type Detail = {
   path: string;
   message: string;
+  rule?: string;
 };
 
 type ErrorResponse = {
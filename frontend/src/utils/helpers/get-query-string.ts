@@ -4,8 +4,8 @@ export const getQueryString = (queryParamsObj: object | null) => {
   const queryParams: string[] = [];
   for (const [key, value] of Object.entries(queryParamsObj)) {
     if (value) {
-      queryParams.push(`${key}=${value}`);
+      queryParams.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
     }
   }
-  return queryParams.length > 0 ? `?${queryParams.join(',')}` : '';
+  return queryParams.length > 0 ? `?${queryParams.join('&')}` : '';
 };
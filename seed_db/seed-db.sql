@@ -21,6 +21,8 @@ VALUES
 ('Resend email verification', '/api/v1/auth/resend-email-verification', NULL, NULL, NULL, 'api', 'POST'),
 ('Resend password setup link', '/api/v1/auth/resend-pwd-setup-link', NULL, NULL, NULL, 'api', 'POST'),
 ('Reset password', '/api/v1/auth/reset-pwd', NULL, NULL, NULL, 'api', 'POST'),
+('Force logout', '/api/v1/auth/force-logout', NULL, NULL, NULL, 'api', 'POST'),
+('Unlock account', '/api/v1/auth/unlock-account', NULL, NULL, NULL, 'api', 'POST'),
 -- end auth
 
 
@@ -68,6 +70,17 @@ VALUES
 ('Get section detail', '/api/v1/sections/:id', NULL, 'academics_parent', NULL, 'api', 'GET'),
 ('Update section detail', '/api/v1/sections/:id', NULL, 'academics_parent', NULL, 'api', 'PUT'),
 ('Delete section', '/api/v1/sections/:id', NULL, 'academics_parent', NULL, 'api', 'DELETE'),
+('Get academic years', '/api/v1/academic-years', NULL, 'academics_parent', NULL, 'api', 'GET'),
+('Add academic year', '/api/v1/academic-years', NULL, 'academics_parent', NULL, 'api', 'POST'),
+('Update academic year', '/api/v1/academic-years/:id', NULL, 'academics_parent', NULL, 'api', 'PUT'),
+('Set current academic year', '/api/v1/academic-years/:id/current', NULL, 'academics_parent', NULL, 'api', 'POST'),
+('Get academic year enrollments', '/api/v1/academic-years/:id/enrollments', NULL, 'academics_parent', NULL, 'api', 'GET'),
+('Promote students', '/api/v1/academic-years/:id/promotions', NULL, 'academics_parent', NULL, 'api', 'POST'),
+('Get section attendance', '/api/v1/attendance', NULL, 'academics_parent', NULL, 'api', 'GET'),
+('Take attendance', '/api/v1/attendance', NULL, 'academics_parent', NULL, 'api', 'PUT'),
+('Mark all present', '/api/v1/attendance/mark-all-present', NULL, 'academics_parent', NULL, 'api', 'POST'),
+('Get section attendance register', '/api/v1/attendance/register', NULL, 'academics_parent', NULL, 'api', 'GET'),
+('Get student attendance register', '/api/v1/attendance/students/:id/register', NULL, 'academics_parent', NULL, 'api', 'GET'),
 -- end academics
 
 --start student
@@ -78,9 +91,12 @@ VALUES
 ('Edit Student', 'students/edit/:id', NULL, 'students_parent', NULL, 'screen', NULL),
 ('Get students', '/api/v1/students', NULL, 'students_parent', NULL, 'api', 'GET'),
 ('Add new student', '/api/v1/students', NULL, 'students_parent', NULL, 'api', 'POST'),
+('Import students', '/api/v1/students/import', NULL, 'students_parent', NULL, 'api', 'POST'),
+('Export students', '/api/v1/students/export', NULL, 'students_parent', NULL, 'api', 'GET'),
 ('Get student detail', '/api/v1/students/:id', NULL, 'students_parent', NULL, 'api', 'GET'),
 ('Handle student status', '/api/v1/students/:id/status', NULL, 'students_parent', NULL, 'api', 'POST'),
 ('Update student detail', '/api/v1/students/:id', NULL, 'students_parent', NULL, 'api', 'PUT'),
+('Delete student', '/api/v1/students/:id', NULL, 'students_parent', NULL, 'api', 'DELETE'),
 -- end student
 
 -- start communication
@@ -130,16 +146,21 @@ VALUES
 ('Roles & Permissions', 'roles-and-permissions', NULL, 'access_setting_parent', 1, 'menu-screen', NULL),
 ('Get all roles', '/api/v1/roles', NULL, 'access_setting_parent', NULL, 'api', 'GET'),
 ('Add new role', '/api/v1/roles', NULL, 'access_setting_parent', NULL, 'api', 'POST'),
-('Switch user role', '/api/v1/roles/switch', NULL, 'access_setting_parent', NULL, 'api', 'POST'),
+('Add or remove user role', '/api/v1/roles/switch', NULL, 'access_setting_parent', NULL, 'api', 'POST'),
 ('Update role', '/api/v1/roles/:id', NULL, 'access_setting_parent', NULL, 'api', 'PUT'),
 ('Handle role status', '/api/v1/roles/:id/status', NULL, 'access_setting_parent', NULL, 'api', 'POST'),
 ('Get role detail', '/api/v1/roles/:id', NULL, 'access_setting_parent', NULL, 'api', 'GET'),
 ('Get role permissions', '/api/v1/roles/:id/permissions', NULL, 'access_setting_parent', NULL, 'api', 'GET'),
 ('Add role permissions', '/api/v1/roles/:id/permissions', NULL, 'access_setting_parent', NULL, 'api', 'POST'),
-('Get role users', '/api/v1/roles/:id/users', NULL, 'access_setting_parent', NULL, 'api', 'GET')
+('Get role users', '/api/v1/roles/:id/users', NULL, 'access_setting_parent', NULL, 'api', 'GET'),
+('Password Policy', 'password-policy', NULL, 'access_setting_parent', 2, 'menu-screen', NULL),
+('Get password policy', '/api/v1/password-policy', NULL, 'access_setting_parent', NULL, 'api', 'GET'),
+('Update password policy', '/api/v1/password-policy', NULL, 'access_setting_parent', NULL, 'api', 'PUT')
 -- end access setting
 ON CONFLICT DO NOTHING;
 
+INSERT INTO password_policy (id) VALUES (1) ON CONFLICT DO NOTHING;
+
 ALTER SEQUENCE leave_status_id_seq RESTART WITH 1;
 INSERT INTO leave_status (name) VALUES
 ('On Review'),
@@ -159,6 +180,23 @@ VALUES ('Draft', 'Draft'),
 ('Approve', 'Approved'),
 ('Delete', 'Deleted');
 
+INSERT INTO academic_years (name, start_date, end_date, is_current)
+VALUES (
+    to_char(now(), 'YYYY'),
+    date_trunc('year', now())::DATE,
+    (date_trunc('year', now()) + INTERVAL '1 year - 1 day')::DATE,
+    true
+);
+
+-- students already on file start in the current year with the class of their profile
+INSERT INTO student_enrollments (student_id, academic_year_id, class_name, section_name, roll)
+SELECT p.user_id, y.id, p.class_name, p.section_name, p.roll
+FROM user_profiles p
+JOIN users u ON u.id = p.user_id AND u.role_id = 3
+CROSS JOIN academic_years y
+WHERE y.is_current
+ON CONFLICT DO NOTHING;
+
 INSERT INTO users(name,email,role_id,created_dt,password, is_active, is_email_verified)
 VALUES('John Doe','admin@school-admin.com',1, now(),'$argon2id$v=19$m=65536,t=3,p=4$21a+bDbESEI60WO1wRKnvQ$i6OrxqNiHvwtf1Xg3bfU5+AXZG14fegW3p+RSMvq1oU', true, true)
 RETURNING id;
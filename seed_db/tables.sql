@@ -1,3 +1,6 @@
+-- Trigram indexes back the partial and fuzzy search of the student and staff lists
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 CREATE TABLE classes(
     id SERIAL PRIMARY KEY,
     name VARCHAR(50) UNIQUE,
@@ -24,7 +27,9 @@ CREATE TABLE roles(
     id SERIAL PRIMARY KEY,
     name VARCHAR(50) UNIQUE,
     is_active BOOLEAN DEFAULT true,
-    is_editable BOOLEAN DEFAULT true
+    is_editable BOOLEAN DEFAULT true,
+    is_2fa_required BOOLEAN DEFAULT false,
+    parent_role_id INTEGER REFERENCES roles(id) DEFAULT NULL
 );
 
 CREATE TABLE users(
@@ -41,7 +46,18 @@ CREATE TABLE users(
     reporter_id INTEGER DEFAULT NULL,
     status_last_reviewed_dt TIMESTAMP DEFAULT NULL,
     status_last_reviewer_id INTEGER REFERENCES users(id) DEFAULT NULL,
-    is_email_verified BOOLEAN DEFAULT false
+    is_email_verified BOOLEAN DEFAULT false,
+    password_version INTEGER NOT NULL DEFAULT 0,
+    oidc_subject VARCHAR(255) UNIQUE DEFAULT NULL,
+    pending_email VARCHAR(100) DEFAULT NULL
+);
+
+-- Extra roles on top of users.role_id, which stays the primary role
+CREATE TABLE user_roles(
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(user_id, role_id)
 );
 
 CREATE TABLE user_profiles(
@@ -80,6 +96,11 @@ CREATE TABLE user_profiles(
     created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_dt TIMESTAMP DEFAULT NULL
 );
+CREATE INDEX users_name_trgm_idx ON users USING gin (name gin_trgm_ops);
+CREATE INDEX users_email_trgm_idx ON users USING gin (email gin_trgm_ops);
+CREATE INDEX user_profiles_phone_trgm_idx ON user_profiles USING gin (phone gin_trgm_ops);
+CREATE INDEX user_profiles_guardian_names_trgm_idx ON user_profiles
+    USING gin (guardian_name gin_trgm_ops, father_name gin_trgm_ops, mother_name gin_trgm_ops);
 
 CREATE TABLE access_controls(
     id SERIAL PRIMARY KEY,
@@ -109,6 +130,7 @@ CREATE TABLE user_leaves(
     updated_dt TIMESTAMP DEFAULT NULL,
     approved_dt TIMESTAMP DEFAULT NULL,
     approver_id INTEGER REFERENCES users(id),
+    approved_on_behalf_of INTEGER REFERENCES users(id) DEFAULT NULL,
     status INTEGER REFERENCES leave_status(id)
 );
 
@@ -139,6 +161,7 @@ CREATE TABLE notices(
     updated_dt TIMESTAMP DEFAULT NULL,
     reviewed_dt TIMESTAMP DEFAULT NULL,
     reviewer_id INTEGER REFERENCES users(id) DEFAULT NULL,
+    reviewed_on_behalf_of INTEGER REFERENCES users(id) DEFAULT NULL,
     recipient_type VARCHAR(20) NOT NULL,
     recipient_role_id INTEGER DEFAULT NULL,
     recipient_first_field VARCHAR(20) DEFAULT NULL
@@ -148,8 +171,126 @@ CREATE TABLE user_refresh_tokens (
   id SERIAL PRIMARY KEY,
   token TEXT NOT NULL,
   user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  family_id UUID NOT NULL,
+  parent_id INTEGER REFERENCES user_refresh_tokens(id) ON DELETE SET NULL,
   issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  expires_at TIMESTAMPTZ NOT NULL
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ DEFAULT NULL,
+  revoked_at TIMESTAMPTZ DEFAULT NULL,
+  session_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  user_agent TEXT DEFAULT NULL,
+  ip_address VARCHAR(45) DEFAULT NULL,
+  access_token_jti UUID DEFAULT NULL,
+  access_token_expires_at TIMESTAMPTZ DEFAULT NULL
+);
+
+CREATE TABLE revoked_access_tokens(
+  jti UUID PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_dt TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Access tokens issued to the user before revoked_before are rejected
+CREATE TABLE user_token_revocations(
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  revoked_before TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE login_attempts(
+  attempt_key VARCHAR(320) PRIMARY KEY,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ DEFAULT NULL
+);
+
+CREATE TABLE security_events(
+  id SERIAL PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  username VARCHAR(100) DEFAULT NULL,
+  ip_address VARCHAR(45) DEFAULT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  detail JSONB DEFAULT NULL,
+  created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE user_two_factor(
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    is_enabled BOOLEAN DEFAULT false,
+    last_used_step BIGINT DEFAULT NULL,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    enabled_dt TIMESTAMP DEFAULT NULL
+);
+
+CREATE TABLE user_recovery_codes(
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_dt TIMESTAMP DEFAULT NULL,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE password_policy(
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    min_length INTEGER NOT NULL DEFAULT 8,
+    require_uppercase BOOLEAN NOT NULL DEFAULT true,
+    require_lowercase BOOLEAN NOT NULL DEFAULT true,
+    require_number BOOLEAN NOT NULL DEFAULT true,
+    require_symbol BOOLEAN NOT NULL DEFAULT false,
+    block_common_passwords BOOLEAN NOT NULL DEFAULT true,
+    history_count INTEGER NOT NULL DEFAULT 5,
+    updated_dt TIMESTAMP DEFAULT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE user_password_history(
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE audit_events(
+    id BIGSERIAL PRIMARY KEY,
+    request_id VARCHAR(64) DEFAULT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    impersonated_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    api_key_id INTEGER DEFAULT NULL,
+    action VARCHAR(50) NOT NULL,
+    entity VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(64) DEFAULT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    status_code INTEGER NOT NULL,
+    changes JSONB DEFAULT NULL,
+    ip_address VARCHAR(45) DEFAULT NULL,
+    user_agent VARCHAR(255) DEFAULT NULL,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX audit_events_created_dt_idx ON audit_events(created_dt);
+CREATE INDEX audit_events_entity_idx ON audit_events(entity, entity_id);
+CREATE INDEX audit_events_actor_id_idx ON audit_events(actor_id);
+
+CREATE TABLE api_keys(
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE DEFAULT NULL,
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ DEFAULT NULL,
+    last_used_ip VARCHAR(45) DEFAULT NULL,
+    revoked_at TIMESTAMPTZ DEFAULT NULL
+);
+
+CREATE TABLE api_key_access_controls(
+    api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    access_control_id INTEGER NOT NULL REFERENCES access_controls(id) ON DELETE CASCADE,
+    PRIMARY KEY (api_key_id, access_control_id)
 );
 
 CREATE TABLE permissions(
@@ -157,9 +298,109 @@ CREATE TABLE permissions(
     role_id INTEGER REFERENCES roles(id),
     access_control_id INTEGER REFERENCES access_controls(id),
     type VARCHAR(20) DEFAULT NULL,
+    is_denied BOOLEAN NOT NULL DEFAULT false,
+    -- Rows the permission reaches in the scoped repositories (students, staff, leave, notices)
+    data_scope VARCHAR(20) NOT NULL DEFAULT 'all'
+        CHECK (data_scope IN ('all', 'own_sections', 'reportees', 'self')),
     UNIQUE(role_id, access_control_id)
 );
 
+-- Filed by users who hit a 403, method is NULL when the denied request is not known
+CREATE TABLE access_requests(
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    path VARCHAR(255) NOT NULL,
+    method VARCHAR(10) DEFAULT NULL,
+    message TEXT DEFAULT NULL,
+    note TEXT DEFAULT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved')),
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_dt TIMESTAMP DEFAULT NULL
+);
+CREATE UNIQUE INDEX access_requests_pending_idx ON access_requests(user_id, path, COALESCE(method, ''))
+    WHERE status = 'pending';
+
+-- Extra permissions for one user between two dates. With delegator_id set the user also reviews
+-- leave requests and notices on the delegator's behalf while the grant is active.
+CREATE TABLE permission_grants(
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    delegator_id INTEGER REFERENCES users(id) ON DELETE CASCADE DEFAULT NULL,
+    reason VARCHAR(255) DEFAULT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMPTZ DEFAULT NULL,
+    CHECK (ends_at > starts_at),
+    CHECK (delegator_id IS NULL OR delegator_id <> user_id)
+);
+CREATE INDEX permission_grants_user_id_idx ON permission_grants(user_id);
+
+CREATE TABLE permission_grant_access_controls(
+    permission_grant_id INTEGER NOT NULL REFERENCES permission_grants(id) ON DELETE CASCADE,
+    access_control_id INTEGER NOT NULL REFERENCES access_controls(id) ON DELETE CASCADE,
+    data_scope VARCHAR(20) NOT NULL DEFAULT 'all'
+        CHECK (data_scope IN ('all', 'own_sections', 'reportees', 'self')),
+    PRIMARY KEY (permission_grant_id, access_control_id)
+);
+
+-- School years. Exactly one is current, it decides which enrollment the profile reflects.
+CREATE TABLE academic_years(
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(20) NOT NULL UNIQUE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    is_current BOOLEAN NOT NULL DEFAULT false,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_dt TIMESTAMP DEFAULT NULL,
+    CHECK (end_date > start_date)
+);
+CREATE UNIQUE INDEX academic_years_current_idx ON academic_years(is_current) WHERE is_current;
+
+-- Class, section and roll of a student in one academic year. The status records how the year
+-- ended, the rows of past years are kept as the student's history.
+CREATE TABLE student_enrollments(
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    academic_year_id INTEGER NOT NULL REFERENCES academic_years(id),
+    class_name VARCHAR(50) REFERENCES classes(name)
+        ON UPDATE CASCADE
+        ON DELETE SET NULL,
+    section_name VARCHAR(50) REFERENCES sections(name)
+        ON UPDATE CASCADE
+        ON DELETE SET NULL,
+    roll INTEGER DEFAULT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'enrolled'
+        CHECK (status IN ('enrolled', 'promoted', 'detained', 'transferred_out', 'graduated')),
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_dt TIMESTAMP DEFAULT NULL,
+    UNIQUE (student_id, academic_year_id)
+);
+CREATE INDEX student_enrollments_section_idx ON student_enrollments(academic_year_id, class_name, section_name);
+
+-- One row per student and school day. Class and section are those of the day, so registers of
+-- past months stay as they were after a promotion.
+CREATE TABLE student_attendance(
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    attendance_dt DATE NOT NULL,
+    class_name VARCHAR(50) REFERENCES classes(name)
+        ON UPDATE CASCADE
+        ON DELETE SET NULL,
+    section_name VARCHAR(50) REFERENCES sections(name)
+        ON UPDATE CASCADE
+        ON DELETE SET NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('present', 'absent', 'late', 'excused')),
+    note VARCHAR(255) DEFAULT NULL,
+    marked_by INTEGER REFERENCES users(id) DEFAULT NULL,
+    created_dt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_dt TIMESTAMP DEFAULT NULL,
+    UNIQUE (student_id, attendance_dt)
+);
+CREATE INDEX student_attendance_section_idx ON student_attendance(class_name, section_name, attendance_dt);
+
 CREATE TABLE notice_recipient_types(
     id SERIAL PRIMARY KEY,
     role_id INTEGER REFERENCES roles(id),
@@ -257,11 +498,10 @@ BEGIN
     END IF;
 
 
-    --update user tables
+    --update user tables, email changes go through the confirmation flow instead
     UPDATE users
     SET
         name = _name,
-        email = _email,
         role_id = _role,
         is_active = _systemAccess,
         reporter_id = _reporterId,
@@ -294,6 +534,25 @@ END;
 $BODY$;
 
 
+--keeps the current year's enrollment in step with the class, section and roll of the profile
+DROP FUNCTION IF EXISTS student_enrollment_sync(INTEGER, TEXT, TEXT, INTEGER);
+CREATE OR REPLACE FUNCTION student_enrollment_sync(_student_id INTEGER, _class_name TEXT, _section_name TEXT, _roll INTEGER)
+RETURNS VOID
+LANGUAGE sql
+AS $BODY$
+    INSERT INTO student_enrollments (student_id, academic_year_id, class_name, section_name, roll)
+    SELECT _student_id, id, _class_name, _section_name, _roll
+    FROM academic_years
+    WHERE is_current
+    ON CONFLICT (student_id, academic_year_id) DO UPDATE
+    SET
+        class_name = EXCLUDED.class_name,
+        section_name = EXCLUDED.section_name,
+        roll = EXCLUDED.roll,
+        updated_dt = now();
+$BODY$;
+
+
 --student add/update
 DROP FUNCTION IF EXISTS student_add_update(JSONB);
 CREATE OR REPLACE FUNCTION public.student_add_update(data jsonb)
@@ -380,17 +639,18 @@ BEGIN
         VALUES
         (_userId,_gender,_phone,_dob,_admissionDt,_className,_sectionName,_roll,_currentAddress,_permanentAddress,_fatherName,_fatherPhone,_motherName,_motherPhone,_guardianName,_guardianPhone,_relationOfGuardian);
 
+        PERFORM student_enrollment_sync(_userId, _className, _sectionName, _roll);
+
         RETURN QUERY
             SELECT _userId, true, 'Student added successfully', NULL;
         RETURN;
     END IF;
 
 
-    --update user tables
+    --update user tables, email changes go through the confirmation flow instead
     UPDATE users
     SET
         name = _name,
-        email = _email,
         role_id = _roleId,
         is_active = _systemAccess,
         updated_dt = now()
@@ -416,6 +676,8 @@ BEGIN
         relation_of_guardian = _relationOfGuardian
     WHERE user_id = _userId;
 
+    PERFORM student_enrollment_sync(_userId, _className, _sectionName, _roll);
+
     RETURN QUERY
         SELECT _userId, true , 'Student updated successfully', NULL;
 EXCEPTION
@@ -455,6 +717,10 @@ DECLARE
     _leave_histories_data JSONB;
     _celebrations_data JSONB;
     _one_month_leave_data JSONB;
+
+    _attendance_today_perc NUMERIC;
+    _attendance_today_marked INTEGER;
+    _attendance_month_perc NUMERIC;
 BEGIN
     -- user check
     IF NOT EXISTS(SELECT 1 FROM users u WHERE u.id = _user_id) THEN
@@ -701,6 +967,36 @@ BEGIN
         WHERE t2.status = 2
     )t;
 
+    --attendance of the whole school for admins, of their sections for class teachers and of
+    --themselves for students. Present and late count as attended, excused days are left out.
+    SELECT
+        ROUND(
+            100.0 * COUNT(*) FILTER (WHERE t1.attendance_dt = CURRENT_DATE AND t1.status IN ('present', 'late'))
+            / NULLIF(COUNT(*) FILTER (WHERE t1.attendance_dt = CURRENT_DATE AND t1.status <> 'excused'), 0),
+            1
+        ),
+        COUNT(*) FILTER (WHERE t1.attendance_dt = CURRENT_DATE),
+        ROUND(
+            100.0 * COUNT(*) FILTER (WHERE t1.status IN ('present', 'late'))
+            / NULLIF(COUNT(*) FILTER (WHERE t1.status <> 'excused'), 0),
+            1
+        )
+    INTO _attendance_today_perc, _attendance_today_marked, _attendance_month_perc
+    FROM student_attendance t1
+    WHERE t1.attendance_dt >= DATE_TRUNC('month', CURRENT_DATE)::DATE
+    AND t1.attendance_dt <= CURRENT_DATE
+    AND (
+        _user_role_id = 1
+        OR t1.student_id = _user_id
+        OR EXISTS (
+            SELECT 1
+            FROM class_teachers t2
+            WHERE t2.teacher_id = _user_id
+            AND t2.class_name = t1.class_name
+            AND t2.section_name = t1.section_name
+        )
+    );
+
     -- Build and return the final JSON object
     RETURN JSON_BUILD_OBJECT(
         'students', JSON_BUILD_OBJECT(
@@ -722,7 +1018,12 @@ BEGIN
         'leavePolicies', _leave_policies_data,
         'leaveHistory', _leave_histories_data,
         'celebrations', _celebrations_data,
-        'oneMonthLeave', _one_month_leave_data
+        'oneMonthLeave', _one_month_leave_data,
+        'attendance', JSON_BUILD_OBJECT(
+            'todayPerc', _attendance_today_perc,
+            'todayMarked', _attendance_today_marked,
+            'monthPerc', _attendance_month_perc
+        )
     );
 END;
 $BODY$;
@@ -838,4 +1139,40 @@ BEGIN
     )
     ORDER BY t1.created_dt DESC;
 END;
-$BODY$;
\ No newline at end of file
+$BODY$;
+
+
+-- Effective permissions of a role. A role inherits the permissions rows of its parent chain and
+-- the closest role that mentions an access control decides it, so a role can deny something
+-- it would otherwise inherit (is_denied) and a child can grant back what a parent denies.
+-- The data scope comes along with the deciding row.
+DROP FUNCTION IF EXISTS public.role_permission_sources(INTEGER);
+CREATE OR REPLACE FUNCTION role_permission_sources(_role_id INTEGER)
+RETURNS TABLE (
+    access_control_id INTEGER,
+    source_role_id INTEGER,
+    is_denied BOOLEAN,
+    data_scope VARCHAR(20)
+)
+LANGUAGE sql
+STABLE
+AS $BODY$
+    WITH RECURSIVE role_chain AS (
+        SELECT r.id, r.parent_role_id, 0 AS depth, ARRAY[r.id] AS visited
+        FROM roles r
+        WHERE r.id = _role_id
+        UNION ALL
+        SELECT r.id, r.parent_role_id, rc.depth + 1, rc.visited || r.id
+        FROM roles r
+        JOIN role_chain rc ON r.id = rc.parent_role_id
+        WHERE NOT r.id = ANY(rc.visited)
+    )
+    SELECT DISTINCT ON (p.access_control_id)
+        p.access_control_id,
+        p.role_id,
+        p.is_denied,
+        p.data_scope
+    FROM permissions p
+    JOIN role_chain rc ON rc.id = p.role_id
+    ORDER BY p.access_control_id, rc.depth;
+$BODY$;